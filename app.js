@@ -1,7 +1,47 @@
 /**
  * SEBT 平衡测试系统应用逻辑
+ * 渲染进程运行在沙箱中（contextIsolation + sandbox），不能使用 require：
+ * 纯逻辑模块由 index.html 先于本文件通过 <script> 加载（全局 SEBTxxx），主进程接口见 preload.js（window.sebt）
  */
 
+const { SCORING_FORMULAS, DEFAULT_SCORING_FORMULA, calculateScores, calculateLegScore } = SEBTScoring;
+const {
+  stanceLegDirectionMap,
+  getTrialLegs,
+  buildTrialSequence,
+  aggregateTrialResults,
+  toAnatomicalResults,
+  calculateSymmetryIndex
+} = SEBTTrials;
+const { resolveMinDirection, isLockCandidate, advanceLockCounter } = SEBTAutoLock;
+const {
+  DEFAULT_MAX_SAMPLES,
+  DEFAULT_QUALITY_CRITERIA,
+  addMeasurementSample,
+  validateQualityCriteria,
+  resolveMeasurementWindow
+} = SEBTMeasurement;
+const { formatGapDuration } = SEBTReconnectPolicy;
+const { isDiscontinuity } = SEBTPacketContinuity;
+const {
+  DEFAULT_REFERENCE_DISTANCES_MM,
+  createIdentityCalibration,
+  applyChannelCalibration,
+  calibrateReadings,
+  fitChannelCalibration,
+  validateCalibration
+} = SEBTCalibration;
+const { FILTER_STAGE_ORDER, FILTER_STAGES, DEFAULT_FILTER_CONFIG } = SEBTSignalFilter;
+const { DEVICE_COMMANDS, DEFAULT_DEVICE_SETTINGS, getUnsyncedDeviceSettings } = SEBTDeviceCommands;
+const {
+  DEFAULT_READINESS_CRITERIA,
+  READINESS_REASONS,
+  createReadinessCollector,
+  addReadinessSample,
+  addPressureSample,
+  evaluateReadiness
+} = SEBTReadiness;
+
 // 方位映射关系 (对应硬件I2C通道)
 const directionMap = {
   0: { code: "L", name: "Left", displayName: "左" },
@@ -30,15 +70,70 @@ const gridPositions = [
   { row: 2, col: 2, channel: 5 }  // BR - 右后
 ];
 
+// AutoRun 状态机状态及显示文本
+// idle → waiting-lock → (waiting-pressure) → measuring → waiting-lock ... → completed
+// 主机/从机链路中断时进入 waiting-link，数据恢复后回到原来的步骤
+const autoRunStateLabels = {
+  'idle': '未运行',
+  'waiting-lock': '等待锁定',
+  'waiting-pressure': '等待压力稳定',
+  'waiting-link': '等待设备重连',
+  'measuring': '自动测距中',
+  'completed': '全部完成'
+};
+
+// 站立腿显示文本
+const stanceLegLabels = {
+  'left': '左腿',
+  'right': '右腿'
+};
+
+// 解剖学方向（相对站立腿）：前、前内、内、后内、后、后外、外、前外
+const anatomicalDirections = [
+  { code: 'ANT', name: 'Anterior', displayName: '前' },
+  { code: 'AM', name: 'Anteromedial', displayName: '前内' },
+  { code: 'MED', name: 'Medial', displayName: '内' },
+  { code: 'PM', name: 'Posteromedial', displayName: '后内' },
+  { code: 'POST', name: 'Posterior', displayName: '后' },
+  { code: 'PL', name: 'Posterolateral', displayName: '后外' },
+  { code: 'LAT', name: 'Lateral', displayName: '外' },
+  { code: 'AL', name: 'Anterolateral', displayName: '前外' }
+];
+
+// 多次试验结果汇总方式显示文本
+const trialAggregationLabels = {
+  'max': '最佳值',
+  'mean': '平均值'
+};
+
+// 测试前自检结果
+const readinessStatusLabels = {
+  'pass': '✅ 通过',
+  'warn': '⚠️ 警告',
+  'fail': '❌ 未通过'
+};
+
+// 默认试验方案（与单次测试流程一致：无练习，1次正式试验）
+const DEFAULT_TRIAL_PLAN = {
+  practiceTrials: 0,
+  recordedTrials: 1,
+  stanceLeg: 'left', // left | right | both（先左后右）
+  aggregation: 'max' // max | mean
+};
+
 class SEBTApp {
   constructor() {
     // 自动锁定相关常量
-    // 硬件发送间隔：300ms（固定）
-    this.HARDWARE_SEND_INTERVAL_MS = 300;
-    // 锁定连续次数：默认10次（对应3秒）
-    this.LOCK_REQUIRED_COUNT = 10;
+    // 主机发送间隔：默认300ms，主机确认设备参数后按设备的实际间隔更新（见 applyDeviceConfig）
+    this.HARDWARE_SEND_INTERVAL_MS = DEFAULT_DEVICE_SETTINGS.intervalMs;
+    // 从机发送间隔：300ms（固定，slave-ble.ino SEND_INTERVAL）
+    this.SLAVE_SEND_INTERVAL_MS = 300;
+    // 锁定连续次数：默认10次（对应3秒），与设备参数一起下发到主机固件
+    this.LOCK_REQUIRED_COUNT = DEFAULT_DEVICE_SETTINGS.lockCount;
     // 计算锁定时间（毫秒）
     this.AUTO_LOCK_TIME_MS = this.LOCK_REQUIRED_COUNT * this.HARDWARE_SEND_INTERVAL_MS;
+    // 数据过期时间：超过5个发送间隔未更新的方向显示为灰色
+    this.STALE_AFTER_MS = 5 * this.HARDWARE_SEND_INTERVAL_MS;
     
     // 无效值常量
     this.INVALID_DISTANCE = 'invalid'; // 无效距离标记
@@ -49,19 +144,23 @@ class SEBTApp {
     this.gridElements = new Map();
     this.waitingForManualResult = null;
     this.bluetoothMeasurementCollection = null; // 蓝牙测距数据收集状态
+    this.measurementGapFlags = new Map(); // 测距样本跨越数据中断的方向 {channel: 中断时长ms}
+    this.staleDirections = new Set(); // 数据已过期的方向
+    this.faultedDirections = new Set(); // 传感器故障的方向（v2 数据包的传感器状态，见 packet-codec.js）
+    this.staleCheckTimer = null;
     this.lockedDirections = new Set(); // 已锁定的方向集合
     this.completedDirections = new Set(); // 已完成测距的方向集合
     this.lastSequence = -1; // 最后处理的序号，避免重复处理
     this.bleConnected = false; // 主机BLE连接状态
     this.slaveDeviceConnected = false; // 从机连接状态
+    this.linkLoss = { host: null, slave: null }; // BLE链路中断状态 {lostAt, reason}，null表示正常
     this.hostDevice = null;
     this.slaveDevice = null;
     this.bleTarget = 'host'; // 当前弹窗目标：host|slave
     this.bleIPCHandlersSetup = false; // BLE IPC监听器是否已设置
-    this.bleDiagnosing = false; // 是否正在进行BLE诊断
+    this.diagnosticsTimer = null; // 连接诊断模态窗刷新定时器
     this.simulatedMinDirection = -1; // 模拟数据的最近方向
-    this.bleDriverOpened = false; // BLE驱动页面是否已打开
-    this.slaveBleDriverOpened = false; // 从机BLE驱动页面是否已打开
+    this.bleDriverOpened = false; // BLE驱动页面（主机和从机共用）是否已打开
     this.lastClosestDirection = -1; // 上一次绿色实时高亮的方向
 
     // 自动锁定相关变量
@@ -72,19 +171,70 @@ class SEBTApp {
     this.experimentRunning = false; // 实验运行状态（默认未运行）
     this.experimentStartTime = 0; // 实验开始时间
     this.experimentTimer = null;
+
+    // AutoRun 状态机相关变量
+    this.autoRunState = 'idle'; // 当前状态（见 autoRunStateLabels）
+    this.autoRunTimer = null; // 锁定后延迟触发测距的定时器
     
     // 实验记录相关变量
     this.measurementResults = new Map(); // 存储8方向的测距结果 {channel: distance}
+    this.measurementDetails = new Map(); // 测距结果的样本和质量 {channel: {distance, samples, spreadMm, cv, quality, attempts}}（见 measurement.js）
+    this.measurementQualityCriteria = { ...DEFAULT_QUALITY_CRITERIA }; // 测距样本窗口质量检查参数
     this.measurementTableUpdateTimer = null; // 测距数据表格更新定时器
-    this.lastTableUpdateValues = new Map(); // 上次表格更新的值，用于减少重复日志
     this.tableUpdateLogCount = 0; // 表格更新日志计数，用于控制日志频率
 
+    // 多次试验方案相关变量
+    this.trialPlan = { ...DEFAULT_TRIAL_PLAN }; // 当前试验方案
+    this.trialSequence = buildTrialSequence(this.trialPlan); // 本次测试的试验顺序 [{leg, practice, number}]
+    this.currentTrialIndex = 0; // 当前进行中的试验序号（trialSequence下标）
+    this.trialResults = []; // 已完成的试验 [{leg, practice, number, results: {code: distance}}]
+    this.scoringFormulaId = DEFAULT_SCORING_FORMULA; // 评分公式（见 scoring.js）
+
+    // 原始数据流录制/回放相关变量
+    this.recordingFilePath = null; // 当前录制文件，未录制时为null
+    this.replayStatus = { replaying: false, filePath: null }; // 回放状态（来自主进程 replay-status）
+
+    // 测试记录持久化相关变量
+    this.currentSessionId = null; // 当前测试记录ID（首次保存后由主进程分配）
+    this.lastSavedSessionSnapshot = null; // 上次保存的记录内容，用于跳过重复保存
+    this.historySession = null; // 从历史记录中重新打开的记录（查看模式）
+    this.sessionHistorySearchTimer = null; // 历史记录搜索防抖定时器
+    this.sessionGeneration = 0; // 测试记录代数，重新测试后递增，防止旧记录的异步保存结果覆盖新记录
+
+    // 传感器校准相关变量
+    this.calibration = createIdentityCalibration(); // 当前启用的校准参数（见 calibration.js），id 为null表示未校准
+    this.savedCalibrations = []; // 已保存的校准参数（按保存时间倒序）
+    this.calibratedMinDirection = -1; // 校准后的最短方向（实时数据高亮使用）
+    this.calibrationCapture = null; // 校准向导正在采集的校准点 {channel, referenceMm, samples, timer}
+    this.calibrationPoints = []; // 校准向导已采集的校准点 [{channel, referenceMm, measuredMm}]
+    this.CALIBRATION_SAMPLE_COUNT = 10; // 每个校准点采集的有效读数（约3秒）
+    this.CALIBRATION_CAPTURE_TIMEOUT_MS = 10000;
+
+    // 测试前自检相关变量（见 readiness.js）
+    this.readinessCheck = null; // 正在进行的自检 {collector, criteria, timer}
+    this.readinessResult = null; // 最近一次自检报告，主机或从机断开后作废
+    this.readinessFromStart = false; // 自检窗口是否由"开始测试"打开（自检完成后可直接开始测试）
+    this.sessionReadiness = null; // 本次测试开始时使用的自检报告（保存到测试记录）
+    this.READINESS_MAX_AGE_MS = 10 * 60 * 1000; // 自检报告有效期
+
+    // 信号滤波相关变量（滤波在主进程执行，见 signal-filter.js）
+    this.filterConfig = JSON.parse(JSON.stringify(DEFAULT_FILTER_CONFIG)); // 当前滤波参数
+
+    // 主机设备参数（由主进程下发到固件，见 device-commands.js）
+    this.deviceSettings = { ...DEFAULT_DEVICE_SETTINGS }; // 期望参数
+    this.deviceConfig = null; // 设备确认的参数（GET_CONFIG 结果），未读取时为null
+
     // 从机参数设置相关变量
     this.stableRequiredCount = 10; // 稳定时长连续次数（默认10次）
     this.pressureMinThreshold = 500; // 压力最小阈值
     this.pressureMaxThreshold = 3000; // 压力最大阈值
     this.pressureSliderInitialized = false; // 双滑块是否已初始化
 
+    // 从机压力数据相关变量
+    this.currentPressure = null; // 最新压力值
+    this.pressureStableCount = 0; // 压力连续处于阈值范围内的次数
+    this.pressureStable = false; // 压力是否已稳定（满足测距条件）
+
     this.initializeApp();
     this.setupEventListeners();
     this.setupGlobalClickListener();
@@ -95,7 +245,6 @@ class SEBTApp {
 
     // 重置BLE驱动页面状态
     this.bleDriverOpened = false;
-    this.slaveBleDriverOpened = false;
 
     // 记录应用启动事件
     this.addLog('🚀 SEBT平衡测试系统启动', 'success');
@@ -108,7 +257,7 @@ class SEBTApp {
   }
 
   /**
-   * 打开BLE驱动页面（主机）
+   * 打开BLE驱动页面（主机和从机在同一页面中连接）
    */
   openBLEDriverPage() {
     // 检查是否已经打开过BLE驱动页面
@@ -118,43 +267,26 @@ class SEBTApp {
       return;
     }
 
-    const url = 'http://localhost:3000';
-    console.log(`🌐 打开BLE驱动页面: ${url}`);
-
-    // 使用Electron的shell模块打开外部浏览器
-    if (window.require) {
-      const { shell } = window.require('electron');
-      shell.openExternal(url);
-      this.bleDriverOpened = true;
-    } else {
-      // 备用方案：使用window.open
-      window.open(url, '_blank');
-      this.bleDriverOpened = true;
-    }
+    this.openDriverPage().then((opened) => {
+      this.bleDriverOpened = opened;
+    });
   }
 
   /**
-   * 打开从机BLE驱动页面
+   * 由主进程在外部浏览器中打开驱动页面（页面地址包含 WebSocket Bridge 会话令牌）
+   * @returns {Promise<boolean>} 是否已打开
    */
-  openSlaveBLEDriverPage() {
-    // 检查是否已经打开过从机BLE驱动页面
-    if (this.slaveBleDriverOpened) {
-      console.log('ℹ️ 从机BLE驱动页面已打开，跳过重复打开');
-      return;
-    }
-
-    const url = 'http://localhost:3000/slave-ble-driver.html';
-    console.log(`🌐 打开从机BLE驱动页面: ${url}`);
-
-    // 使用Electron的shell模块打开外部浏览器
-    if (window.require) {
-      const { shell } = window.require('electron');
-      shell.openExternal(url);
-      this.slaveBleDriverOpened = true;
-    } else {
-      // 备用方案：使用window.open
-      window.open(url, '_blank');
-      this.slaveBleDriverOpened = true;
+  async openDriverPage() {
+    console.log('🌐 打开BLE驱动页面');
+    try {
+      const result = await window.sebt.devices.openDriverPage();
+      if (!result.success) {
+        this.addLog(`❌ 打开驱动页面失败: ${result.error}`, 'error');
+      }
+      return result.success;
+    } catch (error) {
+      this.addLog(`❌ 打开驱动页面失败: ${error.message}`, 'error');
+      return false;
     }
   }
 
@@ -164,6 +296,10 @@ class SEBTApp {
   initializeApp() {
     this.createGrid();
     this.initializeSensorData();
+    this.staleCheckTimer = setInterval(() => this.updateStaleDirections(), 500);
+    this.loadCalibration();
+    this.loadFilterConfig();
+    this.loadDeviceSettings();
   }
 
   /**
@@ -227,7 +363,7 @@ class SEBTApp {
     // 如果方向已锁定，直接触发测距（兼容旧逻辑）
     if (this.lockedDirections.has(channel) && !this.completedDirections.has(channel)) {
     const measureBtn = document.getElementById(`measure-${direction.code}`);
-      if (measureBtn && measureBtn.style.display !== 'none') {
+      if (measureBtn && measureBtn.style.display !== 'none' && !measureBtn.disabled) {
         // 如果按钮已显示，直接触发测距
         this.performManualMeasurement(channel, direction);
     }
@@ -289,15 +425,30 @@ class SEBTApp {
 
   /**
    * 处理手动测距结果
+   * @param {number} channel - 方向通道
+   * @param {number} distance - 测距结果（mm）
+   * @param {Object} direction - 方向信息
+   * @param {Object} [details] - 样本和质量 {samples, spreadMm, cv, quality, attempts}，模拟测距时为空
    */
-  handleManualMeasurementResult(channel, distance, direction) {
+  handleManualMeasurementResult(channel, distance, direction, details = null) {
     console.log(`📊 手动测距结果: ${direction.displayName} = ${distance}mm`);
 
     // 完成这个方向的测距
     this.completeDirection(channel, distance);
 
+    if (details) {
+      this.measurementDetails.set(channel, { ...details, distance });
+    } else {
+      this.measurementDetails.delete(channel);
+    }
+
     // 添加日志（统一为"测距完成"，不区分手动/自动）
-    this.addLog(`📐 测距完成: ${direction.displayName} - ${distance}mm`, 'success');
+    const spreadText = details ? `（极差 ${details.spreadMm}mm）` : '';
+    this.addLog(`📐 测距完成: ${direction.displayName} - ${distance}mm${spreadText}`, 'success');
+
+    if (details && details.quality === 'unstable') {
+      this.flagMeasurementQuality(channel, details);
+    }
   }
 
   /**
@@ -356,16 +507,19 @@ class SEBTApp {
       // 显示手动测距按钮（因为这是锁定的方向）
       const measureBtn = gridElement.querySelector('.manual-measure-btn');
       if (measureBtn) {
-        measureBtn.textContent = '开始测距';
         measureBtn.style.display = 'block';
         measureBtn.style.visibility = 'visible';
-        measureBtn.disabled = false;
+        // 按钮是否可用由从机压力稳定状态决定
+        this.applyPressureGateToButton(measureBtn);
         
         // 直接绑定点击事件，确保点击一次即可测距
         const direction = directionMap[channel];
         measureBtn.onclick = (e) => {
           e.stopPropagation(); // 防止触发卡片点击事件
           e.preventDefault(); // 防止默认行为
+          if (!this.isPressureGateOpen()) {
+            return;
+          }
           this.performManualMeasurement(channel, direction);
         };
         
@@ -380,15 +534,8 @@ class SEBTApp {
     // 记录锁定事件（只显示方向，不显示距离）
     this.addLog(`🔒 锁定方向: ${directionMap[channel].displayName}`, 'info');
 
-    // 如果AutoRun开启，自动触发测距
-    if (this.lockFeatureEnabled && this.experimentRunning) {
-      const direction = directionMap[channel];
-      console.log(`🤖 AutoRun已开启，自动触发测距: ${direction.displayName}`);
-      // 延迟一小段时间后自动触发测距，给用户视觉反馈
-      setTimeout(() => {
-        this.performManualMeasurement(channel, direction);
-      }, 500);
-    }
+    // 如果AutoRun开启，由状态机决定何时自动触发测距（需同时满足压力条件）
+    this.advanceAutoRun();
 
     // 更新按钮状态
     this.updateMockDataButtonState();
@@ -406,11 +553,9 @@ class SEBTApp {
     this.lockedDirections.delete(channel);
     this.completedDirections.add(channel);
 
-    // 如果蓝牙已连接，发送测距完成命令给硬件端
-    if (this.bleConnected) {
-      const command = `MEASURE:${channel}`;
-      console.log(`📡 发送测距完成命令给硬件端: ${command}`);
-      this.sendBluetoothCommand(command);
+    // 该方向的测距已结束，清除等待状态
+    if (this.waitingForManualResult && this.waitingForManualResult.channel === channel) {
+      this.waitingForManualResult = null;
     }
 
     // 更新UI显示完成状态（灰色，不可更改）
@@ -488,7 +633,7 @@ class SEBTApp {
     this.updateMockDataButtonState();
 
     // 检查是否所有方向都已完成
-    this.checkExperimentCompletion();
+    const experimentCompleted = this.checkExperimentCompletion();
 
     // 测距完成后，重新高亮最近方向（排除已完成的方向）
     // 需要获取当前距离数组，排除已完成的方向
@@ -503,6 +648,13 @@ class SEBTApp {
     if (this.lockedDirections.size === 0) {
       this.highlightClosestDirection(distancesArray);
     }
+
+    // AutoRun：全部完成则结束测试，否则继续等待下一个方向锁定
+    if (experimentCompleted) {
+      this.finishAutoRun();
+    } else {
+      this.advanceAutoRun();
+    }
   }
 
   /**
@@ -518,6 +670,8 @@ class SEBTApp {
 
     // 从完成状态移除
     this.completedDirections.delete(channel);
+    this.clearMeasurementGapFlag(channel);
+    this.clearMeasurementQualityFlag(channel);
 
     // 更新传感器数据，清除完成标记
     const sensorData = this.sensorData.get(channel);
@@ -575,169 +729,1358 @@ class SEBTApp {
   /**
    * 检查实验是否完成
    * 注意：不再显示通知弹窗，因为已有实验记录模态窗
+   * @returns {boolean} 是否所有8个方向都已完成
    */
   checkExperimentCompletion() {
     if (this.completedDirections.size === 8) {
+      const trial = this.getCurrentTrial();
+      this.commitCurrentTrial();
+
+      // 试验方案中还有剩余试验：进入下一次试验，测试继续
+      if (this.currentTrialIndex < this.trialSequence.length - 1) {
+        this.addLog(`✅ ${this.describeTrial(trial)} 完成`, 'success');
+        this.startNextTrial();
+        return false;
+      }
+
       console.log('🎉 实验完成！所有8个方向都已测距完毕');
       this.addLog('🎉 实验完成！所有方向测距完毕', 'success');
       // 不再显示通知弹窗，用户可以通过"结束测试"按钮查看实验记录模态窗
+      return true;
     }
+    return false;
   }
 
   /**
-   * 发送命令到ESP32
+   * 获取当前生效的试验方案（查看历史记录时为该记录的方案）
+   * @returns {Object} 试验方案
    */
-  sendCommandToESP32(command) {
-    const { ipcRenderer } = require('electron');
-    ipcRenderer.send('serial-command', command);
+  getActiveTrialPlan() {
+    return this.historySession ? this.historySession.trialPlan : this.trialPlan;
   }
 
   /**
-   * 创建中心LOGO内容
+   * 获取当前生效的评分公式ID（查看历史记录时为该记录的公式）
+   * @returns {string}
    */
-  createLogoContent() {
-    return `
-      <div class="logo-area">
-        <div class="logo-text">SEBT</div>
-        <div class="logo-subtitle">平衡测试系统</div>
-      </div>
-    `;
+  getActiveScoringFormula() {
+    return this.historySession ? this.historySession.scoringFormula : this.scoringFormulaId;
   }
 
   /**
-   * 初始化所有传感器的默认数据
+   * 获取当前进行中的试验
+   * @returns {Object|null}
    */
-  initializeSensorData() {
-    Object.keys(directionMap).forEach(channel => {
-      const channelNum = parseInt(channel);
-      this.sensorData.set(channelNum, {
-        channel: channelNum,
-        code: directionMap[channelNum].code,
-        name: directionMap[channelNum].name,
-        displayName: directionMap[channelNum].displayName,
-        distance: 0,
-        timestamp: Date.now(),
-        active: false
-      });
-    });
+  getCurrentTrial() {
+    return this.trialSequence[this.currentTrialIndex] || null;
   }
 
   /**
-   * 设置全局点击监听器，用于取消选中
+   * 试验描述文本，例如"左腿 正式试验 2/3"
+   * @param {Object} trial - 试验
+   * @returns {string}
    */
-  setupGlobalClickListener() {
-    document.addEventListener('click', (e) => {
-      // 检查点击的元素是否是方向卡片或其子元素
-      const isGridItem = e.target.closest('.grid-item');
-
-      if (!isGridItem) {
-        // 点击的是卡片外部，隐藏所有手动测距按钮并移除选中状态
-        document.querySelectorAll('.manual-measure-btn').forEach(btn => {
-          btn.style.display = 'none';
-        });
+  describeTrial(trial) {
+    if (!trial) return '';
+    const total = trial.practice ? this.trialPlan.practiceTrials : this.trialPlan.recordedTrials;
+    return `${stanceLegLabels[trial.leg]} ${trial.practice ? '练习试验' : '正式试验'} ${trial.number}/${total}`;
+  }
 
-        document.querySelectorAll('.grid-item').forEach(item => {
-          item.classList.remove('selected');
-        });
+  /**
+   * 将当前试验的8方向结果转换为 {code: distance}
+   * @returns {Object}
+   */
+  getCurrentTrialResults() {
+    const results = {};
+    this.collectMeasurementDistances().forEach((distance, channel) => {
+      results[directionMap[channel].code] = distance;
+    });
+    return results;
+  }
 
-        // 清除等待状态
-        if (this.waitingForManualResult) {
-          console.log('取消手动测距等待');
-          this.waitingForManualResult = null;
-        }
+  /**
+   * 将当前试验各方向测距结果的样本和质量转换为 {code: {distance, samples, spreadMm, cv, quality, attempts}}
+   * @returns {Object} 模拟测距的方向不包含在内
+   */
+  getCurrentTrialQuality() {
+    const quality = {};
+    this.measurementDetails.forEach((details, channel) => {
+      if (this.completedDirections.has(channel)) {
+        quality[directionMap[channel].code] = details;
       }
     });
+    return quality;
   }
 
   /**
-   * 设置事件监听器
+   * 保存当前试验结果（最后一次试验完成后重测某方向时覆盖原结果）
    */
-  setupEventListeners() {
-    // 模拟数据按钮
-    const mockDataBtn = document.getElementById('mock-data-btn');
-    if (mockDataBtn) {
-      mockDataBtn.addEventListener('click', () => {
-        if (this.bleConnected) {
-          console.log('❌ BLE已连接，模拟数据功能已被禁用');
-          return;
-        }
-        this.simulateSensorData();
-      });
-    }
+  commitCurrentTrial() {
+    const trial = this.getCurrentTrial();
+    if (!trial) return;
 
-    // 模拟锁定按钮
-    const mockLockBtn = document.getElementById('mock-lock-btn');
-    if (mockLockBtn) {
-      mockLockBtn.addEventListener('click', () => {
-        if (this.bleConnected) {
-          console.log('❌ BLE已连接，模拟锁定功能已被禁用');
-          return;
-        }
-        this.simulateLock();
-      });
+    this.trialResults[this.currentTrialIndex] = { ...trial, results: this.getCurrentTrialResults(), quality: this.getCurrentTrialQuality() };
+    console.log(`📝 试验结果已保存: ${this.describeTrial(trial)}`);
+  }
+
+  /**
+   * 获取本次测试的全部试验（已完成的试验 + 进行中且已有读数的试验）
+   * @returns {Object[]} 试验列表
+   */
+  getSessionTrials() {
+    const trials = [...this.trialResults];
+    const trial = this.getCurrentTrial();
+    const committed = this.trialResults.length > this.currentTrialIndex;
+    if (trial && !committed && this.measurementResults.size > 0) {
+      trials.push({ ...trial, results: this.getCurrentTrialResults(), quality: this.getCurrentTrialQuality() });
     }
+    return trials;
+  }
 
-    // 主机BLE按钮
-    const hostBtn = document.getElementById('bluetooth-status');
-    if (hostBtn) {
-      hostBtn.addEventListener('click', () => {
-        this.bleTarget = 'host';
-        this.showBluetoothDeviceModal();
-      });
+  /**
+   * 修改实验记录的站立腿（仅单腿记录，用于更正站立腿并重新标注方向）
+   * @param {string} leg - 站立腿 left | right
+   */
+  setRecordStanceLeg(leg) {
+    const plan = this.getActiveTrialPlan();
+    if (plan.stanceLeg === 'both' || leg === 'both' || plan.stanceLeg === leg) {
+      return;
     }
 
-    // 从机BLE按钮（复用样式）
-    const slaveBtn = document.getElementById('slave-status');
-    if (slaveBtn) {
-      slaveBtn.addEventListener('click', () => {
-        this.bleTarget = 'slave';
-        this.showBluetoothDeviceModal();
-      });
+    plan.stanceLeg = leg;
+    this.trialResults.forEach((trial) => {
+      trial.leg = leg;
+    });
+    this.trialSequence.forEach((trial) => {
+      trial.leg = leg;
+    });
+
+    this.updateMeasurementTable();
+    this.updateTestScoreDisplay();
+    this.persistCurrentSession();
+    this.addLog(`🦵 站立腿已更正为: ${stanceLegLabels[leg]}`, 'info');
+  }
+
+  /**
+   * 按试验方案重置试验进度
+   */
+  resetTrials() {
+    this.trialSequence = buildTrialSequence(this.trialPlan);
+    this.currentTrialIndex = 0;
+    this.trialResults = [];
+    this.updateTrialStatusDisplay();
+  }
+
+  /**
+   * 进入下一次试验：清空8方向锁定/完成状态，测试继续运行
+   */
+  startNextTrial() {
+    this.currentTrialIndex++;
+
+    this.lockedDirections.clear();
+    this.completedDirections.clear();
+    this.measurementResults.clear();
+    this.clearMeasurementGapFlags();
+    this.clearMeasurementQualityFlags();
+    this.waitingForManualResult = null;
+
+    // 重置自动锁定计数状态
+    this.currentMinDirection = -1;
+    this.minDirectionStartTime = 0;
+    this.minDirectionConsecutiveCount = 0;
+
+    this.sensorData.forEach((data) => {
+      if (data) {
+        data.completed = false;
+      }
+    });
+    this.clearDirectionCards();
+    this.updateMockDataButtonState();
+    this.updateTrialStatusDisplay();
+
+    this.addLog(`▶️ 开始 ${this.describeTrial(this.getCurrentTrial())}`, 'info');
+  }
+
+  /**
+   * 更新实验状态组件中的试验进度
+   */
+  updateTrialStatusDisplay() {
+    const labelElement = document.getElementById('experiment-status-label');
+    if (!labelElement) return;
+
+    // 仅单次试验时保持原显示
+    const trial = this.getCurrentTrial();
+    labelElement.textContent = (trial && this.trialSequence.length > 1)
+      ? `实验进行中 · ${this.describeTrial(trial)}`
+      : '实验进行中';
+  }
+
+  /**
+   * 显示试验方案模态窗
+   */
+  showTrialPlanModal() {
+    if (this.experimentRunning) {
+      alert('测试进行中，无法修改试验方案');
+      return;
     }
 
-    // BLE驱动连接按钮
-    const bleDriverBtn = document.getElementById('ble-driver-btn');
-    if (bleDriverBtn) {
-      bleDriverBtn.addEventListener('click', () => {
-        this.openBLEDriverPage();
-      });
+    const modal = document.getElementById('trial-plan-modal');
+    if (!modal) return;
+
+    document.getElementById('trial-practice-count').value = this.trialPlan.practiceTrials;
+    document.getElementById('trial-recorded-count').value = this.trialPlan.recordedTrials;
+    document.getElementById('trial-stance-leg').value = this.trialPlan.stanceLeg;
+    document.getElementById('trial-aggregation').value = this.trialPlan.aggregation;
+
+    modal.classList.add('show');
+  }
+
+  /**
+   * 隐藏试验方案模态窗
+   */
+  hideTrialPlanModal() {
+    const modal = document.getElementById('trial-plan-modal');
+    if (modal) {
+      modal.classList.remove('show');
     }
+  }
 
-    // 重置锁定状态按钮
-    const resetLockedBtn = document.getElementById('reset-locked-btn');
-    if (resetLockedBtn) {
-      resetLockedBtn.addEventListener('click', () => this.resetLockedDirections());
+  /**
+   * 保存试验方案
+   */
+  saveTrialPlan() {
+    const practiceTrials = parseInt(document.getElementById('trial-practice-count').value, 10);
+    const recordedTrials = parseInt(document.getElementById('trial-recorded-count').value, 10);
+
+    if (!Number.isInteger(practiceTrials) || practiceTrials < 0 || practiceTrials > 10) {
+      alert('练习次数需为0-10的整数');
+      return;
+    }
+    if (!Number.isInteger(recordedTrials) || recordedTrials < 1 || recordedTrials > 10) {
+      alert('正式次数需为1-10的整数');
+      return;
     }
 
-    // 清空日志按钮
-    const clearLogsBtn = document.getElementById('clear-logs-btn');
-    if (clearLogsBtn) {
-      clearLogsBtn.addEventListener('click', () => this.clearLogs());
+    this.trialPlan = {
+      practiceTrials,
+      recordedTrials,
+      stanceLeg: document.getElementById('trial-stance-leg').value,
+      aggregation: document.getElementById('trial-aggregation').value
+    };
+    this.resetTrials();
+    this.hideTrialPlanModal();
+
+    const legText = getTrialLegs(this.trialPlan).map(leg => stanceLegLabels[leg]).join('、');
+    this.addLog(`🧪 试验方案已更新: ${legText}，练习${practiceTrials}次，正式${recordedTrials}次，${trialAggregationLabels[this.trialPlan.aggregation]}`, 'info');
+  }
+
+  /**
+   * 从主进程读取当前启用的校准参数
+   */
+  async loadCalibration() {
+    try {
+      const result = await window.sebt.settings.getCalibration();
+      if (!result.success) {
+        this.addLog(`❌ 读取传感器校准失败: ${result.error}，按未校准处理`, 'error');
+        return;
+      }
+      this.setCalibration(result.active);
+      this.savedCalibrations = result.calibrations;
+      if (result.active) {
+        this.addLog(`📏 已加载传感器校准: ${result.active.id}`, 'info');
+      }
+    } catch (error) {
+      console.error('❌ 读取传感器校准失败:', error);
     }
+  }
 
-    // 锁定时长滑动条
-    const lockTimeSlider = document.getElementById('lock-time-slider');
-    if (lockTimeSlider) {
-      // 初始化显示
-      this.updateLockTimeDisplay();
-      
-      // 监听滑动条变化
-      lockTimeSlider.addEventListener('input', (e) => {
-        const count = parseInt(e.target.value);
-        this.LOCK_REQUIRED_COUNT = count;
-        this.AUTO_LOCK_TIME_MS = count * this.HARDWARE_SEND_INTERVAL_MS;
-        this.updateLockTimeDisplay();
-        // 重置当前锁定计数，让新设置立即生效
-        this.minDirectionConsecutiveCount = 0;
-      });
+  /**
+   * 从主进程读取当前滤波参数
+   */
+  async loadFilterConfig() {
+    try {
+      const result = await window.sebt.settings.getFilterConfig();
+      if (result.success) {
+        this.filterConfig = result.config;
+      }
+    } catch (error) {
+      console.error('❌ 读取滤波参数失败:', error);
     }
+    this.renderFilterSettings();
+  }
 
-    // 锁定功能开关
-    const lockFeatureToggle = document.getElementById('lock-feature-toggle');
-    if (lockFeatureToggle) {
-      lockFeatureToggle.addEventListener('change', (e) => {
-        this.lockFeatureEnabled = e.target.checked;
+  /**
+   * 滤波参数摘要（日志和诊断面板显示）
+   * @param {Object} config 滤波参数
+   * @returns {string} 如 "尖峰剔除(300mm/2次) → 中值滤波(3次)"
+   */
+  describeFilterConfig(config) {
+    const details = {
+      spike: ({ maxJumpMm, holdSamples }) => `${maxJumpMm}mm/${holdSamples}次`,
+      median: ({ window }) => `${window}次`,
+      ema: ({ alpha }) => `α=${alpha}`
+    };
+    const stages = FILTER_STAGE_ORDER
+      .filter(type => config[type].enabled)
+      .map(type => `${FILTER_STAGES[type].label}(${details[type](config[type])})`);
+    return stages.length > 0 ? stages.join(' → ') : '未启用（使用原始读数）';
+  }
+
+  /**
+   * 将当前滤波参数显示到主机参数设置
+   */
+  renderFilterSettings() {
+    const { spike, median, ema } = this.filterConfig;
+    const values = {
+      'filter-spike-enabled': spike.enabled,
+      'filter-spike-max-jump': spike.maxJumpMm,
+      'filter-spike-hold': spike.holdSamples,
+      'filter-median-enabled': median.enabled,
+      'filter-median-window': median.window,
+      'filter-ema-enabled': ema.enabled,
+      'filter-ema-alpha': ema.alpha
+    };
+    Object.entries(values).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  /**
+   * 读取主机参数设置中的滤波参数并发送到主进程（参数无效时恢复为生效的参数）
+   */
+  async updateFilterConfig() {
+    if (this.experimentRunning) {
+      alert('测试进行中，无法修改滤波参数');
+      this.renderFilterSettings();
+      return;
+    }
+
+    const checked = id => document.getElementById(id).checked;
+    const number = id => Number(document.getElementById(id).value);
+    const config = {
+      spike: { enabled: checked('filter-spike-enabled'), maxJumpMm: number('filter-spike-max-jump'), holdSamples: number('filter-spike-hold') },
+      median: { enabled: checked('filter-median-enabled'), window: number('filter-median-window') },
+      ema: { enabled: checked('filter-ema-enabled'), alpha: number('filter-ema-alpha') }
+    };
+
+    try {
+      const result = await window.sebt.settings.setFilterConfig(config);
+      if (!result.success) {
+        alert(`滤波参数无效: ${result.error}`);
+        this.filterConfig = result.config || this.filterConfig;
+      } else {
+        this.filterConfig = result.config;
+        this.addLog(`🎚️ 信号滤波已更新: ${this.describeFilterConfig(this.filterConfig)}`, 'info');
+      }
+    } catch (error) {
+      console.error('❌ 更新滤波参数失败:', error);
+      this.addLog(`❌ 更新滤波参数失败: ${error.message}`, 'error');
+    }
+    this.renderFilterSettings();
+  }
+
+  /**
+   * 从主进程读取主机设备参数
+   */
+  async loadDeviceSettings() {
+    try {
+      const result = await window.sebt.settings.getDeviceSettings();
+      if (result.success) {
+        this.applyDeviceConfig(result);
+        return;
+      }
+    } catch (error) {
+      console.error('❌ 读取设备参数失败:', error);
+    }
+    this.renderDeviceSettings();
+  }
+
+  /**
+   * 应用主进程推送的设备参数：锁定次数以期望参数为准，锁定时长和数据过期时间按设备确认的发送间隔计算
+   * @param {{settings: Object, device: Object|null}} config settings 为期望参数，device 为设备确认的参数
+   */
+  applyDeviceConfig({ settings, device }) {
+    this.deviceSettings = settings;
+    this.deviceConfig = device;
+
+    const intervalMs = device ? device.intervalMs : settings.intervalMs;
+    if (intervalMs !== this.HARDWARE_SEND_INTERVAL_MS || settings.lockCount !== this.LOCK_REQUIRED_COUNT) {
+      this.HARDWARE_SEND_INTERVAL_MS = intervalMs;
+      this.LOCK_REQUIRED_COUNT = settings.lockCount;
+      this.AUTO_LOCK_TIME_MS = this.LOCK_REQUIRED_COUNT * intervalMs;
+      this.STALE_AFTER_MS = 5 * intervalMs;
+      this.updateLockTimeDisplay();
+    }
+    this.renderDeviceSettings();
+  }
+
+  /**
+   * 将设备参数显示到主机参数设置，并提示设备是否已确认
+   */
+  renderDeviceSettings() {
+    const intervalInput = document.getElementById('device-interval');
+    const maxDistanceInput = document.getElementById('device-max-distance');
+    if (intervalInput) intervalInput.value = this.deviceSettings.intervalMs;
+    if (maxDistanceInput) maxDistanceInput.value = this.deviceSettings.maxDistanceMm;
+
+    const status = document.getElementById('device-settings-status');
+    if (!status) return;
+    const device = this.deviceConfig;
+    if (!device) {
+      status.textContent = '主机未确认参数（未连接或固件不支持设备命令），连接后自动下发';
+      status.classList.add('warning');
+      return;
+    }
+    const synced = getUnsyncedDeviceSettings(this.deviceSettings, device).length === 0;
+    const lock = device.lockCount !== undefined ? `，锁定${device.lockCount}次` : '（固件不支持锁定和滤波参数）';
+    status.textContent = `设备当前: ${device.intervalMs}ms / ${device.maxDistanceMm}mm${lock}，${device.sensorCount}个传感器可用${synced ? '' : '（与设置不一致）'}`;
+    status.classList.toggle('warning', !synced || device.sensorCount < Object.keys(directionMap).length);
+  }
+
+  /**
+   * 读取主机参数设置中的设备参数并下发到主机（参数无效或下发失败时提示）
+   */
+  async updateDeviceSettings() {
+    if (this.experimentRunning) {
+      alert('测试进行中，无法修改设备参数');
+      this.renderDeviceSettings();
+      return;
+    }
+
+    const settings = {
+      intervalMs: Number(document.getElementById('device-interval').value),
+      maxDistanceMm: Number(document.getElementById('device-max-distance').value)
+    };
+
+    try {
+      const result = await window.sebt.settings.setDeviceSettings(settings);
+      if (!result.success) {
+        alert(`设备参数未生效: ${result.error}`);
+      } else {
+        this.addLog(`📟 设备参数已更新: 发送间隔${settings.intervalMs}ms，最大有效距离${settings.maxDistanceMm}mm`, 'info');
+      }
+      if (result.settings) {
+        this.applyDeviceConfig(result);
+        return;
+      }
+    } catch (error) {
+      console.error('❌ 更新设备参数失败:', error);
+      this.addLog(`❌ 更新设备参数失败: ${error.message}`, 'error');
+    }
+    this.renderDeviceSettings();
+  }
+
+  /**
+   * 将锁定次数下发到主机（主机未连接时在连接后下发）
+   */
+  async updateLockCount() {
+    try {
+      const result = await window.sebt.settings.setDeviceSettings({ lockCount: this.LOCK_REQUIRED_COUNT });
+      if (!result.success) {
+        this.addLog(`⚠️ 锁定次数未下发到主机: ${result.error}`, 'warning');
+      }
+      if (result.settings) {
+        this.applyDeviceConfig(result);
+      }
+    } catch (error) {
+      console.error('❌ 下发锁定次数失败:', error);
+      this.addLog(`❌ 下发锁定次数失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 重新初始化主机传感器（传感器读数异常时使用，约需十几秒，期间主机不发送数据）
+   */
+  async reinitSensors() {
+    if (this.experimentRunning) {
+      alert('测试进行中，无法重新初始化传感器');
+      return;
+    }
+    const button = document.getElementById('reinit-sensors-btn');
+    if (button) button.disabled = true;
+    this.addLog('🔄 正在重新初始化主机传感器...', 'info');
+
+    try {
+      const result = await window.sebt.devices.sendCommand('REINIT_SENSORS');
+      if (result.success) {
+        this.addLog(`✅ 传感器重新初始化完成，${result.result}个传感器可用`, 'success');
+      } else {
+        this.addLog(`❌ ${result.error}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ 重新初始化传感器失败:', error);
+      this.addLog(`❌ ${DEVICE_COMMANDS.REINIT_SENSORS.label}失败: ${error.message}`, 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  /**
+   * 设备参数摘要（CSV 导出）
+   * @param {Object} device 设备确认的参数 {intervalMs, maxDistanceMm}
+   * @returns {string} 如 "300ms/2000mm"
+   */
+  describeDeviceConfig(device) {
+    return `${device.intervalMs}ms/${device.maxDistanceMm}mm`;
+  }
+
+  /**
+   * 设置当前使用的校准参数
+   * @param {Object|null} calibration 校准参数，null 表示不校准
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration || createIdentityCalibration();
+    this.calibratedMinDirection = -1;
+    const calibrationBtn = document.getElementById('calibration-btn');
+    if (calibrationBtn) {
+      calibrationBtn.title = this.calibration.id ? `当前校准: ${this.calibration.id}` : '未校准';
+    }
+  }
+
+  /**
+   * 校准主机广播的8方向读数，并记录原始读数供校准向导和测试前自检采集
+   * @param {Object} payload - 主机广播数据 {distances: [[dir, dist], ...], currentMinDirection, currentMinDistance}
+   * @returns {Object} 校准后的数据（未校准时原样返回）
+   */
+  applyCalibration(payload) {
+    if (!Array.isArray(payload.distances)) {
+      return payload;
+    }
+
+    const rawDistances = new Array(8).fill(this.INVALID_DISTANCE);
+    payload.distances.forEach((item) => {
+      if (Array.isArray(item) && item.length === 2 && item[0] >= 0 && item[0] < 8) {
+        rawDistances[item[0]] = item[1];
+      }
+    });
+    this.collectCalibrationSample(rawDistances);
+    if (this.readinessCheck) {
+      // 自检按滤波前的读数判断噪声和读数不变（滤波会掩盖传感器本身的抖动）
+      const unfiltered = Array.isArray(payload.rawDistances) ? payload.rawDistances : rawDistances;
+      addReadinessSample(this.readinessCheck.collector, unfiltered, payload.faultedChannels || []);
+    }
+
+    if (!this.calibration.id) {
+      return payload;
+    }
+
+    const { distances, minDirection, minDistance } = calibrateReadings(rawDistances, this.calibration, this.MAX_VALID_DISTANCE);
+    this.calibratedMinDirection = minDirection;
+    return {
+      ...payload,
+      distances: payload.distances.map(([dir]) => [dir, distances[dir]]),
+      minDir: minDirection,
+      minDist: minDistance,
+      currentMinDirection: minDirection,
+      currentMinDistance: minDistance
+    };
+  }
+
+  /**
+   * 显示传感器校准模态窗
+   */
+  showCalibrationModal() {
+    if (this.experimentRunning) {
+      alert('测试进行中，无法修改传感器校准');
+      return;
+    }
+
+    const modal = document.getElementById('calibration-modal');
+    if (!modal) return;
+
+    this.calibrationPoints = [];
+    this.selectCalibrationStep(0, DEFAULT_REFERENCE_DISTANCES_MM[0]);
+    this.renderCalibrationSelect();
+    this.renderCalibrationTable();
+    modal.classList.add('show');
+  }
+
+  /**
+   * 隐藏传感器校准模态窗（取消正在进行的采集）
+   */
+  hideCalibrationModal() {
+    const modal = document.getElementById('calibration-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+    this.cancelCalibrationCapture();
+  }
+
+  /**
+   * 设置校准向导当前的方向和目标距离，并更新提示
+   * @param {number} channel 通道号
+   * @param {number} referenceMm 目标距离（mm）
+   */
+  selectCalibrationStep(channel, referenceMm) {
+    document.getElementById('calibration-direction').value = String(channel);
+    document.getElementById('calibration-reference').value = String(referenceMm);
+    this.updateCalibrationPrompt();
+  }
+
+  /**
+   * 更新校准向导提示
+   * @param {string} [message] 提示文本，默认提示放置目标
+   */
+  updateCalibrationPrompt(message) {
+    const prompt = document.getElementById('calibration-prompt');
+    if (!prompt) return;
+
+    if (message) {
+      prompt.textContent = message;
+      return;
+    }
+    const channel = parseInt(document.getElementById('calibration-direction').value, 10);
+    const referenceMm = document.getElementById('calibration-reference').value;
+    prompt.textContent = `请在${directionMap[channel].displayName}方向距站立中心 ${referenceMm}mm 处放置平板目标，然后点击“采集”`;
+  }
+
+  /**
+   * 开始采集校准点（使用原始读数，连续 CALIBRATION_SAMPLE_COUNT 个有效读数取平均）
+   */
+  startCalibrationCapture() {
+    const channel = parseInt(document.getElementById('calibration-direction').value, 10);
+    const referenceMm = parseInt(document.getElementById('calibration-reference').value, 10);
+
+    if (!this.bleConnected) {
+      alert('请先连接主机');
+      return;
+    }
+    if (!Number.isInteger(referenceMm) || referenceMm <= 0 || referenceMm >= this.MAX_VALID_DISTANCE) {
+      alert(`目标距离需为1-${this.MAX_VALID_DISTANCE - 1}mm的整数`);
+      return;
+    }
+
+    this.cancelCalibrationCapture();
+    this.calibrationCapture = {
+      channel,
+      referenceMm,
+      samples: [],
+      timer: setTimeout(() => {
+        this.cancelCalibrationCapture();
+        this.updateCalibrationPrompt(`⚠️ ${directionMap[channel].displayName}方向未读到目标，请检查目标位置后重新采集`);
+      }, this.CALIBRATION_CAPTURE_TIMEOUT_MS)
+    };
+    document.getElementById('calibration-capture-btn').disabled = true;
+    this.updateCalibrationPrompt(`采集中: ${directionMap[channel].displayName}方向 ${referenceMm}mm，请保持目标不动…`);
+  }
+
+  /**
+   * 取消正在进行的校准点采集
+   */
+  cancelCalibrationCapture() {
+    if (!this.calibrationCapture) return;
+
+    clearTimeout(this.calibrationCapture.timer);
+    this.calibrationCapture = null;
+    const captureBtn = document.getElementById('calibration-capture-btn');
+    if (captureBtn) {
+      captureBtn.disabled = false;
+    }
+  }
+
+  /**
+   * 采集校准样本（无目标读数忽略），采集完成后记录校准点并进入下一步
+   * @param {Array<number|string>} rawDistances 8方向原始读数
+   */
+  collectCalibrationSample(rawDistances) {
+    const capture = this.calibrationCapture;
+    if (!capture) return;
+
+    const distance = rawDistances[capture.channel];
+    if (typeof distance !== 'number' || distance >= this.MAX_VALID_DISTANCE) {
+      return;
+    }
+    const sample = addMeasurementSample(capture.samples, distance, this.CALIBRATION_SAMPLE_COUNT);
+    if (!sample.complete) {
+      return;
+    }
+
+    const { channel, referenceMm } = capture;
+    this.cancelCalibrationCapture();
+    this.calibrationPoints = this.calibrationPoints
+      .filter(point => point.channel !== channel || point.referenceMm !== referenceMm)
+      .concat({ channel, referenceMm, measuredMm: sample.average });
+    this.renderCalibrationTable();
+
+    // 下一步：同一方向的下一个默认距离，全部完成后进入下一个方向
+    const nextIndex = DEFAULT_REFERENCE_DISTANCES_MM.indexOf(referenceMm) + 1;
+    if (nextIndex > 0 && nextIndex < DEFAULT_REFERENCE_DISTANCES_MM.length) {
+      this.selectCalibrationStep(channel, DEFAULT_REFERENCE_DISTANCES_MM[nextIndex]);
+    } else if (channel < 7) {
+      this.selectCalibrationStep(channel + 1, DEFAULT_REFERENCE_DISTANCES_MM[0]);
+    } else {
+      this.updateCalibrationPrompt('✅ 8个方向已采集完毕，确认拟合结果后点击“保存并启用”');
+    }
+  }
+
+  /**
+   * 按已采集的校准点拟合各通道参数
+   * @returns {Array<Object|null>} 各通道拟合结果（见 fitChannelCalibration），未采集的通道为null
+   */
+  fitCalibrationChannels() {
+    return Object.keys(directionMap).map(channel => (
+      fitChannelCalibration(this.calibrationPoints.filter(point => point.channel === Number(channel)))
+    ));
+  }
+
+  /**
+   * 渲染校准表格（当前校准、已采集的校准点和拟合结果）
+   */
+  renderCalibrationTable() {
+    const tbody = document.getElementById('calibration-body');
+    if (!tbody) return;
+
+    const fits = this.fitCalibrationChannels();
+    tbody.innerHTML = '';
+    // 校准参数读取自本地文件，按纯文本显示
+    Object.entries(directionMap).forEach(([channel, direction]) => {
+      const current = this.calibration.channels[channel];
+      const points = this.calibrationPoints
+        .filter(point => point.channel === Number(channel))
+        .sort((a, b) => a.referenceMm - b.referenceMm)
+        .map(point => `${point.referenceMm}→${point.measuredMm}`)
+        .join('，');
+      const fit = fits[channel];
+      const row = document.createElement('tr');
+      const cells = [
+        `${direction.displayName}(${direction.code})`,
+        this.calibration.id ? `${current.offset} / ${current.gain}` : '--',
+        points || '--',
+        fit ? fit.offset : '--',
+        fit ? fit.gain : '--',
+        fit ? fit.residualMm : '--'
+      ];
+      cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * 渲染已保存的校准参数选择框
+   */
+  renderCalibrationSelect() {
+    const select = document.getElementById('calibration-select');
+    if (!select) return;
+
+    // 校准ID读取自本地文件，按纯文本设置
+    const options = [{ value: '', label: '未校准' }]
+      .concat((this.savedCalibrations || []).map(calibration => ({ value: calibration.id, label: calibration.id })));
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = this.calibration.id || '';
+  }
+
+  /**
+   * 切换启用的校准参数（选择已保存的校准或停用校准）
+   * @param {string} id 校准ID，空字符串表示停用校准
+   */
+  async activateCalibration(id) {
+    const result = await window.sebt.settings.activateCalibration(id || null);
+    if (!result.success) {
+      alert(`切换校准失败: ${result.error}`);
+      this.renderCalibrationSelect();
+      return;
+    }
+    this.setCalibration(result.calibration);
+    this.renderCalibrationTable();
+    this.addLog(result.calibration ? `📏 已启用传感器校准: ${result.calibration.id}` : '📏 已停用传感器校准，使用原始读数', 'info');
+  }
+
+  /**
+   * 按已采集的校准点拟合并保存校准参数（未采集的方向不校准）
+   */
+  async saveCalibration() {
+    if (this.calibrationPoints.length === 0) {
+      alert('请至少采集一个校准点');
+      return;
+    }
+
+    const fits = this.fitCalibrationChannels();
+    const calibration = {
+      channels: fits.map(fit => (fit ? { offset: fit.offset, gain: fit.gain } : { offset: 0, gain: 1 })),
+      points: this.calibrationPoints
+    };
+    const { valid, reason } = validateCalibration(calibration);
+    if (!valid) {
+      alert(`校准结果异常: ${reason}\n请检查目标位置后重新采集该方向`);
+      return;
+    }
+
+    const result = await window.sebt.settings.saveCalibration(calibration);
+    if (!result.success) {
+      alert(`保存校准失败: ${result.error}`);
+      return;
+    }
+
+    this.savedCalibrations = [result.calibration, ...(this.savedCalibrations || [])];
+    this.setCalibration(result.calibration);
+    this.hideCalibrationModal();
+
+    const skipped = fits.filter(fit => !fit).length;
+    this.addLog(`📏 已保存并启用传感器校准: ${result.calibration.id}${skipped > 0 ? `（${skipped}个方向未采集，使用原始读数）` : ''}`, skipped > 0 ? 'warning' : 'success');
+  }
+
+  /**
+   * 获取仍然有效的自检报告
+   * @returns {Object|null} 自检报告（见 readiness.js evaluateReadiness），没有或已超过有效期时为null
+   */
+  getValidReadiness() {
+    const readiness = this.readinessResult;
+    if (!readiness || Date.now() - readiness.checkedAt > this.READINESS_MAX_AGE_MS) {
+      return null;
+    }
+    return readiness;
+  }
+
+  /**
+   * 显示测试前自检模态窗
+   * 没有有效报告时自动开始自检；由"开始测试"打开且上次未通过时重新自检（操作员已处理问题后再次开始）
+   * @param {boolean} [fromStart] 是否由"开始测试"打开
+   */
+  showReadinessModal(fromStart = false) {
+    if (this.experimentRunning) {
+      alert('测试进行中，无法进行传感器自检');
+      return;
+    }
+
+    const modal = document.getElementById('readiness-modal');
+    if (!modal) return;
+
+    this.readinessFromStart = fromStart;
+    modal.classList.add('show');
+    const readiness = this.getValidReadiness();
+    if (!readiness || (fromStart && readiness.status === 'fail')) {
+      this.startReadinessCheck();
+    } else {
+      this.renderReadinessReport();
+    }
+  }
+
+  /**
+   * 隐藏测试前自检模态窗（取消正在进行的自检）
+   */
+  hideReadinessModal() {
+    const modal = document.getElementById('readiness-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+    this.cancelReadinessCheck();
+  }
+
+  /**
+   * 自检参数：采集时长至少覆盖 minSamples 的两倍发送间隔（发送间隔调大后仍能收到足够样本）
+   * @returns {Object} 自检参数（见 readiness.js DEFAULT_READINESS_CRITERIA）
+   */
+  getReadinessCriteria() {
+    const durationMs = Math.max(
+      DEFAULT_READINESS_CRITERIA.durationMs,
+      DEFAULT_READINESS_CRITERIA.minSamples * 2 * this.HARDWARE_SEND_INTERVAL_MS
+    );
+    return { ...DEFAULT_READINESS_CRITERIA, durationMs };
+  }
+
+  /**
+   * 开始自检：采集一段时间的原始读数和压力数据后生成报告
+   */
+  startReadinessCheck() {
+    if (!this.bleConnected) {
+      alert('请先连接主机');
+      return;
+    }
+
+    this.cancelReadinessCheck();
+    this.readinessResult = null;
+    const criteria = this.getReadinessCriteria();
+    this.readinessCheck = {
+      collector: createReadinessCollector(Date.now()),
+      criteria,
+      timer: setTimeout(() => this.finishReadinessCheck(), criteria.durationMs)
+    };
+    this.renderReadinessReport();
+    console.log('🩺 开始测试前自检');
+  }
+
+  /**
+   * 取消正在进行的自检
+   */
+  cancelReadinessCheck() {
+    if (!this.readinessCheck) return;
+
+    clearTimeout(this.readinessCheck.timer);
+    this.readinessCheck = null;
+    this.renderReadinessReport();
+  }
+
+  /**
+   * 结束自检并生成报告
+   */
+  finishReadinessCheck() {
+    const { collector, criteria } = this.readinessCheck;
+    this.readinessCheck = null;
+    this.readinessResult = evaluateReadiness(collector, {
+      checkedAt: Date.now(),
+      slaveConnected: this.slaveDeviceConnected,
+      criteria,
+      maxDistance: this.MAX_VALID_DISTANCE
+    });
+    this.renderReadinessReport();
+
+    const { status } = this.readinessResult;
+    const summary = `🩺 测试前自检: ${this.describeReadiness(this.readinessResult)}`;
+    this.addLog(summary, status === 'pass' ? 'success' : (status === 'warn' ? 'warning' : 'error'));
+    console.log(summary);
+
+    // 由"开始测试"触发且全部通过时直接开始，有警告或未通过时留在自检窗口由操作员处理
+    if (this.readinessFromStart && status === 'pass') {
+      this.hideReadinessModal();
+      this.startExperiment();
+    }
+  }
+
+  /**
+   * 自检报告摘要（日志和 CSV 导出，不含逗号）
+   * @param {Object} readiness 自检报告
+   * @returns {string} 如 "通过" / "未通过: 左后(BL)读数不变；未连接从机"
+   */
+  describeReadiness(readiness) {
+    const problems = readiness.channels
+      .filter(({ status }) => status !== 'pass')
+      .map(({ channel, reason }) => `${directionMap[channel].displayName}(${directionMap[channel].code})${READINESS_REASONS[reason].label}`);
+    if (readiness.pressure.status !== 'pass') {
+      problems.push(READINESS_REASONS[readiness.pressure.reason].label);
+    }
+    if (problems.length === 0) {
+      return '通过';
+    }
+    return `${readiness.status === 'fail' ? '未通过' : '警告'}: ${problems.join('；')}`;
+  }
+
+  /**
+   * 渲染自检窗口（提示、逐通道结果和按钮状态）
+   */
+  renderReadinessReport() {
+    const prompt = document.getElementById('readiness-prompt');
+    const tbody = document.getElementById('readiness-body');
+    const runBtn = document.getElementById('readiness-run-btn');
+    const startBtn = document.getElementById('readiness-start-btn');
+    if (!prompt || !tbody) return;
+
+    const readiness = this.readinessCheck ? null : this.getValidReadiness();
+    const checking = !!this.readinessCheck;
+
+    if (checking) {
+      prompt.textContent = `自检中（约${Math.round(this.readinessCheck.criteria.durationMs / 1000)}秒）: 请确认8个方向量程内都有静止的参照物（墙面或挡板），受试者暂不要进入测试区域…`;
+    } else if (!readiness) {
+      prompt.textContent = '尚未自检，点击“重新自检”开始';
+    } else if (readiness.status === 'pass') {
+      prompt.textContent = '✅ 所有传感器正常，可以开始测试';
+    } else if (readiness.status === 'warn') {
+      prompt.textContent = '⚠️ 存在警告，请确认不影响本次测试后再开始，或处理后重新自检';
+    } else {
+      prompt.textContent = '❌ 自检未通过，请检查标记的传感器或从机后重新自检';
+    }
+
+    const rows = Object.entries(directionMap).map(([channel, direction]) => {
+      const result = readiness ? readiness.channels[channel] : null;
+      return `<tr>
+        <td>${direction.displayName}(${direction.code})</td>
+        <td>${result ? readinessStatusLabels[result.status] : (checking ? '采集中…' : '--')}</td>
+        <td>${result ? result.sampleCount : '--'}</td>
+        <td>${result && result.meanMm !== null ? result.meanMm : '--'}</td>
+        <td>${result && result.noiseMm !== null ? result.noiseMm : '--'}</td>
+        <td${result && result.status !== 'pass' ? ' class="diagnostics-warning"' : ''}>${result && result.detail ? result.detail : ''}</td>
+      </tr>`;
+    });
+    const pressure = readiness ? readiness.pressure : null;
+    rows.push(`<tr>
+      <td>从机压力</td>
+      <td>${pressure ? readinessStatusLabels[pressure.status] : (checking ? '采集中…' : '--')}</td>
+      <td>${pressure ? pressure.sampleCount : '--'}</td>
+      <td>--</td>
+      <td>--</td>
+      <td${pressure && pressure.status !== 'pass' ? ' class="diagnostics-warning"' : ''}>${pressure && pressure.detail ? pressure.detail : ''}</td>
+    </tr>`);
+    tbody.innerHTML = rows.join('');
+
+    if (runBtn) {
+      runBtn.disabled = checking;
+    }
+    if (startBtn) {
+      startBtn.style.display = this.readinessFromStart ? '' : 'none';
+      startBtn.disabled = !readiness || readiness.status === 'fail';
+      startBtn.textContent = readiness && readiness.status === 'warn' ? '忽略警告并开始测试' : '开始测试';
+    }
+  }
+
+  /**
+   * AutoRun是否处于激活状态（开关已开启且测试正在运行）
+   * @returns {boolean}
+   */
+  isAutoRunActive() {
+    return this.lockFeatureEnabled && this.experimentRunning;
+  }
+
+  /**
+   * 推进AutoRun状态机
+   * 根据当前锁定、测距和压力状态决定下一步：等待锁定、等待压力稳定或自动测距
+   */
+  advanceAutoRun() {
+    if (!this.isAutoRunActive()) {
+      this.resetAutoRun();
+      return;
+    }
+
+    // 全部完成由 finishAutoRun 处理
+    if (this.completedDirections.size === 8) {
+      return;
+    }
+
+    // 链路中断，暂停到数据恢复（正在进行的测距在恢复后继续收集）
+    if (this.isLinkDown()) {
+      this.cancelAutoRunTimer();
+      this.setAutoRunState('waiting-link', this.waitingForManualResult ? this.waitingForManualResult.channel : undefined);
+      return;
+    }
+
+    // 正在测距，等待测距结果
+    if (this.waitingForManualResult) {
+      this.setAutoRunState('measuring', this.waitingForManualResult.channel);
+      return;
+    }
+
+    if (this.lockedDirections.size === 0) {
+      this.cancelAutoRunTimer();
+      this.setAutoRunState('waiting-lock');
+      return;
+    }
+
+    const channel = this.lockedDirections.values().next().value;
+
+    if (!this.isPressureGateOpen()) {
+      this.cancelAutoRunTimer();
+      this.setAutoRunState('waiting-pressure', channel);
+      return;
+    }
+
+    // 已安排测距，避免重复触发
+    if (this.autoRunTimer) {
+      return;
+    }
+
+    this.setAutoRunState('measuring', channel);
+
+    // 延迟一小段时间后自动触发测距，给用户视觉反馈
+    this.autoRunTimer = setTimeout(() => {
+      this.autoRunTimer = null;
+      const stillReady = this.isAutoRunActive() &&
+        this.lockedDirections.has(channel) &&
+        this.isPressureGateOpen() &&
+        !this.waitingForManualResult;
+
+      if (stillReady) {
+        console.log(`🤖 AutoRun自动触发测距: ${directionMap[channel].displayName}`);
+        this.performManualMeasurement(channel, directionMap[channel]);
+      } else {
+        this.advanceAutoRun();
+      }
+    }, 500);
+  }
+
+  /**
+   * AutoRun完成所有方向后结束测试
+   */
+  finishAutoRun() {
+    if (!this.isAutoRunActive()) {
+      return;
+    }
+
+    this.cancelAutoRunTimer();
+    this.setAutoRunState('completed');
+    this.addLog('🤖 AutoRun完成：8个方向测距完毕', 'success');
+
+    // 结束测试并弹出实验记录模态窗
+    this.stopExperiment();
+  }
+
+  /**
+   * 操作员中止AutoRun（保留当前锁定方向，可继续手动测距）
+   */
+  abortAutoRun() {
+    if (this.autoRunState === 'idle') {
+      return;
+    }
+
+    this.cancelAutoRunTimer();
+
+    // 取消正在进行的自动测距
+    if (this.waitingForManualResult) {
+      this.cancelBluetoothMeasurementCollection();
+      this.waitingForManualResult = null;
+      this.updateMeasureButtonGate();
+    }
+
+    // 关闭AutoRun开关（不触发change事件，测试保持运行）
+    this.lockFeatureEnabled = false;
+    const lockFeatureToggle = document.getElementById('lock-feature-toggle');
+    if (lockFeatureToggle) {
+      lockFeatureToggle.checked = false;
+    }
+
+    this.setAutoRunState('idle');
+    this.addLog('⏹️ AutoRun已中止，可继续手动测距', 'warning');
+  }
+
+  /**
+   * 重置AutoRun状态（测试结束或开关关闭时）
+   */
+  resetAutoRun() {
+    this.cancelAutoRunTimer();
+    this.setAutoRunState('idle');
+  }
+
+  /**
+   * 取消待执行的AutoRun测距定时器
+   */
+  cancelAutoRunTimer() {
+    if (this.autoRunTimer) {
+      clearTimeout(this.autoRunTimer);
+      this.autoRunTimer = null;
+    }
+  }
+
+  /**
+   * 切换AutoRun状态并记录状态转换
+   * @param {string} state - 新状态（见 autoRunStateLabels）
+   * @param {number} [channel] - 相关方向通道
+   */
+  setAutoRunState(state, channel) {
+    if (this.autoRunState === state) {
+      return;
+    }
+
+    const previousState = this.autoRunState;
+    this.autoRunState = state;
+
+    const directionText = directionMap[channel] ? ` (${directionMap[channel].displayName})` : '';
+    console.log(`🤖 AutoRun状态: ${previousState} → ${state}${directionText}`);
+    if (state !== 'idle') {
+      this.addLog(`🤖 AutoRun: ${autoRunStateLabels[state]}${directionText}`, 'info');
+    }
+
+    this.updateAutoRunStatusDisplay(directionText);
+  }
+
+  /**
+   * 更新侧边栏AutoRun状态显示
+   * @param {string} [directionText] - 方向说明文本
+   */
+  updateAutoRunStatusDisplay(directionText = '') {
+    const statusElement = document.getElementById('autorun-status');
+    const stateText = document.getElementById('autorun-state-text');
+
+    if (statusElement) {
+      statusElement.classList.toggle('show', this.autoRunState !== 'idle');
+    }
+    if (stateText) {
+      stateText.textContent = `${autoRunStateLabels[this.autoRunState]}${directionText}`;
+    }
+  }
+
+  /**
+   * 创建中心LOGO内容
+   */
+  createLogoContent() {
+    return `
+      <div class="logo-area">
+        <div class="logo-text">SEBT</div>
+        <div class="logo-subtitle">平衡测试系统</div>
+        <div class="logo-pressure" id="center-pressure-value">pressure：--</div>
+      </div>
+    `;
+  }
+
+  /**
+   * 初始化所有传感器的默认数据
+   */
+  initializeSensorData() {
+    Object.keys(directionMap).forEach(channel => {
+      const channelNum = parseInt(channel);
+      this.sensorData.set(channelNum, {
+        channel: channelNum,
+        code: directionMap[channelNum].code,
+        name: directionMap[channelNum].name,
+        displayName: directionMap[channelNum].displayName,
+        distance: 0,
+        timestamp: Date.now(),
+        active: false
+      });
+    });
+  }
+
+  /**
+   * 设置全局点击监听器，用于取消选中
+   */
+  setupGlobalClickListener() {
+    document.addEventListener('click', (e) => {
+      // 检查点击的元素是否是方向卡片或其子元素
+      const isGridItem = e.target.closest('.grid-item');
+
+      if (!isGridItem) {
+        // 点击的是卡片外部，隐藏所有手动测距按钮并移除选中状态
+        document.querySelectorAll('.manual-measure-btn').forEach(btn => {
+          btn.style.display = 'none';
+        });
+
+        document.querySelectorAll('.grid-item').forEach(item => {
+          item.classList.remove('selected');
+        });
+
+        // 清除等待状态
+        if (this.waitingForManualResult) {
+          console.log('取消手动测距等待');
+          this.waitingForManualResult = null;
+        }
+      }
+    });
+  }
+
+  /**
+   * 设置事件监听器
+   */
+  setupEventListeners() {
+    // 模拟数据按钮
+    const mockDataBtn = document.getElementById('mock-data-btn');
+    if (mockDataBtn) {
+      mockDataBtn.addEventListener('click', () => {
+        if (this.bleConnected) {
+          console.log('❌ BLE已连接，模拟数据功能已被禁用');
+          return;
+        }
+        this.simulateSensorData();
+      });
+    }
+
+    // 模拟锁定按钮
+    const mockLockBtn = document.getElementById('mock-lock-btn');
+    if (mockLockBtn) {
+      mockLockBtn.addEventListener('click', () => {
+        if (this.bleConnected) {
+          console.log('❌ BLE已连接，模拟锁定功能已被禁用');
+          return;
+        }
+        this.simulateLock();
+      });
+    }
+
+    // 主机BLE按钮
+    const hostBtn = document.getElementById('bluetooth-status');
+    if (hostBtn) {
+      hostBtn.addEventListener('click', () => {
+        this.bleTarget = 'host';
+        this.showBluetoothDeviceModal();
+      });
+    }
+
+    // 从机BLE按钮（复用样式）
+    const slaveBtn = document.getElementById('slave-status');
+    if (slaveBtn) {
+      slaveBtn.addEventListener('click', () => {
+        this.bleTarget = 'slave';
+        this.showBluetoothDeviceModal();
+      });
+    }
+
+    // BLE驱动连接按钮
+    const bleDriverBtn = document.getElementById('ble-driver-btn');
+    if (bleDriverBtn) {
+      bleDriverBtn.addEventListener('click', () => {
+        this.openBLEDriverPage();
+      });
+    }
+
+    // 重置锁定状态按钮
+    const resetLockedBtn = document.getElementById('reset-locked-btn');
+    if (resetLockedBtn) {
+      resetLockedBtn.addEventListener('click', () => this.resetLockedDirections());
+    }
+
+    // 清空日志按钮
+    const clearLogsBtn = document.getElementById('clear-logs-btn');
+    if (clearLogsBtn) {
+      clearLogsBtn.addEventListener('click', () => this.clearLogs());
+    }
+
+    // 锁定时长滑动条
+    const lockTimeSlider = document.getElementById('lock-time-slider');
+    if (lockTimeSlider) {
+      // 初始化显示
+      this.updateLockTimeDisplay();
+      
+      // 监听滑动条变化
+      lockTimeSlider.addEventListener('input', (e) => {
+        const count = parseInt(e.target.value);
+        this.LOCK_REQUIRED_COUNT = count;
+        this.AUTO_LOCK_TIME_MS = count * this.HARDWARE_SEND_INTERVAL_MS;
+        this.updateLockTimeDisplay();
+        // 重置当前锁定计数，让新设置立即生效
+        this.minDirectionConsecutiveCount = 0;
+      });
+      // 松开滑动条后下发到主机
+      lockTimeSlider.addEventListener('change', () => this.updateLockCount());
+    }
+
+    // 主机设备参数（发送间隔、最大有效距离）
+    ['device-interval', 'device-max-distance'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.updateDeviceSettings());
+      }
+    });
+
+    // 信号滤波设置
+    ['filter-spike-enabled', 'filter-spike-max-jump', 'filter-spike-hold', 'filter-median-enabled',
+      'filter-median-window', 'filter-ema-enabled', 'filter-ema-alpha'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.updateFilterConfig());
+      }
+    });
+
+    // 测距稳定性检查设置
+    this.renderMeasurementQualitySettings();
+    ['quality-max-spread', 'quality-max-cv', 'quality-max-attempts'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.updateMeasurementQualityCriteria());
+      }
+    });
+
+    // 锁定功能开关
+    const lockFeatureToggle = document.getElementById('lock-feature-toggle');
+    if (lockFeatureToggle) {
+      lockFeatureToggle.addEventListener('change', (e) => {
+        this.lockFeatureEnabled = e.target.checked;
         console.log(`🔒 锁定功能: ${this.lockFeatureEnabled ? '已开启' : '已关闭'}`);
+
+        // 测试进行中开启AutoRun时，立即从当前状态开始自动流程
+        if (this.lockFeatureEnabled) {
+          this.advanceAutoRun();
+        }
         
         // 如果关闭锁定功能，清除所有锁定状态并停止实验
         if (!this.lockFeatureEnabled) {
@@ -763,6 +2106,19 @@ class SEBTApp {
       });
     }
 
+    // AutoRun中止按钮
+    const autoRunAbortBtn = document.getElementById('autorun-abort-btn');
+    if (autoRunAbortBtn) {
+      autoRunAbortBtn.addEventListener('click', () => this.abortAutoRun());
+    }
+
+    // Esc键中止AutoRun
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.autoRunState !== 'idle') {
+        this.abortAutoRun();
+      }
+    });
+
     // 开始测试按钮
     const startExperimentBtn = document.getElementById('start-experiment-btn');
     if (startExperimentBtn) {
@@ -779,6 +2135,11 @@ class SEBTApp {
     const experimentRecordModalClose = document.getElementById('experiment-record-modal-close');
     if (experimentRecordModalClose) {
       experimentRecordModalClose.addEventListener('click', () => {
+        // 查看历史记录时关闭即退出查看模式，不恢复测试
+        if (this.historySession) {
+          this.retest();
+          return;
+        }
         // 关闭模态窗并恢复测试状态（用于误触恢复）
         this.hideExperimentRecordModal(true);
       });
@@ -814,44 +2175,232 @@ class SEBTApp {
     const legLengthInput = document.getElementById('test-subject-leg-length');
     if (legLengthInput) {
       legLengthInput.addEventListener('input', () => {
-        const legLength = parseFloat(legLengthInput.value);
-        const testScoreValue = document.getElementById('test-score-value');
-        if (testScoreValue) {
-          if (legLength && legLength > 0) {
-            const score = this.calculateTestScore(legLength);
-            testScoreValue.textContent = score.toFixed(2);
-          } else {
-            testScoreValue.textContent = '--';
-          }
+        this.updateTestScoreDisplay();
+        this.updateMeasurementTable();
+      });
+    }
+
+    // 被测信息修改后自动保存测试记录
+    ['test-subject-id', 'test-subject-gender', 'test-subject-age', 'test-subject-leg-length'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('change', () => this.persistCurrentSession());
+      }
+    });
+
+    // 传感器校准按钮及模态窗
+    const calibrationBtn = document.getElementById('calibration-btn');
+    if (calibrationBtn) {
+      calibrationBtn.addEventListener('click', () => this.showCalibrationModal());
+    }
+    const calibrationClose = document.getElementById('calibration-modal-close');
+    if (calibrationClose) {
+      calibrationClose.addEventListener('click', () => this.hideCalibrationModal());
+    }
+    const calibrationDirection = document.getElementById('calibration-direction');
+    const calibrationReference = document.getElementById('calibration-reference');
+    [calibrationDirection, calibrationReference].forEach((input) => {
+      if (input) {
+        input.addEventListener('change', () => this.updateCalibrationPrompt());
+      }
+    });
+    const calibrationCaptureBtn = document.getElementById('calibration-capture-btn');
+    if (calibrationCaptureBtn) {
+      calibrationCaptureBtn.addEventListener('click', () => this.startCalibrationCapture());
+    }
+    const calibrationSelect = document.getElementById('calibration-select');
+    if (calibrationSelect) {
+      calibrationSelect.addEventListener('change', () => this.activateCalibration(calibrationSelect.value));
+    }
+    const calibrationClearBtn = document.getElementById('calibration-clear-btn');
+    if (calibrationClearBtn) {
+      calibrationClearBtn.addEventListener('click', () => {
+        this.cancelCalibrationCapture();
+        this.calibrationPoints = [];
+        this.selectCalibrationStep(0, DEFAULT_REFERENCE_DISTANCES_MM[0]);
+        this.renderCalibrationTable();
+      });
+    }
+    const calibrationSaveBtn = document.getElementById('calibration-save-btn');
+    if (calibrationSaveBtn) {
+      calibrationSaveBtn.addEventListener('click', () => this.saveCalibration());
+    }
+
+    // 测试前自检按钮及模态窗
+    const readinessBtn = document.getElementById('readiness-btn');
+    if (readinessBtn) {
+      readinessBtn.addEventListener('click', () => this.showReadinessModal());
+    }
+    const readinessClose = document.getElementById('readiness-modal-close');
+    if (readinessClose) {
+      readinessClose.addEventListener('click', () => this.hideReadinessModal());
+    }
+    const readinessRunBtn = document.getElementById('readiness-run-btn');
+    if (readinessRunBtn) {
+      readinessRunBtn.addEventListener('click', () => this.startReadinessCheck());
+    }
+    const readinessStartBtn = document.getElementById('readiness-start-btn');
+    if (readinessStartBtn) {
+      readinessStartBtn.addEventListener('click', () => {
+        this.hideReadinessModal();
+        this.startExperiment({ readinessConfirmed: true });
+      });
+    }
+
+    // 试验方案按钮及模态窗
+    const trialPlanBtn = document.getElementById('trial-plan-btn');
+    if (trialPlanBtn) {
+      trialPlanBtn.addEventListener('click', () => this.showTrialPlanModal());
+    }
+    const trialPlanClose = document.getElementById('trial-plan-modal-close');
+    if (trialPlanClose) {
+      trialPlanClose.addEventListener('click', () => this.hideTrialPlanModal());
+    }
+    const trialPlanCancel = document.getElementById('trial-plan-cancel-btn');
+    if (trialPlanCancel) {
+      trialPlanCancel.addEventListener('click', () => this.hideTrialPlanModal());
+    }
+    const trialPlanSave = document.getElementById('trial-plan-save-btn');
+    if (trialPlanSave) {
+      trialPlanSave.addEventListener('click', () => this.saveTrialPlan());
+    }
+
+    // 实验记录站立腿切换（重新标注解剖学方向）
+    const testStanceLegSelect = document.getElementById('test-stance-leg');
+    if (testStanceLegSelect) {
+      testStanceLegSelect.addEventListener('change', () => {
+        this.setRecordStanceLeg(testStanceLegSelect.value);
+      });
+    }
+
+    // 实验记录评分公式切换
+    const testScoringFormulaSelect = document.getElementById('test-scoring-formula');
+    if (testScoringFormulaSelect) {
+      testScoringFormulaSelect.addEventListener('change', () => {
+        if (this.historySession) {
+          this.historySession.scoringFormula = testScoringFormulaSelect.value;
+        } else {
+          this.scoringFormulaId = testScoringFormulaSelect.value;
+        }
+        this.updateMeasurementTable();
+        this.updateTestScoreDisplay();
+        this.persistCurrentSession();
+      });
+    }
+
+    // 实验记录汇总方式切换（最佳值/平均值）
+    const testAggregationSelect = document.getElementById('test-aggregation');
+    if (testAggregationSelect) {
+      testAggregationSelect.addEventListener('change', () => {
+        this.getActiveTrialPlan().aggregation = testAggregationSelect.value;
+        this.updateMeasurementTable();
+        this.updateTestScoreDisplay();
+        this.persistCurrentSession();
+      });
+    }
+
+    // 原始数据流录制/回放
+    const recordingBtn = document.getElementById('recording-btn');
+    if (recordingBtn) {
+      recordingBtn.addEventListener('click', () => this.toggleRecording());
+    }
+    const replayBtn = document.getElementById('replay-btn');
+    if (replayBtn) {
+      replayBtn.addEventListener('click', () => {
+        if (this.replayStatus.replaying) {
+          this.stopReplay();
+        } else {
+          this.showReplayModal();
+        }
+      });
+    }
+    const bridgeStatus = document.getElementById('bridge-status');
+    if (bridgeStatus) {
+      bridgeStatus.addEventListener('click', () => this.showDiagnosticsModal());
+    }
+    const diagnosticsModal = document.getElementById('diagnostics-modal');
+    const diagnosticsModalClose = document.getElementById('diagnostics-modal-close');
+    if (diagnosticsModalClose) {
+      diagnosticsModalClose.addEventListener('click', () => this.hideDiagnosticsModal());
+    }
+    if (diagnosticsModal) {
+      diagnosticsModal.addEventListener('click', (e) => {
+        if (e.target === diagnosticsModal) {
+          this.hideDiagnosticsModal();
+        }
+      });
+    }
+    const diagnosticsCopyBtn = document.getElementById('diagnostics-copy-btn');
+    if (diagnosticsCopyBtn) {
+      diagnosticsCopyBtn.addEventListener('click', () => this.copyDiagnosticsBundle());
+    }
+    const reinitSensorsBtn = document.getElementById('reinit-sensors-btn');
+    if (reinitSensorsBtn) {
+      reinitSensorsBtn.addEventListener('click', () => this.reinitSensors());
+    }
+    const replayModal = document.getElementById('replay-modal');
+    const replayModalClose = document.getElementById('replay-modal-close');
+    if (replayModalClose) {
+      replayModalClose.addEventListener('click', () => this.hideReplayModal());
+    }
+    if (replayModal) {
+      replayModal.addEventListener('click', (e) => {
+        if (e.target === replayModal) {
+          this.hideReplayModal();
+        }
+      });
+    }
+
+    // 历史记录按钮
+    const sessionHistoryBtn = document.getElementById('session-history-btn');
+    if (sessionHistoryBtn) {
+      sessionHistoryBtn.addEventListener('click', () => this.showSessionHistoryModal());
+    }
+
+    // 历史记录模态窗关闭
+    const sessionHistoryModal = document.getElementById('session-history-modal');
+    const sessionHistoryClose = document.getElementById('session-history-modal-close');
+    if (sessionHistoryClose) {
+      sessionHistoryClose.addEventListener('click', () => this.hideSessionHistoryModal());
+    }
+    if (sessionHistoryModal) {
+      sessionHistoryModal.addEventListener('click', (e) => {
+        if (e.target === sessionHistoryModal) {
+          this.hideSessionHistoryModal();
         }
       });
     }
+
+    // 历史记录搜索（防抖）
+    const sessionHistorySearch = document.getElementById('session-history-search');
+    if (sessionHistorySearch) {
+      sessionHistorySearch.addEventListener('input', () => {
+        clearTimeout(this.sessionHistorySearchTimer);
+        this.sessionHistorySearchTimer = setTimeout(() => {
+          this.loadSessionHistory(sessionHistorySearch.value);
+        }, 200);
+      });
+    }
   }
 
   /**
    * 设置IPC监听器
    */
   setupIPCListeners() {
-    const { ipcRenderer } = require('electron');
-
-    // 监听传感器数据 (来自硬件 - 锁定事件)
-    ipcRenderer.on('sensor-data', (event, data) => {
-      console.log('🎯 收到锁定数据:', data);
-      this.handleHardwareData(data);
-    });
+    const { devices } = window.sebt;
 
     // 监听实时传感器数据 (来自硬件 - 实时扫描)
-    ipcRenderer.on('realtime-sensor-data', (event, data) => {
+    devices.on('realtimeData', (data) => {
       // 实时数据不打印到控制台，避免刷屏
       this.handleRealtimeData(data);
     });
 
     // 监听蓝牙连接状态（用于区分主机/从机）
-    ipcRenderer.on('bluetooth-status', (event, status) => {
+    devices.on('status', (status) => {
       console.log('📱 BLE状态更新:', status);
       const name = status?.device?.name || '';
       const upper = name.toUpperCase();
-      const role = upper.includes('SLAVE') || upper.includes('FSR') ? 'slave' : 'host';
+      const role = status?.role || (upper.includes('SLAVE') || upper.includes('FSR') ? 'slave' : 'host');
       if (role === 'slave') {
         this.updateSlaveBLEStatus(status);
       } else {
@@ -860,7 +2409,7 @@ class SEBTApp {
     });
 
     // 监听蓝牙数据（仅BLE，通过WebSocket Bridge）
-    ipcRenderer.on('bluetooth-data-received', (event, data) => {
+    devices.on('hostData', (data) => {
       if (data.type === 'scan_data') {
         // 解析WebSocket传递过来的数据
         const payload = JSON.parse(data.data);
@@ -880,26 +2429,37 @@ class SEBTApp {
             });
           }
           this.handleHostBroadcast(payload);
-        } else if (payload.source === 'slave') {
-          // 从机压力数据
-          this.addBLEDataLog(`从机压力: ${payload.pressure} (raw=${payload.pressureRaw || 0})`, 'info');
         }
       }
     });
 
-    // 监听蓝牙设备发现（实时）
-    ipcRenderer.on('bluetooth-device-discovered', (event, device) => {
-      console.log('🔍 IPC收到蓝牙设备发现:', device);
-      this.handleBluetoothDeviceDiscovered(device);
+    // 监听从机压力数据（由 ble-manager.js 验证后通过独立通道推送）
+    devices.on('slavePressure', (payload) => {
+      this.handleSlavePressureData(payload);
+    });
+
+    // 监听录制回放状态
+    devices.on('replayStatus', (status) => {
+      this.handleReplayStatus(status);
+    });
+
+    // 监听主机/从机 BLE 链路状态（驱动页面自动重连）
+    devices.on('linkStatus', (status) => {
+      this.handleDeviceLinkStatus(status);
+    });
+
+    // 监听主机设备参数（主机连接、参数下发或断开后推送）
+    devices.on('deviceConfig', (config) => {
+      this.applyDeviceConfig(config);
     });
 
-    // 监听蓝牙设备扫描完成
-    ipcRenderer.on('bluetooth-devices-found', (event, devices) => {
-      this.handleBluetoothDevicesFound(devices);
+    // 监听 WebSocket Bridge 状态（实际端口、启动失败原因）
+    devices.on('bridgeStatus', (status) => {
+      this.updateBridgeStatus(status);
     });
 
     // 监听蓝牙扫描停止
-    ipcRenderer.on('bluetooth-scan-stopped', (event, data) => {
+    devices.on('scanStopped', () => {
       console.log('🛑 蓝牙扫描已停止');
     });
 
@@ -1122,6 +2682,7 @@ class SEBTApp {
       displayName: direction.displayName,
       distance,
       timestamp: Date.now(),
+      receivedAt: Date.now(), // 接收时间（timestamp 可能被主机时间戳覆盖），用于判断数据是否过期
       active: true,
       source // 'simulated' 或 'hardware'
     };
@@ -1192,8 +2753,12 @@ class SEBTApp {
       return; // 静默跳过未知方向
     }
 
-    // 更新实时传感器数据
-    this.updateRealtimeSensorData(channel, distance, isMinDistance);
+    // 更新实时传感器数据（与主机广播一样使用校准后的读数和最短方向）
+    if (this.calibration.id) {
+      this.updateRealtimeSensorData(channel, applyChannelCalibration(distance, this.calibration.channels[channel], this.MAX_VALID_DISTANCE), channel === this.calibratedMinDirection);
+    } else {
+      this.updateRealtimeSensorData(channel, distance, isMinDistance);
+    }
   }
 
   /**
@@ -1546,8 +3111,16 @@ class SEBTApp {
     // 记录连接状态变化
     if (connected && !wasConnected) {
       this.addLog('🔗 从机BLE设备已连接', 'success');
+      // 从机接入后测距按钮改由压力稳定状态控制
+      this.updateMeasureButtonGate();
     } else if (!connected && wasConnected) {
       this.addLog('🔌 从机BLE设备已断开', 'error');
+      // 从机断开后清除压力状态，测距按钮恢复为不受压力限制
+      this.currentPressure = null;
+      this.pressureStableCount = 0;
+      this.pressureStable = false;
+      this.updateCenterPressureDisplay();
+      this.updateMeasureButtonGate();
     }
 
     if (status.class) {
@@ -1561,6 +3134,279 @@ class SEBTApp {
     slaveElement.classList.add('bluetooth-clickable');
   }
 
+  /**
+   * 更新 WebSocket Bridge 状态显示
+   * @param {Object} status - {running, host, port, preferredPort, skippedPorts, error}
+   */
+  updateBridgeStatus(status) {
+    const bridgeElement = document.getElementById('bridge-status');
+    if (!bridgeElement || !status) {
+      return;
+    }
+
+    bridgeElement.classList.remove('bridge-fallback', 'bridge-error');
+    if (!status.running && !status.error) {
+      bridgeElement.textContent = '🌐 Bridge 启动中';
+      bridgeElement.title = 'WebSocket Bridge 正在启动';
+      return;
+    }
+    if (!status.running) {
+      bridgeElement.textContent = '❌ Bridge 未启动';
+      bridgeElement.title = status.error;
+      bridgeElement.classList.add('bridge-error');
+      this.addLog(`❌ WebSocket Bridge 启动失败: ${status.error}`, 'error');
+      return;
+    }
+
+    bridgeElement.textContent = `🌐 Bridge :${status.port}`;
+    const skipped = (status.skippedPorts || []).map(item => `${item.port}${item.reason}`).join('，');
+    if (status.port !== status.preferredPort) {
+      bridgeElement.title = `ws://${status.host}:${status.port}/ws（首选端口不可用: ${skipped}）`;
+      bridgeElement.classList.add('bridge-fallback');
+      this.addLog(`⚠️ 端口${status.preferredPort}不可用，WebSocket Bridge 已改用端口${status.port}`, 'warning');
+    } else {
+      bridgeElement.title = `ws://${status.host}:${status.port}/ws`;
+    }
+  }
+
+  /**
+   * 处理主机/从机 BLE 链路状态（驱动页面自动重连，或驱动连接断开）
+   * 链路中断期间暂停自动锁定和测距数据收集，数据恢复后继续当前测试
+   * @param {Object} status - {role, state: lost|reconnecting|restored|failed, attempt, delayMs, gapMs, reason}
+   */
+  handleDeviceLinkStatus(status) {
+    if (!status || !(status.role in this.linkLoss)) {
+      return;
+    }
+
+    const { role, state } = status;
+    const label = role === 'slave' ? '从机' : '主机';
+    if (state === 'lost' || state === 'reconnecting') {
+      this.pauseForLinkLoss(role, status.reason);
+      if (state === 'reconnecting') {
+        console.log(`🔄 ${label}BLE第${status.attempt}次重连，${(status.delayMs / 1000).toFixed(1)}s 后尝试`);
+      }
+    } else if (state === 'restored') {
+      // 以收到数据为准恢复（见 resumeFromLinkLoss）
+      this.addLog(`🔗 ${label}BLE已重连（第${status.attempt}次尝试），等待数据恢复`, 'info');
+    } else if (state === 'failed') {
+      const statusElement = document.getElementById(role === 'slave' ? 'slave-status' : 'bluetooth-status');
+      if (role === 'slave') {
+        // 从机随后断开，按未连接从机处理（与手动断开从机一致）
+        this.linkLoss.slave = null;
+        statusElement?.classList.remove('link-lost');
+        this.addLog('❌ 从机自动重连失败，已按未连接从机处理，测距不再受压力限制', 'error');
+        this.updateMeasureButtonGate();
+      } else {
+        if (statusElement) {
+          statusElement.textContent = '📱 主机BLE: 连接中断';
+        }
+        this.addLog('❌ 主机自动重连失败，请在BLE驱动页面重新连接，当前测试保持暂停', 'error');
+      }
+    }
+  }
+
+  /**
+   * 主机/从机链路中断：暂停自动锁定和测距
+   * @param {string} role - host | slave
+   * @param {string} [reason] - ble（BLE链路）| bridge（驱动连接）
+   */
+  pauseForLinkLoss(role, reason) {
+    if (this.linkLoss[role]) {
+      return;
+    }
+
+    this.linkLoss[role] = { lostAt: Date.now(), reason: reason || 'ble' };
+    const label = role === 'slave' ? '从机' : '主机';
+    this.addLog(`⚠️ ${label}${reason === 'bridge' ? '驱动连接' : 'BLE链路'}中断，已暂停自动锁定和测距`, 'warning');
+
+    const statusElement = document.getElementById(role === 'slave' ? 'slave-status' : 'bluetooth-status');
+    if (statusElement) {
+      statusElement.textContent = role === 'slave' ? '🦶 从机状态: 重连中' : '📱 主机BLE: 重连中';
+      statusElement.classList.remove('connected', 'disconnected');
+      statusElement.classList.add('link-lost');
+    }
+
+    if (role === 'host') {
+      // 锁定计数和测距样本不跨越中断
+      this.currentMinDirection = -1;
+      this.minDirectionConsecutiveCount = 0;
+      this.pauseBluetoothMeasurementCollection();
+    } else {
+      // 压力需在恢复后重新稳定
+      this.currentPressure = null;
+      this.pressureStableCount = 0;
+      this.pressureStable = false;
+      this.updateCenterPressureDisplay();
+    }
+    this.updateMeasureButtonGate();
+  }
+
+  /**
+   * 主机/从机数据恢复：继续当前测试并记录中断时长
+   * @param {string} role - host | slave
+   */
+  resumeFromLinkLoss(role) {
+    const loss = this.linkLoss[role];
+    if (!loss) {
+      return;
+    }
+
+    this.linkLoss[role] = null;
+    const label = role === 'slave' ? '从机' : '主机';
+    this.addLog(`✅ ${label}数据已恢复（中断 ${formatGapDuration(Date.now() - loss.lostAt)}），继续当前测试`, 'success');
+
+    const statusElement = document.getElementById(role === 'slave' ? 'slave-status' : 'bluetooth-status');
+    if (statusElement) {
+      statusElement.classList.remove('link-lost');
+    }
+    if (role === 'slave') {
+      this.updateSlaveBLEStatus({ connected: true, device: this.slaveDevice });
+    } else {
+      this.updateBluetoothStatus({ connected: true, device: this.connectedDevice });
+      this.resumeBluetoothMeasurementCollection();
+    }
+    this.updateMeasureButtonGate();
+  }
+
+  /**
+   * 是否有设备链路中断
+   * @returns {boolean}
+   */
+  isLinkDown() {
+    return this.linkLoss.host !== null || this.linkLoss.slave !== null;
+  }
+
+  /**
+   * 处理从机压力数据
+   * @param {Object} payload - 数据格式：{source: 'slave', name, address, timestamp, pressure}
+   */
+  handleSlavePressureData(payload) {
+    if (!payload || typeof payload.pressure !== 'number') {
+      return;
+    }
+
+    // 收到从机数据时，更新连接状态（说明已连接）
+    if (!this.slaveDeviceConnected) {
+      this.updateSlaveBLEStatus({
+        connected: true,
+        class: 'connected',
+        device: { name: payload.name || 'SEBT-Slave', address: payload.address || 'unknown' }
+      });
+    }
+
+    // 链路中断后数据恢复，继续当前测试
+    if (this.linkLoss.slave) {
+      this.resumeFromLinkLoss('slave');
+    }
+
+    if (this.readinessCheck) {
+      addPressureSample(this.readinessCheck.collector);
+    }
+    this.currentPressure = payload.pressure;
+    this.updatePressureStability(payload.pressure);
+    this.updateCenterPressureDisplay();
+
+    this.addBLEDataLog(`从机压力: ${payload.pressure}`, 'info');
+  }
+
+  /**
+   * 更新压力稳定状态（连续 stableRequiredCount 次处于阈值范围内视为稳定）
+   * @param {number} pressure - 最新压力值
+   */
+  updatePressureStability(pressure) {
+    const inRange = pressure >= this.pressureMinThreshold && pressure <= this.pressureMaxThreshold;
+    this.pressureStableCount = inRange ? this.pressureStableCount + 1 : 0;
+
+    const stable = this.pressureStableCount >= this.stableRequiredCount;
+    if (stable === this.pressureStable) {
+      return;
+    }
+
+    this.pressureStable = stable;
+    if (stable) {
+      console.log(`🦶 足底压力已稳定: ${pressure} (连续${this.pressureStableCount}次)`);
+      this.addLog('🦶 足底压力已稳定，可以测距', 'success');
+    } else {
+      console.log(`🦶 足底压力超出阈值范围: ${pressure} (${this.pressureMinThreshold}-${this.pressureMaxThreshold})`);
+      this.addLog('🦶 足底压力超出阈值范围，测距已暂停', 'warning');
+    }
+
+    this.updateMeasureButtonGate();
+  }
+
+  /**
+   * 重置压力稳定计数（参数调整后让新设置立即生效）
+   */
+  resetPressureStability() {
+    this.pressureStableCount = 0;
+    if (this.pressureStable) {
+      this.pressureStable = false;
+      this.updateMeasureButtonGate();
+    }
+    this.updateCenterPressureDisplay();
+  }
+
+  /**
+   * 判断压力条件是否允许测距
+   * 未连接从机时不限制测距（兼容仅连接主机的测试流程），主机或从机链路中断时不允许测距
+   * @returns {boolean}
+   */
+  isPressureGateOpen() {
+    if (this.isLinkDown()) {
+      return false;
+    }
+    if (!this.slaveDeviceConnected) {
+      return true;
+    }
+    return this.pressureStable;
+  }
+
+  /**
+   * 根据压力条件设置单个测距按钮的可用状态
+   * @param {HTMLButtonElement} measureBtn - 测距按钮
+   */
+  applyPressureGateToButton(measureBtn) {
+    const gateOpen = this.isPressureGateOpen();
+    measureBtn.disabled = !gateOpen;
+    measureBtn.textContent = gateOpen ? '开始测距' : this.isLinkDown() ? '等待设备重连' : '等待压力稳定';
+  }
+
+  /**
+   * 根据压力条件刷新已锁定方向的测距按钮（正在测距的方向不受影响）
+   */
+  updateMeasureButtonGate() {
+    this.lockedDirections.forEach((channel) => {
+      if (this.waitingForManualResult && this.waitingForManualResult.channel === channel) {
+        return;
+      }
+      const gridElement = this.gridElements.get(channel);
+      const measureBtn = gridElement ? gridElement.querySelector('.manual-measure-btn') : null;
+      if (measureBtn && measureBtn.style.display !== 'none') {
+        this.applyPressureGateToButton(measureBtn);
+      }
+    });
+
+    // 压力条件变化后由AutoRun状态机决定是否自动测距
+    this.advanceAutoRun();
+  }
+
+  /**
+   * 更新中心卡片的压力值显示
+   */
+  updateCenterPressureDisplay() {
+    const pressureElement = document.getElementById('center-pressure-value');
+    if (!pressureElement) return;
+
+    const pressure = this.currentPressure;
+    pressureElement.textContent = `pressure：${typeof pressure === 'number' ? pressure : '--'}`;
+
+    const inRange = typeof pressure === 'number' &&
+      pressure >= this.pressureMinThreshold && pressure <= this.pressureMaxThreshold;
+    pressureElement.classList.toggle('in-range', inRange && !this.pressureStable);
+    pressureElement.classList.toggle('stable', this.pressureStable);
+  }
+
   /**
    * 处理WebSocket传递的BLE数据（仅用于连接状态更新）
    * 注意：传感器数据已统一在handleHostBroadcast中处理
@@ -1596,19 +3442,89 @@ class SEBTApp {
       channel: channel,
       direction: direction,
       distances: [],
-      maxSamples: 3,
+      maxSamples: DEFAULT_MAX_SAMPLES,
+      attempt: 1, // 当前样本窗口序号（不稳定时重新采集，见 measurement.js resolveMeasurementWindow）
       timeout: 15000, // 15秒超时
       startTime: Date.now()
     };
 
     // 设置超时
+    this.startBluetoothMeasurementTimeout();
+
+    console.log(`📊 开始收集 ${this.bluetoothMeasurementCollection.maxSamples} 个距离样本`);
+  }
+
+  /**
+   * 丢弃不稳定的样本窗口并重新采集（重新计时）
+   * @param {number} channel - 方向通道
+   * @param {Object} direction - 方向信息
+   * @param {string} reason - 不稳定原因
+   */
+  restartMeasurementWindow(channel, direction, reason) {
+    const collection = this.bluetoothMeasurementCollection;
+    collection.distances.length = 0;
+    collection.gapMs = 0;
+    collection.attempt++;
+    clearTimeout(collection.timeoutId);
+    this.startBluetoothMeasurementTimeout();
+
+    const progress = `${collection.attempt}/${this.measurementQualityCriteria.maxAttempts}`;
+    console.warn(`⚠️ 测距样本不稳定: ${direction.displayName} ${reason}，重新采集 ${progress}`);
+    this.addLog(`⚠️ ${direction.displayName}方向读数不稳定（${reason}），请保持静止，重新采集 ${progress}`, 'warning');
+
+    const gridElement = this.gridElements.get(channel);
+    const distanceElement = gridElement && gridElement.querySelector('.distance-display');
+    if (distanceElement) {
+      distanceElement.textContent = `重新采集 ${progress}`;
+    }
+  }
+
+  /**
+   * 启动测距数据收集超时计时（开始收集和链路恢复后继续收集时）
+   */
+  startBluetoothMeasurementTimeout() {
     this.bluetoothMeasurementCollection.timeoutId = setTimeout(() => {
       console.warn('⚠️ 蓝牙测距数据收集超时');
       this.cancelBluetoothMeasurementCollection();
       this.addLog('⚠️ 蓝牙测距数据收集超时，请检查主机连接', 'warning');
+      // AutoRun模式下重新尝试测距（操作员可随时中止）
+      this.advanceAutoRun();
     }, this.bluetoothMeasurementCollection.timeout);
+  }
 
-    console.log(`📊 开始收集 ${this.bluetoothMeasurementCollection.maxSamples} 个距离样本`);
+  /**
+   * 暂停测距数据收集（主机链路中断）
+   * 丢弃中断前的样本，恢复后重新收集，避免平均值跨越中断
+   */
+  pauseBluetoothMeasurementCollection() {
+    const collection = this.bluetoothMeasurementCollection;
+    if (!collection || collection.paused) {
+      return;
+    }
+
+    clearTimeout(collection.timeoutId);
+    collection.timeoutId = null;
+    collection.paused = true;
+    collection.gapMs = 0; // 恢复后重新收集，新窗口不跨越本次中断
+    if (collection.distances.length > 0) {
+      console.log(`⏸️ 主机链路中断，丢弃 ${collection.distances.length} 个测距样本: ${collection.direction.displayName}`);
+      collection.distances.length = 0;
+    }
+  }
+
+  /**
+   * 恢复测距数据收集（主机数据恢复），重新开始超时计时
+   */
+  resumeBluetoothMeasurementCollection() {
+    const collection = this.bluetoothMeasurementCollection;
+    if (!collection || !collection.paused) {
+      return;
+    }
+
+    collection.paused = false;
+    collection.startTime = Date.now();
+    this.startBluetoothMeasurementTimeout();
+    console.log(`▶️ 继续收集测距样本: ${collection.direction.displayName}`);
   }
 
   /**
@@ -1620,13 +3536,12 @@ class SEBTApp {
         clearTimeout(this.bluetoothMeasurementCollection.timeoutId);
       }
 
-      // 恢复测距按钮状态
+      // 恢复测距按钮状态（仍需满足压力条件）
       if (this.waitingForManualResult) {
         const { direction } = this.waitingForManualResult;
         const measureBtn = document.getElementById(`measure-${direction.code}`);
         if (measureBtn) {
-          measureBtn.textContent = '开始测距';
-          measureBtn.disabled = false;
+          this.applyPressureGateToButton(measureBtn);
         }
       }
 
@@ -1635,15 +3550,6 @@ class SEBTApp {
           }
         }
 
-  /**
-   * 发送蓝牙命令
-   */
-  sendBluetoothCommand(command) {
-    console.log('[Bluetooth] 发送命令:', command);
-    const { ipcRenderer } = require('electron');
-    ipcRenderer.send('bluetooth-send-command', command);
-  }
-
   /**
    * 处理BLE锁定数据
    */
@@ -1711,7 +3617,7 @@ class SEBTApp {
       channel: channel,
       direction: direction,
       distances: [], // 存储最近的距离数据
-      maxSamples: 3, // 收集3个样本
+      maxSamples: DEFAULT_MAX_SAMPLES,
       timeout: 5000, // 5秒超时
       startTime: Date.now()
     };
@@ -1738,19 +3644,18 @@ class SEBTApp {
       // 从扫描数据中提取对应方向的距离
       const parsedData = this.parseBLEScanJsonData(scanData.data);
 
-      if (parsedData && parsedData.directionIndex === channel && parsedData.distance > 0) {
+      if (parsedData && parsedData.directionIndex === channel) {
         // 添加有效的距离数据
-        distances.push(parsedData.distance);
+        const sample = addMeasurementSample(distances, parsedData.distance, maxSamples);
+        if (!sample.accepted) return;
         console.log(`📊 BLE测距样本 ${distances.length}/${maxSamples}: ${parsedData.distance}mm`);
 
         // 检查是否收集够了样本
-        if (distances.length >= maxSamples) {
-          // 计算平均值
-          const averageDistance = Math.round(distances.reduce((sum, dist) => sum + dist, 0) / distances.length);
-          console.log(`📊 BLE测距完成: 平均值 ${averageDistance}mm (样本: [${distances.join(', ')}])`);
+        if (sample.complete) {
+          console.log(`📊 BLE测距完成: 平均值 ${sample.average}mm (样本: [${distances.join(', ')}])`);
 
           // 完成测距
-          this.completeBLEMeasurement(averageDistance, direction);
+          this.completeBLEMeasurement(sample.average, direction);
 
           // 清理收集状态
           this.clearBLEMeasurementCollection();
@@ -2075,14 +3980,20 @@ class SEBTApp {
    */
   toggleModalContent(isHost) {
     const hostSettings = document.getElementById('host-lock-time-settings');
+    const hostDeviceSettings = document.getElementById('host-device-settings');
+    const hostFilterSettings = document.getElementById('host-filter-settings');
+    const hostQualitySettings = document.getElementById('host-quality-settings');
     const slaveStableSettings = document.getElementById('slave-stable-time-settings');
     const slavePressureSettings = document.getElementById('slave-pressure-threshold-settings');
     const bluetoothScanSection = document.getElementById('bluetooth-scan-section');
     const dataLogSection = document.querySelector('.bluetooth-data-log-section');
 
     if (isHost) {
-      // 主机模式：显示锁定时长设置，隐藏从机设置
+      // 主机模式：显示锁定时长、设备参数、滤波和测距稳定性设置，隐藏从机设置
       if (hostSettings) hostSettings.style.display = 'block';
+      if (hostDeviceSettings) hostDeviceSettings.style.display = 'block';
+      if (hostFilterSettings) hostFilterSettings.style.display = 'block';
+      if (hostQualitySettings) hostQualitySettings.style.display = 'block';
       if (slaveStableSettings) slaveStableSettings.style.display = 'none';
       if (slavePressureSettings) slavePressureSettings.style.display = 'none';
       if (bluetoothScanSection) bluetoothScanSection.style.display = 'none';
@@ -2090,6 +4001,9 @@ class SEBTApp {
     } else {
       // 从机模式：显示稳定时长和压力阈值设置，隐藏主机设置
       if (hostSettings) hostSettings.style.display = 'none';
+      if (hostDeviceSettings) hostDeviceSettings.style.display = 'none';
+      if (hostFilterSettings) hostFilterSettings.style.display = 'none';
+      if (hostQualitySettings) hostQualitySettings.style.display = 'none';
       if (slaveStableSettings) slaveStableSettings.style.display = 'block';
       if (slavePressureSettings) slavePressureSettings.style.display = 'block';
       if (bluetoothScanSection) bluetoothScanSection.style.display = 'none';
@@ -2130,6 +4044,48 @@ class SEBTApp {
     }
   }
 
+  /**
+   * 将测距稳定性检查参数显示到主机参数设置（未检查的项留空）
+   */
+  renderMeasurementQualitySettings() {
+    const { maxSpreadMm, maxCv, maxAttempts } = this.measurementQualityCriteria;
+    const spreadInput = document.getElementById('quality-max-spread');
+    const cvInput = document.getElementById('quality-max-cv');
+    const attemptsInput = document.getElementById('quality-max-attempts');
+    if (spreadInput) spreadInput.value = maxSpreadMm ?? '';
+    if (cvInput) cvInput.value = maxCv === null ? '' : Math.round(maxCv * 1000) / 10;
+    if (attemptsInput) attemptsInput.value = maxAttempts;
+  }
+
+  /**
+   * 读取主机参数设置中的测距稳定性检查参数（参数无效时恢复为原参数）
+   */
+  updateMeasurementQualityCriteria() {
+    const readOptional = (id) => {
+      const value = document.getElementById(id).value.trim();
+      return value === '' ? null : Number(value);
+    };
+    const maxCvPercent = readOptional('quality-max-cv');
+    const criteria = {
+      maxSpreadMm: readOptional('quality-max-spread'),
+      maxCv: maxCvPercent === null ? null : maxCvPercent / 100,
+      maxAttempts: Number(document.getElementById('quality-max-attempts').value)
+    };
+
+    const { valid, reason } = validateQualityCriteria(criteria);
+    if (!valid) {
+      alert(`测距稳定性参数无效: ${reason}`);
+    } else {
+      this.measurementQualityCriteria = criteria;
+      const checks = [
+        criteria.maxSpreadMm !== null ? `极差≤${criteria.maxSpreadMm}mm` : null,
+        criteria.maxCv !== null ? `变异系数≤${maxCvPercent}%` : null
+      ].filter(Boolean);
+      this.addLog(`📊 测距稳定性检查: ${checks.length > 0 ? checks.join('，') : '不检查'}，最多采集${criteria.maxAttempts}次`, 'info');
+    }
+    this.renderMeasurementQualitySettings();
+  }
+
   /**
    * 更新稳定时长设置显示
    */
@@ -2137,9 +4093,13 @@ class SEBTApp {
     if (!this.stableTimeSlider) return;
 
     const count = parseInt(this.stableTimeSlider.value);
-    this.stableRequiredCount = count;
+    if (count !== this.stableRequiredCount) {
+      this.stableRequiredCount = count;
+      // 重置压力稳定计数，让新设置立即生效
+      this.resetPressureStability();
+    }
 
-    const timeInSeconds = ((count * this.HARDWARE_SEND_INTERVAL_MS) / 1000).toFixed(1);
+    const timeInSeconds = ((count * this.SLAVE_SEND_INTERVAL_MS) / 1000).toFixed(1);
 
     if (this.stableCountDisplay) {
       this.stableCountDisplay.textContent = count;
@@ -2265,6 +4225,7 @@ class SEBTApp {
 
       updateHandlePosition(activeHandle, activeHandle === minHandle ? this.pressureMinThreshold : this.pressureMaxThreshold);
       this.updatePressureThresholdSettings();
+      this.resetPressureStability();
     };
 
     // 鼠标释放事件
@@ -2305,6 +4266,7 @@ class SEBTApp {
       }
 
       this.updatePressureThresholdSettings();
+      this.resetPressureStability();
     });
 
     // 绑定事件
@@ -2326,39 +4288,6 @@ class SEBTApp {
     this.updatePressureThresholdSettings();
   }
 
-  /**
-   * 开始蓝牙设备扫描
-   */
-  startBluetoothScan() {
-    console.log('🔍 开始蓝牙设备扫描...');
-
-    const { ipcRenderer } = require('electron');
-
-    // 清空之前的设备列表
-    this.clearBluetoothDeviceList();
-    this.updateBLEDeviceList('正在扫描附近设备...');
-
-    // 发送扫描请求到主进程
-    ipcRenderer.send('bluetooth-start-scan');
-
-    // 5秒后自动停止扫描，避免长时间占用
-    setTimeout(() => {
-      this.stopBluetoothScan();
-    }, 5000);
-  }
-
-  /**
-   * 停止蓝牙设备扫描
-   */
-  stopBluetoothScan() {
-    console.log('🛑 停止蓝牙设备扫描...');
-
-    const { ipcRenderer } = require('electron');
-
-    // 发送停止扫描请求到主进程
-    ipcRenderer.send('bluetooth-stop-scan');
-  }
-
   /**
    * 直接连接到选定的蓝牙设备
    */
@@ -2378,10 +4307,6 @@ class SEBTApp {
       // 更新连接状态
       this.handleBLEConnectionChange(true, device);
       this.addBLELog(`已连接到SEBT设备: ${device.name}`, 'success');
-
-      // 发送状态更新到主进程（用于保持状态同步）
-      const { ipcRenderer } = require('electron');
-      ipcRenderer.send('ble-status-update', { connected: true, device });
     } else {
       console.error('❌ 未找到设备信息:', deviceId);
       this.addBLELog(`连接失败：未找到设备 ${deviceId}`, 'error');
@@ -2394,15 +4319,13 @@ class SEBTApp {
   disconnectBluetoothDevice() {
     console.log('🔌 断开蓝牙设备连接');
 
-    const { ipcRenderer } = require('electron');
-
     if (!this.bleConnected) {
       console.warn('⚠️ 当前未连接到设备');
       return;
     }
 
     // 发送断开连接请求到主进程
-    ipcRenderer.send('bluetooth-disconnect');
+    window.sebt.devices.disconnect();
 
     // 更新UI状态
     this.addBluetoothLog('正在断开连接...', 'info');
@@ -2485,13 +4408,15 @@ class SEBTApp {
     deviceItem.innerHTML = `
       <div class="ble-device-content">
         <div class="ble-device-info">
-          <div class="ble-device-name">${device.name || '未知设备'}</div>
+          <div class="ble-device-name"></div>
         </div>
         <div class="ble-device-actions">
-          <button class="ble-connect-action-btn" data-device-id="${device.id}">连接</button>
+          <button class="ble-connect-action-btn">连接</button>
         </div>
       </div>
     `;
+    deviceItem.querySelector('.ble-device-name').textContent = device.name || '未知设备';
+    deviceItem.querySelector('.ble-connect-action-btn').dataset.deviceId = device.id;
 
     // 添加连接按钮事件
     const connectBtn = deviceItem.querySelector('.ble-connect-action-btn');
@@ -2545,12 +4470,24 @@ class SEBTApp {
     if (logContainer) {
       const logEntry = document.createElement('div');
       logEntry.className = `bluetooth-log-entry ${type}`;
-      logEntry.innerHTML = `<span class="timestamp">[${new Date().toLocaleTimeString()}]</span> ${message}`;
+      this.fillLogEntry(logEntry, message);
       logContainer.appendChild(logEntry);
       logContainer.scrollTop = logContainer.scrollHeight;
     }
   }
 
+  /**
+   * 填充蓝牙日志条目（时间戳 + 纯文本消息）
+   * @param {HTMLElement} logEntry - 日志条目元素
+   * @param {string} message - 日志消息
+   */
+  fillLogEntry(logEntry, message) {
+    const timestamp = document.createElement('span');
+    timestamp.className = 'timestamp';
+    timestamp.textContent = `[${new Date().toLocaleTimeString()}]`;
+    logEntry.append(timestamp, ` ${message}`);
+  }
+
   /**
    * 清空蓝牙日志
    */
@@ -2579,7 +4516,7 @@ class SEBTApp {
     if (dataLogContainer) {
       const logEntry = document.createElement('div');
       logEntry.className = `bluetooth-log-entry ${type}`;
-      logEntry.innerHTML = `<span class="timestamp">[${new Date().toLocaleTimeString()}]</span> ${message}`;
+      this.fillLogEntry(logEntry, message);
       dataLogContainer.appendChild(logEntry);
       dataLogContainer.scrollTop = dataLogContainer.scrollHeight;
     }
@@ -2774,10 +4711,8 @@ class SEBTApp {
     }
     this.bleIPCHandlersSetup = true;
 
-    const { ipcRenderer } = require('electron');
-
     // 监听BT连接成功
-    ipcRenderer.on('bluetooth-connected', (event, data) => {
+    window.sebt.devices.on('connected', (data) => {
       const device = data?.device || data;
       console.log('🔗 BT连接成功:', device?.name || '未知设备');
       this.handleBLEConnectionChange(true, device);
@@ -2785,7 +4720,7 @@ class SEBTApp {
     });
 
     // 监听断开连接
-    ipcRenderer.on('bluetooth-disconnected', (event) => {
+    window.sebt.devices.on('disconnected', () => {
       console.log('🔌 BT连接已断开');
       this.handleBLEConnectionChange(false, null);
       this.addBLELog('BT连接已断开', 'info');
@@ -2793,13 +4728,6 @@ class SEBTApp {
 
     // 数据接收已在setupIPCListeners中统一处理，此处不再重复监听
 
-    // 监听BT错误
-    ipcRenderer.on('bluetooth-error', (event, error) => {
-      console.error('❌ BT错误:', error);
-      const message = error?.message || '未知错误';
-      this.addBLELog(`BT错误: ${message}`, 'error');
-    });
-
     console.log('✅ BT IPC监听器已设置');
   }
 
@@ -2919,8 +4847,7 @@ class SEBTApp {
    */
   disconnectBLE() {
     console.log('🔌 断开BLE连接');
-    const { ipcRenderer } = require('electron');
-    ipcRenderer.send('bt-disconnect');
+    window.sebt.devices.disconnect();
     this.addBLELog('正在断开BLE连接...', 'info');
   }
 
@@ -3138,6 +5065,11 @@ class SEBTApp {
       this.addBLEDataLog(`已连接到 ${device?.name || 'SEBT-Host-001'}，等待数据...`, 'success');
     } else {
       this.cancelBLEMeasurementCollection();
+      if (role === 'host') {
+        this.updateFaultedDirections([]);
+      }
+      // 重新连接后传感器状态可能不同，需要重新自检
+      this.readinessResult = null;
       this.addBLEDataLog('连接已断开，BT管理器将自动重连...', 'warning');
       // BT管理器会自动重连，不需要手动操作
     }
@@ -3158,6 +5090,17 @@ class SEBTApp {
    * 注意：所有数据已由 ble-manager.js 统一转换为 [[dir, dist], ...] 格式，此处不再进行格式转换
    */
   handleHostBroadcast(payload) {
+    // 链路中断后数据恢复，继续当前测试
+    if (this.linkLoss.host) {
+      this.resumeFromLinkLoss('host');
+    }
+
+    // 故障通道的读数与无目标相同，按传感器状态单独标记
+    this.updateFaultedDirections(payload.faultedChannels || []);
+
+    // 显示、锁定和测距均使用校准后的读数（见 calibration.js）
+    payload = this.applyCalibration(payload);
+
     const timestamp = payload.timestamp || Date.now();
     const distancesArray = new Array(8).fill(this.INVALID_DISTANCE);
     const hasLockedDirection = this.lockedDirections.size > 0;
@@ -3177,7 +5120,7 @@ class SEBTApp {
 
         const [dir, dist] = item;
         if (typeof dir === 'number' && dir >= 0 && dir < 8 && typeof dist === 'number') {
-          // 直接使用传入的真实数据，不进行有效性判断
+          // 使用校准后的读数，不进行有效性判断
           distancesArray[dir] = dist;
           this.updateSensorData(dir, dist, 'hardware');
 
@@ -3212,33 +5155,20 @@ class SEBTApp {
     this.highlightClosestDirection(filteredDistancesArray);
 
     // 计算最小方向（优先使用currentMinDirection，兼容minDir字段）
-    // 初始化minDir和minDist，确保在块外也能访问
     let minDir = payload.currentMinDirection !== undefined ? payload.currentMinDirection : payload.minDir;
     let minDist = payload.currentMinDistance !== undefined ? payload.currentMinDistance : payload.minDist;
-    
+
     // 优化：只在没有锁定方向时才计算最小方向（因为锁定后不需要自动锁定）
     if (!hasLockedDirection) {
-      // 如果未提供最小方向，从过滤后的距离数组中计算
-      if (minDir === undefined || minDir === -1 || minDir === 255) {
-      let calcMin = Infinity;
-      let calcDir = -1;
-        filteredDistancesArray.forEach((d, idx) => {
-          // 直接使用传入的数据，只检查是否为有效数字
-          if (typeof d === 'number' && isFinite(d) && d >= 0 && d < calcMin) {
-          calcMin = d;
-          calcDir = idx;
-        }
-      });
-      minDir = calcDir;
-      minDist = calcMin;
-    }
+      // 如果未提供最小方向，从过滤后的距离数组中计算（见 auto-lock.js）
+      ({ direction: minDir, distance: minDist } = resolveMinDirection(payload, distancesArray, this.completedDirections));
 
       // 检查并执行自动锁定（基于连续次数），异步防止阻塞数据更新
       // 双重检查：确保方向有效且不在已完成列表中
-      if (minDir >= 0 && minDir < 8 && typeof minDist === 'number' && isFinite(minDist) && !this.completedDirections.has(minDir)) {
+      if (isLockCandidate(minDir, minDist, this.completedDirections)) {
         // 使用 requestAnimationFrame 异步执行，不阻塞数据更新流程
         requestAnimationFrame(() => {
-      this.checkAutoLock(minDir, minDist);
+          this.checkAutoLock(minDir, minDist);
         });
       }
     }
@@ -3247,25 +5177,36 @@ class SEBTApp {
     // 注意：正在测距的方向不会更新显示（在updateSensorDisplay中已处理）
     if (this.bluetoothMeasurementCollection) {
       const { channel, direction, distances, maxSamples } = this.bluetoothMeasurementCollection;
-      const collectedDistance = distancesArray[channel];
-      
-      // 直接使用传入的数据，不进行有效性判断
-      if (typeof collectedDistance === 'number' && isFinite(collectedDistance) && collectedDistance > 0) {
-        distances.push(collectedDistance);
-        console.log(`📊 测距样本 ${distances.length}/${maxSamples}: ${direction.displayName} = ${collectedDistance}mm`);
-        
-        // 检查是否收集够了样本
-        if (distances.length >= maxSamples) {
-          // 计算平均值
-          const averageDistance = Math.round(distances.reduce((sum, dist) => sum + dist, 0) / distances.length);
-          console.log(`📊 测距完成: ${direction.displayName} 平均值 ${averageDistance}mm (样本: [${distances.join(', ')}])`);
-          
-          // 完成测距（会固定显示读数）
-          this.handleManualMeasurementResult(channel, averageDistance, direction);
-          
-          // 清理收集状态
-          this.cancelBluetoothMeasurementCollection();
+
+      // 本包之前已有样本时，样本窗口跨越了数据中断（见 packet-continuity.js）
+      if (isDiscontinuity(payload.continuity) && distances.length > 0) {
+        this.bluetoothMeasurementCollection.gapMs = Math.max(this.bluetoothMeasurementCollection.gapMs || 0, payload.gapMs);
+      }
+
+      const sample = addMeasurementSample(distances, distancesArray[channel], maxSamples);
+
+      if (sample.accepted) {
+        console.log(`📊 测距样本 ${distances.length}/${maxSamples}: ${direction.displayName} = ${distancesArray[channel]}mm`);
+      }
+
+      // 检查是否收集够了样本，样本窗口不稳定时重新采集（见 measurement.js）
+      const measured = sample.complete && sample.average !== null
+        ? resolveMeasurementWindow(distances, this.bluetoothMeasurementCollection.attempt, this.measurementQualityCriteria)
+        : null;
+      if (measured && !measured.accept) {
+        this.restartMeasurementWindow(channel, direction, measured.reason);
+      } else if (measured) {
+        console.log(`📊 测距完成: ${direction.displayName} 平均值 ${sample.average}mm (样本: [${distances.join(', ')}]，第${measured.result.attempts}次采集)`);
+
+        if (this.bluetoothMeasurementCollection.gapMs) {
+          this.flagMeasurementGap(channel, this.bluetoothMeasurementCollection.gapMs);
         }
+
+        // 完成测距（会固定显示读数）
+        this.handleManualMeasurementResult(channel, sample.average, direction, measured.result);
+
+        // 清理收集状态
+        this.cancelBluetoothMeasurementCollection();
       }
     }
 
@@ -3280,89 +5221,176 @@ class SEBTApp {
   }
 
   /**
-   * 处理BLE诊断结果
+   * 显示连接诊断模态窗（打开期间每秒刷新）
    */
-  handleBLEDiagnosis(diagnosis) {
-    console.log('🔍 处理BLE诊断结果:', diagnosis);
+  showDiagnosticsModal() {
+    const modal = document.getElementById('diagnostics-modal');
+    if (!modal) return;
 
-    try {
-      let logMessage = 'BLE诊断结果:\n';
-
-      // 防御性编程：确保所有属性都存在
-      const safeDiagnosis = {
-        implementation: diagnosis.implementation || 'unknown',
-        nobleLoaded: diagnosis.nobleLoaded !== undefined ? diagnosis.nobleLoaded : false,
-        nobleScanning: diagnosis.nobleScanning !== undefined ? diagnosis.nobleScanning : false,
-        discoveredDevicesCount: diagnosis.discoveredDevicesCount || 0,
-        connectedPeripheral: diagnosis.connectedPeripheral || false,
-        bleStatusAvailable: diagnosis.bleStatusAvailable !== undefined ? diagnosis.bleStatusAvailable : false,
-        bleStatus: diagnosis.bleStatus || null,
-        platform: diagnosis.platform || 'unknown',
-        arch: diagnosis.arch || 'unknown',
-        error: diagnosis.error || null
-      };
+    modal.classList.add('show');
+    this.refreshDiagnostics();
+    clearInterval(this.diagnosticsTimer);
+    this.diagnosticsTimer = setInterval(() => this.refreshDiagnostics(), 1000);
+  }
 
-      // 根据实现方式显示不同的信息
-      if (safeDiagnosis.implementation === 'powershell') {
-        logMessage += `- BLE实现方式: PowerShell脚本 ✅\n`;
-        logMessage += `- 脚本状态: ${safeDiagnosis.nobleLoaded ? '✅' : '❌'}\n`;
-        logMessage += `- BLE硬件状态: ${safeDiagnosis.bleStatusAvailable ? '✅' : '❌'}\n`;
-        if (safeDiagnosis.bleStatus) {
-          logMessage += `- 蓝牙适配器: ${safeDiagnosis.bleStatus.adapterCount || 0} 个\n`;
-          logMessage += `- 蓝牙可用: ${safeDiagnosis.bleStatus.bluetoothAvailable ? '✅' : '❌'}\n`;
-        }
-      } else if (safeDiagnosis.implementation === 'noble-direct') {
-        logMessage += `- BLE实现方式: @stoprocent/noble 直接调用 ✅\n`;
-        logMessage += `- noble库加载: ${safeDiagnosis.nobleLoaded ? '✅' : '❌'}\n`;
-        logMessage += `- BLE适配器状态: ${safeDiagnosis.bleStatus || 'unknown'}\n`;
-        if (safeDiagnosis.libraryVersion) {
-          logMessage += `- noble版本: ${safeDiagnosis.libraryVersion}\n`;
-        }
-      } else {
-        logMessage += `- BLE库加载: ${safeDiagnosis.nobleLoaded ? '✅' : '❌'}\n`;
-        logMessage += `- BLE状态: ${diagnosis.nobleState || 'unknown'}\n`;
+  /**
+   * 隐藏连接诊断模态窗
+   */
+  hideDiagnosticsModal() {
+    const modal = document.getElementById('diagnostics-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+    clearInterval(this.diagnosticsTimer);
+    this.diagnosticsTimer = null;
+  }
+
+  /**
+   * 从主进程获取诊断信息并渲染
+   * @returns {Promise<Object|null>} 诊断信息（见 main.js buildDiagnostics），获取失败时为null
+   */
+  async refreshDiagnostics() {
+    try {
+      const diagnostics = await window.sebt.devices.getDiagnostics();
+      this.renderDiagnostics(diagnostics);
+      return diagnostics;
+    } catch (error) {
+      console.error('❌ 获取诊断信息失败:', error);
+      const updated = document.getElementById('diagnostics-updated');
+      if (updated) {
+        updated.textContent = `获取诊断信息失败: ${error.message}`;
       }
+      return null;
+    }
+  }
+
+  /**
+   * 渲染诊断信息
+   * @param {Object} diagnostics - {generatedAt, app, bridge, host, slave, continuity, sensors, filter, device}
+   */
+  renderDiagnostics(diagnostics) {
+    const escape = (value) => String(value).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    const renderRows = (rows) => rows
+      .map(([label, ...values]) => `<tr><td>${escape(label)}</td>${values.map(value => `<td class="${value.warning ? 'diagnostics-warning' : ''}">${escape(value.text ?? value)}</td>`).join('')}</tr>`)
+      .join('');
+    const { bridge, host, slave, continuity, sensors, filter, device } = diagnostics;
 
-      logMessage += `- 正在扫描: ${safeDiagnosis.nobleScanning}\n`;
-      logMessage += `- 已发现设备: ${safeDiagnosis.discoveredDevicesCount}\n`;
-      logMessage += `- 已连接设备: ${safeDiagnosis.connectedPeripheral ? '✅' : '❌'}\n`;
-      logMessage += `- 平台: ${safeDiagnosis.platform} ${safeDiagnosis.arch}\n`;
+    const bridgeBody = document.getElementById('diagnostics-bridge-body');
+    if (bridgeBody) {
+      const drivers = bridge.drivers.map(driver => `${driver.driver || '未知驱动'}（${driver.roles.join('+')}，v${driver.protocolVersion}，${formatGapDuration(driver.connectedMs)}）`).join('；');
+      bridgeBody.innerHTML = renderRows([
+        ['状态', bridge.running ? `运行中 ws://${bridge.host}:${bridge.port}/ws` : { text: `未启动${bridge.error ? `: ${bridge.error}` : ''}`, warning: true }],
+        ['运行时间', bridge.running ? formatGapDuration(bridge.uptimeMs) : '--'],
+        ['WebSocket 客户端', bridge.clientCount],
+        ['驱动连接', drivers || { text: '无', warning: true }],
+        ['应用运行时间', `${formatGapDuration(diagnostics.app.uptimeMs)}（v${diagnostics.app.version}）`]
+      ]);
+    }
 
-      if (safeDiagnosis.error) {
-        logMessage += `- 错误: ${safeDiagnosis.error}\n`;
-      }
+    const formatRate = (link) => {
+      const text = `${link.packetRate}/s（期望 ${link.expectedRate}/s）`;
+      return link.connected ? { text, warning: link.packetRate < link.expectedRate * 0.8 } : text;
+    };
+    const formatLoss = (link) => link.lossRate === null
+      ? '--'
+      : { text: `${(link.lossRate * 100).toFixed(1)}%（累计约丢失 ${link.missedPackets} 包）`, warning: link.lossRate > 0.05 };
+    const formatLatency = (link) => link.latency ? `平均 ${link.latency.avgMs}ms / 最大 ${link.latency.maxMs}ms` : '--';
+    const formatAge = (link) => link.lastPacketAgeMs === null ? '--' : `${formatGapDuration(link.lastPacketAgeMs)}前`;
+    const linksBody = document.getElementById('diagnostics-links-body');
+    if (linksBody) {
+      linksBody.innerHTML = renderRows([
+        ['连接', host.connected ? host.device?.name || '已连接' : '未连接', slave.connected ? slave.device?.name || '已连接' : '未连接'],
+        ['包率', formatRate(host), formatRate(slave)],
+        [sensors.sequenced ? '丢包率（按序号）' : '估算丢包率', formatLoss(host), formatLoss(slave)],
+        ['Bridge 延迟', formatLatency(host), formatLatency(slave)],
+        ['最后数据', formatAge(host), formatAge(slave)],
+        ['累计数据包', host.packetCount, slave.packetCount],
+        ['中断/丢包/延迟/重启', `${continuity.gaps} / ${continuity.losses} / ${continuity.late} / ${continuity.restarts}`, '--']
+      ]);
+    }
+
+    const rejectionsBody = document.getElementById('diagnostics-rejections-body');
+    if (rejectionsBody) {
+      const reasons = [...new Set([...Object.keys(host.rejections), ...Object.keys(slave.rejections)])];
+      rejectionsBody.innerHTML = reasons.length > 0
+        ? renderRows(reasons.map(reason => [reason, host.rejections[reason] || 0, slave.rejections[reason] || 0]))
+        : '<tr><td colspan="3" class="session-history-empty">暂无被拒绝的数据包</td></tr>';
+    }
+
+    const filterSummary = document.getElementById('diagnostics-filter-summary');
+    if (filterSummary) {
+      filterSummary.textContent = `${this.describeFilterConfig(filter.config)}，累计剔除尖峰 ${filter.spikeCount} 次`;
+    }
+    const filterBody = document.getElementById('diagnostics-filter-body');
+    if (filterBody) {
+      filterBody.innerHTML = filter.raw
+        ? renderRows(filter.raw.map((raw, channel) => [
+          `${directionMap[channel].displayName}(${directionMap[channel].code})`,
+          raw,
+          { text: filter.filtered[channel], warning: filter.filtered[channel] !== raw }
+        ]))
+        : '<tr><td colspan="3" class="session-history-empty">暂无主机数据</td></tr>';
+    }
+
+    const deviceBody = document.getElementById('diagnostics-device-body');
+    if (deviceBody) {
+      const { settings, device: confirmed, commands } = device;
+      const unsynced = confirmed ? getUnsyncedDeviceSettings(settings, confirmed) : [];
+      const confirmedLock = confirmed && confirmed.lockCount !== undefined ? `，锁定${confirmed.lockCount}次` : '（固件不支持锁定和滤波参数）';
+      deviceBody.innerHTML = renderRows([
+        ['期望参数', `${settings.intervalMs}ms / ${settings.maxDistanceMm}mm，锁定${settings.lockCount}次`],
+        ['设备确认', confirmed
+          ? {
+            text: `${confirmed.intervalMs}ms / ${confirmed.maxDistanceMm}mm${confirmedLock}，${confirmed.sensorCount}个传感器${unsynced.length > 0 ? `，${unsynced.length}项与设置不一致` : ''}`,
+            warning: confirmed.sensorCount < Object.keys(directionMap).length || unsynced.length > 0
+          }
+          : { text: '未确认', warning: host.connected }],
+        ['数据包格式', sensors.sequenced ? 'v2（带序号和传感器状态）' : 'v1（无法判断传感器故障）'],
+        ['故障传感器', sensors.faulted === null
+          ? '--'
+          : { text: sensors.faulted.map(channel => directionMap[channel].displayName).join('、') || '无', warning: sensors.faulted.length > 0 }],
+        ['累计故障读数', sensors.faultCounts.some(count => count > 0)
+          ? sensors.faultCounts.map((count, channel) => (count > 0 ? `${directionMap[channel].displayName} ${count}` : null)).filter(Boolean).join('，')
+          : '0'],
+        ['命令', `已发送 ${commands.sent}，失败 ${commands.failed}`],
+        ['最近错误', commands.lastError ? { text: commands.lastError, warning: true } : '--']
+      ]);
+    }
 
-      this.addBLELog(logMessage, safeDiagnosis.nobleLoaded ? 'success' : 'error');
+    const updated = document.getElementById('diagnostics-updated');
+    if (updated) {
+      updated.textContent = `更新于 ${new Date(diagnostics.generatedAt).toLocaleTimeString()}`;
+    }
+  }
 
-      // 根据实现方式检查状态
-      if (safeDiagnosis.implementation === 'powershell') {
-        if (!safeDiagnosis.nobleLoaded) {
-          this.addBLELog('❌ PowerShell脚本状态异常', 'error');
-        } else if (!safeDiagnosis.bleStatusAvailable) {
-          this.addBLELog('⚠️ 无法检查BLE硬件状态，请确保蓝牙已启用', 'warning');
-        } else {
-          this.addBLELog('✅ BLE PowerShell实现正常', 'success');
-        }
-      } else if (safeDiagnosis.implementation === 'noble-direct') {
-        // @stoprocent/noble 直接调用实现
-        if (!safeDiagnosis.nobleLoaded) {
-          this.addBLELog('❌ @stoprocent/noble库未正确加载', 'error');
-          alert('BLE库加载失败！\n\n请尝试重新安装依赖：\nnpm install @stoprocent/noble\n然后重启应用');
-        } else if (safeDiagnosis.bleStatus !== 'poweredOn') {
-          this.addBLELog(`⚠️ BLE适配器状态: ${safeDiagnosis.bleStatus}，请确保蓝牙已启用`, 'warning');
-        } else {
-          this.addBLELog('✅ BLE @stoprocent/noble实现正常', 'success');
-        }
-      } else {
-        // 传统BLE库检查
-        if (!safeDiagnosis.nobleLoaded) {
-          this.addBLELog('❌ BLE库未正确加载，请检查依赖安装', 'error');
-          alert('BLE库加载失败！\n\n请尝试重新安装依赖：\n1. 删除 node_modules\n2. 运行 npm install\n3. 重启应用');
-        }
+  /**
+   * 复制诊断信息（主进程诊断信息 + 界面状态和最近日志，JSON 格式，发给技术支持）
+   */
+  async copyDiagnosticsBundle() {
+    const diagnostics = await this.refreshDiagnostics();
+    if (!diagnostics) {
+      this.addLog('❌ 复制诊断信息失败: 无法获取诊断信息', 'error');
+      return;
+    }
+
+    const bundle = {
+      ...diagnostics,
+      renderer: {
+        experimentRunning: this.experimentRunning,
+        autoRunState: this.autoRunState,
+        calibrationId: this.calibration.id,
+        linkLoss: this.linkLoss,
+        staleDirections: [...this.staleDirections],
+        faultedDirections: [...this.faultedDirections],
+        recentLogs: this.logs.map(log => `${new Date(log.timestamp).toLocaleTimeString()} [${log.type}] ${log.message}`)
       }
+    };
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(bundle, null, 2));
+      this.addLog('📋 诊断信息已复制到剪贴板', 'success');
     } catch (error) {
-      console.error('❌ 处理BLE诊断结果时出错:', error);
-      this.addBLELog(`处理诊断结果失败: ${error.message}`, 'error');
+      console.error('❌ 复制诊断信息失败:', error);
+      this.addLog(`❌ 复制诊断信息失败: ${error.message}`, 'error');
     }
   }
 
@@ -3419,44 +5447,6 @@ class SEBTApp {
     this.updateMockDataButtonState();
   }
 
-  /**
-   * 发送BLE命令
-   */
-  async sendBLECommand(command) {
-    if (!this.bleConnected) {
-      console.warn('⚠️ BLE未连接，无法发送命令');
-      return false;
-    }
-
-    try {
-      console.log('📤 发送BLE命令:', command);
-
-      // 通过IPC发送命令到主进程
-      const { ipcRenderer } = require('electron');
-      const result = await new Promise((resolve) => {
-        ipcRenderer.once('ble-command-sent', (event, result) => {
-          resolve(result);
-        });
-        ipcRenderer.once('ble-error', (event, error) => {
-          resolve({ success: false, error: error.message });
-        });
-        ipcRenderer.send('ble-send-command', command);
-      });
-
-      if (result.success) {
-        console.log('📤 BLE命令发送成功:', command);
-        return true;
-      } else {
-        console.error('❌ BLE命令发送失败:', result.error);
-        return false;
-      }
-
-    } catch (error) {
-      console.error('❌ BLE命令发送异常:', error);
-      return false;
-    }
-  }
-
   /**
    * 渲染日志
    */
@@ -3484,10 +5474,14 @@ class SEBTApp {
         second: '2-digit'
       });
 
-      logElement.innerHTML = `
-        <div class="log-time">${timeString}</div>
-        <div class="log-content">${log.message}</div>
-      `;
+      // 日志内容可能包含设备名称等外部数据，按纯文本显示
+      const timeElement = document.createElement('div');
+      timeElement.className = 'log-time';
+      timeElement.textContent = timeString;
+      const contentElement = document.createElement('div');
+      contentElement.className = 'log-content';
+      contentElement.textContent = log.message;
+      logElement.append(timeElement, contentElement);
 
       logsContainer.appendChild(logElement);
     });
@@ -3500,7 +5494,135 @@ class SEBTApp {
   }
 
   /**
-   * 检查并执行自动锁定（基于连续次数）
+   * 更新数据过期状态：硬件数据超过 STALE_AFTER_MS 未更新的方向显示为灰色（已完成的方向不受影响）
+   */
+  updateStaleDirections() {
+    const now = Date.now();
+    const wasStale = this.staleDirections.size > 0;
+
+    this.gridElements.forEach((gridElement, channel) => {
+      const sensorData = this.sensorData.get(channel);
+      const stale = Boolean(sensorData && sensorData.source === 'hardware' && sensorData.receivedAt) &&
+        !this.completedDirections.has(channel) &&
+        now - sensorData.receivedAt > this.STALE_AFTER_MS;
+
+      gridElement.classList.toggle('stale', stale);
+      if (stale) {
+        this.staleDirections.add(channel);
+      } else {
+        this.staleDirections.delete(channel);
+      }
+    });
+
+    if (this.staleDirections.size > 0 && !wasStale) {
+      const names = [...this.staleDirections].map(channel => directionMap[channel].displayName).join('、');
+      console.warn(`⚠️ 方向数据已过期: ${names}`);
+      // 链路中断时已记录日志
+      if (!this.linkLoss.host) {
+        this.addLog(`⚠️ 主机数据超过${(this.STALE_AFTER_MS / 1000).toFixed(1)}秒未更新，过期方向已置灰`, 'warning');
+      }
+    } else if (this.staleDirections.size === 0 && wasStale) {
+      console.log('✅ 方向数据已恢复更新');
+    }
+  }
+
+  /**
+   * 更新传感器故障标记：故障方向的卡片显示为红色，故障出现和恢复时记录日志（已完成的方向不受影响）
+   * @param {number[]} channels - 当前故障的通道（v1 数据包无法判断，按无故障处理）
+   */
+  updateFaultedDirections(channels) {
+    const faulted = new Set(channels.filter(channel => !this.completedDirections.has(channel)));
+    const added = [...faulted].filter(channel => !this.faultedDirections.has(channel));
+    const recovered = [...this.faultedDirections].filter(channel => !faulted.has(channel));
+    if (added.length === 0 && recovered.length === 0) {
+      return;
+    }
+
+    this.faultedDirections = faulted;
+    this.gridElements.forEach((gridElement, channel) => {
+      gridElement.classList.toggle('faulted', faulted.has(channel));
+    });
+
+    const names = list => list.map(channel => directionMap[channel].displayName).join('、');
+    if (added.length > 0) {
+      this.addLog(`⛔ 传感器故障: ${names(added)}方向读数不可用，请检查传感器连接或在诊断面板重新初始化传感器`, 'error');
+    }
+    if (recovered.length > 0) {
+      this.addLog(`✅ 传感器已恢复: ${names(recovered)}`, 'success');
+    }
+  }
+
+  /**
+   * 标记测距样本窗口跨越了数据中断（读数可能不可靠，建议重测）
+   * @param {number} channel - 方向通道
+   * @param {number} gapMs - 中断时长
+   */
+  flagMeasurementGap(channel, gapMs) {
+    this.measurementGapFlags.set(channel, gapMs);
+    const gridElement = this.gridElements.get(channel);
+    if (gridElement) {
+      gridElement.classList.add('gap-flagged');
+      gridElement.title = `测距样本跨越数据中断（${gapMs}ms），建议重测`;
+    }
+    this.addLog(`⚠️ ${directionMap[channel].displayName}方向测距样本跨越数据中断 ${gapMs}ms，建议重测此方向`, 'warning');
+  }
+
+  /**
+   * 清除单个方向的数据中断标记
+   * @param {number} channel - 方向通道
+   */
+  clearMeasurementGapFlag(channel) {
+    this.measurementGapFlags.delete(channel);
+    const gridElement = this.gridElements.get(channel);
+    if (gridElement) {
+      gridElement.classList.remove('gap-flagged');
+      gridElement.removeAttribute('title');
+    }
+  }
+
+  /**
+   * 清除所有方向的数据中断标记
+   */
+  clearMeasurementGapFlags() {
+    [...this.measurementGapFlags.keys()].forEach(channel => this.clearMeasurementGapFlag(channel));
+  }
+
+  /**
+   * 标记测距结果不稳定（多次重新采集后样本仍超出质量检查参数，建议重测）
+   * @param {number} channel - 方向通道
+   * @param {Object} details - 样本和质量 {samples, spreadMm, attempts}
+   */
+  flagMeasurementQuality(channel, details) {
+    const gridElement = this.gridElements.get(channel);
+    if (gridElement) {
+      gridElement.classList.add('quality-flagged');
+      gridElement.title = `测距样本不稳定（${details.samples.join(' / ')}mm，极差 ${details.spreadMm}mm），建议重测`;
+    }
+    this.addLog(`⚠️ ${directionMap[channel].displayName}方向采集 ${details.attempts} 次样本仍不稳定（极差 ${details.spreadMm}mm），已标记，建议重测此方向`, 'warning');
+  }
+
+  /**
+   * 清除单个方向的测距结果样本和不稳定标记
+   * @param {number} channel - 方向通道
+   */
+  clearMeasurementQualityFlag(channel) {
+    this.measurementDetails.delete(channel);
+    const gridElement = this.gridElements.get(channel);
+    if (gridElement && gridElement.classList.contains('quality-flagged')) {
+      gridElement.classList.remove('quality-flagged');
+      gridElement.removeAttribute('title');
+    }
+  }
+
+  /**
+   * 清除所有方向的测距结果样本和不稳定标记
+   */
+  clearMeasurementQualityFlags() {
+    [...this.measurementDetails.keys()].forEach(channel => this.clearMeasurementQualityFlag(channel));
+  }
+
+  /**
+   * 检查并执行自动锁定（基于连续次数，计数规则见 auto-lock.js）
    */
   checkAutoLock(currentMinDirection, currentMinDistance) {
     // 如果实验未运行，不执行锁定检查
@@ -3508,38 +5630,35 @@ class SEBTApp {
       return;
     }
 
+    // 主机链路中断期间暂停锁定（中断前排队的检查不再计数）
+    if (this.linkLoss.host) {
+      return;
+    }
+
     // 如果已经有锁定方向，不执行新的锁定检查（保证同一时间只有一个锁定方向）
     if (this.lockedDirections.size > 0) {
       return;
     }
 
-    // 检查方向是否改变
-    if (this.currentMinDirection !== currentMinDirection) {
+    const { state, event, lockedCount } = advanceLockCounter(
+      { direction: this.currentMinDirection, count: this.minDirectionConsecutiveCount },
+      currentMinDirection,
+      { requiredCount: this.LOCK_REQUIRED_COUNT, completedChannels: this.completedDirections }
+    );
+    this.currentMinDirection = state.direction;
+    this.minDirectionConsecutiveCount = state.count;
+
+    if (event === 'changed') {
       // 方向改变，重置连续计数
-      this.currentMinDirection = currentMinDirection;
-      this.minDirectionConsecutiveCount = 1;
       this.minDirectionStartTime = Date.now();
       console.log(`🔄 最短方向改变为: ${directionMap[currentMinDirection].displayName}，开始计数`);
-      return;
-    }
-
-    // 检查是否已经锁定或已完成
-    if (this.lockedDirections.has(currentMinDirection) || this.completedDirections.has(currentMinDirection)) {
-      return;
-    }
-
-    // 增加连续计数
-    this.minDirectionConsecutiveCount++;
-
-    // 检查是否达到锁定所需的连续次数
-    if (this.minDirectionConsecutiveCount >= this.LOCK_REQUIRED_COUNT) {
+    } else if (event === 'locked') {
       // 自动锁定（lockDirection内部会确保同一时间只有一个锁定方向）
       this.lockDirection(currentMinDirection, currentMinDistance);
       const duration = Date.now() - this.minDirectionStartTime;
-      console.log(`🔒 前端自动锁定: ${directionMap[currentMinDirection].displayName} - ${currentMinDistance}mm (连续${this.minDirectionConsecutiveCount}次，持续${duration}ms)`);
+      console.log(`🔒 前端自动锁定: ${directionMap[currentMinDirection].displayName} - ${currentMinDistance}mm (连续${lockedCount}次，持续${duration}ms)`);
       // 不记录日志，因为lockDirection已经记录了锁定方向日志
-      this.minDirectionConsecutiveCount = 0; // 重置计数
-    } else {
+    } else if (event === 'counting') {
       const progress = (this.minDirectionConsecutiveCount / this.LOCK_REQUIRED_COUNT * 100).toFixed(0);
       console.log(`⏱️ 方向锁定进度: ${directionMap[currentMinDirection].displayName} (${this.minDirectionConsecutiveCount}/${this.LOCK_REQUIRED_COUNT}次, ${progress}%)`);
     }
@@ -3651,8 +5770,11 @@ class SEBTApp {
 
   /**
    * 开始测试
+   * 没有有效的自检报告、自检未通过，或自检有警告但操作员尚未确认时，先打开自检窗口
+   * @param {Object} [options] 选项
+   * @param {boolean} [options.readinessConfirmed] 操作员已在自检窗口中确认警告
    */
-  startExperiment() {
+  startExperiment({ readinessConfirmed = false } = {}) {
     if (this.experimentRunning) {
       console.log('⚠️ 测试已在运行中');
       return;
@@ -3664,6 +5786,13 @@ class SEBTApp {
       return;
     }
 
+    const readiness = this.getValidReadiness();
+    if (!readiness || readiness.status === 'fail' || (readiness.status === 'warn' && !readinessConfirmed)) {
+      this.showReadinessModal(true);
+      return;
+    }
+    this.sessionReadiness = { ...readiness, checkedAt: new Date(readiness.checkedAt).toISOString() };
+
     // 开始测试
     this.experimentRunning = true;
     this.experimentStartTime = Date.now();
@@ -3673,8 +5802,11 @@ class SEBTApp {
     this.minDirectionStartTime = 0;
     this.minDirectionConsecutiveCount = 0;
     
-    // 清空之前的测距结果
+    // 清空之前的测距结果，按试验方案从第一次试验开始
     this.measurementResults.clear();
+    this.clearMeasurementGapFlags();
+    this.clearMeasurementQualityFlags();
+    this.resetTrials();
 
     // 更新按钮状态
     const startExperimentBtn = document.getElementById('start-experiment-btn');
@@ -3694,6 +5826,15 @@ class SEBTApp {
     // 添加日志
     this.addLog('🚀 测试已开始，开始监测传感器数据', 'success');
     console.log('🚀 测试已开始，开始监测传感器数据');
+    if (readiness.status === 'warn') {
+      this.addLog(`⚠️ 自检警告已确认: ${this.describeReadiness(readiness)}`, 'warning');
+    }
+    if (this.trialSequence.length > 1) {
+      this.addLog(`▶️ 开始 ${this.describeTrial(this.getCurrentTrial())}`, 'info');
+    }
+
+    // AutoRun开启时进入自动流程
+    this.advanceAutoRun();
   }
 
   /**
@@ -3707,6 +5848,7 @@ class SEBTApp {
 
     // 停止测试
     this.experimentRunning = false;
+    this.resetAutoRun();
 
     // 重置自动锁定计数状态
     this.currentMinDirection = -1;
@@ -3893,7 +6035,25 @@ class SEBTApp {
     this.minDirectionConsecutiveCount = 0;
 
     // 重置所有卡片的UI状态
-    this.gridElements.forEach((element, channel) => {
+    this.clearDirectionCards();
+
+    // 清除等待状态
+    if (this.waitingForManualResult) {
+      this.waitingForManualResult = null;
+    }
+
+    // 更新按钮状态
+    this.updateMockDataButtonState();
+
+    // 添加日志
+    this.addLog('🔄 系统重置，所有锁定和完成状态已清除', 'info');
+  }
+
+  /**
+   * 重置所有方向卡片的UI状态（锁定/完成样式、按钮和距离显示）
+   */
+  clearDirectionCards() {
+    this.gridElements.forEach((element) => {
       element.classList.remove('locked', 'selected', 'active', 'min-distance', 'completed');
 
       // 隐藏重置按钮
@@ -3917,20 +6077,6 @@ class SEBTApp {
         distanceElement.style.color = '#6b7280'; // 默认灰色
       }
     });
-
-    // 清除等待状态
-    if (this.waitingForManualResult) {
-      this.waitingForManualResult = null;
-    }
-
-    // 发送重置命令到ESP32
-    this.sendCommandToESP32('RESET');
-
-    // 更新按钮状态
-    this.updateMockDataButtonState();
-
-    // 添加日志
-    this.addLog('🔄 系统重置，所有锁定和完成状态已清除', 'info');
   }
 
   /**
@@ -3957,40 +6103,54 @@ class SEBTApp {
 
   /**
    * 显示实验记录模态窗
+   * @param {Object} [session] - 从历史记录重新打开的记录（不传则为当前测试）
    */
-  showExperimentRecordModal() {
+  showExperimentRecordModal(session = null) {
     const modal = document.getElementById('experiment-record-modal');
     if (!modal) return;
 
     // 填充主机和从机参数（只读显示）
+    const parameters = session ? session.parameters : this.getSessionParameters();
     const lockTimeDisplay = document.getElementById('display-lock-time');
     if (lockTimeDisplay) {
-      lockTimeDisplay.textContent = `${this.LOCK_REQUIRED_COUNT}次`;
+      lockTimeDisplay.textContent = `${parameters.lockRequiredCount}次`;
     }
 
     const stableTimeDisplay = document.getElementById('display-stable-time');
     if (stableTimeDisplay) {
-      stableTimeDisplay.textContent = `${this.stableRequiredCount}次`;
+      stableTimeDisplay.textContent = `${parameters.stableRequiredCount}次`;
     }
 
     const pressureRangeDisplay = document.getElementById('display-pressure-range');
     if (pressureRangeDisplay) {
-      pressureRangeDisplay.textContent = `${this.pressureMinThreshold}-${this.pressureMaxThreshold}`;
-    }
-
-    // 清空输入框
-    document.getElementById('test-subject-id').value = '';
-    document.getElementById('test-subject-gender').value = '';
-    document.getElementById('test-subject-age').value = '';
-    document.getElementById('test-subject-leg-length').value = '';
-    document.getElementById('test-score-value').textContent = '--';
+      pressureRangeDisplay.textContent = `${parameters.pressureMinThreshold}-${parameters.pressureMaxThreshold}`;
+    }
+
+    // 填充被测信息（历史记录）或清空输入框（当前测试）
+    const subject = session ? session.subject : {};
+    const formatField = (value) => (value === null || value === undefined ? '' : String(value));
+    document.getElementById('test-subject-id').value = formatField(subject.id);
+    document.getElementById('test-subject-gender').value = formatField(subject.gender);
+    document.getElementById('test-subject-age').value = formatField(subject.age);
+    document.getElementById('test-subject-leg-length').value = formatField(subject.legLengthCm);
+    const trialPlan = this.getActiveTrialPlan();
+    const stanceLegSelect = document.getElementById('test-stance-leg');
+    stanceLegSelect.value = trialPlan.stanceLeg;
+    stanceLegSelect.disabled = trialPlan.stanceLeg === 'both'; // 双腿记录不可更改
+    document.getElementById('test-aggregation').value = trialPlan.aggregation;
+    document.getElementById('test-scoring-formula').value = this.getActiveScoringFormula();
+    this.updateTestScoreDisplay();
 
     // 显示模态窗
     modal.classList.add('show');
+
+    // 自动保存本次测试记录（防止忘记导出导致数据丢失）
+    if (!session) {
+      this.persistCurrentSession();
+    }
     
     // 重置日志状态，确保首次更新时输出日志
     this.tableUpdateLogCount = 0;
-    this.lastTableUpdateValues.clear();
     
     // 立即更新表格数据（在显示模态窗后）
     // 先尝试立即更新，确保数据能立即显示
@@ -4089,180 +6249,274 @@ class SEBTApp {
     // 添加日志
     this.addLog('▶️ 测试已恢复（继续测试）', 'success');
     console.log('▶️ 测试已恢复（继续测试）');
+
+    // AutoRun开启时继续自动流程
+    this.advanceAutoRun();
+  }
+
+  /**
+   * 生成测距数据表格的行（每条腿：各次正式试验 + 汇总行 + 标准化行；双腿时附对称指数）
+   * 列顺序为相对站立腿的解剖学方向（anatomicalDirections），最后一列为综合分数
+   * @returns {Array<{key: string, label: string, values: Array<number|string>, className: string}>}
+   */
+  buildMeasurementTableRows() {
+    const plan = this.getActiveTrialPlan();
+    const legs = getTrialLegs(plan);
+    const trials = this.getSessionTrials();
+    const aggregated = aggregateTrialResults(trials, plan.aggregation, legs);
+    const { legLengthCm } = this.getSubjectFormValues();
+    const formulaId = this.getActiveScoringFormula();
+    const toValues = (results, leg) => [...Object.values(toAnatomicalResults(results, leg)), ''];
+    const rows = [];
+    const composites = {};
+
+    legs.forEach((leg) => {
+      const recordedTrials = trials.filter(trial => trial.leg === leg && !trial.practice);
+
+      // 多次正式试验时逐次列出读数
+      if (plan.recordedTrials > 1) {
+        recordedTrials.forEach((trial) => {
+          rows.push({
+            key: `${leg}-${trial.number}`,
+            label: `${stanceLegLabels[leg]} 第${trial.number}次 (mm)`,
+            values: toValues(trial.results, leg),
+            className: ''
+          });
+        });
+      }
+
+      rows.push({
+        key: `${leg}-${plan.aggregation}`,
+        label: plan.recordedTrials > 1
+          ? `${stanceLegLabels[leg]} ${trialAggregationLabels[plan.aggregation]} (mm)`
+          : `${stanceLegLabels[leg]} 读数 (mm)`,
+        values: toValues(aggregated[leg], leg),
+        className: plan.recordedTrials > 1 ? 'aggregate' : ''
+      });
+
+      // 标准化伸展距离（%腿长）及综合分数，未填写腿长时显示 --
+      const scores = calculateScores(toAnatomicalResults(aggregated[leg], leg), legLengthCm, formulaId);
+      composites[leg] = scores.composite;
+      rows.push({
+        key: `${leg}-normalized`,
+        label: `${stanceLegLabels[leg]} 标准化 (%腿长)`,
+        values: legLengthCm
+          ? [...anatomicalDirections.map(({ code }) => scores.normalized[code]), scores.composite.toFixed(2)]
+          : new Array(anatomicalDirections.length + 1).fill('--'),
+        className: 'normalized'
+      });
+    });
+
+    const symmetry = calculateSymmetryIndex(aggregated);
+    if (symmetry) {
+      const formatValue = value => (value === null ? '--' : value);
+      const compositeLsi = composites.left > 0 && composites.right > 0
+        ? (composites.left / composites.right * 100).toFixed(1)
+        : '--';
+      rows.push({
+        key: 'lsi',
+        label: '对称指数 LSI (%)',
+        values: [...anatomicalDirections.map(({ code }) => formatValue(symmetry[code].lsi)), compositeLsi],
+        className: 'symmetry'
+      });
+      rows.push({
+        key: 'difference',
+        label: '左右差值 (mm)',
+        values: [...anatomicalDirections.map(({ code }) => formatValue(symmetry[code].differenceMm)), ''],
+        className: 'symmetry'
+      });
+    }
+
+    return rows;
+  }
+
+  /**
+   * 更新测距数据表格表头（单腿记录时在解剖学方向下方标注设备方位，高亮评分公式包含的方向）
+   * @param {HTMLElement} thead - 表头元素
+   */
+  updateMeasurementTableHeader(thead) {
+    const plan = this.getActiveTrialPlan();
+    const formula = SCORING_FORMULAS[this.getActiveScoringFormula()];
+    const tr = document.createElement('tr');
+    const labelCell = document.createElement('th');
+    labelCell.textContent = '方向';
+    tr.appendChild(labelCell);
+
+    anatomicalDirections.forEach(({ code, displayName }) => {
+      const th = document.createElement('th');
+      th.textContent = displayName;
+      if (formula.directions.includes(code)) {
+        th.classList.add('scoring-direction');
+      }
+      if (plan.stanceLeg !== 'both') {
+        const deviceCode = document.createElement('div');
+        deviceCode.className = 'direction-code';
+        deviceCode.textContent = stanceLegDirectionMap[plan.stanceLeg][code];
+        th.appendChild(deviceCode);
+      }
+      tr.appendChild(th);
+    });
+
+    const compositeCell = document.createElement('th');
+    compositeCell.textContent = '综合分数';
+    compositeCell.title = formula.name;
+    tr.appendChild(compositeCell);
+
+    thead.innerHTML = '';
+    thead.appendChild(tr);
   }
 
   /**
    * 更新测距数据表格
-   * 实时读取已完成测距方向的真实读数
-   * 直接使用measurementResults作为数据源（与calculateTestScore保持一致）
+   * 数据来源与calculateTestScore一致（getSessionTrials + aggregateTrialResults）
    */
   updateMeasurementTable() {
-    // 方向映射：L(0), BL(1), FL(2), F(3), B(4), BR(5), FR(6), R(7)
-    const directionIds = ['L', 'BL', 'FL', 'F', 'B', 'BR', 'FR', 'R'];
-    
-    // 确保模态窗已显示，并且获取模态窗容器
+    // 确保模态窗已显示
     const modal = document.getElementById('experiment-record-modal');
     if (!modal || !modal.classList.contains('show')) {
       // 模态窗未显示，不更新
       return;
     }
-    
-    // 获取模态窗内的表格容器，确保只更新模态窗内的元素
-    const tableContainer = modal.querySelector('.experiment-record-table-container');
-    if (!tableContainer) {
+
+    // 在模态窗内查找表格，确保只更新模态窗内的元素
+    const thead = modal.querySelector('#experiment-record-head');
+    const tbody = modal.querySelector('#experiment-record-body');
+    if (!thead || !tbody) {
       console.warn('⚠️ 未找到模态窗表格容器');
       return;
     }
-    
-    // 批量收集需要更新的数据，减少DOM查询次数
-    const updates = [];
-    directionIds.forEach((dirCode, index) => {
-      const elementId = `distance-${dirCode}`;
-      // 在模态窗内查找元素，确保找到的是模态窗中的元素
-      const element = tableContainer.querySelector(`#${elementId}`) || document.getElementById(elementId);
-      if (!element) {
-        console.warn(`⚠️ 未找到表格元素: ${elementId}`);
-        return;
-      }
-      
-      // 验证元素是否在模态窗内
-      if (!modal.contains(element)) {
-        console.warn(`⚠️ 元素 ${elementId} 不在模态窗内，跳过更新`);
-        return;
-      }
-      
-      // 直接从measurementResults读取（与calculateTestScore保持一致）
-      // measurementResults是测距结果的可靠来源，在completeDirection中设置
-      const distance = this.measurementResults.get(index) || 0;
-      
-      // 收集更新操作
-      updates.push({ element, distance, index, dirCode });
-    });
-    
-    // 批量执行DOM更新，减少重排和重绘
-    let updateCount = 0;
-    const hasChanges = new Map(); // 记录哪些方向有变化
-    
-    updates.forEach(({ element, distance, index, dirCode }) => {
-      const currentValue = element.textContent.trim();
-      const newValue = String(distance);
-      const lastValue = this.lastTableUpdateValues.get(index);
-      
-      // 检查值是否有变化
-      const valueChanged = currentValue !== newValue;
-      const isNewValue = lastValue !== newValue;
-      
-      // 对于已完成的方向，强制更新（不管当前值是什么）
-      // 对于未完成的方向，只在值变化时更新
-      const shouldUpdate = valueChanged;
-      
-      if (shouldUpdate) {
-        // 强制更新DOM
-        const oldValue = element.textContent;
-        element.textContent = newValue;
-        updateCount++;
-        hasChanges.set(index, { oldValue: oldValue.trim(), newValue, dirCode });
-        
-        // 更新记录的值
-        this.lastTableUpdateValues.set(index, newValue);
-        
-        // 只在值变化或首次更新时输出详细日志
-        if (this.completedDirections.has(index) && isNewValue) {
-          // 立即验证更新是否成功（使用同步方式）
-          const verifyValue = element.textContent.trim();
-          const verifySuccess = verifyValue === newValue;
-          
-          if (!verifySuccess) {
-            console.error(`❌ [${dirCode}] DOM更新验证失败！期望: "${newValue}", 实际: "${verifyValue}"`);
-            // 尝试强制设置
-            element.textContent = newValue;
-            element.innerText = newValue;
-            console.log(`🔄 [${dirCode}] 尝试强制设置后: "${element.textContent.trim()}"`);
-          } else {
-            console.log(`✅ [${dirCode}] DOM已更新: "${oldValue.trim()}" → "${newValue}"`);
-          }
+
+    const rows = this.buildMeasurementTableRows();
+
+    // 行结构变化时（新试验、切换汇总方式或评分公式）重建表格，否则只更新变化的单元格，减少重排和重绘
+    const layoutKey = [this.getActiveScoringFormula(), ...rows.map(row => row.key)].join('|');
+    if (tbody.dataset.layout !== layoutKey) {
+      this.updateMeasurementTableHeader(thead);
+      tbody.innerHTML = '';
+      rows.forEach((row) => {
+        const tr = document.createElement('tr');
+        if (row.className) {
+          tr.className = row.className;
         }
-      } else {
-        // 值没有变化，更新记录的值（用于下次比较）
-        if (lastValue !== newValue) {
-          this.lastTableUpdateValues.set(index, newValue);
+        const labelCell = document.createElement('td');
+        labelCell.className = 'direction-label';
+        labelCell.textContent = row.label;
+        tr.appendChild(labelCell);
+        row.values.forEach(() => tr.appendChild(document.createElement('td')));
+        tbody.appendChild(tr);
+      });
+      tbody.dataset.layout = layoutKey;
+    }
+
+    let updateCount = 0;
+    rows.forEach((row, rowIndex) => {
+      const cells = tbody.rows[rowIndex].cells;
+      row.values.forEach((distance, index) => {
+        const newValue = String(distance);
+        if (cells[index + 1].textContent !== newValue) {
+          cells[index + 1].textContent = newValue;
+          updateCount++;
         }
-      }
+      });
     });
-    
+
     // 只在有变化或每10次更新时输出摘要日志（减少日志频率）
     this.tableUpdateLogCount++;
-    const shouldLogSummary = updateCount > 0 || this.tableUpdateLogCount % 10 === 0;
-    
-    if (this.completedDirections.size > 0 && shouldLogSummary) {
-      const completedEntries = Array.from(this.completedDirections).map(idx => {
-        const dist = this.measurementResults.get(idx) || 0;
-        return `${directionIds[idx]}:${dist}`;
-      }).join(', ');
-      
-      if (updateCount > 0) {
-        // 有更新时输出详细信息
-        const changedEntries = Array.from(hasChanges.entries()).map(([idx, { dirCode, oldValue, newValue }]) => {
-          return `${directionIds[idx]}:${oldValue}→${newValue}`;
-        }).join(', ');
-        console.log(`📊 表格更新: [${changedEntries}], 已完成方向: [${completedEntries}]`);
-      } else if (this.tableUpdateLogCount % 10 === 0) {
-        // 每10次输出一次状态（无更新时）
-        console.log(`📊 表格状态检查 - 已完成方向: [${completedEntries}], 无更新`);
-      }
+    if (updateCount > 0) {
+      const summary = rows.map(row => `${row.label}: [${row.values.join(', ')}]`).join('; ');
+      console.log(`📊 表格更新(${updateCount}项): ${summary}`);
+    } else if (this.tableUpdateLogCount % 10 === 0) {
+      console.log(`📊 表格状态检查 - 已完成试验: ${this.trialResults.length}, 无更新`);
+    }
+  }
+
+  /**
+   * 根据腿长输入更新测试分数显示
+   */
+  updateTestScoreDisplay() {
+    const legLengthInput = document.getElementById('test-subject-leg-length');
+    const testScoreValue = document.getElementById('test-score-value');
+    if (!legLengthInput || !testScoreValue) return;
+
+    const legLength = parseFloat(legLengthInput.value);
+    if (!legLength || legLength <= 0) {
+      testScoreValue.textContent = '--';
+      return;
+    }
+
+    // 双腿试验时分别显示两条腿的分数
+    const legs = getTrialLegs(this.getActiveTrialPlan());
+    if (legs.length === 1) {
+      testScoreValue.textContent = this.calculateTestScore(legLength).toFixed(2);
+    } else {
+      const scores = legs.map(leg => this.calculateTestScore(legLength, { stanceLeg: leg }));
+      const scoreText = legs.map((leg, index) => `${stanceLegLabels[leg]} ${scores[index].toFixed(2)}`).join(' / ');
+      const lsiText = scores[1] > 0 ? ` / LSI ${(scores[0] / scores[1] * 100).toFixed(1)}%` : '';
+      testScoreValue.textContent = scoreText + lsiText;
     }
   }
 
   /**
-   * 计算测试分数
+   * 计算测试分数（综合分数）
+   * 每个方向的读数先按汇总方式（最佳值/平均值）汇总该站立腿的全部正式试验，再按评分公式计算（见 scoring.js calculateLegScore）
    * @param {number} legLengthCm - 腿长（单位：cm）
+   * @param {Object} [options] - 计算选项
+   * @param {string} [options.aggregation] - 汇总方式 max | mean（默认使用试验方案中的设置）
+   * @param {string} [options.stanceLeg] - 站立腿 left | right（默认试验方案中的第一条腿）
+   * @param {string} [options.formula] - 评分公式ID（默认当前选择的公式）
    * @returns {number} 测试分数
    */
-  calculateTestScore(legLengthCm) {
+  calculateTestScore(legLengthCm, options = {}) {
     if (!legLengthCm || legLengthCm <= 0) {
       return 0;
     }
 
-    // 计算8个方向距离总和（单位：mm）
-    let totalDistance = 0;
-    for (let i = 0; i < 8; i++) {
-      const distance = this.measurementResults.get(i) || 0;
-      totalDistance += distance;
-    }
-
-    // 单位换算：腿长从cm转换为mm
-    const legLengthMm = legLengthCm * 10;
-
-    // 测试分数 = (8个方向距离总和(mm) / (8 × 腿长(cm) × 10)) × 100
-    const testScore = (totalDistance / (8 * legLengthMm)) * 100;
-
-    // 返回保留2位小数的数字
-    return parseFloat(testScore.toFixed(2));
+    const plan = this.getActiveTrialPlan();
+    return calculateLegScore(this.getSessionTrials(), legLengthCm, {
+      aggregation: options.aggregation || plan.aggregation,
+      stanceLeg: options.stanceLeg || getTrialLegs(plan)[0],
+      formulaId: options.formula || this.getActiveScoringFormula()
+    });
   }
 
   /**
-   * 导出CSV数据
+   * 获取当前测试参数
+   * @returns {Object} 主机/从机参数
    */
-  async exportToCSV() {
-    // 获取基础信息
-    const subjectId = document.getElementById('test-subject-id').value.trim();
-    const subjectGender = document.getElementById('test-subject-gender').value;
-    const subjectAge = document.getElementById('test-subject-age').value;
-    const legLength = document.getElementById('test-subject-leg-length').value;
-
-    // 验证必填字段
-    if (!subjectId || !subjectGender || !subjectAge || !legLength) {
-      alert('请填写完整的基础信息（序号、性别、年龄、腿长）');
-      return;
-    }
+  getSessionParameters() {
+    return {
+      lockRequiredCount: this.LOCK_REQUIRED_COUNT,
+      stableRequiredCount: this.stableRequiredCount,
+      pressureMinThreshold: this.pressureMinThreshold,
+      pressureMaxThreshold: this.pressureMaxThreshold,
+      filter: this.filterConfig,
+      measurementQuality: this.measurementQualityCriteria,
+      device: this.deviceConfig // 设备确认的设备参数，未确认时为null
+    };
+  }
 
-    // 计算测试分数
-    const testScore = this.calculateTestScore(parseFloat(legLength));
+  /**
+   * 读取实验记录模态窗中的被测信息
+   * @returns {Object} 被测信息
+   */
+  getSubjectFormValues() {
+    const age = parseInt(document.getElementById('test-subject-age').value, 10);
+    const legLengthCm = parseFloat(document.getElementById('test-subject-leg-length').value);
+    return {
+      id: document.getElementById('test-subject-id').value.trim(),
+      gender: document.getElementById('test-subject-gender').value,
+      age: Number.isFinite(age) ? age : null,
+      legLengthCm: Number.isFinite(legLengthCm) && legLengthCm > 0 ? legLengthCm : null
+    };
+  }
 
-    // 获取8方向读数（优先从sensorData读取已完成方向的真实读数）
+  /**
+   * 获取8方向读数（按通道顺序，优先从sensorData读取已完成方向的真实读数）
+   * @returns {number[]} 8方向距离（mm），未测方向为0
+   */
+  collectMeasurementDistances() {
     const distances = [];
-    const directionIds = ['L', 'BL', 'FL', 'F', 'B', 'BR', 'FR', 'R'];
-    directionIds.forEach((dirCode, index) => {
+    for (let index = 0; index < 8; index++) {
       let distance = 0;
       
       // 优先从sensorData读取已完成方向的真实读数
@@ -4280,8 +6534,133 @@ class SEBTApp {
       }
       
       distances.push(distance);
+    }
+    return distances;
+  }
+
+  /**
+   * 构建当前测试记录（用于持久化和导出）
+   * @returns {Object} 测试记录
+   */
+  buildSessionRecord() {
+    const subject = this.getSubjectFormValues();
+    const trialPlan = { ...this.getActiveTrialPlan() };
+    const legs = getTrialLegs(trialPlan);
+    const trials = this.getSessionTrials();
+    const aggregatedResults = aggregateTrialResults(trials, trialPlan.aggregation, legs);
+    const scoringFormula = this.getActiveScoringFormula();
+    const anatomicalResults = {};
+    const normalizedResults = {};
+    const scores = {};
+    legs.forEach((leg) => {
+      anatomicalResults[leg] = toAnatomicalResults(aggregatedResults[leg], leg);
+      normalizedResults[leg] = subject.legLengthCm
+        ? calculateScores(anatomicalResults[leg], subject.legLengthCm, scoringFormula).normalized
+        : null;
+      scores[leg] = subject.legLengthCm ? this.calculateTestScore(subject.legLengthCm, { stanceLeg: leg }) : null;
     });
 
+    const startedAt = this.historySession
+      ? this.historySession.startedAt
+      : (this.experimentStartTime ? new Date(this.experimentStartTime).toISOString() : null);
+
+    return {
+      id: this.currentSessionId || undefined,
+      startedAt,
+      subject,
+      parameters: this.historySession ? this.historySession.parameters : this.getSessionParameters(),
+      trialPlan,
+      trials,
+      aggregatedResults,
+      anatomicalResults,
+      symmetry: calculateSymmetryIndex(aggregatedResults),
+      scoringFormula,
+      normalizedResults,
+      scores,
+      // 测试期间使用的传感器校准（见 calibration-store.js），null 表示使用原始读数
+      calibrationId: this.historySession ? (this.historySession.calibrationId ?? null) : this.calibration.id,
+      // 开始测试前的自检报告（见 readiness.js），旧记录为null
+      readiness: this.historySession ? (this.historySession.readiness ?? null) : this.sessionReadiness,
+      // 原始数据流：测试期间的录制文件，或回放数据的来源文件
+      recordingFile: this.historySession ? (this.historySession.recordingFile ?? null) : this.recordingFilePath,
+      replayFile: this.historySession
+        ? (this.historySession.replayFile ?? null)
+        : (this.replayStatus.replaying ? this.replayStatus.filePath : null),
+      // 第一条站立腿的汇总结果和分数（历史列表、文件名使用）
+      measurementResults: aggregatedResults[legs[0]],
+      score: scores[legs[0]]
+    };
+  }
+
+  /**
+   * 保存当前测试记录到本地数据库（内容未变化时跳过）
+   * @returns {Promise<Object|null>} 保存后的记录
+   */
+  async persistCurrentSession() {
+    if (this.getSessionTrials().length === 0) {
+      return null;
+    }
+
+    const record = this.buildSessionRecord();
+    const snapshot = JSON.stringify(record);
+    if (snapshot === this.lastSavedSessionSnapshot) {
+      return null;
+    }
+    const generation = this.sessionGeneration;
+
+    try {
+      const result = await window.sebt.sessions.save(record);
+      if (!result || !result.success) {
+        throw new Error(result?.error || '未知错误');
+      }
+
+      // 保存期间已开始新的测试时，不再回写旧记录的ID
+      if (generation === this.sessionGeneration) {
+        this.currentSessionId = result.session.id;
+        // 记录保存后的内容（包含ID），用于后续比较
+        this.lastSavedSessionSnapshot = JSON.stringify({ ...record, id: result.session.id });
+      }
+      console.log('💾 测试记录已保存:', result.session.id);
+      return result.session;
+    } catch (error) {
+      console.error('❌ 保存测试记录失败:', error);
+      this.addLog(`❌ 保存测试记录失败: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * 补全旧版本测试记录的试验信息（单次试验、左腿）
+   * @param {Object} session - 测试记录
+   * @returns {Object} 补全后的测试记录
+   */
+  normalizeSession(session) {
+    const trialPlan = session.trialPlan || { ...DEFAULT_TRIAL_PLAN };
+    const trials = session.trials || [{
+      leg: trialPlan.stanceLeg === 'right' ? 'right' : 'left',
+      practice: false,
+      number: 1,
+      results: { ...session.measurementResults }
+    }];
+    const aggregatedResults = session.aggregatedResults || { [trials[0].leg]: { ...session.measurementResults } };
+    const scores = session.scores || { [trials[0].leg]: session.score ?? null };
+    const scoringFormula = session.scoringFormula || DEFAULT_SCORING_FORMULA;
+    return { ...session, trialPlan, trials, aggregatedResults, scores, scoringFormula };
+  }
+
+  /**
+   * 构建测试记录的CSV内容
+   * 每条站立腿依次输出各次试验读数、汇总结果和测试分数、标准化伸展距离；双腿记录最后附对称指数和左右差值
+   * 方向列为相对站立腿的解剖学方向
+   * @param {Object} session - 测试记录
+   * @returns {string} CSV字符串
+   */
+  buildSessionCSV(session) {
+    const {
+      subject = {}, parameters = {}, trialPlan, trials, aggregatedResults, scores, scoringFormula, calibrationId = null,
+      readiness = null
+    } = this.normalizeSession(session);
+
     // 构建CSV数据
     const csvHeader = [
       '被测序号',
@@ -4292,90 +6671,461 @@ class SEBTApp {
       '从机参数-稳定时长(次)',
       '从机参数-压力最小阈值',
       '从机参数-压力最大阈值',
-      '方向L(mm)',
-      '方向BL(mm)',
-      '方向FL(mm)',
-      '方向F(mm)',
-      '方向B(mm)',
-      '方向BR(mm)',
-      '方向FR(mm)',
-      '方向R(mm)',
+      '主机参数-信号滤波',
+      '主机参数-发送间隔/最大距离',
+      '评分公式',
+      '校准ID',
+      '测试前自检',
+      '站立腿',
+      '记录类型',
+      ...anatomicalDirections.map(({ code, displayName }) => `${displayName}${code}(mm)`),
       '测试分数'
     ];
 
-    const csvData = [
-      subjectId,
-      subjectGender,
-      subjectAge,
-      legLength,
-      this.LOCK_REQUIRED_COUNT,
-      this.stableRequiredCount,
-      this.pressureMinThreshold,
-      this.pressureMaxThreshold,
-      ...distances,
-      testScore.toFixed(2) // CSV导出时也保留2位小数
+    const baseData = [
+      subject.id,
+      subject.gender,
+      subject.age,
+      subject.legLengthCm,
+      parameters.lockRequiredCount,
+      parameters.stableRequiredCount,
+      parameters.pressureMinThreshold,
+      parameters.pressureMaxThreshold,
+      parameters.filter ? this.describeFilterConfig(parameters.filter) : '',
+      parameters.device ? this.describeDeviceConfig(parameters.device) : '',
+      scoringFormula,
+      calibrationId,
+      readiness ? this.describeReadiness(readiness) : ''
     ];
 
+    const csvRows = [];
+    Object.keys(aggregatedResults).forEach((leg) => {
+      trials.filter(trial => trial.leg === leg).forEach((trial) => {
+        csvRows.push([
+          ...baseData,
+          stanceLegLabels[leg],
+          `${trial.practice ? '练习试验' : '正式试验'}${trial.number}`,
+          ...Object.values(toAnatomicalResults(trial.results || {}, leg)),
+          ''
+        ]);
+      });
+
+      const score = scores[leg];
+      csvRows.push([
+        ...baseData,
+        stanceLegLabels[leg],
+        trialAggregationLabels[trialPlan.aggregation],
+        ...Object.values(toAnatomicalResults(aggregatedResults[leg], leg)),
+        typeof score === 'number' ? score.toFixed(2) : '' // CSV导出时也保留2位小数
+      ]);
+
+      if (subject.legLengthCm) {
+        const { normalized } = calculateScores(
+          toAnatomicalResults(aggregatedResults[leg], leg), subject.legLengthCm, scoringFormula
+        );
+        csvRows.push([
+          ...baseData,
+          stanceLegLabels[leg],
+          '标准化(%腿长)',
+          ...anatomicalDirections.map(({ code }) => normalized[code]),
+          ''
+        ]);
+      }
+    });
+
+    // 双腿记录：各方向对称指数（分数列为综合分数的对称指数）和左右差值
+    const symmetry = calculateSymmetryIndex(aggregatedResults);
+    if (symmetry) {
+      const scoreLsi = scores.left > 0 && scores.right > 0 ? (scores.left / scores.right * 100).toFixed(1) : '';
+      csvRows.push([
+        ...baseData,
+        '双腿',
+        '对称指数LSI(%)',
+        ...anatomicalDirections.map(({ code }) => symmetry[code].lsi),
+        scoreLsi
+      ]);
+      csvRows.push([
+        ...baseData,
+        '双腿',
+        '左右差值(mm)',
+        ...anatomicalDirections.map(({ code }) => symmetry[code].differenceMm),
+        ''
+      ]);
+    }
+
     // 构建CSV字符串
-    const csvContent = [
+    return [
       csvHeader.join(','),
-      csvData.join(',')
+      ...csvRows.map(row => row.map(value => (value === null || value === undefined ? '' : value)).join(','))
     ].join('\n');
+  }
+
+  /**
+   * 将测试记录导出为CSV文件
+   * @param {Object} session - 测试记录
+   * @returns {Promise<boolean>} 是否导出成功
+   */
+  async exportSessionToCSV(session) {
+    const csvContent = this.buildSessionCSV(session);
 
     // 生成文件名：SEBT-序号-分数-时间（年月日）
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
+    const date = session.createdAt ? new Date(session.createdAt) : new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
     const dateStr = `${year}${month}${day}`;
-    const fileName = `SEBT-${subjectId}-${testScore}-${dateStr}.csv`;
+    const fileName = `SEBT-${session.subject?.id || ''}-${session.score}-${dateStr}.csv`;
 
-    // 使用Electron的dialog API保存文件
-    const { ipcRenderer } = require('electron');
+    // 由主进程弹出保存对话框并写入文件（渲染进程不能指定写入路径）
     try {
-      const result = await ipcRenderer.invoke('save-file-dialog', {
-        defaultPath: fileName,
-        filters: [
-          { name: 'CSV文件', extensions: ['csv'] }
-        ]
-      });
-
-      if (!result.canceled && result.filePath) {
-        // 通过IPC调用主进程写入文件
-        const writeResult = await ipcRenderer.invoke('write-file', {
-          filePath: result.filePath,
-          content: csvContent
-        });
-        if (writeResult && writeResult.success) {
-          alert('数据导出成功！');
-          console.log('✅ CSV文件已保存:', result.filePath);
-          
-          // 导出成功后，自动回到初始状态（类似点击重新测试按钮）
-          this.retest();
-        } else {
-          alert('导出失败：' + (writeResult?.error || '未知错误'));
-          console.error('❌ CSV文件保存失败:', writeResult?.error);
-        }
+      const result = await window.sebt.files.exportCSV({ fileName, content: csvContent });
+      if (result && result.success) {
+        alert('数据导出成功！');
+        console.log('✅ CSV文件已保存:', result.filePath);
+        return true;
+      }
+      if (result && result.canceled) {
+        return false;
       }
+
+      alert('导出失败：' + (result?.error || '未知错误'));
+      console.error('❌ CSV文件保存失败:', result?.error);
+      return false;
     } catch (error) {
       console.error('❌ 导出CSV失败:', error);
       alert('导出失败，请检查文件路径和权限');
+      return false;
+    }
+  }
+
+  /**
+   * 导出CSV数据
+   */
+  async exportToCSV() {
+    const subject = this.getSubjectFormValues();
+
+    // 验证必填字段
+    if (!subject.id || !subject.gender || subject.age === null || subject.legLengthCm === null) {
+      alert('请填写完整的基础信息（序号、性别、年龄、腿长）');
+      return;
+    }
+
+    // 导出前先保存到本地数据库
+    const saved = await this.persistCurrentSession();
+    const session = saved || { ...this.buildSessionRecord(), createdAt: new Date().toISOString() };
+
+    const exported = await this.exportSessionToCSV(session);
+    if (exported) {
+      // 导出成功后，自动回到初始状态（类似点击重新测试按钮）
+      this.retest();
+    }
+  }
+
+  /**
+   * 开始/停止录制原始数据流
+   */
+  async toggleRecording() {
+    const recording = !this.recordingFilePath;
+    try {
+      const result = await (recording ? window.sebt.recording.start() : window.sebt.recording.stop());
+      if (!result || !result.success) {
+        throw new Error(result?.error || '未知错误');
+      }
+
+      if (recording) {
+        this.recordingFilePath = result.recording.filePath;
+        this.addLog(`⏺️ 开始录制原始数据: ${this.recordingFilePath}`, 'success');
+      } else {
+        this.recordingFilePath = null;
+        this.addLog(`⏹️ 录制已停止: ${result.recording.filePath}（${result.recording.packetCount}个数据包）`, 'info');
+      }
+      this.updateRecordingButtons();
+    } catch (error) {
+      console.error('❌ 录制操作失败:', error);
+      this.addLog(`❌ 录制操作失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 更新录制/回放按钮状态
+   */
+  updateRecordingButtons() {
+    const recordingBtn = document.getElementById('recording-btn');
+    if (recordingBtn) {
+      recordingBtn.textContent = this.recordingFilePath ? '停止录制' : '录制数据';
+      recordingBtn.classList.toggle('active', Boolean(this.recordingFilePath));
+      recordingBtn.disabled = this.replayStatus.replaying;
+    }
+
+    const replayBtn = document.getElementById('replay-btn');
+    if (replayBtn) {
+      replayBtn.textContent = this.replayStatus.replaying ? '停止回放' : '回放录制';
+      replayBtn.classList.toggle('active', this.replayStatus.replaying);
+      replayBtn.disabled = Boolean(this.recordingFilePath);
+    }
+  }
+
+  /**
+   * 显示录制回放模态窗
+   */
+  showReplayModal() {
+    const modal = document.getElementById('replay-modal');
+    if (!modal) return;
+
+    modal.classList.add('show');
+    this.loadRecordings();
+  }
+
+  /**
+   * 隐藏录制回放模态窗
+   */
+  hideReplayModal() {
+    const modal = document.getElementById('replay-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+  }
+
+  /**
+   * 查询并渲染录制文件列表
+   */
+  async loadRecordings() {
+    const tbody = document.getElementById('replay-recordings-body');
+    if (!tbody) return;
+
+    const result = await window.sebt.recording.list();
+    const recordings = result?.recordings || [];
+
+    tbody.innerHTML = '';
+    if (recordings.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="session-history-empty">暂无录制文件</td></tr>';
+      return;
+    }
+
+    recordings.forEach((recording) => {
+      const row = document.createElement('tr');
+      const cells = [
+        recording.fileName,
+        new Date(recording.modifiedAt).toLocaleString('zh-CN', { hour12: false }),
+        `${(recording.size / 1024).toFixed(1)} KB`
+      ];
+      cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const replayBtn = document.createElement('button');
+      replayBtn.className = 'bluetooth-device-btn primary';
+      replayBtn.textContent = '回放';
+      replayBtn.addEventListener('click', () => this.startReplay(recording.filePath));
+      actionCell.appendChild(replayBtn);
+      row.appendChild(actionCell);
+
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * 开始回放录制文件
+   * 数据在主进程经 BLEManager.handleWebSocketData 重新注入，与实时数据走相同的处理路径
+   * @param {string} filePath - 录制文件路径
+   */
+  async startReplay(filePath) {
+    const speedSelect = document.getElementById('replay-speed');
+    const speed = speedSelect ? speedSelect.value : 'realtime';
+
+    const result = await window.sebt.replay.start({ filePath, speed });
+    if (!result || !result.success) {
+      alert('回放失败：' + (result?.error || '未知错误'));
+      return;
+    }
+
+    this.hideReplayModal();
+  }
+
+  /**
+   * 停止回放
+   */
+  async stopReplay() {
+    await window.sebt.replay.stop();
+  }
+
+  /**
+   * 处理主进程推送的回放状态
+   * @param {Object} status - {replaying, filePath, speed, packetCount, totalPackets, completed}
+   */
+  handleReplayStatus(status) {
+    const wasReplaying = this.replayStatus.replaying;
+    this.replayStatus = status;
+    this.updateRecordingButtons();
+
+    if (status.replaying && !wasReplaying) {
+      const speedText = status.speed === 'fast' ? '快速' : '1×';
+      this.addLog(`▶️ 开始回放录制（${speedText}，${status.totalPackets}个数据包）: ${status.filePath}`, 'info');
+    } else if (!status.replaying && wasReplaying) {
+      const resultText = status.completed ? '回放完成' : '回放已停止';
+      this.addLog(`⏹️ ${resultText}（${status.packetCount}/${status.totalPackets}个数据包）`, status.completed ? 'success' : 'warning');
+    }
+  }
+
+  /**
+   * 显示历史测试记录模态窗
+   */
+  showSessionHistoryModal() {
+    const modal = document.getElementById('session-history-modal');
+    if (!modal) return;
+
+    const searchInput = document.getElementById('session-history-search');
+    modal.classList.add('show');
+    this.loadSessionHistory(searchInput ? searchInput.value : '');
+  }
+
+  /**
+   * 隐藏历史测试记录模态窗
+   */
+  hideSessionHistoryModal() {
+    const modal = document.getElementById('session-history-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+  }
+
+  /**
+   * 查询并渲染历史测试记录
+   * @param {string} query - 搜索关键字
+   */
+  async loadSessionHistory(query = '') {
+    try {
+      const result = await window.sebt.sessions.list({ query });
+      if (!result || !result.success) {
+        throw new Error(result?.error || '未知错误');
+      }
+      this.renderSessionHistory(result.sessions);
+    } catch (error) {
+      console.error('❌ 读取历史记录失败:', error);
+      this.addLog(`❌ 读取历史记录失败: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * 渲染历史测试记录列表
+   * @param {Object[]} sessions - 测试记录列表
+   */
+  renderSessionHistory(sessions) {
+    const tbody = document.getElementById('session-history-body');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (!sessions || sessions.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="session-history-empty">暂无测试记录</td></tr>';
+      return;
+    }
+
+    sessions.forEach((session) => {
+      const subject = session.subject || {};
+      const row = document.createElement('tr');
+
+      const cells = [
+        new Date(session.createdAt).toLocaleString('zh-CN', { hour12: false }),
+        subject.id || '--',
+        subject.gender || '--',
+        subject.age ?? '--',
+        subject.legLengthCm ?? '--',
+        typeof session.score === 'number' ? session.score.toFixed(2) : '--'
+      ];
+      cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = String(text);
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const openBtn = document.createElement('button');
+      openBtn.className = 'bluetooth-device-btn secondary';
+      openBtn.textContent = '打开';
+      openBtn.addEventListener('click', () => this.openHistorySession(session.id));
+
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'bluetooth-device-btn primary';
+      exportBtn.textContent = '导出';
+      exportBtn.addEventListener('click', () => this.exportSessionToCSV(session));
+
+      actionCell.appendChild(openBtn);
+      actionCell.appendChild(exportBtn);
+      row.appendChild(actionCell);
+
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * 重新打开历史测试记录（在实验记录模态窗中查看、修改和导出）
+   * @param {string} sessionId - 记录ID
+   */
+  async openHistorySession(sessionId) {
+    if (this.experimentRunning) {
+      alert('请先结束当前测试再打开历史记录');
+      return;
+    }
+
+    // 打开前保存当前未保存的测试数据
+    await this.persistCurrentSession();
+
+    const result = await window.sebt.sessions.get(sessionId);
+    if (!result || !result.success || !result.session) {
+      alert('打开历史记录失败：' + (result?.error || '记录不存在'));
+      return;
     }
+
+    const session = this.normalizeSession(result.session);
+
+    // 载入各次试验结果（不修改主页面网格状态）
+    this.completedDirections.clear();
+    this.measurementResults.clear();
+    this.measurementDetails.clear();
+    this.trialResults = session.trials.map(trial => ({ ...trial, results: { ...trial.results } }));
+    this.trialSequence = [];
+    this.currentTrialIndex = 0;
+
+    this.historySession = session;
+    this.currentSessionId = session.id;
+
+    this.hideSessionHistoryModal();
+    this.showExperimentRecordModal(session);
+    this.lastSavedSessionSnapshot = JSON.stringify(this.buildSessionRecord());
+
+    this.addLog(`🗂️ 已打开历史记录: ${session.subject?.id || session.id}`, 'info');
   }
 
   /**
    * 重新测试
    */
   retest() {
+    // 重置前保存本次测试记录（防止忘记导出导致数据丢失）
+    this.persistCurrentSession();
+
     // 关闭模态窗（不恢复测试状态）
     this.hideExperimentRecordModal(false);
 
     // 重置实验状态
     this.experimentRunning = false;
+    this.resetAutoRun();
 
     // 清空已完成测距数据
     this.completedDirections.clear();
     this.measurementResults.clear();
+    this.clearMeasurementGapFlags();
+    this.clearMeasurementQualityFlags();
+
+    // 开始新的测试记录
+    this.resetTrials();
+    this.sessionGeneration++;
+    this.currentSessionId = null;
+    this.lastSavedSessionSnapshot = null;
+    this.historySession = null;
 
     // 清空锁定方向
     this.lockedDirections.clear();
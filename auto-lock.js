@@ -0,0 +1,104 @@
+/*
+ * SEBT 自动锁定逻辑 (Auto Lock)
+ * 最短方向计算和连续计数锁定，不依赖DOM，渲染进程和测试共用
+ * 渲染进程中为全局 SEBTAutoLock
+ *
+ * 锁定规则: 同一最短方向连续出现 requiredCount 次后锁定
+ * 方向改变时计数从1重新开始；已完成测距的方向不参与计数
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTAutoLock = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 固件无有效目标时发送的最短方向（255，部分驱动转换为-1）
+  const NO_DIRECTION_VALUES = [-1, 255];
+
+  /**
+   * 从8方向距离中计算最短方向（排除已完成的方向和无效读数）
+   * @param {Array<number|string>} distances 8方向距离，无效读数可为 'invalid' 等非数字
+   * @param {Set<number>} [excludedChannels] 需要排除的通道（已完成测距的方向）
+   * @returns {{direction: number, distance: number}} 无有效读数时 direction 为-1、distance 为 Infinity
+   */
+  function findMinDirection(distances, excludedChannels = new Set()) {
+    let direction = -1;
+    let distance = Infinity;
+    distances.forEach((value, channel) => {
+      if (excludedChannels.has(channel)) {
+        return;
+      }
+      if (typeof value === 'number' && isFinite(value) && value >= 0 && value < distance) {
+        direction = channel;
+        distance = value;
+      }
+    });
+    return { direction, distance };
+  }
+
+  /**
+   * 确定本帧的最短方向：优先使用主机计算的最短方向，未提供时从距离数组计算
+   * @param {Object} payload 主机广播数据（currentMinDirection/minDir, currentMinDistance/minDist）
+   * @param {Array<number|string>} distances 8方向距离
+   * @param {Set<number>} [excludedChannels] 需要排除的通道
+   * @returns {{direction: number, distance: number}}
+   */
+  function resolveMinDirection(payload, distances, excludedChannels = new Set()) {
+    const direction = payload.currentMinDirection !== undefined ? payload.currentMinDirection : payload.minDir;
+    const distance = payload.currentMinDistance !== undefined ? payload.currentMinDistance : payload.minDist;
+
+    if (direction === undefined || NO_DIRECTION_VALUES.includes(direction)) {
+      return findMinDirection(distances, excludedChannels);
+    }
+    return { direction, distance };
+  }
+
+  /**
+   * 判断最短方向是否可以参与锁定计数
+   * @param {number} direction 最短方向
+   * @param {number} distance 最短距离
+   * @param {Set<number>} [completedChannels] 已完成测距的通道
+   * @returns {boolean}
+   */
+  function isLockCandidate(direction, distance, completedChannels = new Set()) {
+    return direction >= 0 && direction < 8 &&
+      typeof distance === 'number' && isFinite(distance) &&
+      !completedChannels.has(direction);
+  }
+
+  /**
+   * 推进锁定计数
+   * @param {{direction: number, count: number}} state 当前计数状态
+   * @param {number} direction 本帧最短方向
+   * @param {Object} options 配置项
+   * @param {number} options.requiredCount 锁定所需连续次数
+   * @param {Set<number>} [options.completedChannels] 已完成测距的通道
+   * @returns {{state: {direction: number, count: number}, event: string}}
+   *   event: changed（方向改变，计数重新开始）| counting（计数中）| locked（达到锁定次数）| ignored（方向已完成）
+   */
+  function advanceLockCounter(state, direction, { requiredCount, completedChannels = new Set() }) {
+    if (state.direction !== direction) {
+      return { state: { direction, count: 1 }, event: 'changed' };
+    }
+
+    if (completedChannels.has(direction)) {
+      return { state, event: 'ignored' };
+    }
+
+    const count = state.count + 1;
+    if (count >= requiredCount) {
+      // 锁定后计数归零，保留方向（解锁后需重新连续计数）
+      return { state: { direction, count: 0 }, event: 'locked', lockedCount: count };
+    }
+    return { state: { direction, count }, event: 'counting' };
+  }
+
+  return {
+    findMinDirection,
+    resolveMinDirection,
+    isLockCandidate,
+    advanceLockCounter
+  };
+});
@@ -2,14 +2,35 @@
  * SEBT BLE 管理器 (BLE Manager)
  * 通过 WebSocket Bridge 接收来自浏览器 Web Bluetooth API 的数据
  * 
- * 数据格式: [时间戳(4字节)] [最小方向(1字节)] [最小距离(2字节)] [8方向距离(16字节)]
- * 总长度: 23字节
- * 发送间隔: 300ms
+ * 数据格式: v1 23字节 [时间戳] [最小方向] [最小距离] [8方向距离]；
+ *          v2 27字节，另带版本、序号（精确统计丢包）和传感器状态（故障通道）
+ * 编解码见 packet-codec.js，驱动页面也可直接发送原始数据帧
+ * 发送间隔: 默认300ms，可通过设备命令修改（见 device-commands.js）
  */
 
+const { StreamReplay } = require('./stream-recorder');
+const { validateSensorData, validatePressureData } = require('./packet-validation');
+const { SENSOR_COUNT, decodeSensorPacket, getFaultedChannels } = require('./packet-codec');
+const { GAP_THRESHOLD_MS, checkPacketContinuity, isDiscontinuity } = require('./packet-continuity');
+const { SignalFilter } = require('./signal-filter');
+const { LinkStats } = require('./link-stats');
+const { checkRendererEvent } = require('./ipc-channels');
+const {
+  DEVICE_COMMANDS,
+  DEFAULT_DEVICE_SETTINGS,
+  DEVICE_SETTING_COMMANDS,
+  validateDeviceSettings,
+  filterConfigToDeviceSettings,
+  getUnsyncedDeviceSettings,
+  parseDeviceConfig,
+  DeviceCommandChannel
+} = require('./device-commands');
+
 // --- 配置 ---
 const DEVICE_NAME = 'SEBT-Host';
-const DATA_PACKET_SIZE = 23; // 23字节数据包
+const SLAVE_DEVICE_NAME = 'SEBT-Slave';
+// 需要录制的消息类型（数据包验证通过后录制，连接状态用于回放时还原从机/主机状态）
+const RECORDED_MESSAGE_TYPES = ['sensor_data', 'sensor_frame', 'slave_pressure_data', 'connected', 'disconnected', 'slave_connected', 'slave_disconnected', 'link_status'];
 
 /**
  * BLE 管理器类
@@ -19,23 +40,52 @@ class BLEManager {
   /**
    * @param {Object} options 配置项
    * @param {import('electron').BrowserWindow} options.mainWindow 主窗口实例
+   * @param {import('./stream-recorder').StreamRecorder} [options.recorder] 原始数据流录制器
+   * @param {Function} [options.sendToDriver] (role, message) => boolean，发送消息到协商了设备命令能力的驱动
    */
-  constructor({ mainWindow }) {
+  constructor({ mainWindow, recorder = null, sendToDriver = null }) {
     this.mainWindow = mainWindow;
+    this.recorder = recorder;
+    // 主机设备命令（见 device-commands.js），deviceSettings 为期望的设备参数，deviceConfig 为设备确认的参数
+    this.hostCommands = new DeviceCommandChannel({
+      transmit: message => Boolean(sendToDriver?.('host', { type: 'device_command', ...message }))
+    });
+    this.deviceSettings = { ...DEFAULT_DEVICE_SETTINGS };
+    this.deviceConfig = null; // GET_CONFIG 结果（见 parseDeviceConfig），未读取时为null
+    this.commandStats = { sent: 0, failed: 0, lastError: null };
+    this.replay = null; // 当前回放（StreamReplay），未回放时为null
+    this.replayFile = null;
+    this.droppedLivePackets = 0; // 回放期间忽略的实时数据包数量
+    this.rejectedFrames = 0; // 解码失败的二进制数据帧数量
+    this.hostContinuity = null; // 上一个主机数据包的时间戳和接收时间（见 packet-continuity.js）
+    this.continuityStats = { gaps: 0, losses: 0, late: 0, duplicates: 0, restarts: 0, missedPackets: 0 };
+    // 传感器故障（v2 数据包的传感器状态）：faulted 为当前故障通道，v1 数据包无法判断时为null；counts 为各通道累计故障包数
+    this.sensorFaults = { sequenced: false, faulted: null, counts: new Array(SENSOR_COUNT).fill(0) };
+    this.hostStats = new LinkStats(); // 诊断面板统计（包率、丢包率、Bridge 延迟、拒绝原因）
+    this.slaveStats = new LinkStats();
+    this.signalFilter = new SignalFilter(); // 主机读数滤波（见 signal-filter.js），参数由渲染进程设置
+    this.lastHostReadings = null; // 最近一包的原始和滤波读数 {raw, filtered}（诊断面板显示）
     this.isConnected = false;
     this.isScanning = false;
     this.packetCount = 0;
     this.device = null;
+    this.isSlaveConnected = false;
+    this.slaveDevice = null;
+    this.slavePacketCount = 0;
     this.scanInterval = null;
     this.reconnectTimeout = null;
   }
 
   /**
-   * 发送事件到渲染进程
+   * 发送事件到渲染进程（通道需在 ipc-channels.js 中注册，开发模式下检查数据格式）
    * @param {string} channel 事件通道
    * @param {any} data 数据
+   * @returns {boolean} 是否已发送
    */
   sendToRenderer(channel, data) {
+    if (!checkRendererEvent(channel, data)) {
+      return false;
+    }
     try {
       if (!this.mainWindow) {
         console.warn(`[DEBUG] 主窗口不存在，无法发送 ${channel}`);
@@ -56,47 +106,491 @@ class BLEManager {
   }
 
   /**
-   * 验证传感器数据
+   * 验证传感器数据（规则见 packet-validation.js）
    * @param {Object} data 从 WebSocket 接收的传感器数据
    * @returns {Object|null} 验证后的传感器数据
    */
   validateSensorData(data) {
-    try {
-      // 验证数据有效性（最大距离2000mm，与硬件端一致）
-      const isValid = data.minDistance >= 0 && data.minDistance <= 2000 &&
-                     data.timestamp > 0 && data.timestamp < 0xFFFFFFFF &&
-                     data.minDirection >= -1 && data.minDirection < 8 &&
-                     Array.isArray(data.distances) && data.distances.length === 8;
-
-      if (!isValid) {
-        console.log(`[BLE] 数据包验证失败: timestamp=${data.timestamp}, minDir=${data.minDirection}, minDist=${data.minDistance}`);
-        return null;
-      }
+    const { valid, reason } = validateSensorData(data);
+    if (!valid) {
+      this.hostStats.recordRejection(reason);
+      console.log(`[BLE] 数据包验证失败: ${reason}`);
+      return null;
+    }
+    return data;
+  }
 
-      return data;
-    } catch (error) {
-      console.error(`[BLE] 数据验证错误: ${error.message}`);
+  /**
+   * 验证从机压力数据（规则见 packet-validation.js）
+   * @param {Object} data 从 WebSocket 接收的压力数据
+   * @returns {Object|null} 归一化后的压力数据 {timestamp, pressure}
+   */
+  validatePressureData(data) {
+    const { valid, reason, timestamp, pressure } = validatePressureData(data);
+    if (!valid) {
+      this.slaveStats.recordRejection(reason);
+      console.log(`[BLE] 压力数据包验证失败: ${reason}`);
       return null;
     }
+
+    return {
+      timestamp,
+      pressure,
+      name: data.name,
+      address: data.address
+    };
+  }
+
+  /**
+   * 解码原始数据帧（格式见 packet-codec.js）
+   * @param {Object} data sensor_frame 消息 {data: base64, packetLayout, name, address}（packetLayout 为驱动 hello 中声明的布局，未声明时按长度识别）
+   * @returns {Object|null} 与驱动页面发送格式一致的 sensor_data 消息，解码失败时为null
+   */
+  decodeSensorFrame(data) {
+    const { ok, reason, packet } = decodeSensorPacket(data.data, { version: data.packetLayout ?? undefined });
+    if (!ok) {
+      this.rejectedFrames++;
+      this.hostStats.recordRejection(reason);
+      console.log(`[BLE] 数据帧解码失败 (#${this.rejectedFrames}): ${reason}`);
+      return null;
+    }
+
+    return {
+      type: 'sensor_data',
+      timestamp: packet.timestamp,
+      minDirection: packet.minDirection,
+      minDistance: packet.minDistance,
+      distances: packet.distances,
+      // v2 数据包才有序号和传感器状态
+      ...(packet.sequence !== undefined ? { sequence: packet.sequence, sensorStatus: packet.sensorStatus } : {}),
+      source: 'host',
+      name: data.name || DEVICE_NAME,
+      address: data.address || 'binary-frame'
+    };
   }
 
   /**
    * 处理来自 WebSocket 的 BLE 数据
    * @param {Object} data 从浏览器 WebSocket 接收的数据
+   * @param {string} [source] 数据来源 live（驱动页面）| replay（录制回放）
    */
-  handleWebSocketData(data) {
+  handleWebSocketData(data, source = 'live') {
+    // 设备命令确认不属于数据流，不录制，回放期间也照常处理
+    if (data.type === 'command_ack') {
+      if (!this.hostCommands.handleAck(data)) {
+        console.warn(`[BLE] 忽略超时或未知的设备命令确认: #${data.id}`);
+      }
+      return;
+    }
+
+    // 回放期间忽略实时数据，避免与录制数据混在一起
+    if (source === 'live' && this.replay) {
+      this.droppedLivePackets++;
+      return;
+    }
+
     if (data.type === 'sensor_data') {
       const sensorData = this.validateSensorData(data);
-      if (sensorData) {
-        this.processSensorData(sensorData);
+      const continuity = sensorData && this.checkHostContinuity(sensorData);
+      if (continuity) {
+        const filteredData = this.filterSensorData(sensorData, continuity);
+        this.hostStats.recordPacket({ receivedAt: Date.now(), missedPackets: continuity.missedPackets, latencyMs: this.getBridgeLatency(data, source) });
+        // 录制原始消息并附带滤波结果（回放时按当时的滤波参数重新滤波）
+        this.recordPacket({ ...data, filtered: this.lastHostReadings.filtered }, source);
+        this.processSensorData(filteredData, continuity);
+      }
+    } else if (data.type === 'sensor_frame') {
+      // 原始二进制数据帧（base64），录制原始帧，回放时重新解码
+      const sensorData = this.decodeSensorFrame(data);
+      const continuity = sensorData && this.validateSensorData(sensorData) && this.checkHostContinuity(sensorData);
+      if (continuity) {
+        const filteredData = this.filterSensorData(sensorData, continuity);
+        this.hostStats.recordPacket({ receivedAt: Date.now(), missedPackets: continuity.missedPackets, latencyMs: this.getBridgeLatency(data, source) });
+        // 录制原始消息并附带滤波结果（回放时按当时的滤波参数重新滤波）
+        this.recordPacket({ ...data, filtered: this.lastHostReadings.filtered }, source);
+        this.processSensorData(filteredData, continuity);
+      }
+    } else if (data.type === 'slave_pressure_data') {
+      const pressureData = this.validatePressureData(data);
+      if (pressureData) {
+        this.slaveStats.recordPacket({ receivedAt: Date.now(), latencyMs: this.getBridgeLatency(data, source) });
+        this.recordPacket(data, source);
+        this.processPressureData(pressureData);
+      }
+    } else if (RECORDED_MESSAGE_TYPES.includes(data.type)) {
+      this.recordPacket(data, source);
+      this.handleConnectionMessage(data);
+    } else {
+      console.log(`[BLE] 收到未知数据类型: ${data.type}`);
+    }
+  }
+
+  /**
+   * 计算驱动发送到主进程收到的 Bridge 延迟
+   * @param {Object} data WebSocket 消息（驱动发送的 JSON 消息带 sentAt，原始数据帧不带）
+   * @param {string} source 数据来源（回放数据的 sentAt 为录制时的时间，不计算延迟）
+   * @returns {number|null} 毫秒，无法计算时为null
+   */
+  getBridgeLatency(data, source) {
+    if (source !== 'live' || typeof data.sentAt !== 'number' || !Number.isFinite(data.sentAt)) {
+      return null;
+    }
+    return Date.now() - data.sentAt;
+  }
+
+  /**
+   * 检查主机数据包的连续性（丢包、延迟、重复包、设备重启）
+   * @param {Object} sensorData 已验证的传感器数据
+   * @returns {Object|null} 连续性检查结果，重复包返回null（丢弃）
+   */
+  checkHostContinuity(sensorData) {
+    // 中断阈值随设备确认的发送间隔放大：间隔接近1秒时，正常数据包的时间戳间隔本身就超过默认阈值
+    const intervalMs = this.getHostIntervalMs();
+    const result = checkPacketContinuity(
+      this.hostContinuity,
+      { timestamp: sensorData.timestamp, receivedAt: Date.now(), sequence: sensorData.sequence },
+      { intervalMs, gapThresholdMs: Math.max(GAP_THRESHOLD_MS, 3 * intervalMs) }
+    );
+    this.hostContinuity = result.state;
+
+    if (result.event === 'duplicate') {
+      this.continuityStats.duplicates++;
+      this.hostStats.recordRejection('重复数据包');
+      console.warn(`⚠️ [BLE] 丢弃重复的主机数据包: 时间戳 ${sensorData.timestamp}`);
+      return null;
+    }
+    if (result.event === 'gap') {
+      this.continuityStats.gaps++;
+      this.continuityStats.missedPackets += result.missedPackets;
+      console.warn(`⚠️ [BLE] 主机数据中断 ${result.gapMs}ms（${result.state.sequence !== null ? '' : '约'}丢失 ${result.missedPackets} 个数据包）`);
+    } else if (result.event === 'loss') {
+      this.continuityStats.losses++;
+      this.continuityStats.missedPackets += result.missedPackets;
+      console.warn(`⚠️ [BLE] 主机数据包序号跳到 ${sensorData.sequence}（丢失 ${result.missedPackets} 个数据包）`);
+    } else if (result.event === 'late') {
+      this.continuityStats.late++;
+      this.continuityStats.missedPackets += result.missedPackets;
+      console.warn(`⚠️ [BLE] 主机数据延迟到达: 接收间隔 ${result.gapMs}ms`);
+    } else if (result.event === 'restart') {
+      this.continuityStats.restarts++;
+      console.warn(`⚠️ [BLE] 主机时间戳回退到 ${sensorData.timestamp}，设备可能已重启`);
+      // 固件重启后恢复默认参数，重新下发
+      this.syncDeviceSettings();
+    }
+    return result;
+  }
+
+  /**
+   * 按 v2 数据包的传感器状态更新故障通道，故障出现或恢复时记录日志
+   * @param {Object} sensorData 已验证的传感器数据（v1 数据包没有 sensorStatus）
+   */
+  updateSensorFaults(sensorData) {
+    const faulted = getFaultedChannels(sensorData.sensorStatus);
+    const previous = this.sensorFaults.faulted;
+    this.sensorFaults.sequenced = Number.isInteger(sensorData.sequence);
+    this.sensorFaults.faulted = faulted;
+    if (!faulted) {
+      return;
+    }
+
+    faulted.forEach((channel) => {
+      this.sensorFaults.counts[channel]++;
+    });
+    const added = faulted.filter(channel => !previous?.includes(channel));
+    const recovered = (previous || []).filter(channel => !faulted.includes(channel));
+    if (added.length > 0) {
+      console.warn(`⚠️ [BLE] 传感器故障: 通道 ${added.join(', ')}`);
+    }
+    if (recovered.length > 0) {
+      console.log(`✅ [BLE] 传感器恢复: 通道 ${recovered.join(', ')}`);
+    }
+  }
+
+  /**
+   * 主机读数滤波（数据中断或设备重启后先清空滤波状态）
+   * @param {Object} sensorData 已验证的传感器数据
+   * @param {Object} continuity 连续性检查结果
+   * @returns {Object} 滤波后的传感器数据，raw 为原始读数 {distances, minDirection, minDistance}
+   */
+  filterSensorData(sensorData, continuity) {
+    if (isDiscontinuity(continuity.event)) {
+      this.signalFilter.reset();
+    }
+
+    const raw = {
+      distances: sensorData.distances,
+      minDirection: sensorData.minDirection,
+      minDistance: sensorData.minDistance
+    };
+    if (!this.signalFilter.isEnabled()) {
+      this.lastHostReadings = { raw, filtered: raw };
+      return { ...sensorData, raw };
+    }
+
+    const { distances, minDirection, minDistance, spikes } = this.signalFilter.process(sensorData.distances);
+    if (spikes.length > 0) {
+      console.log(`[BLE] 尖峰剔除: 通道 ${spikes.join(', ')}`);
+    }
+    const filtered = { distances, minDirection, minDistance };
+    this.lastHostReadings = { raw, filtered };
+    return { ...sensorData, ...filtered, raw };
+  }
+
+  /**
+   * 更新滤波参数（参数无效时抛出错误）；主机已连接时同步下发到固件
+   * @param {Object} config 滤波参数（见 signal-filter.js DEFAULT_FILTER_CONFIG）
+   * @returns {Object} 生效的滤波参数
+   */
+  setFilterConfig(config) {
+    this.signalFilter.setConfig(config);
+    console.log(`[BLE] 滤波参数已更新: ${JSON.stringify(this.signalFilter.config)}`);
+    this.deviceSettings = { ...this.deviceSettings, ...filterConfigToDeviceSettings(this.signalFilter.config) };
+    if (this.isConnected && !this.replay) {
+      this.syncDeviceSettings();
+    }
+    return this.getFilterConfig();
+  }
+
+  /**
+   * 获取当前滤波参数
+   * @returns {Object}
+   */
+  getFilterConfig() {
+    return JSON.parse(JSON.stringify(this.signalFilter.config));
+  }
+
+  /**
+   * 主机发送间隔（设备确认后以设备为准，否则按期望参数）
+   * @returns {number} 毫秒
+   */
+  getHostIntervalMs() {
+    return this.deviceConfig?.intervalMs || this.deviceSettings.intervalMs;
+  }
+
+  /**
+   * 获取设备参数
+   * @returns {{settings: Object, device: Object|null}} settings 为期望参数，device 为设备确认的参数（未读取时为null）
+   */
+  getDeviceSettings() {
+    return {
+      settings: { ...this.deviceSettings },
+      device: this.deviceConfig ? { ...this.deviceConfig } : null
+    };
+  }
+
+  /**
+   * 更新设备参数（参数无效时抛出错误）；主机已连接时立即下发，否则在主机连接后下发
+   * 滤波相关的设备参数随 setFilterConfig 更新，这里只接受发送间隔、最大有效距离和锁定次数
+   * @param {Object} settings {intervalMs, maxDistanceMm, lockCount}，省略的项保持不变
+   * @returns {Promise<{settings: Object, device: Object|null}>}
+   */
+  async setDeviceSettings(settings) {
+    const { intervalMs, maxDistanceMm, lockCount } = { ...this.deviceSettings, ...settings };
+    const next = { ...this.deviceSettings, intervalMs, maxDistanceMm, lockCount };
+    const { valid, reason } = validateDeviceSettings(next);
+    if (!valid) {
+      throw new Error(reason);
+    }
+    this.deviceSettings = next;
+    console.log(`[BLE] 设备参数已更新: ${JSON.stringify(this.deviceSettings)}`);
+
+    if (this.isConnected && !this.replay) {
+      await this.applyDeviceSettings();
+    }
+    return this.getDeviceSettings();
+  }
+
+  /**
+   * 读取设备参数并下发与期望不一致的参数
+   * 主机连接、链路恢复或固件重启时调用，失败只记录日志（旧固件或旧驱动页面不支持命令）
+   */
+  syncDeviceSettings() {
+    this.applyDeviceSettings().catch((error) => {
+      console.warn(`⚠️ [BLE] 设备参数未同步: ${error.message}`);
+    });
+  }
+
+  /**
+   * 读取设备参数并下发与期望不一致的参数，完成后通知渲染进程
+   * 旧固件的 GET_CONFIG 结果中没有的参数（锁定次数、滤波参数）不下发
+   * @returns {Promise<void>}
+   */
+  async applyDeviceSettings() {
+    try {
+      await this.executeDeviceCommand('GET_CONFIG');
+      for (const key of getUnsyncedDeviceSettings(this.deviceSettings, this.deviceConfig)) {
+        await this.executeDeviceCommand(DEVICE_SETTING_COMMANDS[key], this.deviceSettings[key]);
       }
-    } else if (data.type === 'connected') {
+    } finally {
+      this.sendDeviceConfig();
+    }
+  }
+
+  /**
+   * 发送操作员命令（连接测试、读取参数、重新初始化传感器）
+   * 设备参数只能通过 setDeviceSettings / setFilterConfig 修改，避免与期望参数不一致
+   * @param {string} name 命令名（见 device-commands.js）
+   * @returns {Promise<string|null>} 固件返回的结果
+   */
+  async sendDeviceCommand(name) {
+    if (Object.values(DEVICE_SETTING_COMMANDS).includes(name)) {
+      throw new Error(`${DEVICE_COMMANDS[name].label}请通过设备参数设置修改`);
+    }
+    const result = await this.executeDeviceCommand(name);
+    this.sendDeviceConfig();
+    return result;
+  }
+
+  /**
+   * 发送命令到主机固件并等待确认，成功后更新设备确认的参数
+   * @param {string} name 命令名
+   * @param {number} [value] 参数
+   * @returns {Promise<string|null>} 固件返回的结果
+   */
+  async executeDeviceCommand(name, value) {
+    if (this.replay) {
+      throw new Error('回放期间不能发送设备命令');
+    }
+    if (!this.isConnected) {
+      throw new Error('主机未连接');
+    }
+
+    this.commandStats.sent++;
+    try {
+      const { result } = await this.hostCommands.send(name, value);
+      console.log(`📟 [BLE] ${DEVICE_COMMANDS[name].label}${value !== undefined ? ` ${value}` : ''}: 已确认${result ? ` (${result})` : ''}`);
+      this.applyCommandResult(name, value, result);
+      return result;
+    } catch (error) {
+      this.commandStats.failed++;
+      this.commandStats.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * 按命令结果更新设备确认的参数
+   * @param {string} name 命令名
+   * @param {number} [value] 参数
+   * @param {string|null} result 固件返回的结果
+   */
+  applyCommandResult(name, value, result) {
+    if (name === 'GET_CONFIG') {
+      this.deviceConfig = parseDeviceConfig(result);
+      if (!this.deviceConfig) {
+        throw new Error(`设备参数格式错误: ${result}`);
+      }
+    } else if (Object.values(DEVICE_SETTING_COMMANDS).includes(name) && this.deviceConfig) {
+      const key = Object.keys(DEVICE_SETTING_COMMANDS).find(settingKey => DEVICE_SETTING_COMMANDS[settingKey] === name);
+      this.deviceConfig[key] = value;
+    } else if (name === 'REINIT_SENSORS' && this.deviceConfig) {
+      this.deviceConfig.sensorCount = Number(result);
+    }
+    this.hostStats.intervalMs = this.getHostIntervalMs();
+  }
+
+  /**
+   * 发送设备参数到渲染进程（锁定时长按设备确认的发送间隔计算）
+   */
+  sendDeviceConfig() {
+    this.sendToRenderer('device-config', this.getDeviceSettings());
+  }
+
+  /**
+   * 处理主机/从机连接状态消息
+   * @param {Object} data 连接状态消息
+   */
+  handleConnectionMessage(data) {
+    if (data.type === 'connected') {
       this.onBLEConnected(data);
     } else if (data.type === 'disconnected') {
       this.onBLEDisconnected();
-    } else {
-      console.log(`[BLE] 收到未知数据类型: ${data.type}`);
+    } else if (data.type === 'slave_connected') {
+      this.onSlaveConnected(data);
+    } else if (data.type === 'slave_disconnected') {
+      this.onSlaveDisconnected();
+    } else if (data.type === 'link_status') {
+      this.onLinkStatus(data);
+    }
+  }
+
+  /**
+   * 录制实时数据包（回放数据不重复录制）
+   * @param {Object} data WebSocket 原始消息
+   * @param {string} source 数据来源
+   */
+  recordPacket(data, source) {
+    if (source === 'live' && this.recorder) {
+      this.recorder.record(data);
+    }
+  }
+
+  /**
+   * 开始回放录制的数据流
+   * 数据包经由 handleWebSocketData 处理，与实时数据走相同路径
+   * @param {Object} options 回放选项
+   * @param {string} options.filePath 录制文件路径
+   * @param {Array<{receivedAt: number, packet: Object}>} options.entries 录制的数据包
+   * @param {string} [options.speed] 回放速度 realtime | fast
+   */
+  startReplay({ filePath, entries, speed }) {
+    this.stopReplay();
+
+    this.replayFile = filePath;
+    this.droppedLivePackets = 0;
+    this.hostContinuity = null; // 录制数据的时间戳与实时数据无关
+    this.sensorFaults.faulted = null;
+    this.signalFilter.reset();
+    this.replay = new StreamReplay({
+      entries,
+      speed,
+      onPacket: packet => this.handleWebSocketData(packet, 'replay'),
+      onEnd: ({ completed, packetCount }) => this.onReplayEnded(completed, packetCount)
+    });
+
+    console.log(`▶️ 开始回放: ${filePath} (${entries.length} 个数据包, ${this.replay.speed})`);
+    this.replay.start();
+    this.sendReplayStatus();
+  }
+
+  /**
+   * 停止回放
+   */
+  stopReplay() {
+    this.replay?.stop();
+  }
+
+  /**
+   * 回放结束处理：断开回放的虚拟设备，之后的实时数据会重新建立连接状态
+   * @param {boolean} completed 是否完整回放
+   * @param {number} packetCount 已回放的数据包数量
+   */
+  onReplayEnded(completed, packetCount) {
+    const status = { ...this.replay.getStatus(), completed };
+    this.replay = null;
+
+    console.log(`⏹️ 回放${completed ? '完成' : '已停止'}: ${packetCount} 个数据包，忽略实时数据包 ${this.droppedLivePackets} 个`);
+
+    if (this.isConnected) {
+      this.onBLEDisconnected();
+    }
+    if (this.isSlaveConnected) {
+      this.onSlaveDisconnected();
     }
+
+    this.sendReplayStatus(status);
+  }
+
+  /**
+   * 发送回放状态到渲染进程
+   * @param {Object} [status] 回放状态，默认为当前回放进度
+   */
+  sendReplayStatus(status = this.replay?.getStatus()) {
+    this.sendToRenderer('replay-status', {
+      replaying: Boolean(this.replay),
+      filePath: this.replayFile,
+      ...status
+    });
   }
 
   /**
@@ -183,6 +677,11 @@ class BLEManager {
       type: 'host_connected',
       device: this.device
     });
+
+    // 回放的设备不是真实设备，不下发参数
+    if (!this.replay) {
+      this.syncDeviceSettings();
+    }
   }
 
   /**
@@ -193,6 +692,12 @@ class BLEManager {
 
     this.isConnected = false;
     this.device = null;
+    this.hostContinuity = null;
+    this.sensorFaults.faulted = null;
+    this.signalFilter.reset();
+    this.hostCommands.cancelAll('主机已断开');
+    this.deviceConfig = null;
+    this.sendDeviceConfig();
 
     this.sendToRenderer('bluetooth-disconnected');
     this.sendToRenderer('bluetooth-status', {
@@ -208,11 +713,120 @@ class BLEManager {
     }
   }
 
+  /**
+   * 从机 BLE 连接成功处理
+   * @param {Object} deviceInfo 设备信息
+   */
+  onSlaveConnected(deviceInfo) {
+    this.isSlaveConnected = true;
+    this.slaveDevice = {
+      id: deviceInfo.address || deviceInfo.id,
+      name: deviceInfo.name || SLAVE_DEVICE_NAME,
+      address: deviceInfo.address || deviceInfo.id
+    };
+
+    console.log(`✅ 从机 BLE 设备已连接: ${this.slaveDevice.name}`);
+
+    this.sendToRenderer('bluetooth-status', {
+      role: 'slave',
+      connected: true,
+      device: this.slaveDevice
+    });
+
+    if (global.broadcastToWSClients) {
+      global.broadcastToWSClients({
+        type: 'slave_connected',
+        device: this.slaveDevice
+      });
+    }
+  }
+
+  /**
+   * 从机 BLE 断开连接处理
+   */
+  onSlaveDisconnected() {
+    console.log('🔌 从机 BLE 设备已断开连接');
+
+    this.isSlaveConnected = false;
+    this.slaveDevice = null;
+
+    this.sendToRenderer('bluetooth-status', {
+      role: 'slave',
+      connected: false,
+      device: null
+    });
+
+    if (global.broadcastToWSClients) {
+      global.broadcastToWSClients({
+        type: 'slave_disconnected'
+      });
+    }
+  }
+
+  /**
+   * BLE 链路状态变化（驱动页面自动重连，或驱动连接断开）
+   * 只转发已连接设备的状态，应用据此暂停/恢复当前测试
+   * @param {Object} data link_status 消息 {role, state, attempt, delayMs, gapMs, reason}
+   */
+  onLinkStatus(data) {
+    const role = data.role === 'slave' ? 'slave' : 'host';
+    const connected = role === 'slave' ? this.isSlaveConnected : this.isConnected;
+    if (!connected) {
+      return;
+    }
+
+    console.log(`📶 ${role === 'slave' ? '从机' : '主机'}链路状态: ${data.state}${data.attempt ? ` (第${data.attempt}次重连)` : ''}${data.reason === 'bridge' ? '（驱动连接断开）' : ''}`);
+    this.sendToRenderer('device-link-status', {
+      role,
+      state: data.state,
+      attempt: data.attempt ?? null,
+      delayMs: data.delayMs ?? null,
+      gapMs: data.gapMs ?? null,
+      reason: data.reason || 'ble'
+    });
+
+    // 链路中断期间命令无法送达；重连后固件可能已重启，重新读取并下发参数
+    if (role === 'host' && !this.replay) {
+      if (data.state === 'lost') {
+        this.hostCommands.cancelAll('主机链路中断');
+      } else if (data.state === 'restored') {
+        this.syncDeviceSettings();
+      }
+    }
+  }
+
+  /**
+   * 处理从机压力数据
+   * @param {Object} pressureData 已验证的压力数据
+   */
+  processPressureData(pressureData) {
+    this.slavePacketCount++;
+
+    // 收到压力数据说明从机已连接（与主机数据的处理方式一致）
+    if (!this.isSlaveConnected) {
+      console.log('[BLE] 检测到从机已连接（通过压力数据）');
+      this.onSlaveConnected({
+        name: pressureData.name || SLAVE_DEVICE_NAME,
+        address: pressureData.address || 'slave-ble-driver',
+        id: pressureData.address || 'slave-ble-driver'
+      });
+    }
+
+    this.sendToRenderer('slave-pressure-data', {
+      source: 'slave',
+      name: this.slaveDevice?.name || SLAVE_DEVICE_NAME,
+      address: this.slaveDevice?.address || 'unknown',
+      timestamp: pressureData.timestamp,
+      pressure: pressureData.pressure
+    });
+  }
+
   /**
    * 处理传感器数据
    * @param {Object} sensorData 传感器数据
+   * @param {Object} [continuity] 连续性检查结果 {event, gapMs, missedPackets}
    */
-  processSensorData(sensorData) {
+  processSensorData(sensorData, continuity = null) {
         this.packetCount++;
     console.log(`[BLE] 处理传感器数据 #${this.packetCount}: dir=${sensorData.minDirection}, dist=${sensorData.minDistance}mm`);
         
@@ -226,9 +840,11 @@ class BLEManager {
           });
         }
         
+        this.updateSensorFaults(sensorData);
+
         try {
           // 发送数据到前端（即使窗口不存在也不阻塞）
-      this.sendSensorData(sensorData);
+      this.sendSensorData(sensorData, continuity);
 
       // 广播数据到WebSocket客户端（BLE驱动页面）
       this.broadcastHostData(sensorData);
@@ -242,8 +858,9 @@ class BLEManager {
   /**
    * 发送传感器数据到渲染进程
    * @param {Object} sensorData 传感器数据
+   * @param {Object} [continuity] 连续性检查结果，渲染进程据此标记跨越中断的测距样本
    */
-  sendSensorData(sensorData) {
+  sendSensorData(sensorData, continuity = null) {
     try {
       // 转换为与BLE格式兼容的数据格式
       const distances = sensorData.distances.map((dist, index) => [index, dist]);
@@ -255,12 +872,17 @@ class BLEManager {
         address: this.device?.address || 'unknown',
         timestamp: sensorData.timestamp,
         distances,
+        rawDistances: sensorData.raw ? sensorData.raw.distances : null, // 滤波前的原始读数（见 filterSensorData）
         minDir: sensorData.minDirection, // 兼容app.js中的minDir字段
         minDist: sensorData.minDistance, // 兼容app.js中的minDist字段
         currentMinDirection: sensorData.minDirection,
         currentMinDistance: sensorData.minDistance,
         lockedDirection: -1, // BLE模式下，锁定逻辑在软件端处理
-        pressure: null
+        pressure: null,
+        continuity: continuity ? continuity.event : 'ok', // first | ok | gap | loss | late | restart
+        gapMs: continuity ? continuity.gapMs : 0,
+        sequence: sensorData.sequence ?? null, // v2 数据包序号
+        faultedChannels: this.sensorFaults.faulted // 故障通道，v1 数据包为null（无法判断）
       };
 
       // 检查主窗口是否有效
@@ -338,7 +960,14 @@ class BLEManager {
       connected: this.isConnected,
       device: this.device,
       scanning: this.isScanning,
-      packetCount: this.packetCount
+      packetCount: this.packetCount,
+      rejectedFrames: this.rejectedFrames,
+      continuity: { ...this.continuityStats },
+      slaveConnected: this.isSlaveConnected,
+      slaveDevice: this.slaveDevice,
+      slavePacketCount: this.slavePacketCount,
+      recording: this.recorder?.getStatus() || null,
+      replaying: Boolean(this.replay)
     };
   }
 
@@ -355,7 +984,52 @@ class BLEManager {
       connected: this.isConnected,
       device: this.device,
       scanning: this.isScanning,
-      packetCount: this.packetCount
+      packetCount: this.packetCount,
+      rejectedFrames: this.rejectedFrames,
+      continuity: { ...this.continuityStats },
+      slaveConnected: this.isSlaveConnected,
+      slaveDevice: this.slaveDevice,
+      slavePacketCount: this.slavePacketCount
+    };
+  }
+
+  /**
+   * 获取诊断面板的链路统计
+   * @returns {Object} {host, slave, continuity, sensors, filter, device, recording, replaying}，host/slave 见 LinkStats.getSnapshot，
+   *   sensors 为传感器故障统计，filter 含最近一包的原始和滤波读数
+   */
+  getDiagnostics() {
+    const now = Date.now();
+    return {
+      host: {
+        connected: this.isConnected,
+        device: this.device,
+        ...this.hostStats.getSnapshot(now)
+      },
+      slave: {
+        connected: this.isSlaveConnected,
+        device: this.slaveDevice,
+        ...this.slaveStats.getSnapshot(now),
+        lossRate: null // 从机数据包不带设备时间戳，无法估算丢包
+      },
+      continuity: { ...this.continuityStats },
+      sensors: {
+        sequenced: this.sensorFaults.sequenced,
+        faulted: this.sensorFaults.faulted,
+        faultCounts: [...this.sensorFaults.counts]
+      },
+      filter: {
+        config: this.getFilterConfig(),
+        spikeCount: this.signalFilter.spikeCount,
+        raw: this.lastHostReadings?.raw.distances || null,
+        filtered: this.lastHostReadings?.filtered.distances || null
+      },
+      device: {
+        ...this.getDeviceSettings(),
+        commands: { ...this.commandStats }
+      },
+      recording: this.recorder?.getStatus() || null,
+      replaying: Boolean(this.replay)
     };
   }
 
@@ -363,6 +1037,8 @@ class BLEManager {
    * 清理资源
    */
   dispose() {
+    this.stopReplay();
+    this.recorder?.stop();
     this.stopScanning();
     this.disconnect();
   }
@@ -0,0 +1,113 @@
+/*
+ * SEBT WebSocket Bridge 认证 (Bridge Auth)
+ * 每次启动生成会话令牌，驱动页面从 URL 获取令牌并在连接后第一条消息中出示
+ *
+ * 握手: 客户端连接 ws://127.0.0.1:<端口>/ws 后发送 {type: 'auth', token}
+ * 认证通过前不处理任何数据，超时、令牌错误或消息格式错误时断开连接
+ *
+ * 端口: 默认3000（可通过 SEBT_BRIDGE_PORT 指定），被占用时依次尝试后续端口，实际端口通过驱动页面地址传递
+ */
+
+const crypto = require('crypto');
+
+// --- 配置 ---
+const BRIDGE_HOST = '127.0.0.1'; // 仅监听本机回环地址
+const DEFAULT_BRIDGE_PORT = 3000;
+const BRIDGE_PORT_FALLBACK_COUNT = 10; // 首选端口被占用时最多尝试的端口数（含首选端口）
+const AUTH_TIMEOUT_MS = 5000; // 连接后需在此时间内完成认证
+const TOKEN_BYTES = 24;
+
+// WebSocket 关闭码（4000-4999 为应用自定义）
+const CLOSE_CODES = {
+  AUTH_TIMEOUT: 4001,
+  AUTH_FAILED: 4003,
+  INVALID_MESSAGE: 1007 // 标准关闭码：消息数据无效
+};
+
+/**
+ * 生成会话令牌
+ * @returns {string} 十六进制令牌
+ */
+function createSessionToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('hex');
+}
+
+/**
+ * 解析首选端口配置
+ * @param {string|number|undefined} value 配置值（如环境变量 SEBT_BRIDGE_PORT）
+ * @returns {{port: number, valid: boolean}} 未配置或无效时使用默认端口，valid=false 表示配置无效
+ */
+function resolvePreferredPort(value) {
+  if (value === undefined || value === null || value === '') {
+    return { port: DEFAULT_BRIDGE_PORT, valid: true };
+  }
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+    return { port: DEFAULT_BRIDGE_PORT, valid: false };
+  }
+  return { port, valid: true };
+}
+
+/**
+ * 比较令牌（固定时间比较，避免时序攻击）
+ * @param {*} presented 客户端出示的令牌
+ * @param {string} expected 本次启动的令牌
+ * @returns {boolean}
+ */
+function isTokenValid(presented, expected) {
+  if (typeof presented !== 'string' || typeof expected !== 'string' || expected.length === 0) {
+    return false;
+  }
+  const presentedBuffer = Buffer.from(presented);
+  const expectedBuffer = Buffer.from(expected);
+  return presentedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(presentedBuffer, expectedBuffer);
+}
+
+/**
+ * 检查 WebSocket 握手的 Origin
+ * 浏览器只允许由本服务器提供的驱动页面连接；非浏览器客户端（模拟器）不发送 Origin，仍需令牌认证
+ * @param {string|undefined} origin 请求头 Origin
+ * @param {number} port 服务器端口
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin, port) {
+  if (origin === undefined) {
+    return true;
+  }
+  return origin === `http://${BRIDGE_HOST}:${port}` || origin === `http://localhost:${port}`;
+}
+
+/**
+ * 从请求 URL 读取令牌
+ * @param {string} requestUrl 请求路径，例如 /ble-driver.html?token=...
+ * @returns {{pathname: string, token: string|null}}
+ */
+function parseRequestUrl(requestUrl) {
+  const url = new URL(requestUrl, `http://${BRIDGE_HOST}`);
+  return { pathname: url.pathname, token: url.searchParams.get('token') };
+}
+
+/**
+ * 生成带令牌的驱动页面地址
+ * @param {number} port 服务器端口
+ * @param {string} pagePath 页面路径，例如 /ble-driver.html
+ * @param {string} token 会话令牌
+ * @returns {string}
+ */
+function buildDriverUrl(port, pagePath, token) {
+  return `http://${BRIDGE_HOST}:${port}${pagePath}?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  BRIDGE_HOST,
+  DEFAULT_BRIDGE_PORT,
+  BRIDGE_PORT_FALLBACK_COUNT,
+  AUTH_TIMEOUT_MS,
+  CLOSE_CODES,
+  createSessionToken,
+  resolvePreferredPort,
+  isTokenValid,
+  isAllowedOrigin,
+  parseRequestUrl,
+  buildDriverUrl
+};
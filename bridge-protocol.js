@@ -0,0 +1,242 @@
+/*
+ * SEBT WebSocket Bridge 协议 (Bridge Protocol)
+ * 驱动页面/模拟器与主进程之间的消息定义、协议版本和 hello 能力协商
+ * Node（主进程、模拟器）通过 require 使用，驱动页面通过 <script src="/bridge-protocol.js"> 使用（全局 SEBTBridgeProtocol）
+ *
+ * 握手顺序: 连接 → {type: 'auth', token} → {type: 'hello', ...} → 应用回复 welcome（或 hello_rejected 后断开）
+ * hello: {type: 'hello', protocolVersion, roles: ['host', 'slave'], driver, firmware: {host, slave}, packetLayout, capabilities}
+ *   一个连接可同时承载主机和从机（统一驱动页面），数据消息带 role 字段标记所属设备
+ *   firmware 为各角色的设备名称（BLE 设备连接后可再次发送 hello 更新），packetLayout 为主机数据包布局版本（见 packet-codec.js）
+ *
+ * 版本历史:
+ *   v1: 每个连接一个角色 {role, firmware: 设备名称}，数据消息不带 role
+ *   v2: 每个连接可声明多个角色 {roles, firmware: {角色: 设备名称}}，数据消息带 role（单角色连接可省略）
+ *       BLE 链路中断/重连时驱动发送 link_status {state, attempt, delayMs}（旧驱动不发送，不影响协商）
+       JSON 数据消息可带 sentAt（驱动发送时间，毫秒），用于诊断面板统计 Bridge 延迟（可选）
+ *       协商 device_commands 能力后，应用可向主机发送 device_command，驱动回复 command_ack（见 device-commands.js）
+ *
+ * 协议变化时递增 BRIDGE_PROTOCOL_VERSION，不再兼容的旧版本通过 MIN_PROTOCOL_VERSION 拒绝
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTBridgeProtocol = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const BRIDGE_PROTOCOL_VERSION = 2;
+  const MIN_PROTOCOL_VERSION = 1;
+  const DRIVER_ROLES = ['host', 'slave'];
+  const INCOMPATIBLE_CLOSE_CODE = 4006; // 驱动不兼容（应用自定义关闭码，重连无意义）
+
+  // 可协商的能力（驱动在 hello 中声明，应用回复双方都支持的能力）
+  const CAPABILITIES = {
+    BINARY_FRAMES: 'binary_frames', // 主机以原始二进制数据帧发送（sensor_frame）
+    DEVICE_COMMANDS: 'device_commands' // 驱动转发应用到主机固件的命令（device_command / command_ack）
+  };
+
+  // BLE 链路状态（link_status.state）：lost 链路中断、reconnecting 正在重连、restored 已重连、failed 重连失败
+  const LINK_STATES = ['lost', 'reconnecting', 'restored', 'failed'];
+
+  // 驱动 → 应用的数据消息：允许的角色、需要的能力和必需字段类型
+  const DRIVER_MESSAGES = {
+    sensor_data: {
+      roles: ['host'],
+      fields: { timestamp: 'number', minDirection: 'number', minDistance: 'number', distances: 'array' }
+    },
+    sensor_frame: {
+      roles: ['host'],
+      capability: CAPABILITIES.BINARY_FRAMES,
+      fields: { data: 'string' }
+    },
+    slave_pressure_data: {
+      roles: ['slave'],
+      fields: { pressure: 'number', timestamp: 'number' }
+    },
+    slave_connected: { roles: ['slave'], fields: {} },
+    slave_disconnected: { roles: ['slave'], fields: {} },
+    link_status: { roles: ['host', 'slave'], fields: { state: 'string' } },
+    command_ack: {
+      roles: ['host'],
+      capability: CAPABILITIES.DEVICE_COMMANDS,
+      fields: { id: 'number', ok: 'boolean' }
+    }
+  };
+
+  // 应用 → 驱动的消息类型
+  const APP_MESSAGE_TYPES = [
+    'connected',
+    'welcome',
+    'hello_rejected',
+    'host_sensor_data',
+    'host_connected',
+    'host_disconnected',
+    'slave_connected',
+    'slave_disconnected',
+    'device_command',
+    'close_ble_driver'
+  ];
+
+  /**
+   * 判断字段类型
+   * @param {*} value 字段值
+   * @param {string} type number | string | boolean | array
+   * @returns {boolean}
+   */
+  function isFieldType(value, type) {
+    if (type === 'array') {
+      return Array.isArray(value);
+    }
+    return typeof value === type;
+  }
+
+  /**
+   * 生成 hello 消息（驱动页面和模拟器使用）
+   * @param {Object} options {roles, driver, firmware: {角色: 设备名称}, packetLayout, capabilities}
+   * @returns {Object}
+   */
+  function createHello(options) {
+    return {
+      type: 'hello',
+      protocolVersion: BRIDGE_PROTOCOL_VERSION,
+      roles: options.roles,
+      driver: options.driver || null,
+      firmware: options.firmware || {},
+      packetLayout: options.roles.includes('host') ? options.packetLayout : null,
+      capabilities: options.capabilities || []
+    };
+  }
+
+  /**
+   * 读取 hello 中的角色和固件名称（兼容 v1 单角色格式）
+   * @param {Object} hello hello 消息
+   * @returns {{roles: *, firmware: Object}}
+   */
+  function readHelloRoles(hello) {
+    if (hello.protocolVersion === 1) {
+      return { roles: [hello.role], firmware: { [hello.role]: hello.firmware } };
+    }
+    return { roles: hello.roles, firmware: hello.firmware || {} };
+  }
+
+  /**
+   * 协商 hello（应用端）
+   * @param {Object} hello 驱动发送的 hello 消息
+   * @param {Object} [options] 协商选项
+   * @param {number[]} [options.packetLayouts] 应用支持的主机数据包布局版本
+   * @returns {{ok: boolean, reason?: string, session?: Object}}
+   *   session: {roles, protocolVersion, driver, firmware: {角色: 设备名称|null}, packetLayout, capabilities}
+   */
+  function negotiateHello(hello, options = {}) {
+    if (!hello || hello.type !== 'hello') {
+      return { ok: false, reason: '缺少 hello 消息（驱动版本过旧，请从 SEBT 应用重新打开驱动页面）' };
+    }
+
+    const version = hello.protocolVersion;
+    if (!Number.isInteger(version)) {
+      return { ok: false, reason: `协议版本无效: ${version}` };
+    }
+    if (version < MIN_PROTOCOL_VERSION) {
+      return { ok: false, reason: `驱动协议版本过旧: v${version}（最低v${MIN_PROTOCOL_VERSION}）` };
+    }
+    if (version > BRIDGE_PROTOCOL_VERSION) {
+      return { ok: false, reason: `驱动协议版本过新: v${version}（应用支持v${BRIDGE_PROTOCOL_VERSION}），请更新应用` };
+    }
+    const { roles, firmware } = readHelloRoles(hello);
+    if (!Array.isArray(roles) || roles.length === 0 || new Set(roles).size !== roles.length) {
+      return { ok: false, reason: `驱动角色无效: ${JSON.stringify(roles)}` };
+    }
+    const unknownRole = roles.find(role => !DRIVER_ROLES.includes(role));
+    if (unknownRole !== undefined) {
+      return { ok: false, reason: `未知的驱动角色: ${unknownRole}` };
+    }
+
+    let packetLayout = null;
+    if (roles.includes('host')) {
+      const supportedLayouts = options.packetLayouts || [];
+      if (!supportedLayouts.includes(hello.packetLayout)) {
+        return { ok: false, reason: `不支持的数据包布局: v${hello.packetLayout}（应用支持 ${supportedLayouts.map(layout => `v${layout}`).join('/')}）` };
+      }
+      packetLayout = hello.packetLayout;
+    }
+
+    const declared = Array.isArray(hello.capabilities) ? hello.capabilities : [];
+    const capabilities = Object.values(CAPABILITIES).filter(capability => declared.includes(capability));
+    const firmwareNames = {};
+    roles.forEach((role) => {
+      firmwareNames[role] = typeof firmware[role] === 'string' ? firmware[role] : null;
+    });
+
+    return {
+      ok: true,
+      session: {
+        roles,
+        protocolVersion: version,
+        driver: typeof hello.driver === 'string' ? hello.driver : null,
+        firmware: firmwareNames,
+        packetLayout,
+        capabilities
+      }
+    };
+  }
+
+  /**
+   * 检查驱动数据消息是否符合协商结果（角色标记、类型、能力和必需字段）
+   * 字段取值范围由 packet-validation.js 验证
+   * @param {Object} message 驱动消息
+   * @param {Object} session negotiateHello 返回的 session
+   * @returns {{valid: boolean, reason: string|null, role?: string}} 有效时返回消息所属角色
+   */
+  function validateDriverMessage(message, session) {
+    // 单角色连接的消息可不带 role；二进制数据帧无法带 role，只能是主机数据
+    let role = message.role;
+    if (role === undefined) {
+      if (session.roles.length === 1) {
+        role = session.roles[0];
+      } else if (message.type === 'sensor_frame') {
+        role = 'host';
+      }
+    }
+    if (role === undefined) {
+      return { valid: false, reason: `${message.type} 缺少 role 标记` };
+    }
+    if (!session.roles.includes(role)) {
+      return { valid: false, reason: `连接未声明角色 ${role}` };
+    }
+    const definition = DRIVER_MESSAGES[message.type];
+    if (!definition) {
+      return { valid: false, reason: `未知的消息类型: ${message.type}` };
+    }
+    if (!definition.roles.includes(role)) {
+      return { valid: false, reason: `${role}不能发送 ${message.type}` };
+    }
+    if (definition.capability && !session.capabilities.includes(definition.capability)) {
+      return { valid: false, reason: `未协商能力 ${definition.capability}，不能发送 ${message.type}` };
+    }
+    const invalidField = Object.keys(definition.fields)
+      .find(field => !isFieldType(message[field], definition.fields[field]));
+    if (invalidField) {
+      return { valid: false, reason: `${message.type} 字段 ${invalidField} 缺失或类型错误` };
+    }
+    if (message.type === 'link_status' && !LINK_STATES.includes(message.state)) {
+      return { valid: false, reason: `未知的链路状态: ${message.state}` };
+    }
+    return { valid: true, reason: null, role };
+  }
+
+  return {
+    BRIDGE_PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    DRIVER_ROLES,
+    INCOMPATIBLE_CLOSE_CODE,
+    CAPABILITIES,
+    LINK_STATES,
+    DRIVER_MESSAGES,
+    APP_MESSAGE_TYPES,
+    createHello,
+    negotiateHello,
+    validateDriverMessage
+  };
+});
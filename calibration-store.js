@@ -0,0 +1,160 @@
+/*
+ * SEBT 校准参数存储 (Calibration Store)
+ * 将传感器校准参数持久化到 Electron userData 目录，测试记录通过校准ID引用
+ *
+ * 存储格式: calibrations.jsonl（每行一份校准参数，保存后不再修改，保证旧测试记录的校准ID可追溯）
+ * 当前启用的校准: calibration-active.json {id}，id 为null表示不校准
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateCalibration } = require('./calibration');
+
+// --- 配置 ---
+const CALIBRATION_FILE_NAME = 'calibrations.jsonl';
+const ACTIVE_FILE_NAME = 'calibration-active.json';
+
+/**
+ * 生成校准ID CAL-YYYYMMDD-HHMMSS
+ * @param {Date} date 保存时间
+ * @returns {string}
+ */
+function createCalibrationId(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `CAL-${day}-${time}`;
+}
+
+/**
+ * 校准参数存储类
+ */
+class CalibrationStore {
+  /**
+   * @param {Object} options 配置项
+   * @param {string} options.directory 存储目录（通常为 app.getPath('userData')）
+   */
+  constructor({ directory }) {
+    this.filePath = path.join(directory, CALIBRATION_FILE_NAME);
+    this.activeFilePath = path.join(directory, ACTIVE_FILE_NAME);
+    this.calibrations = null; // 延迟加载的校准参数缓存 Map<id, calibration>
+  }
+
+  /**
+   * 从文件加载所有校准参数（仅首次调用时读取文件）
+   * @returns {Map<string, Object>}
+   */
+  load() {
+    if (this.calibrations) {
+      return this.calibrations;
+    }
+
+    this.calibrations = new Map();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this.calibrations;
+    }
+
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const calibration = JSON.parse(line);
+        if (calibration && calibration.id) {
+          this.calibrations.set(calibration.id, calibration);
+        }
+      } catch (error) {
+        console.warn(`[CalibrationStore] 跳过损坏的校准参数 (第${index + 1}行): ${error.message}`);
+      }
+    });
+
+    console.log(`[CalibrationStore] 已加载 ${this.calibrations.size} 份校准参数: ${this.filePath}`);
+    return this.calibrations;
+  }
+
+  /**
+   * 保存新的校准参数并设为当前启用
+   * @param {Object} calibration 校准参数 {channels, points}
+   * @returns {Object} 保存后的校准参数（带 id 和 createdAt）
+   */
+  save(calibration) {
+    const { valid, reason } = validateCalibration(calibration);
+    if (!valid) {
+      throw new Error(reason);
+    }
+
+    const calibrations = this.load();
+    const now = new Date();
+    let id = createCalibrationId(now);
+    for (let suffix = 2; calibrations.has(id); suffix++) {
+      id = `${createCalibrationId(now)}-${suffix}`;
+    }
+
+    const saved = {
+      id,
+      createdAt: now.toISOString(),
+      channels: calibration.channels.map(({ offset, gain }) => ({ offset, gain })),
+      points: calibration.points || []
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(saved) + '\n', 'utf8');
+    calibrations.set(saved.id, saved);
+    this.setActive(saved.id);
+
+    return saved;
+  }
+
+  /**
+   * 获取校准参数
+   * @param {string} id 校准ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  /**
+   * 查询所有校准参数（按保存时间倒序）
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.load().values())
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  /**
+   * 获取当前启用的校准参数
+   * @returns {Object|null} 未启用校准时为null
+   */
+  getActive() {
+    if (!fs.existsSync(this.activeFilePath)) {
+      return null;
+    }
+    try {
+      const { id } = JSON.parse(fs.readFileSync(this.activeFilePath, 'utf8'));
+      return id ? this.get(id) : null;
+    } catch (error) {
+      console.warn(`[CalibrationStore] 读取当前校准失败，按未校准处理: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 设置当前启用的校准参数
+   * @param {string|null} id 校准ID，null 表示停用校准
+   * @returns {Object|null} 启用的校准参数
+   */
+  setActive(id) {
+    const calibration = id ? this.get(id) : null;
+    if (id && !calibration) {
+      throw new Error(`校准参数不存在: ${id}`);
+    }
+    fs.mkdirSync(path.dirname(this.activeFilePath), { recursive: true });
+    fs.writeFileSync(this.activeFilePath, JSON.stringify({ id: calibration ? calibration.id : null }), 'utf8');
+    return calibration;
+  }
+}
+
+module.exports = { CalibrationStore };
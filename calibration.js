@@ -0,0 +1,139 @@
+/*
+ * SEBT 传感器校准 (Calibration)
+ * 8路 ToF 传感器的偏移和增益校准，以及按已知距离拟合校准参数，不依赖DOM，渲染进程、主进程和测试共用
+ * 渲染进程中为全局 SEBTCalibration
+ *
+ * 校准后距离 = 原始读数 × gain + offset（通道顺序与 app.js directionMap 一致: L BL FL F B BR FR R）
+ * 每个传感器到站立中心的安装偏差不同，offset 补偿安装位置，gain 补偿传感器比例误差
+ * 无目标（≥ FILTER_MAX_MM）和无效读数不校准，保持原值
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTCalibration = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const CALIBRATION_CHANNEL_COUNT = 8;
+  const FILTER_MAX_MM = 2000; // 与固件 FILTER_MAX_MM 一致，读数达到该值表示无目标
+  const CALIBRATION_LIMITS = {
+    minGain: 0.5,
+    maxGain: 2,
+    maxOffsetMm: 500
+  };
+  const DEFAULT_REFERENCE_DISTANCES_MM = [200, 500, 1000]; // 校准向导默认的目标放置距离（从站立中心量起）
+
+  /**
+   * 创建未校准（offset=0, gain=1）的校准参数
+   * @returns {{id: null, channels: Array<{offset: number, gain: number}>}}
+   */
+  function createIdentityCalibration() {
+    return {
+      id: null,
+      channels: Array.from({ length: CALIBRATION_CHANNEL_COUNT }, () => ({ offset: 0, gain: 1 }))
+    };
+  }
+
+  /**
+   * 校准单个通道的读数
+   * @param {*} distance 原始读数（mm）
+   * @param {{offset: number, gain: number}} channelCalibration 通道校准参数
+   * @param {number} [maxDistance] 无目标读数
+   * @returns {*} 校准后的读数，无目标和无效读数原样返回；校准后超出量程时为 maxDistance（无目标）
+   */
+  function applyChannelCalibration(distance, channelCalibration, maxDistance = FILTER_MAX_MM) {
+    if (!channelCalibration || typeof distance !== 'number' || !isFinite(distance) || distance <= 0 || distance >= maxDistance) {
+      return distance;
+    }
+    const calibrated = Math.round(distance * channelCalibration.gain + channelCalibration.offset);
+    return Math.min(maxDistance, Math.max(0, calibrated));
+  }
+
+  /**
+   * 校准8方向读数并按固件规则重新计算最短方向（各通道偏移不同，原始最短方向可能不再最短）
+   * @param {Array<*>} distances 8方向原始读数
+   * @param {Object} calibration 校准参数 {channels}
+   * @param {number} [maxDistance] 无目标读数
+   * @returns {{distances: Array<*>, minDirection: number, minDistance: number}} 无有效目标时 minDirection 为-1、minDistance 为 maxDistance
+   */
+  function calibrateReadings(distances, calibration, maxDistance = FILTER_MAX_MM) {
+    const calibrated = distances.map((distance, channel) => (
+      applyChannelCalibration(distance, calibration.channels[channel], maxDistance)
+    ));
+
+    let minDirection = -1;
+    let minDistance = maxDistance;
+    calibrated.forEach((distance, channel) => {
+      if (typeof distance === 'number' && distance > 0 && distance < minDistance) {
+        minDirection = channel;
+        minDistance = distance;
+      }
+    });
+    return { distances: calibrated, minDirection, minDistance };
+  }
+
+  /**
+   * 按已知距离拟合单个通道的校准参数（最小二乘: 实际距离 = 读数 × gain + offset）
+   * 只有一个距离点（或读数相同）时只拟合偏移，gain 固定为1
+   * @param {Array<{referenceMm: number, measuredMm: number}>} points 校准点（目标实际距离和平均读数）
+   * @returns {{offset: number, gain: number, residualMm: number, pointCount: number}|null} 无校准点时为null；residualMm 为拟合残差（均方根）
+   */
+  function fitChannelCalibration(points) {
+    if (!points || points.length === 0) {
+      return null;
+    }
+
+    const count = points.length;
+    const meanMeasured = points.reduce((sum, point) => sum + point.measuredMm, 0) / count;
+    const meanReference = points.reduce((sum, point) => sum + point.referenceMm, 0) / count;
+    const sxx = points.reduce((sum, point) => sum + (point.measuredMm - meanMeasured) ** 2, 0);
+    const sxy = points.reduce((sum, point) => sum + (point.measuredMm - meanMeasured) * (point.referenceMm - meanReference), 0);
+
+    const gain = sxx >= 1 ? sxy / sxx : 1;
+    const offset = meanReference - gain * meanMeasured;
+    const residual = Math.sqrt(points.reduce((sum, point) => (
+      sum + (point.measuredMm * gain + offset - point.referenceMm) ** 2
+    ), 0) / count);
+
+    return {
+      offset: Math.round(offset * 10) / 10,
+      gain: Math.round(gain * 10000) / 10000,
+      residualMm: Math.round(residual * 10) / 10,
+      pointCount: count
+    };
+  }
+
+  /**
+   * 检查校准参数（通道数量、增益和偏移范围）
+   * @param {Object} calibration 校准参数 {channels}
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  function validateCalibration(calibration) {
+    if (!calibration || !Array.isArray(calibration.channels) || calibration.channels.length !== CALIBRATION_CHANNEL_COUNT) {
+      return { valid: false, reason: `校准参数需包含${CALIBRATION_CHANNEL_COUNT}个通道` };
+    }
+    for (let channel = 0; channel < CALIBRATION_CHANNEL_COUNT; channel++) {
+      const { offset, gain } = calibration.channels[channel] || {};
+      if (typeof gain !== 'number' || !isFinite(gain) || gain < CALIBRATION_LIMITS.minGain || gain > CALIBRATION_LIMITS.maxGain) {
+        return { valid: false, reason: `通道${channel}增益超出范围: ${gain}` };
+      }
+      if (typeof offset !== 'number' || !isFinite(offset) || Math.abs(offset) > CALIBRATION_LIMITS.maxOffsetMm) {
+        return { valid: false, reason: `通道${channel}偏移超出范围: ${offset}` };
+      }
+    }
+    return { valid: true, reason: null };
+  }
+
+  return {
+    CALIBRATION_CHANNEL_COUNT,
+    CALIBRATION_LIMITS,
+    DEFAULT_REFERENCE_DISTANCES_MM,
+    createIdentityCalibration,
+    applyChannelCalibration,
+    calibrateReadings,
+    fitChannelCalibration,
+    validateCalibration
+  };
+});
@@ -0,0 +1,329 @@
+/*
+ * SEBT 主机设备命令 (Device Commands)
+ * 应用 → 主机固件的命令定义、BLE 文本格式和确认（ack）等待，全局 SEBTDeviceCommands
+ * BLEManager 发送命令并等待确认，驱动页面负责与固件之间的文本编解码，渲染进程读取参数范围
+ *
+ * 链路: BLEManager → WebSocket {type: 'device_command', id, command, value}
+ *       → 驱动页面写入命令特征值 "<id> <代码>[ <参数>]"
+ *       → 固件执行后在同一特征值上通知 "<id> OK[ <结果>]" 或 "<id> ERR <错误码>"
+ *       → 驱动页面回复 {type: 'command_ack', id, ok, result, error} → BLEManager
+ * 固件一次只处理一条命令，DeviceCommandChannel 按顺序发送，收到确认或超时后再发送下一条
+ * 命令文本不超过20字节（默认 MTU 下一次写入即可完成），因此固件使用短代码；
+ * 确认文本不超过40字节（CFG 结果较长；v2 数据包为27字节，本身已需要大于默认值的 MTU）
+ *
+ * 设备参数: 发送间隔和最大有效距离由固件执行；锁定次数和滤波参数由应用执行，下发到固件保存，
+ * 通过 CFG 读回核对，固件重启后由应用重新下发（旧固件 CFG 只返回前3项，不下发锁定和滤波参数）
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTDeviceCommands = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const COMMAND_CHARACTERISTIC_UUID = '0000bbbc-0000-1000-8000-00805f9b34fb'; // master-ble.ino COMMAND_CHARACTERISTIC_UUID
+  const DEFAULT_COMMAND_TIMEOUT_MS = 3000;
+  const MAX_COMMAND_ID = 255;
+
+  /**
+   * 命令定义: code 为固件中的命令代码；带 min/max 的命令需要整数参数
+   * odd 表示参数必须为奇数，off 为表示停用的参数值（不受 min/max 限制）
+   * REINIT_SENSORS 需要逐个重新初始化8个传感器（每个最长2秒），超时时间更长
+   */
+  const DEVICE_COMMANDS = {
+    PING: { code: 'PING', label: '连接测试' },
+    GET_CONFIG: { code: 'CFG', label: '读取设备参数' },
+    SET_INTERVAL: { code: 'INT', label: '设置发送间隔', unit: 'ms', min: 100, max: 1000 },
+    SET_MAX_DISTANCE: { code: 'MAXD', label: '设置最大有效距离', unit: 'mm', min: 100, max: 2000 },
+    SET_LOCK_COUNT: { code: 'LOCK', label: '设置锁定次数', unit: '次', min: 5, max: 30 },
+    SET_SPIKE_JUMP: { code: 'SPK', label: '设置尖峰剔除最大跳变', unit: 'mm', min: 50, max: 1999, off: 0 },
+    SET_SPIKE_HOLD: { code: 'SPKH', label: '设置尖峰剔除保持次数', unit: '次', min: 1, max: 10 },
+    SET_MEDIAN_WINDOW: { code: 'MED', label: '设置中值滤波窗口', unit: '次', min: 3, max: 9, odd: true, off: 0 },
+    SET_EMA_ALPHA: { code: 'EMA', label: '设置指数平滑系数', unit: '%', min: 10, max: 100, off: 0 },
+    REINIT_SENSORS: { code: 'REINIT', label: '重新初始化传感器', timeoutMs: 20000 }
+  };
+
+  // 设备参数（渲染进程设置，主机连接后按顺序下发）→ 对应的设置命令
+  // 滤波参数由 filterConfigToDeviceSettings 从滤波参数换算，默认值与 signal-filter.js DEFAULT_FILTER_CONFIG 一致
+  const DEFAULT_DEVICE_SETTINGS = {
+    intervalMs: 300,
+    maxDistanceMm: 2000,
+    lockCount: 10,
+    spikeMaxJumpMm: 300,
+    spikeHoldSamples: 2,
+    medianWindow: 3,
+    emaAlphaPercent: 0
+  };
+  const DEVICE_SETTING_COMMANDS = {
+    intervalMs: 'SET_INTERVAL',
+    maxDistanceMm: 'SET_MAX_DISTANCE',
+    lockCount: 'SET_LOCK_COUNT',
+    spikeMaxJumpMm: 'SET_SPIKE_JUMP',
+    spikeHoldSamples: 'SET_SPIKE_HOLD',
+    medianWindow: 'SET_MEDIAN_WINDOW',
+    emaAlphaPercent: 'SET_EMA_ALPHA'
+  };
+  // GET_CONFIG 结果中各项的顺序（旧固件只返回前3项）
+  const DEVICE_CONFIG_FIELDS = ['intervalMs', 'maxDistanceMm', 'sensorCount', 'lockCount', 'spikeMaxJumpMm', 'spikeHoldSamples', 'medianWindow', 'emaAlphaPercent'];
+  const LEGACY_DEVICE_CONFIG_LENGTH = 3;
+
+  // 错误码: 前四个由固件返回，UNSUPPORTED / WRITE_FAILED 由驱动页面返回
+  const COMMAND_ERRORS = {
+    UNKNOWN: '固件不支持该命令',
+    RANGE: '参数超出固件允许范围',
+    BUSY: '设备正在处理上一条命令',
+    NO_SENSORS: '没有传感器初始化成功',
+    UNSUPPORTED: '固件没有命令特征值，请更新主机固件',
+    WRITE_FAILED: '写入命令特征值失败'
+  };
+
+  /**
+   * 检查命令和参数
+   * @param {string} name 命令名（DEVICE_COMMANDS 的键）
+   * @param {number} [value] 参数
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  function validateDeviceCommand(name, value) {
+    const definition = DEVICE_COMMANDS[name];
+    if (!definition) {
+      return { valid: false, reason: `未知的设备命令: ${name}` };
+    }
+    if (definition.min === undefined) {
+      return value === undefined
+        ? { valid: true, reason: null }
+        : { valid: false, reason: `${definition.label}不需要参数` };
+    }
+    if (definition.off !== undefined && value === definition.off) {
+      return { valid: true, reason: null };
+    }
+    if (!Number.isInteger(value) || value < definition.min || value > definition.max || (definition.odd && value % 2 === 0)) {
+      const range = `${definition.min}-${definition.max}${definition.unit}的${definition.odd ? '奇数' : '整数'}`;
+      const off = definition.off !== undefined ? `（${definition.off}表示停用）` : '';
+      return { valid: false, reason: `${definition.label}需为${range}${off}: ${value}` };
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * 检查设备参数
+   * @param {Object} settings 设备参数（DEVICE_SETTING_COMMANDS 中的所有项）
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  function validateDeviceSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return { valid: false, reason: '设备参数不是对象' };
+    }
+    for (const [key, name] of Object.entries(DEVICE_SETTING_COMMANDS)) {
+      const result = validateDeviceCommand(name, settings[key]);
+      if (!result.valid) {
+        return result;
+      }
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * 按滤波参数换算下发到固件的设备参数（停用的阶段下发0，指数平滑系数按百分比取整）
+   * @param {Object} config 滤波参数（见 signal-filter.js DEFAULT_FILTER_CONFIG）
+   * @returns {{spikeMaxJumpMm: number, spikeHoldSamples: number, medianWindow: number, emaAlphaPercent: number}}
+   */
+  function filterConfigToDeviceSettings({ spike, median, ema }) {
+    return {
+      spikeMaxJumpMm: spike.enabled ? spike.maxJumpMm : 0,
+      spikeHoldSamples: spike.holdSamples,
+      medianWindow: median.enabled ? median.window : 0,
+      emaAlphaPercent: ema.enabled ? Math.round(ema.alpha * 100) : 0
+    };
+  }
+
+  /**
+   * 设备确认的参数中与期望不一致的项（设备没有返回的项不比较）
+   * @param {Object} settings 期望的设备参数
+   * @param {Object|null} device 设备确认的参数（GET_CONFIG 结果）
+   * @returns {string[]} 不一致的设备参数键，按 DEVICE_SETTING_COMMANDS 的顺序
+   */
+  function getUnsyncedDeviceSettings(settings, device) {
+    if (!device) {
+      return [];
+    }
+    return Object.keys(DEVICE_SETTING_COMMANDS)
+      .filter(key => device[key] !== undefined && device[key] !== settings[key]);
+  }
+
+  /**
+   * 编码写入固件的命令文本
+   * @param {number} id 命令序号（1-255）
+   * @param {string} name 命令名
+   * @param {number} [value] 参数
+   * @returns {string} 如 "12 INT 300"
+   */
+  function encodeDeviceCommand(id, name, value) {
+    const { code } = DEVICE_COMMANDS[name];
+    return value === undefined ? `${id} ${code}` : `${id} ${code} ${value}`;
+  }
+
+  /**
+   * 解析固件通知的确认文本
+   * @param {string} text 如 "12 OK 300" / "12 ERR RANGE"
+   * @returns {{id: number, ok: boolean, result: string|null, error: string|null}|null} 格式错误时为null
+   */
+  function parseCommandAck(text) {
+    const match = /^(\d{1,3}) (OK|ERR)(?: (\S+))?$/.exec(String(text).trim());
+    if (!match) {
+      return null;
+    }
+    const ok = match[2] === 'OK';
+    const detail = match[3] ?? null;
+    return { id: Number(match[1]), ok, result: ok ? detail : null, error: ok ? null : detail || 'UNKNOWN' };
+  }
+
+  /**
+   * 解析 GET_CONFIG 的结果（各项顺序见 DEVICE_CONFIG_FIELDS）
+   * @param {string|null} result 如 "300,2000,8,10,300,2,3,0"；旧固件为 "300,2000,8"（发送间隔、最大有效距离、已初始化传感器数量）
+   * @returns {Object|null} {intervalMs, maxDistanceMm, sensorCount, ...}，旧固件没有锁定和滤波参数
+   */
+  function parseDeviceConfig(result) {
+    const values = String(result).split(',').map(Number);
+    if (![LEGACY_DEVICE_CONFIG_LENGTH, DEVICE_CONFIG_FIELDS.length].includes(values.length) || !values.every(Number.isInteger)) {
+      return null;
+    }
+    const config = {};
+    values.forEach((value, index) => {
+      config[DEVICE_CONFIG_FIELDS[index]] = value;
+    });
+    return config;
+  }
+
+  /**
+   * 错误码的说明
+   * @param {string} error 错误码
+   * @returns {string}
+   */
+  function describeCommandError(error) {
+    return COMMAND_ERRORS[error] || error;
+  }
+
+  /**
+   * 设备命令通道：逐条发送命令，按序号匹配确认，超时未确认时失败
+   */
+  class DeviceCommandChannel {
+    /**
+     * @param {Object} options 配置项
+     * @param {Function} options.transmit ({id, command, value}) => boolean，返回false表示无法发送（驱动未连接或不支持命令）
+     */
+    constructor({ transmit }) {
+      this.transmit = transmit;
+      this.pending = new Map(); // 等待确认的命令 id → {name, resolve, reject, timer}
+      this.queue = Promise.resolve();
+      this.lastId = 0;
+    }
+
+    /**
+     * 发送命令（排在前一条命令完成之后）
+     * @param {string} name 命令名
+     * @param {number} [value] 参数
+     * @returns {Promise<{command: string, result: string|null}>} 固件返回 ERR、超时或无法发送时 reject
+     */
+    send(name, value) {
+      const { valid, reason } = validateDeviceCommand(name, value);
+      if (!valid) {
+        return Promise.reject(new Error(reason));
+      }
+      const run = () => this.execute(name, value);
+      const result = this.queue.then(run, run);
+      this.queue = result.catch(() => {});
+      return result;
+    }
+
+    /**
+     * 发送一条命令并等待确认
+     * @param {string} name 命令名
+     * @param {number} [value] 参数
+     * @returns {Promise<{command: string, result: string|null}>}
+     */
+    execute(name, value) {
+      const { label, timeoutMs = DEFAULT_COMMAND_TIMEOUT_MS } = DEVICE_COMMANDS[name];
+      this.lastId = this.lastId % MAX_COMMAND_ID + 1;
+      const id = this.lastId;
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.pending.delete(id);
+          reject(new Error(`${label}超时（${timeoutMs}ms 内未收到设备确认）`));
+        }, timeoutMs);
+        this.pending.set(id, { name, resolve, reject, timer });
+
+        if (!this.transmit({ id, command: name, value })) {
+          this.settle(id, new Error(`${label}失败: 驱动页面未连接或不支持设备命令`));
+        }
+      });
+    }
+
+    /**
+     * 处理确认（超时后到达的确认被忽略）
+     * @param {Object} ack {id, ok, result, error}
+     * @returns {boolean} 是否匹配到等待中的命令
+     */
+    handleAck({ id, ok, result = null, error = null }) {
+      const entry = this.pending.get(id);
+      if (!entry) {
+        return false;
+      }
+      const { label } = DEVICE_COMMANDS[entry.name];
+      this.settle(id, ok ? null : new Error(`${label}失败: ${describeCommandError(error)}`), { command: entry.name, result });
+      return true;
+    }
+
+    /**
+     * 结束等待中的命令
+     * @param {number} id 命令序号
+     * @param {Error|null} error 失败原因
+     * @param {Object} [value] 成功时的结果
+     */
+    settle(id, error, value) {
+      const entry = this.pending.get(id);
+      if (!entry) {
+        return;
+      }
+      clearTimeout(entry.timer);
+      this.pending.delete(id);
+      if (error) {
+        entry.reject(error);
+      } else {
+        entry.resolve(value);
+      }
+    }
+
+    /**
+     * 取消所有等待中的命令（主机断开、驱动断开时调用）
+     * @param {string} reason 取消原因
+     */
+    cancelAll(reason) {
+      [...this.pending.keys()].forEach((id) => {
+        const { label } = DEVICE_COMMANDS[this.pending.get(id).name];
+        this.settle(id, new Error(`${label}失败: ${reason}`));
+      });
+    }
+  }
+
+  return {
+    COMMAND_CHARACTERISTIC_UUID,
+    DEFAULT_COMMAND_TIMEOUT_MS,
+    DEVICE_COMMANDS,
+    DEFAULT_DEVICE_SETTINGS,
+    DEVICE_SETTING_COMMANDS,
+    DEVICE_CONFIG_FIELDS,
+    COMMAND_ERRORS,
+    validateDeviceCommand,
+    validateDeviceSettings,
+    filterConfigToDeviceSettings,
+    getUnsyncedDeviceSettings,
+    encodeDeviceCommand,
+    parseCommandAck,
+    parseDeviceConfig,
+    describeCommandError,
+    DeviceCommandChannel
+  };
+});
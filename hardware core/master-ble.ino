@@ -2,7 +2,7 @@
  * SEBT Host BLE Firmware (ESP32-C3 Version)
  * ESP32-C3 + NimBLE-Arduino 库实现原生BLE通信，配合TCA9548A读取8方向TOF传感器数据
  * 直接通过BLE Notify发送传感器数据，无需中间串口转换
- * 数据范围: 0-2000mm（仅过滤超出范围的值），发送间隔: 300ms
+ * 数据范围: 0-2000mm（仅过滤超出范围的值），发送间隔: 300ms（可通过命令特征值修改）
  *
  * 硬件配置:
  * - ESP32-C3
@@ -12,7 +12,22 @@
  * BLE配置:
  * - Service UUID: 0000AAAA-0000-1000-8000-00805F9B34FB
  * - Characteristic UUID: 0000BBBB-0000-1000-8000-00805F9B34FB
- * - 特征值属性: Read | Notify (仅接收数据，无需Write)
+ * - 特征值属性: Read | Notify (传感器数据，v2 格式见 sendBLEData，解码见 packet-codec.js)
+ * - Command Characteristic UUID: 0000BBBC-0000-1000-8000-00805F9B34FB
+ * - 特征值属性: Write | Notify (应用命令与确认，格式见 device-commands.js)
+ *
+ * 命令格式: "<序号> <代码>[ <参数>]"，确认: "<序号> OK[ <结果>]" 或 "<序号> ERR <错误码>"
+ * - PING              连接测试
+ * - CFG               读取参数，结果 "<发送间隔>,<最大有效距离>,<已初始化传感器数量>,<锁定次数>,<尖峰跳变>,<尖峰保持>,<中值窗口>,<平滑系数>"
+ * - INT <100-1000>    设置发送间隔（ms）
+ * - MAXD <100-2000>   设置最大有效距离（mm），超过该距离的读数按无目标发送
+ * - LOCK <5-30>       设置锁定次数
+ * - SPK <0|50-1999>   设置尖峰剔除最大跳变（mm），0 表示停用
+ * - SPKH <1-10>       设置尖峰剔除保持次数
+ * - MED <0|3-9奇数>   设置中值滤波窗口，0 表示停用
+ * - EMA <0|10-100>    设置指数平滑系数（%），0 表示停用
+ * - REINIT            重新初始化传感器，结果为初始化成功的数量
+ * 锁定和滤波参数由应用执行，固件只保存应用下发的值并在 CFG 中返回，供应用核对（重启后恢复默认值，由应用重新下发）
  *
  * ESP32-C3引脚定义:
  * - I2C SDA: GPIO 8
@@ -30,6 +45,7 @@
 // --- BLE配置 ---
 #define SERVICE_UUID        "0000aaaa-0000-1000-8000-00805f9b34fb"
 #define CHARACTERISTIC_UUID "0000bbbb-0000-1000-8000-00805f9b34fb"
+#define COMMAND_CHARACTERISTIC_UUID "0000bbbc-0000-1000-8000-00805f9b34fb"
 #define DEVICE_NAME         "SEBT-Host-001"
 
 // --- TCA9548A配置 ---
@@ -49,7 +65,13 @@ VL53L1X sensors[8];  // ESP32-C3有足够内存，可以使用对象数组
 // --- 数据过滤参数 ---
 // 注意：已取消最小距离限制，避免TOF传感器20mm误差导致的频繁跳变
 // 只过滤超出最大范围的值，所有0-2000mm范围内的读数都会发送
-#define FILTER_MAX_MM       2000 // 超过这个距离视为无效
+#define FILTER_MAX_MM       2000 // 超过这个距离视为无效，也是无目标时发送的值
+#define MIN_MAX_DISTANCE_MM 100  // MAXD 命令允许的最小值
+#define SENSOR_READ_TIMEOUT_MS 100 // 连续测量模式下读取超时，超时的通道在传感器状态中标记为故障
+
+// --- 数据包格式 ---
+#define PACKET_VERSION      2   // 与 packet-codec.js PACKET_LAYOUTS 的版本号一致
+#define PACKET_SIZE         27
 
 // --- 方向映射 ---
 const char* DIR_NAMES[8] = {
@@ -65,14 +87,43 @@ const char* DIR_NAMES[8] = {
 
 // --- 全局变量 ---
 unsigned long lastSendTime = 0;
-unsigned long currentSendInterval = 300; // 当前发送间隔（动态调整）
+unsigned long currentSendInterval = 300; // 当前发送间隔（INT 命令修改）
 const unsigned long BASE_SEND_INTERVAL = 300; // 基础发送间隔300ms
-const unsigned long MAX_SEND_INTERVAL = 1000; // 最大发送间隔1000ms（缓冲区满时延长）
+const unsigned long MIN_SEND_INTERVAL = 100; // INT 命令允许的最小间隔
+const unsigned long MAX_SEND_INTERVAL = 1000; // 最大发送间隔1000ms
+uint16_t maxDistanceMm = FILTER_MAX_MM; // 最大有效距离（MAXD 命令修改，不超过 FILTER_MAX_MM）
 bool sensorInitialized[8] = {false, false, false, false, false, false, false, false};
+uint16_t packetSequence = 0; // 每发送一个数据包加1，应用据此统计丢包（溢出后从0重新计数）
+
+// --- 命令 ---
+// 写入回调只复制命令文本，由 loop() 执行（REINIT 需要数秒，不能阻塞 BLE 回调）
+#define COMMAND_MAX_LENGTH  20
+#define REPLY_MAX_LENGTH    40  // CFG 结果较长（v2 数据包为27字节，连接已使用大于默认值的 MTU）
+char pendingCommand[COMMAND_MAX_LENGTH + 1];
+volatile bool commandPending = false;
+
+// 应用下发的锁定和滤波参数（与 device-commands.js DEVICE_COMMANDS 的范围和 DEFAULT_DEVICE_SETTINGS 一致）
+struct AppSetting {
+  const char* code;  // 命令代码
+  long value;        // 当前值
+  long minValue;
+  long maxValue;
+  long offValue;     // 表示停用的值，-1 表示不能停用
+  bool oddOnly;      // 是否只允许奇数
+};
+AppSetting appSettings[] = {
+  { "LOCK", 10, 5, 30, -1, false },
+  { "SPK", 300, 50, 1999, 0, false },
+  { "SPKH", 2, 1, 10, -1, false },
+  { "MED", 3, 3, 9, 0, true },
+  { "EMA", 0, 10, 100, 0, false }
+};
+const int APP_SETTING_COUNT = sizeof(appSettings) / sizeof(appSettings[0]);
 
 // --- BLE 全局变量 ---
 NimBLEServer* pServer = nullptr;
 NimBLECharacteristic* pCharacteristic = nullptr;
+NimBLECharacteristic* pCommandCharacteristic = nullptr;
 bool deviceConnected = false;
 bool oldDeviceConnected = false;
 
@@ -109,6 +160,25 @@ class MyCharacteristicCallbacks : public NimBLECharacteristicCallbacks {
     };
 };
 
+class CommandCallbacks : public NimBLECharacteristicCallbacks {
+    void onWrite(NimBLECharacteristic* pCharacteristic, NimBLEConnInfo& connInfo) {
+        std::string value = pCharacteristic->getValue();
+        // 上一条命令未执行完时拒绝新命令（应用端按顺序发送，正常情况下不会发生）
+        if (commandPending) {
+            int id = atoi(value.c_str());
+            char reply[COMMAND_MAX_LENGTH + 1];
+            snprintf(reply, sizeof(reply), "%d ERR BUSY", id);
+            pCharacteristic->setValue((uint8_t*)reply, strlen(reply));
+            pCharacteristic->notify();
+            return;
+        }
+        size_t length = value.length() < COMMAND_MAX_LENGTH ? value.length() : COMMAND_MAX_LENGTH;
+        memcpy(pendingCommand, value.c_str(), length);
+        pendingCommand[length] = '\0';
+        commandPending = true;
+    };
+};
+
 // --- 1. TCA9548A控制函数 ---
 /**
  * 选择TCA9548A的通道
@@ -127,16 +197,19 @@ void tcaSelect(uint8_t channel) {
  * @param distances 输出数组，存储8个方向的距离值
  * @param minDir 输出参数，最小距离的方向索引
  * @param minDist 输出参数，最小距离值
+ * @param sensorStatus 输出参数，bit i 为1表示通道i故障（未初始化或读取超时）
  * @return 是否至少有一个传感器读取成功
  */
-bool readTOFSensors(uint16_t* distances, int* minDir, uint16_t* minDist) {
+bool readTOFSensors(uint16_t* distances, int* minDir, uint16_t* minDist, uint8_t* sensorStatus) {
   uint16_t minDistance = FILTER_MAX_MM;
   int minDirection = -1;
   bool anySuccess = false;
+  *sensorStatus = 0;
 
   for (int i = 0; i < NUM_SENSORS; i++) {
     if (!sensorInitialized[i]) {
       distances[i] = FILTER_MAX_MM;
+      *sensorStatus |= (1 << i);
       continue;
     }
 
@@ -148,9 +221,16 @@ bool readTOFSensors(uint16_t* distances, int* minDir, uint16_t* minDist) {
     uint16_t distance = sensors[i].read();
     distances[i] = distance;
 
+    // 读取超时：故障通道按无目标发送，由应用根据传感器状态标记
+    if (sensors[i].timeoutOccurred()) {
+      distances[i] = FILTER_MAX_MM;
+      *sensorStatus |= (1 << i);
+      continue;
+    }
+
     // 检查数据有效性（只检查最大值，不检查最小值，避免20mm误差导致的频繁跳变）
     // 0值通常表示传感器错误或超出范围，但我们也发送真实值
-    if (distance > 0 && distance <= FILTER_MAX_MM) {
+    if (distance > 0 && distance <= maxDistanceMm) {
       anySuccess = true;
       if (distance < minDistance) {
         minDistance = distance;
@@ -220,6 +300,7 @@ bool initTOFSensors() {
     }
 
     // 设置测量模式
+    sensors[i].setTimeout(SENSOR_READ_TIMEOUT_MS);
     sensors[i].setDistanceMode(VL53L1X::Short);
     sensors[i].setMeasurementTimingBudget(20000);
     sensors[i].startContinuous(50);
@@ -277,6 +358,13 @@ void initBLE() {
   // 设置特征回调
   pCharacteristic->setCallbacks(new MyCharacteristicCallbacks());
 
+  // 创建命令特征（应用写入命令，固件在同一特征上通知确认）
+  pCommandCharacteristic = pService->createCharacteristic(
+    COMMAND_CHARACTERISTIC_UUID,
+    NIMBLE_PROPERTY::WRITE | NIMBLE_PROPERTY::NOTIFY
+  );
+  pCommandCharacteristic->setCallbacks(new CommandCallbacks());
+
   // 设置初始值（23字节的0值）
   uint8_t initialValue[23] = {0};
   pCharacteristic->setValue(initialValue, 23);
@@ -295,18 +383,120 @@ void initBLE() {
   Serial.println(SERVICE_UUID);
   Serial.print(F("BLE: Characteristic UUID: "));
   Serial.println(CHARACTERISTIC_UUID);
+  Serial.print(F("BLE: Command Characteristic UUID: "));
+  Serial.println(COMMAND_CHARACTERISTIC_UUID);
 }
 
-// --- 5. 发送BLE数据 ---
+// --- 5. 处理应用命令 ---
+/**
+ * 已初始化成功的传感器数量
+ */
+int countInitializedSensors() {
+  int count = 0;
+  for (int i = 0; i < NUM_SENSORS; i++) {
+    if (sensorInitialized[i]) count++;
+  }
+  return count;
+}
+
+/**
+ * 通过命令特征通知确认
+ * @param reply 确认文本（不超过 REPLY_MAX_LENGTH）
+ */
+void sendCommandReply(const char* reply) {
+  Serial.print(F("CMD: "));
+  Serial.println(reply);
+  if (deviceConnected && pCommandCharacteristic) {
+    pCommandCharacteristic->setValue((uint8_t*)reply, strlen(reply));
+    pCommandCharacteristic->notify();
+  }
+}
+
+/**
+ * 按命令代码查找应用下发的参数
+ * @return 参数，不是参数命令时为 nullptr
+ */
+AppSetting* findAppSetting(const char* code) {
+  for (int i = 0; i < APP_SETTING_COUNT; i++) {
+    if (strcmp(code, appSettings[i].code) == 0) {
+      return &appSettings[i];
+    }
+  }
+  return nullptr;
+}
+
+/**
+ * 执行一条命令 "<序号> <代码>[ <参数>]" 并回复确认
+ */
+void processCommand(const char* command) {
+  int id = 0;
+  char code[8] = {0};
+  long value = 0;
+  int fields = sscanf(command, "%d %7s %ld", &id, code, &value);
+  char reply[REPLY_MAX_LENGTH + 1];
+  AppSetting* setting = findAppSetting(code);
+
+  if (fields < 2) {
+    snprintf(reply, sizeof(reply), "%d ERR UNKNOWN", id);
+  } else if (strcmp(code, "PING") == 0) {
+    snprintf(reply, sizeof(reply), "%d OK", id);
+  } else if (strcmp(code, "CFG") == 0) {
+    int length = snprintf(reply, sizeof(reply), "%d OK %lu,%u,%d", id, currentSendInterval, maxDistanceMm, countInitializedSensors());
+    for (int i = 0; i < APP_SETTING_COUNT; i++) {
+      length += snprintf(reply + length, sizeof(reply) - length, ",%ld", appSettings[i].value);
+    }
+  } else if (strcmp(code, "INT") == 0) {
+    if (fields < 3 || value < (long)MIN_SEND_INTERVAL || value > (long)MAX_SEND_INTERVAL) {
+      snprintf(reply, sizeof(reply), "%d ERR RANGE", id);
+    } else {
+      currentSendInterval = value;
+      snprintf(reply, sizeof(reply), "%d OK %lu", id, currentSendInterval);
+    }
+  } else if (strcmp(code, "MAXD") == 0) {
+    if (fields < 3 || value < MIN_MAX_DISTANCE_MM || value > FILTER_MAX_MM) {
+      snprintf(reply, sizeof(reply), "%d ERR RANGE", id);
+    } else {
+      maxDistanceMm = value;
+      snprintf(reply, sizeof(reply), "%d OK %u", id, maxDistanceMm);
+    }
+  } else if (setting != nullptr) {
+    bool off = setting->offValue >= 0 && value == setting->offValue;
+    bool inRange = value >= setting->minValue && value <= setting->maxValue && (!setting->oddOnly || value % 2 == 1);
+    if (fields < 3 || !(off || inRange)) {
+      snprintf(reply, sizeof(reply), "%d ERR RANGE", id);
+    } else {
+      setting->value = value;
+      snprintf(reply, sizeof(reply), "%d OK %ld", id, setting->value);
+    }
+  } else if (strcmp(code, "REINIT") == 0) {
+    for (int i = 0; i < NUM_SENSORS; i++) {
+      sensorInitialized[i] = false;
+    }
+    initTOFSensors();
+    int count = countInitializedSensors();
+    if (count == 0) {
+      snprintf(reply, sizeof(reply), "%d ERR NO_SENSORS", id);
+    } else {
+      snprintf(reply, sizeof(reply), "%d OK %d", id, count);
+    }
+  } else {
+    snprintf(reply, sizeof(reply), "%d ERR UNKNOWN", id);
+  }
+
+  sendCommandReply(reply);
+}
+
+// --- 6. 发送BLE数据 ---
 /**
  * 读取传感器数据并通过BLE Notify发送
- * 数据格式: [时间戳(4字节)] [最小方向(1字节)] [最小距离(2字节)] [8方向距离(16字节)]
- * 总长度: 23字节
+ * 数据格式 v2: [版本=2(1字节)] [序号(2字节)] [时间戳(4字节)] [最小方向(1字节)] [最小距离(2字节)] [8方向距离(16字节)] [传感器状态(1字节)]
+ * 总长度: 27字节（旧固件为不带版本、序号和传感器状态的23字节 v1 数据包，应用两种都能解码）
  */
 void sendBLEData() {
   uint16_t distances[8];
   int currentMinDir;
   uint16_t currentMinDist;
+  uint8_t sensorStatus = 0;
   bool readSuccess = false;
 
   // 读取TOF传感器数据（如果传感器已初始化）
@@ -319,7 +509,7 @@ void sendBLEData() {
   }
 
   if (hasInitializedSensors) {
-    readSuccess = readTOFSensors(distances, &currentMinDir, &currentMinDist);
+    readSuccess = readTOFSensors(distances, &currentMinDir, &currentMinDist, &sensorStatus);
   } else {
     // 如果没有传感器，发送测试数据
   for (int i = 0; i < 8; i++) {
@@ -327,34 +517,44 @@ void sendBLEData() {
     }
     currentMinDir = 0;
     currentMinDist = 500;
+    sensorStatus = 0xFF; // 测试数据不是真实读数，所有通道标记为故障
     readSuccess = true;
     Serial.println(F("BLE: Using test data (no sensors)"));
   }
 
   // 构造二进制数据包
-  // 格式: [时间戳(4字节)] [最小方向(1字节)] [最小距离(2字节)] [8方向距离(16字节)]
+  // 格式: [版本(1字节)] [序号(2字节)] [时间戳(4字节)] [最小方向(1字节)] [最小距离(2字节)] [8方向距离(16字节)] [传感器状态(1字节)]
   uint32_t timestamp = millis();
-  uint8_t dataPacket[23]; // 4 + 1 + 2 + 16 = 23字节
+  uint8_t dataPacket[PACKET_SIZE]; // 1 + 2 + 4 + 1 + 2 + 16 + 1 = 27字节
+
+  dataPacket[0] = PACKET_VERSION;
+
+  // 序号 (小端序)
+  memcpy(&dataPacket[1], &packetSequence, 2);
 
   // 时间戳 (小端序)
-  memcpy(&dataPacket[0], &timestamp, 4);
+  memcpy(&dataPacket[3], &timestamp, 4);
 
   // 最小方向 (如果无效则为255)
-  dataPacket[4] = (uint8_t)(currentMinDir >= 0 ? currentMinDir : 255);
+  dataPacket[7] = (uint8_t)(currentMinDir >= 0 ? currentMinDir : 255);
 
   // 最小距离 (小端序)
-  memcpy(&dataPacket[5], &currentMinDist, 2);
+  memcpy(&dataPacket[8], &currentMinDist, 2);
 
   // 8方向距离 (小端序)
   for (int i = 0; i < 8; i++) {
-    memcpy(&dataPacket[7 + i * 2], &distances[i], 2);
+    memcpy(&dataPacket[10 + i * 2], &distances[i], 2);
   }
 
+  // 传感器状态 (bit i = 通道i故障)
+  dataPacket[26] = sensorStatus;
+
   // 只有在有客户端连接时才发送数据
   if (deviceConnected && pCharacteristic) {
     // 发送BLE通知
     pCharacteristic->setValue(dataPacket, sizeof(dataPacket));
     pCharacteristic->notify();
+    packetSequence++;
 
     // 调试输出到USB串口
     Serial.print(F("BLE: "));
@@ -370,6 +570,10 @@ void sendBLEData() {
     }
     Serial.print(F(" Dist:"));
     Serial.print(currentMinDist);
+    if (sensorStatus != 0) {
+      Serial.print(F(" Fault:0x"));
+      Serial.print(sensorStatus, HEX);
+    }
     Serial.println(readSuccess ? F(" OK") : F(" ERR"));
   } else {
     // 没有客户端连接时的调试输出
@@ -457,6 +661,12 @@ void setup() {
 }
 
 void loop() {
+  // 执行应用命令（写入回调中只保存命令文本）
+  if (commandPending) {
+    processCommand(pendingCommand);
+    commandPending = false;
+  }
+
   // 定时发送数据（使用动态调整的发送间隔）
   if (millis() - lastSendTime >= currentSendInterval) {
     sendBLEData();
@@ -0,0 +1,335 @@
+/*
+ * SEBT IPC 通道表 (IPC Channels)
+ * main.js 的 IPC 注册、BLEManager.sendToRenderer 和预加载脚本共用的通道定义，不依赖Electron
+ * 预加载脚本在沙箱中不能 require 本文件，启动时通过 ipc-contract-get 同步获取通道表并据此生成 window.sebt
+ *
+ * 通道类型:
+ *   invoke  渲染进程 → 主进程，返回 {success, error, ...}；api 为 window.sebt 上的方法路径
+ *   send    渲染进程 → 主进程，单向消息
+ *   event   主进程 → 渲染进程；event 为 window.sebt.devices.on() 使用的事件名
+ *
+ * 数据格式（args 为参数列表，payload 为事件数据）:
+ *   'string' | 'number' | 'boolean' | 'object' | 'array' | 'null' | 'any'，可用 | 组合，后缀 ? 表示可省略
+ *   {字段: 格式} 表示对象，只检查列出的字段；payload 为 null 表示事件不带数据
+ * 开发模式（NODE_ENV=development）下主进程按格式检查每条消息；通道名在任何模式下都检查
+ */
+
+// --- 配置 ---
+const CONTRACT_CHANNEL = 'ipc-contract-get'; // 预加载脚本同步获取通道表
+const IPC_VALIDATE = process.env.NODE_ENV === 'development'; // 开发模式下检查消息格式
+
+const DEVICE = { id: 'string', name: 'string', address: 'string' };
+
+const IPC_CHANNELS = {
+  // 设备
+  'driver-page-open': { kind: 'invoke', api: 'devices.openDriverPage', args: [] },
+  'diagnostics-get': { kind: 'invoke', api: 'devices.getDiagnostics', args: [] },
+  'bt-disconnect': { kind: 'send', api: 'devices.disconnect', args: [] },
+  'device-command': { kind: 'invoke', api: 'devices.sendCommand', args: ['string'] },
+
+  // 设置
+  'filter-get-config': { kind: 'invoke', api: 'settings.getFilterConfig', args: [] },
+  'filter-set-config': { kind: 'invoke', api: 'settings.setFilterConfig', args: ['object'] },
+  'device-settings-get': { kind: 'invoke', api: 'settings.getDeviceSettings', args: [] },
+  'device-settings-set': {
+    kind: 'invoke',
+    api: 'settings.setDeviceSettings',
+    args: [{ intervalMs: 'number?', maxDistanceMm: 'number?', lockCount: 'number?' }]
+  },
+  'calibration-get': { kind: 'invoke', api: 'settings.getCalibration', args: [] },
+  'calibration-save': { kind: 'invoke', api: 'settings.saveCalibration', args: [{ channels: 'array', points: 'array?' }] },
+  'calibration-activate': { kind: 'invoke', api: 'settings.activateCalibration', args: ['string|null'] },
+
+  // 测试记录
+  'session-save': { kind: 'invoke', api: 'sessions.save', args: ['object'] },
+  'session-list': { kind: 'invoke', api: 'sessions.list', args: ['object?'] },
+  'session-get': { kind: 'invoke', api: 'sessions.get', args: ['string'] },
+
+  // 文件导出（保存位置由主进程对话框决定）
+  'export-csv': { kind: 'invoke', api: 'files.exportCSV', args: [{ fileName: 'string', content: 'string' }] },
+
+  // 录制回放
+  'recording-start': { kind: 'invoke', api: 'recording.start', args: [] },
+  'recording-stop': { kind: 'invoke', api: 'recording.stop', args: [] },
+  'recording-list': { kind: 'invoke', api: 'recording.list', args: [] },
+  'replay-start': { kind: 'invoke', api: 'replay.start', args: [{ filePath: 'string', speed: 'string' }] },
+  'replay-stop': { kind: 'invoke', api: 'replay.stop', args: [] },
+
+  // 主进程 → 渲染进程
+  'bluetooth-data-received': { kind: 'event', event: 'hostData', payload: { type: 'string', data: 'string' } },
+  'realtime-sensor-data': {
+    kind: 'event',
+    event: 'realtimeData',
+    payload: { direction: 'string', distance: 'number', isMinDistance: 'boolean', timestamp: 'number' }
+  },
+  'slave-pressure-data': {
+    kind: 'event',
+    event: 'slavePressure',
+    payload: { source: 'string', name: 'string', address: 'string', timestamp: 'number', pressure: 'number' }
+  },
+  'bluetooth-status': {
+    kind: 'event',
+    event: 'status',
+    payload: { role: 'string?', connected: 'boolean', device: 'object|null', scanning: 'boolean?' }
+  },
+  'bluetooth-connected': { kind: 'event', event: 'connected', payload: { device: DEVICE } },
+  'bluetooth-disconnected': { kind: 'event', event: 'disconnected', payload: null },
+  'bluetooth-scan-started': { kind: 'event', event: 'scanStarted', payload: null },
+  'bluetooth-scan-stopped': { kind: 'event', event: 'scanStopped', payload: null },
+  'device-link-status': {
+    kind: 'event',
+    event: 'linkStatus',
+    payload: { role: 'string', state: 'string', attempt: 'number|null', delayMs: 'number|null', gapMs: 'number|null', reason: 'string' }
+  },
+  'bridge-status': {
+    kind: 'event',
+    event: 'bridgeStatus',
+    payload: {
+      running: 'boolean',
+      host: 'string',
+      port: 'number|null',
+      preferredPort: 'number',
+      skippedPorts: 'array',
+      error: 'string|null',
+      startedAt: 'number|null'
+    }
+  },
+  'device-config': { kind: 'event', event: 'deviceConfig', payload: { settings: 'object', device: 'object|null' } },
+  'replay-status': { kind: 'event', event: 'replayStatus', payload: { replaying: 'boolean', filePath: 'string|null' } }
+};
+
+/**
+ * 值的类型名（与格式字符串中的类型名一致）
+ * @param {any} value 值
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * 按格式检查一个值
+ * @param {string|Object} spec 格式（见文件头说明）
+ * @param {any} value 值
+ * @param {string} name 出错时显示的名称
+ * @returns {string|null} 不符合时返回原因
+ */
+function checkValue(spec, value, name) {
+  if (typeof spec === 'string') {
+    const optional = spec.endsWith('?');
+    if (optional && value === undefined) {
+      return null;
+    }
+    const types = spec.replace(/\?$/, '').split('|');
+    const type = typeOf(value);
+    if (types.includes('any') || types.includes(type)) {
+      return null;
+    }
+    return `${name} 应为 ${types.join('|')}，实际为 ${type}`;
+  }
+
+  if (typeOf(value) !== 'object') {
+    return `${name} 应为 object，实际为 ${typeOf(value)}`;
+  }
+  for (const [field, fieldSpec] of Object.entries(spec)) {
+    const reason = checkValue(fieldSpec, value[field], `${name}.${field}`);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * 检查渲染进程发往主进程的参数
+ * @param {string} channel 通道名
+ * @param {any[]} args 参数列表（不含 IpcMainEvent）
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+function validateIpcRequest(channel, args) {
+  const definition = IPC_CHANNELS[channel];
+  if (!definition || definition.kind === 'event') {
+    return { valid: false, reason: `未注册的请求通道: ${channel}` };
+  }
+  if (args.length > definition.args.length) {
+    return { valid: false, reason: `${channel} 最多 ${definition.args.length} 个参数，实际 ${args.length} 个` };
+  }
+  for (let index = 0; index < definition.args.length; index++) {
+    const reason = checkValue(definition.args[index], args[index], `${channel} 参数${index + 1}`);
+    if (reason) {
+      return { valid: false, reason };
+    }
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * 检查主进程发往渲染进程的事件
+ * @param {string} channel 通道名
+ * @param {any} payload 事件数据
+ * @param {Object} [options] 选项
+ * @param {boolean} [options.checkPayload=true] 是否检查数据格式（为false时只检查通道名）
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+function validateIpcEvent(channel, payload, { checkPayload = true } = {}) {
+  const definition = IPC_CHANNELS[channel];
+  if (!definition || definition.kind !== 'event') {
+    return { valid: false, reason: `未注册的事件通道: ${channel}` };
+  }
+  if (!checkPayload) {
+    return { valid: true, reason: null };
+  }
+  if (definition.payload === null) {
+    return payload === undefined
+      ? { valid: true, reason: null }
+      : { valid: false, reason: `${channel} 不带数据，实际为 ${typeOf(payload)}` };
+  }
+  const reason = checkValue(definition.payload, payload, channel);
+  return { valid: !reason, reason };
+}
+
+/**
+ * 发送事件到渲染进程前检查通道和数据
+ * 未注册的通道报告错误且不应发送；数据格式不符（仅在 validate 时检查）只报告，仍可发送
+ * @param {string} channel 通道名
+ * @param {any} payload 事件数据
+ * @param {boolean} [validate=IPC_VALIDATE] 是否检查数据格式
+ * @returns {boolean} 是否可以发送
+ */
+function checkRendererEvent(channel, payload, validate = IPC_VALIDATE) {
+  const registered = validateIpcEvent(channel, payload, { checkPayload: false });
+  if (!registered.valid) {
+    console.error(`❌ [IPC] ${registered.reason}`);
+    return false;
+  }
+  if (validate) {
+    const { valid, reason } = validateIpcEvent(channel, payload);
+    if (!valid) {
+      console.error(`❌ [IPC] 发送到渲染进程的数据格式错误: ${reason}`);
+    }
+  }
+  return true;
+}
+
+/**
+ * 预加载脚本需要的通道表（只含通道名、类型和接口名，不含数据格式）
+ * @returns {{requests: Array<{channel: string, kind: string, api: string}>, events: Object<string, string>}}
+ *   events 为 事件名 → 通道名
+ */
+function describeIpcContract() {
+  const requests = [];
+  const events = {};
+  Object.entries(IPC_CHANNELS).forEach(([channel, { kind, api, event }]) => {
+    if (kind === 'event') {
+      events[event] = channel;
+    } else {
+      requests.push({ channel, kind, api });
+    }
+  });
+  return { requests, events };
+}
+
+/**
+ * 主进程 IPC 注册表：只允许注册通道表中的请求通道，开发模式下检查参数格式
+ */
+class IpcRegistry {
+  /**
+   * @param {Object} options 配置项
+   * @param {Object} options.ipcMain Electron ipcMain
+   * @param {boolean} [options.validate=IPC_VALIDATE] 是否检查参数格式，默认仅开发模式检查
+   */
+  constructor({ ipcMain, validate = IPC_VALIDATE }) {
+    this.ipcMain = ipcMain;
+    this.validate = validate;
+    this.handled = new Set();
+  }
+
+  /**
+   * 记录已注册的通道（通道未注册、类型不符或重复注册时抛出错误）
+   * @param {string} channel 通道名
+   * @param {string} kind 通道类型
+   */
+  register(channel, kind) {
+    const definition = IPC_CHANNELS[channel];
+    if (!definition) {
+      throw new Error(`IPC通道未在 ipc-channels.js 中定义: ${channel}`);
+    }
+    if (definition.kind !== kind) {
+      throw new Error(`IPC通道 ${channel} 定义为 ${definition.kind}，不能按 ${kind} 注册`);
+    }
+    if (this.handled.has(channel)) {
+      throw new Error(`IPC通道重复注册: ${channel}`);
+    }
+    this.handled.add(channel);
+  }
+
+  /**
+   * 注册 invoke 处理函数（开发模式下参数不符时返回 {success: false, error}）
+   * @param {string} channel 通道名
+   * @param {Function} handler (event, ...args) => 结果
+   */
+  handle(channel, handler) {
+    this.register(channel, 'invoke');
+    this.ipcMain.handle(channel, (event, ...args) => {
+      const reason = this.check(channel, args);
+      return reason ? { success: false, error: reason } : handler(event, ...args);
+    });
+  }
+
+  /**
+   * 注册单向消息处理函数（开发模式下参数不符时丢弃消息）
+   * @param {string} channel 通道名
+   * @param {Function} listener (event, ...args) => void
+   */
+  on(channel, listener) {
+    this.register(channel, 'send');
+    this.ipcMain.on(channel, (event, ...args) => {
+      if (!this.check(channel, args)) {
+        listener(event, ...args);
+      }
+    });
+  }
+
+  /**
+   * 开发模式下检查参数
+   * @param {string} channel 通道名
+   * @param {any[]} args 参数列表
+   * @returns {string|null} 不符合时返回原因
+   */
+  check(channel, args) {
+    if (!this.validate) {
+      return null;
+    }
+    const { valid, reason } = validateIpcRequest(channel, args);
+    if (!valid) {
+      console.error(`❌ [IPC] 渲染进程消息格式错误: ${reason}`);
+    }
+    return valid ? null : reason;
+  }
+
+  /**
+   * 通道表中没有主进程处理函数的请求通道（渲染进程调用后不会有响应）
+   * @returns {string[]}
+   */
+  getUnhandledChannels() {
+    return Object.keys(IPC_CHANNELS)
+      .filter(channel => IPC_CHANNELS[channel].kind !== 'event' && !this.handled.has(channel));
+  }
+}
+
+module.exports = {
+  CONTRACT_CHANNEL,
+  IPC_VALIDATE,
+  IPC_CHANNELS,
+  validateIpcRequest,
+  validateIpcEvent,
+  checkRendererEvent,
+  describeIpcContract,
+  IpcRegistry
+};
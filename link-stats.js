@@ -0,0 +1,112 @@
+/*
+ * SEBT 链路统计 (Link Stats)
+ * 统计主机/从机数据链路的实时包率、估算丢包率、Bridge 延迟和被拒绝的数据包，供诊断面板显示
+ *
+ *   包率     最近 windowMs 内收到的数据包数 / 秒
+ *   丢包率   最近 windowMs 内按主机时间戳估算的丢失包数 / (收到 + 丢失)（见 packet-continuity.js）
+ *   延迟     驱动页面发送时间 sentAt 到主进程收到的时间差（驱动与应用运行在同一台电脑上）
+ *   拒绝     验证/解码失败的数据包按原因类别计数（"最小距离超出范围: 9000" 计入 "最小距离超出范围"）
+ */
+
+const { SEND_INTERVAL_MS } = require('./packet-continuity');
+
+// --- 配置 ---
+const STATS_WINDOW_MS = 10000; // 包率、丢包率和延迟的统计窗口
+
+/**
+ * 单条数据链路（主机或从机）的统计
+ */
+class LinkStats {
+  /**
+   * @param {Object} [options] 配置项
+   * @param {number} [options.windowMs] 统计窗口（毫秒）
+   * @param {number} [options.intervalMs] 固件发送间隔，用于计算期望包率
+   */
+  constructor({ windowMs = STATS_WINDOW_MS, intervalMs = SEND_INTERVAL_MS } = {}) {
+    this.windowMs = windowMs;
+    this.intervalMs = intervalMs;
+    this.reset();
+  }
+
+  /**
+   * 清空统计
+   */
+  reset() {
+    this.samples = []; // 统计窗口内的数据包 {receivedAt, missedPackets, latencyMs}
+    this.packetCount = 0;
+    this.missedPackets = 0;
+    this.lastPacketAt = null;
+    this.rejections = {};
+    this.rejectedCount = 0;
+  }
+
+  /**
+   * 记录一个已接受的数据包
+   * @param {Object} packet 数据包信息
+   * @param {number} packet.receivedAt 主进程收到的时间
+   * @param {number} [packet.missedPackets] 与上一包之间估算丢失的数据包数量
+   * @param {number|null} [packet.latencyMs] Bridge 延迟，驱动未提供 sentAt 时为null
+   */
+  recordPacket({ receivedAt, missedPackets = 0, latencyMs = null }) {
+    this.packetCount++;
+    this.missedPackets += missedPackets;
+    this.lastPacketAt = receivedAt;
+    this.samples.push({ receivedAt, missedPackets, latencyMs: latencyMs === null ? null : Math.max(0, latencyMs) });
+    this.prune(receivedAt);
+  }
+
+  /**
+   * 记录一个被拒绝的数据包
+   * @param {string} reason 验证或解码失败原因
+   */
+  recordRejection(reason) {
+    const category = String(reason || '未知原因').split(':')[0].trim();
+    this.rejections[category] = (this.rejections[category] || 0) + 1;
+    this.rejectedCount++;
+  }
+
+  /**
+   * 移除统计窗口外的数据包
+   * @param {number} now 当前时间
+   */
+  prune(now) {
+    const windowStart = now - this.windowMs;
+    while (this.samples.length > 0 && this.samples[0].receivedAt <= windowStart) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * 获取统计快照
+   * @param {number} [now] 当前时间
+   * @returns {Object} {packetCount, packetRate, expectedRate, lossRate, missedPackets, latency, lastPacketAgeMs, rejections, rejectedCount}
+   */
+  getSnapshot(now = Date.now()) {
+    this.prune(now);
+    const received = this.samples.length;
+    const missed = this.samples.reduce((sum, sample) => sum + sample.missedPackets, 0);
+    const latencies = this.samples.map(sample => sample.latencyMs).filter(latency => latency !== null);
+
+    return {
+      packetCount: this.packetCount,
+      packetRate: Math.round((received / (this.windowMs / 1000)) * 10) / 10,
+      expectedRate: Math.round((1000 / this.intervalMs) * 10) / 10,
+      lossRate: received + missed > 0 ? Math.round((missed / (received + missed)) * 1000) / 1000 : 0,
+      missedPackets: this.missedPackets,
+      latency: latencies.length > 0
+        ? {
+          avgMs: Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length),
+          maxMs: Math.max(...latencies)
+        }
+        : null,
+      lastPacketAgeMs: this.lastPacketAt === null ? null : Math.max(0, now - this.lastPacketAt),
+      rejections: { ...this.rejections },
+      rejectedCount: this.rejectedCount
+    };
+  }
+}
+
+module.exports = {
+  STATS_WINDOW_MS,
+  LinkStats
+};
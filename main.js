@@ -4,12 +4,73 @@ const WebSocket = require('ws');
 const path = require('path');
 const fs = require('fs');
 const { BLEManager } = require('./ble-manager');
+const { SessionStore } = require('./session-store');
+const { StreamRecorder } = require('./stream-recorder');
+const { CalibrationStore } = require('./calibration-store');
+const { DEFAULT_FILTER_CONFIG } = require('./signal-filter');
+const { DEFAULT_DEVICE_SETTINGS } = require('./device-commands');
+const { CONTRACT_CHANNEL, describeIpcContract, checkRendererEvent, IpcRegistry } = require('./ipc-channels');
+const {
+  BRIDGE_HOST,
+  DEFAULT_BRIDGE_PORT,
+  BRIDGE_PORT_FALLBACK_COUNT,
+  AUTH_TIMEOUT_MS,
+  CLOSE_CODES,
+  createSessionToken,
+  resolvePreferredPort,
+  isTokenValid,
+  isAllowedOrigin,
+  parseRequestUrl,
+  buildDriverUrl
+} = require('./bridge-auth');
+const {
+  BRIDGE_PROTOCOL_VERSION,
+  INCOMPATIBLE_CLOSE_CODE,
+  CAPABILITIES,
+  negotiateHello,
+  validateDriverMessage
+} = require('./bridge-protocol');
+const { PACKET_LAYOUTS } = require('./packet-codec');
 
 let mainWindow;
 let btManager;
+let sessionStore;
+let streamRecorder;
+let calibrationStore;
 let httpServer;
 let wss;
 
+// WebSocket Bridge 首选端口（可通过 SEBT_BRIDGE_PORT 指定），被占用时自动选择后续端口
+const preferredPortConfig = resolvePreferredPort(process.env.SEBT_BRIDGE_PORT);
+if (!preferredPortConfig.valid) {
+  console.warn(`⚠️ SEBT_BRIDGE_PORT 无效 (${process.env.SEBT_BRIDGE_PORT})，使用默认端口${DEFAULT_BRIDGE_PORT}`);
+}
+const preferredBridgePort = preferredPortConfig.port;
+
+// WebSocket Bridge 状态（实际端口、跳过的端口、启动失败原因），发送给渲染进程显示
+let bridgeStatus = {
+  running: false,
+  host: BRIDGE_HOST,
+  port: null,
+  preferredPort: preferredBridgePort,
+  skippedPorts: [],
+  error: null,
+  startedAt: null
+};
+
+// 已完成 hello 协商的驱动连接（诊断面板显示）ws → {address, driver, roles, protocolVersion, connectedAt}
+const bridgeDrivers = new Map();
+
+// 本次启动的 WebSocket Bridge 会话令牌（开发时可通过 SEBT_BRIDGE_TOKEN 固定，供模拟器使用）
+const bridgeToken = process.env.SEBT_BRIDGE_TOKEN || createSessionToken();
+
+// 驱动页面（主机和从机共用一个页面，需要会话令牌才能访问）
+const DRIVER_PAGE = '/ble-driver.html';
+const DRIVER_ROLE_LABELS = { host: '主机', slave: '从机' };
+
+// 应用支持的主机数据包布局版本（驱动 hello 中声明的布局必须在其中）
+const SUPPORTED_PACKET_LAYOUTS = Object.keys(PACKET_LAYOUTS).map(Number);
+
 /**
  * 创建主窗口
  * @returns {BrowserWindow}
@@ -19,8 +80,11 @@ function createWindow() {
     width: 1400,
     height: 900,
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false
+      // 渲染进程只能通过 preload.js 暴露的 window.sebt 访问主进程
+      preload: path.join(__dirname, 'preload.js'),
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
     },
     title: 'SEBT 平衡测试系统',
     show: false
@@ -32,6 +96,11 @@ function createWindow() {
     window.show();
   });
 
+  // 页面加载（含刷新）后同步 WebSocket Bridge 状态
+  window.webContents.on('did-finish-load', () => {
+    sendIpcEvent(window, 'bridge-status', bridgeStatus);
+  });
+
   window.on('closed', () => {
     mainWindow = null;
     // 通知浏览器关闭BLE驱动页面
@@ -48,155 +117,371 @@ function createWindow() {
 }
 
 /**
- * 创建WebSocket服务器
+ * 将渲染进程提供的建议文件名转换为安全的文件名（去掉目录和非法字符，补全扩展名）
+ * @param {*} fileName 建议文件名
+ * @param {string} extension 扩展名，如 '.csv'
+ * @returns {string}
  */
-function createWebSocketServer() {
-  const PORT = 3000;
+function toExportFileName(fileName, extension) {
+  const baseName = path.basename(String(fileName || 'SEBT'))
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '');
+  const name = baseName || 'SEBT';
+  return path.extname(name).toLowerCase() === extension ? name : `${name}${extension}`;
+}
 
+/**
+ * 在首选端口上监听，端口被占用时依次尝试后续端口
+ * @param {http.Server} server HTTP服务器
+ * @param {number} preferredPort 首选端口
+ * @returns {Promise<{port: number, skippedPorts: Array<{port: number, reason: string}>}>}
+ */
+async function listenOnAvailablePort(server, preferredPort) {
+  const skippedPorts = [];
+  const lastPort = Math.min(preferredPort + BRIDGE_PORT_FALLBACK_COUNT - 1, 65535);
+
+  for (let port = preferredPort; port <= lastPort; port++) {
+    try {
+      await new Promise((resolve, reject) => {
+        const onError = (error) => {
+          server.off('listening', onListening);
+          reject(error);
+        };
+        const onListening = () => {
+          server.off('error', onError);
+          resolve();
+        };
+        server.once('error', onError);
+        server.once('listening', onListening);
+        server.listen(port, BRIDGE_HOST);
+      });
+      return { port, skippedPorts };
+    } catch (error) {
+      if (error.code !== 'EADDRINUSE' && error.code !== 'EACCES') {
+        throw error;
+      }
+      const reason = error.code === 'EADDRINUSE' ? '已被占用' : '无权限';
+      console.warn(`⚠️ 端口${port}${reason}，尝试下一个端口`);
+      skippedPorts.push({ port, reason });
+    }
+  }
+
+  const error = new Error(`端口${preferredPort}-${lastPort}均不可用`);
+  error.skippedPorts = skippedPorts;
+  throw error;
+}
+
+/**
+ * 发送 WebSocket Bridge 状态到渲染进程（端口、是否回退、启动失败原因）
+ */
+function sendBridgeStatus() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    sendIpcEvent(mainWindow, 'bridge-status', bridgeStatus);
+  }
+}
+
+/**
+ * 按 ipc-channels.js 的通道表发送事件到渲染进程（未注册的通道不发送）
+ * @param {BrowserWindow} window 目标窗口
+ * @param {string} channel 事件通道
+ * @param {any} payload 事件数据
+ * @returns {boolean} 是否已发送
+ */
+function sendIpcEvent(window, channel, payload) {
+  if (!checkRendererEvent(channel, payload)) {
+    return false;
+  }
+  window.webContents.send(channel, payload);
+  return true;
+}
+
+/**
+ * 创建WebSocket服务器
+ */
+async function createWebSocketServer() {
   // 检查是否已经创建了服务器
   if (httpServer || wss) {
     console.log('📡 WebSocket服务器已在运行');
-    return Promise.resolve();
+    return;
   }
 
-  // 检查端口是否被占用
-  const net = require('net');
-  const testServer = net.createServer();
+  // 创建HTTP服务器用于提供静态文件
+  httpServer = http.createServer((req, res) => {
+    const driverPages = {
+      '/': 'ble-driver.html',
+      '/ble-driver.html': 'ble-driver.html'
+    };
+    // 驱动页面共用的脚本（与主进程使用同一份实现）
+    const driverScripts = {
+      '/packet-codec.js': 'packet-codec.js',
+      '/bridge-protocol.js': 'bridge-protocol.js',
+      '/reconnect-policy.js': 'reconnect-policy.js',
+      '/device-commands.js': 'device-commands.js'
+    };
+    const { pathname, token } = parseRequestUrl(req.url);
+
+    // 驱动页面必须带有本次启动的令牌（由应用打开）
+    if (driverPages[pathname] && !isTokenValid(token, bridgeToken)) {
+      console.warn(`⚠️ 拒绝未认证的驱动页面请求: ${pathname} (${req.socket.remoteAddress})`);
+      res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('驱动页面令牌无效，请从 SEBT 应用中打开驱动页面');
+      return;
+    }
 
-  return new Promise((resolve, reject) => {
-    testServer.listen(PORT, (err) => {
-      testServer.close((closeErr) => {
+    const servedFile = driverPages[pathname]
+      ? { filePath: path.join(__dirname, 'public', driverPages[pathname]), contentType: 'text/html' }
+      : driverScripts[pathname]
+        ? { filePath: path.join(__dirname, driverScripts[pathname]), contentType: 'application/javascript' }
+        : null;
+    if (servedFile) {
+      fs.readFile(servedFile.filePath, (err, data) => {
         if (err) {
-          console.error(`❌ 端口${PORT}已被占用:`, err.message);
-          reject(new Error(`端口${PORT}已被占用`));
+          res.writeHead(404);
+          res.end('File not found');
           return;
         }
+        res.writeHead(200, { 'Content-Type': servedFile.contentType });
+        res.end(data);
+      });
+    } else if (pathname === '/favicon.ico') {
+      // 返回空的favicon.ico以避免404错误
+      res.writeHead(200, { 'Content-Type': 'image/x-icon' });
+      res.end();
+    } else {
+      res.writeHead(404);
+      res.end('Not found');
+    }
+  });
 
-        console.log(`✅ 端口${PORT}可用，开始创建WebSocket服务器`);
-
-        // 创建HTTP服务器用于提供静态文件
-        httpServer = http.createServer((req, res) => {
-          if (req.url === '/' || req.url === '/ble-driver.html') {
-            const filePath = path.join(__dirname, 'public', 'ble-driver.html');
-            fs.readFile(filePath, (err, data) => {
-              if (err) {
-                res.writeHead(404);
-                res.end('File not found');
-                return;
-              }
-              res.writeHead(200, { 'Content-Type': 'text/html' });
-              res.end(data);
-            });
-          } else if (req.url === '/favicon.ico') {
-            // 返回空的favicon.ico以避免404错误
-            res.writeHead(200, { 'Content-Type': 'image/x-icon' });
-            res.end();
-          } else {
-            res.writeHead(404);
-            res.end('Not found');
-          }
-        });
-
-        // 处理服务器错误
-        httpServer.on('error', (error) => {
-          console.error('❌ HTTP服务器错误:', error);
-          cleanupWebSocketServer();
-        });
+  // 依次尝试首选端口和后续端口
+  let PORT;
+  try {
+    const result = await listenOnAvailablePort(httpServer, preferredBridgePort);
+    PORT = result.port;
+    bridgeStatus = { ...bridgeStatus, running: true, port: PORT, skippedPorts: result.skippedPorts, error: null, startedAt: Date.now() };
+  } catch (error) {
+    httpServer = null;
+    bridgeStatus = { ...bridgeStatus, running: false, port: null, skippedPorts: error.skippedPorts || [], error: error.message };
+    sendBridgeStatus();
+    throw error;
+  }
+  console.log(`📡 WebSocket服务器已启动: http://${BRIDGE_HOST}:${PORT}${PORT !== preferredBridgePort ? `（首选端口${preferredBridgePort}不可用）` : ''}`);
 
-        // 启动HTTP服务器
-        httpServer.listen(PORT, () => {
-          console.log(`📡 WebSocket服务器已启动: http://localhost:${PORT}`);
-        });
+  // 处理服务器错误
+  httpServer.on('error', (error) => {
+    console.error('❌ HTTP服务器错误:', error);
+    cleanupWebSocketServer();
+  });
 
-        // 创建WebSocket服务器
-        wss = new WebSocket.Server({ server: httpServer });
+  // 创建WebSocket服务器（仅接受 /ws 路径和本服务器页面的 Origin）
+  wss = new WebSocket.Server({
+    server: httpServer,
+    path: '/ws',
+    maxPayload: 64 * 1024,
+    verifyClient: ({ origin, req }) => {
+      if (!isAllowedOrigin(origin, PORT)) {
+        console.warn(`⚠️ 拒绝WebSocket连接: Origin不允许 (${origin}, ${req.socket.remoteAddress})`);
+        return false;
+      }
+      return true;
+    }
+  });
 
-        // 处理WebSocket服务器错误
-        wss.on('error', (error) => {
-          console.error('❌ WebSocket服务器错误:', error);
-          cleanupWebSocketServer();
-        });
+  // 处理WebSocket服务器错误
+  wss.on('error', (error) => {
+    console.error('❌ WebSocket服务器错误:', error);
+    cleanupWebSocketServer();
+  });
 
-        // 存储所有连接的WebSocket客户端
-        const wsClients = new Set();
-
-        wss.on('connection', (ws) => {
-          console.log('🔗 浏览器BLE驱动已连接');
-          wsClients.add(ws);
-
-          // 心跳保活
-          const pingInterval = setInterval(() => {
-            if (ws.readyState === WebSocket.OPEN) {
-              ws.ping();
-            }
-          }, 30000); // 每30秒发送一次ping
-
-          ws.on('message', (message) => {
-            try {
-              const data = JSON.parse(message.toString());
-              console.log('📨 收到BLE驱动消息:', data.type);
-
-              // 统一通过 ble-manager.js 处理传感器数据，确保格式统一为 [[dir, dist], ...]
-              if (btManager && data.type === 'sensor_data') {
-                btManager.handleWebSocketData(data);
-              } else {
-                // 非传感器数据直接转发（如连接状态等）
-              if (mainWindow && !mainWindow.isDestroyed()) {
-                mainWindow.webContents.send('bluetooth-data-received', {
-                  type: 'scan_data',
-                  data: JSON.stringify(data)
-                });
-                }
-              }
-            } catch (error) {
-              console.error('❌ 解析BLE驱动消息失败:', error);
-            }
-          });
-
-          ws.on('close', () => {
-            console.log('🔌 浏览器BLE驱动连接已断开');
-            wsClients.delete(ws);
-            clearInterval(pingInterval);
-          });
-
-          ws.on('error', (error) => {
-            console.error('❌ WebSocket连接错误:', error);
-            wsClients.delete(ws);
-            clearInterval(pingInterval);
-          });
-
-          // 发送连接确认
-          ws.send(JSON.stringify({ type: 'connected', message: 'WebSocket连接成功' }));
+  // 存储所有连接的WebSocket客户端
+  const wsClients = new Set();
+
+  wss.on('connection', (ws, req) => {
+    const clientAddress = `${req.socket.remoteAddress}:${req.socket.remotePort}`;
+    let authenticated = false;
+    let session = null; // hello 协商结果 {roles, protocolVersion, driver, firmware, packetLayout, capabilities}
+    console.log(`🔗 WebSocket客户端已连接，等待认证: ${clientAddress}`);
+
+    // 未在规定时间内认证的连接直接断开
+    const authTimeout = setTimeout(() => {
+      console.warn(`⚠️ WebSocket客户端认证超时，已断开: ${clientAddress}`);
+      ws.close(CLOSE_CODES.AUTH_TIMEOUT, 'auth timeout');
+    }, AUTH_TIMEOUT_MS);
+
+    // 心跳保活
+    const pingInterval = setInterval(() => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.ping();
+      }
+    }, 30000); // 每30秒发送一次ping
+
+    ws.on('message', (message, isBinary) => {
+      let data;
+      try {
+        // 二进制消息为主机原始数据帧，转换为 sensor_frame 后由 ble-manager.js 解码
+        data = isBinary
+          ? { type: 'sensor_frame', encoding: 'base64', data: Buffer.from(message).toString('base64') }
+          : JSON.parse(message.toString());
+      } catch (error) {
+        console.warn(`⚠️ 收到格式错误的消息，已断开: ${clientAddress} (${error.message})`);
+        ws.close(CLOSE_CODES.INVALID_MESSAGE, 'invalid message');
+        return;
+      }
+      if (!data || typeof data !== 'object' || typeof data.type !== 'string') {
+        console.warn(`⚠️ 收到缺少类型的消息，已断开: ${clientAddress}`);
+        ws.close(CLOSE_CODES.INVALID_MESSAGE, 'invalid message');
+        return;
+      }
+
+      // 认证握手：第一条消息必须为 {type: 'auth', token}
+      if (!authenticated) {
+        clearTimeout(authTimeout);
+        if (data.type !== 'auth' || !isTokenValid(data.token, bridgeToken)) {
+          console.warn(`⚠️ WebSocket客户端认证失败，已断开: ${clientAddress} (${data.type})`);
+          ws.close(CLOSE_CODES.AUTH_FAILED, 'auth failed');
+          return;
+        }
+        authenticated = true;
+        console.log(`✅ WebSocket客户端认证成功: ${clientAddress}`);
+        // 发送连接确认
+        ws.send(JSON.stringify({ type: 'connected', message: 'WebSocket连接成功' }));
+        return;
+      }
+
+      // hello 协商：认证后必须先声明角色、协议版本和数据包布局；BLE 设备连接后可再次发送以更新固件信息
+      if (data.type === 'hello' || !session) {
+        const result = negotiateHello(data, { packetLayouts: SUPPORTED_PACKET_LAYOUTS });
+        const reason = result.ok && session && result.session.roles.join(',') !== session.roles.join(',')
+          ? `驱动角色不能从 ${session.roles.join('+')} 改为 ${result.session.roles.join('+')}`
+          : result.reason;
+        if (reason) {
+          console.warn(`⚠️ 驱动不兼容，已断开: ${clientAddress} (${reason})`);
+          ws.send(JSON.stringify({ type: 'hello_rejected', protocolVersion: BRIDGE_PROTOCOL_VERSION, reason }));
+          ws.close(INCOMPATIBLE_CLOSE_CODE, 'incompatible driver');
+          return;
+        }
+        session = result.session;
+        wsClients.add(ws);
+        bridgeDrivers.set(ws, {
+          address: clientAddress,
+          driver: session.driver,
+          roles: session.roles,
+          protocolVersion: session.protocolVersion,
+          packetLayout: session.packetLayout,
+          capabilities: session.capabilities,
+          connectedAt: bridgeDrivers.get(ws)?.connectedAt || Date.now()
         });
-
-        // 广播消息到所有WebSocket客户端
-        function broadcastToWSClients(data) {
-          const message = JSON.stringify(data);
-          wsClients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-              client.send(message);
-            }
-          });
+        const devices = session.roles.map(role => `${DRIVER_ROLE_LABELS[role]} ${session.firmware[role] || '未连接'}`).join('，');
+        console.log(`🤝 驱动已连接: ${session.driver || '未知驱动'}（${devices}），协议v${session.protocolVersion}${session.packetLayout ? `，数据包v${session.packetLayout}` : ''}`);
+        ws.send(JSON.stringify({
+          type: 'welcome',
+          protocolVersion: BRIDGE_PROTOCOL_VERSION,
+          roles: session.roles,
+          packetLayout: session.packetLayout,
+          capabilities: session.capabilities
+        }));
+        return;
+      }
+
+      // 消息类型、角色和字段不符合协商结果时丢弃，避免错误解析
+      const check = validateDriverMessage(data, session);
+      if (!check.valid) {
+        console.warn(`⚠️ 丢弃驱动消息: ${clientAddress} (${check.reason})`);
+        return;
+      }
+
+      try {
+        console.log('📨 收到BLE驱动消息:', data.type);
+
+        // 统一通过 ble-manager.js 处理主机/从机数据，确保格式统一
+        if (btManager) {
+          // 统一带上所属角色；原始数据帧按 hello 中声明的布局解码
+          const message = { ...data, role: check.role };
+          if (message.type === 'sensor_frame') {
+            message.packetLayout = session.packetLayout;
+          }
+          btManager.handleWebSocketData(message);
         }
+      } catch (error) {
+        console.error('❌ 处理BLE驱动消息失败:', error);
+      }
+    });
 
-        // 将broadcastToWSClients函数暴露给全局，供BLE管理器使用
-        global.broadcastToWSClients = broadcastToWSClients;
-
-        resolve();
-      });
+    ws.on('close', () => {
+      console.log(`🔌 WebSocket客户端连接已断开: ${clientAddress}`);
+      wsClients.delete(ws);
+      bridgeDrivers.delete(ws);
+      clearTimeout(authTimeout);
+      clearInterval(pingInterval);
+      // 驱动连接断开后数据中断，与 BLE 链路中断一样暂停测试，等待驱动重连后恢复
+      if (session && btManager) {
+        session.roles.forEach((role) => {
+          btManager.handleWebSocketData({ type: 'link_status', role, state: 'lost', reason: 'bridge' });
+        });
+      }
     });
 
-    testServer.on('error', (err) => {
-      console.error(`❌ 检查端口${PORT}时出错:`, err.message);
-      reject(err);
+    ws.on('error', (error) => {
+      console.error('❌ WebSocket连接错误:', error);
+      wsClients.delete(ws);
+      bridgeDrivers.delete(ws);
+      clearTimeout(authTimeout);
+      clearInterval(pingInterval);
     });
   });
+
+  // 广播消息到所有WebSocket客户端
+  function broadcastToWSClients(data) {
+    const message = JSON.stringify(data);
+    wsClients.forEach(client => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(message);
+      }
+    });
+  }
+
+  // 将broadcastToWSClients函数暴露给全局，供BLE管理器使用
+  global.broadcastToWSClients = broadcastToWSClients;
+
+  sendBridgeStatus();
+}
+
+/**
+ * 主机驱动当前协商的数据包布局（驱动收到固件数据包后会按实际格式重新 hello）
+ * @returns {number|null} 没有主机驱动连接时为null
+ */
+function getHostPacketLayout() {
+  for (const driver of bridgeDrivers.values()) {
+    if (driver.roles.includes('host')) {
+      return driver.packetLayout ?? null;
+    }
+  }
+  return null;
+}
+
+/**
+ * 发送消息到承载指定角色、且协商了设备命令能力的驱动连接
+ * @param {string} role 设备角色
+ * @param {Object} message 消息（发送时带上 role）
+ * @returns {boolean} 是否已发送（没有这样的驱动连接时为false）
+ */
+function sendToDriver(role, message) {
+  for (const [ws, driver] of bridgeDrivers) {
+    if (driver.roles.includes(role) && driver.capabilities.includes(CAPABILITIES.DEVICE_COMMANDS) && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ ...message, role }));
+      return true;
+    }
+  }
+  return false;
 }
 
 /**
  * 清理WebSocket服务器资源
  */
 function cleanupWebSocketServer() {
+  bridgeStatus = { ...bridgeStatus, running: false, port: null, startedAt: null };
+  bridgeDrivers.clear();
+
   if (wss) {
     wss.close(() => {
       console.log('📡 WebSocket服务器已关闭');
@@ -213,80 +498,263 @@ function cleanupWebSocketServer() {
 }
 
 /**
- * 打开BLE驱动浏览器
+ * 在外部浏览器中打开驱动页面（URL带本次启动的会话令牌）
  */
-function openBLEDriverBrowser() {
-  const url = 'http://localhost:3000';
-  console.log(`🌐 打开BLE驱动浏览器: ${url}`);
-  shell.openExternal(url);
+function openDriverPage() {
+  if (!bridgeStatus.running) {
+    throw new Error(`WebSocket服务器未启动${bridgeStatus.error ? `: ${bridgeStatus.error}` : ''}`);
+  }
+  const url = buildDriverUrl(bridgeStatus.port, DRIVER_PAGE, bridgeToken);
+  console.log(`🌐 打开BLE驱动页面: http://${BRIDGE_HOST}:${bridgeStatus.port}${DRIVER_PAGE}`);
+  return shell.openExternal(url);
+}
+
+/**
+ * 生成诊断信息（诊断面板显示，复制后发给技术支持）
+ * @returns {Object} {generatedAt, app, bridge, host, slave, continuity, filter, recording, replaying}
+ */
+function buildDiagnostics() {
+  const now = Date.now();
+  return {
+    generatedAt: new Date(now).toISOString(),
+    app: {
+      version: app.getVersion(),
+      electron: process.versions.electron,
+      node: process.versions.node,
+      platform: `${process.platform} ${process.arch}`,
+      uptimeMs: Math.round(process.uptime() * 1000)
+    },
+    bridge: {
+      running: bridgeStatus.running,
+      host: bridgeStatus.host,
+      port: bridgeStatus.port,
+      preferredPort: bridgeStatus.preferredPort,
+      skippedPorts: bridgeStatus.skippedPorts,
+      error: bridgeStatus.error,
+      protocolVersion: BRIDGE_PROTOCOL_VERSION,
+      uptimeMs: bridgeStatus.startedAt ? now - bridgeStatus.startedAt : 0,
+      clientCount: wss ? wss.clients.size : 0,
+      drivers: [...bridgeDrivers.values()].map(({ connectedAt, ...driver }) => ({ ...driver, connectedMs: now - connectedAt }))
+    },
+    ...(btManager?.getDiagnostics() || {})
+  };
 }
 
 /**
  * 注册IPC事件
+ * 通道须在 ipc-channels.js 中定义（否则启动时抛出错误），注册完成后报告没有处理函数的通道
  */
 function registerIPC() {
-  // 扫描相关事件
-  ipcMain.on('bt-start-scan', () => {
-    console.log('📡 主进程收到BT扫描请求');
-    btManager?.startScanning();
+  const ipc = new IpcRegistry({ ipcMain });
+
+  // 预加载脚本启动时同步获取通道表
+  ipcMain.on(CONTRACT_CHANNEL, (event) => {
+    event.returnValue = describeIpcContract();
   });
 
-  ipcMain.on('bt-stop-scan', () => {
-    btManager?.stopScanning();
+  // 断开连接事件
+  ipc.on('bt-disconnect', () => {
+    btManager?.disconnect();
   });
 
-  // 连接相关事件
-  ipcMain.on('bt-connect', (_event, deviceId) => {
-    console.log(`📡 主进程收到BT连接请求, 设备ID: ${deviceId}`);
-    btManager?.connect(deviceId);
+  ipc.handle('diagnostics-get', async () => buildDiagnostics());
+
+  // 主机设备命令（经驱动页面写入固件命令特征值，等待固件确认）
+  ipc.handle('device-command', async (event, command) => {
+    if (!btManager) {
+      return { success: false, error: 'BLE管理器未启动' };
+    }
+    try {
+      return { success: true, result: await btManager.sendDeviceCommand(command) };
+    } catch (error) {
+      console.error('❌ 设备命令失败:', error.message);
+      return { success: false, error: error.message };
+    }
   });
 
-  // 断开连接事件
-  ipcMain.on('bt-disconnect', () => {
-    btManager?.disconnect();
+  // 打开驱动页面（令牌只在主进程中使用，不暴露给渲染进程）
+  ipc.handle('driver-page-open', async () => {
+    try {
+      await openDriverPage();
+      return { success: true };
+    } catch (error) {
+      console.error('❌ 打开驱动页面失败:', error);
+      return { success: false, error: error.message };
+    }
   });
 
-  // 诊断和状态查询
-  ipcMain.on('bt-diagnose', (event) => {
-    const report = btManager?.diagnose() || {};
-    event.reply('bt-diagnosis-result', report);
+  // 文件保存对话框
+  // 导出CSV：渲染进程只提供建议文件名和内容，保存位置由操作员在对话框中选择
+  ipc.handle('export-csv', async (event, { fileName, content } = {}) => {
+    if (typeof content !== 'string') {
+      return { success: false, error: '导出内容无效' };
+    }
+    try {
+      const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: toExportFileName(fileName, '.csv'),
+        filters: [{ name: 'CSV文件', extensions: ['csv'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      const filePath = path.extname(result.filePath).toLowerCase() === '.csv' ? result.filePath : `${result.filePath}.csv`;
+      fs.writeFileSync(filePath, content, 'utf8');
+      return { success: true, filePath };
+    } catch (error) {
+      console.error('❌ 导出CSV失败:', error);
+      return { success: false, error: error.message };
+    }
   });
 
-  ipcMain.on('bluetooth-get-status', (event) => {
-    const status = btManager?.getStatus() || { connected: false, device: null };
-    event.reply('bluetooth-status', status);
+  // 测试记录持久化
+  ipc.handle('session-save', async (event, session) => {
+    try {
+      return { success: true, session: sessionStore.save(session) };
+    } catch (error) {
+      console.error('❌ 保存测试记录失败:', error);
+      return { success: false, error: error.message };
+    }
   });
 
-  // 命令发送（经典蓝牙模式下不支持命令发送）
-  ipcMain.on('bt-send-command', (event, command) => {
-    console.warn('[BLE] BLE模式不支持命令发送:', command);
-    event.reply?.('bt-command-sent', { success: false, error: 'command-not-supported' });
+  ipc.handle('session-list', async (event, options) => {
+    try {
+      return { success: true, sessions: sessionStore.list(options) };
+    } catch (error) {
+      console.error('❌ 读取测试记录失败:', error);
+      return { success: false, error: error.message, sessions: [] };
+    }
   });
 
-  // 文件保存对话框
-  ipcMain.handle('save-file-dialog', async (event, options) => {
+  ipc.handle('session-get', async (event, id) => {
     try {
-      const result = await dialog.showSaveDialog(mainWindow, options);
-      return result;
+      return { success: true, session: sessionStore.get(id) };
     } catch (error) {
-      console.error('❌ 文件保存对话框错误:', error);
-      return { canceled: true };
+      console.error('❌ 读取测试记录失败:', error);
+      return { success: false, error: error.message };
     }
   });
 
-  // 写入文件
-  ipcMain.handle('write-file', async (event, { filePath, content }) => {
+  // 主机读数滤波参数（滤波在 BLEManager 中执行，渲染进程的主机设置中修改）
+  ipc.handle('filter-get-config', async () => {
+    return { success: true, config: btManager ? btManager.getFilterConfig() : DEFAULT_FILTER_CONFIG };
+  });
+
+  ipc.handle('filter-set-config', async (event, config) => {
+    if (!btManager) {
+      return { success: false, error: 'BLE管理器未启动', config: DEFAULT_FILTER_CONFIG };
+    }
     try {
-      fs.writeFileSync(filePath, content, 'utf8');
-      return { success: true };
+      return { success: true, config: btManager.setFilterConfig(config) };
+    } catch (error) {
+      console.error('❌ 更新滤波参数失败:', error);
+      return { success: false, error: error.message, config: btManager.getFilterConfig() };
+    }
+  });
+
+  // 主机设备参数（发送间隔、最大有效距离、锁定次数，滤波参数随 filter-set-config 更新），主机连接后由 BLEManager 下发
+  ipc.handle('device-settings-get', async () => {
+    return { success: true, ...(btManager ? btManager.getDeviceSettings() : { settings: DEFAULT_DEVICE_SETTINGS, device: null }) };
+  });
+
+  ipc.handle('device-settings-set', async (event, settings) => {
+    if (!btManager) {
+      return { success: false, error: 'BLE管理器未启动', settings: DEFAULT_DEVICE_SETTINGS, device: null };
+    }
+    try {
+      return { success: true, ...(await btManager.setDeviceSettings(settings)) };
+    } catch (error) {
+      console.error('❌ 下发设备参数失败:', error.message);
+      return { success: false, error: error.message, ...btManager.getDeviceSettings() };
+    }
+  });
+
+  // 传感器校准参数（渲染进程启动时读取当前校准，校准向导保存后立即启用）
+  ipc.handle('calibration-get', async () => {
+    try {
+      return { success: true, active: calibrationStore.getActive(), calibrations: calibrationStore.list() };
+    } catch (error) {
+      console.error('❌ 读取校准参数失败:', error);
+      return { success: false, error: error.message, active: null, calibrations: [] };
+    }
+  });
+
+  ipc.handle('calibration-save', async (event, calibration) => {
+    try {
+      const saved = calibrationStore.save(calibration);
+      console.log(`📏 已保存并启用校准参数: ${saved.id}`);
+      return { success: true, calibration: saved };
+    } catch (error) {
+      console.error('❌ 保存校准参数失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle('calibration-activate', async (event, id) => {
+    try {
+      const calibration = calibrationStore.setActive(id);
+      console.log(`📏 当前校准: ${calibration ? calibration.id : '未校准'}`);
+      return { success: true, calibration };
+    } catch (error) {
+      console.error('❌ 切换校准参数失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // 原始数据流录制
+  ipc.handle('recording-start', async () => {
+    try {
+      return { success: true, recording: streamRecorder.start({ packetLayout: getHostPacketLayout() }) };
+    } catch (error) {
+      console.error('❌ 开始录制失败:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipc.handle('recording-stop', async () => {
+    return { success: true, recording: streamRecorder.stop() };
+  });
+
+  ipc.handle('recording-list', async () => {
+    try {
+      return { success: true, recordings: streamRecorder.list() };
+    } catch (error) {
+      console.error('❌ 读取录制文件列表失败:', error);
+      return { success: false, error: error.message, recordings: [] };
+    }
+  });
+
+  // 录制回放
+  ipc.handle('replay-start', async (event, { filePath, speed } = {}) => {
+    if (!btManager) {
+      return { success: false, error: 'BLE管理器未启动' };
+    }
+    try {
+      const { entries } = streamRecorder.loadReplay(filePath);
+      btManager.startReplay({ filePath, entries, speed });
+      return { success: true, totalPackets: entries.length };
     } catch (error) {
-      console.error('❌ 写入文件失败:', error);
+      console.error('❌ 开始回放失败:', error);
       return { success: false, error: error.message };
     }
   });
+
+  ipc.handle('replay-stop', async () => {
+    btManager?.stopReplay();
+    return { success: true };
+  });
+
+  const unhandled = ipc.getUnhandledChannels();
+  if (unhandled.length > 0) {
+    console.error(`❌ [IPC] 以下通道没有主进程处理函数: ${unhandled.join(', ')}`);
+  }
 }
 
 app.whenReady().then(async () => {
+  sessionStore = new SessionStore({ directory: app.getPath('userData') });
+  calibrationStore = new CalibrationStore({ directory: app.getPath('userData') });
+  streamRecorder = new StreamRecorder({ directory: path.join(app.getPath('userData'), 'recordings') });
+  // 页面加载前注册IPC，渲染进程启动时即可读取校准和滤波参数
+  registerIPC();
   mainWindow = createWindow();
 
   try {
@@ -300,11 +768,11 @@ app.whenReady().then(async () => {
   // 延迟启动BT管理器，给WebSocket服务器启动时间
   setTimeout(() => {
     btManager = new BLEManager({
-    mainWindow
+    mainWindow,
+    recorder: streamRecorder,
+    sendToDriver
   });
 
-  registerIPC();
-  
     // 自动开始监听
     console.log('🚀 启动BLE管理器，开始监听WebSocket数据...');
   btManager.startScanning();
@@ -0,0 +1,142 @@
+/*
+ * SEBT 测距采样 (Measurement)
+ * 锁定方向测距时收集多个距离样本并计算平均值，不依赖DOM，渲染进程和测试共用
+ * 渲染进程中为全局 SEBTMeasurement
+ *
+ * 质量检查：样本窗口的极差或变异系数超过上限时（脚仍在移动），丢弃该窗口重新采集；
+ * 连续 maxAttempts 个窗口都不稳定时接受最后一个窗口并标记为 unstable，由操作员决定是否重测
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTMeasurement = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const DEFAULT_MAX_SAMPLES = 3; // 每次测距收集的样本数
+  const DEFAULT_QUALITY_CRITERIA = {
+    maxSpreadMm: 50, // 样本极差上限（mm），null 表示不检查
+    maxCv: null, // 变异系数上限（标准差/平均值），null 表示不检查
+    maxAttempts: 3 // 最多采集的样本窗口数
+  };
+
+  /**
+   * 判断是否为有效测距样本
+   * @param {*} distance 距离读数
+   * @returns {boolean}
+   */
+  function isValidSample(distance) {
+    return typeof distance === 'number' && isFinite(distance) && distance > 0;
+  }
+
+  /**
+   * 计算样本平均值（四舍五入到mm）
+   * @param {number[]} samples 样本
+   * @returns {number} 平均距离，无样本时为0
+   */
+  function averageSamples(samples) {
+    if (samples.length === 0) {
+      return 0;
+    }
+    return Math.round(samples.reduce((sum, distance) => sum + distance, 0) / samples.length);
+  }
+
+  /**
+   * 添加一个测距样本（无效读数忽略）
+   * @param {number[]} samples 已收集的样本（会被修改）
+   * @param {*} distance 本帧读数
+   * @param {number} [maxSamples] 需要的样本数
+   * @returns {{accepted: boolean, complete: boolean, average: number|null}} 收集完成时返回平均值
+   */
+  function addMeasurementSample(samples, distance, maxSamples = DEFAULT_MAX_SAMPLES) {
+    if (!isValidSample(distance) || samples.length >= maxSamples) {
+      return { accepted: false, complete: samples.length >= maxSamples, average: null };
+    }
+
+    samples.push(distance);
+    const complete = samples.length >= maxSamples;
+    return { accepted: true, complete, average: complete ? averageSamples(samples) : null };
+  }
+
+  /**
+   * 检查质量检查参数
+   * @param {Object} criteria 质量检查参数 {maxSpreadMm, maxCv, maxAttempts}
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  function validateQualityCriteria(criteria) {
+    if (!criteria || typeof criteria !== 'object') {
+      return { valid: false, reason: '质量检查参数不是对象' };
+    }
+    const { maxSpreadMm, maxCv, maxAttempts } = criteria;
+    if (maxSpreadMm !== null && (!Number.isInteger(maxSpreadMm) || maxSpreadMm < 1 || maxSpreadMm > 1000)) {
+      return { valid: false, reason: `极差上限需为1-1000mm的整数: ${maxSpreadMm}` };
+    }
+    if (maxCv !== null && (typeof maxCv !== 'number' || !isFinite(maxCv) || maxCv <= 0 || maxCv > 1)) {
+      return { valid: false, reason: `变异系数上限需为0-100%: ${maxCv}` };
+    }
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 10) {
+      return { valid: false, reason: `最多采集次数需为1-10的整数: ${maxAttempts}` };
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * 计算样本窗口的离散程度并按质量检查参数判断是否稳定
+   * @param {number[]} samples 样本
+   * @param {Object} [criteria] 质量检查参数
+   * @returns {{spreadMm: number, cv: number, stable: boolean, reason: string|null}} cv 保留4位小数；不稳定时 reason 为原因
+   */
+  function evaluateSampleQuality(samples, criteria = DEFAULT_QUALITY_CRITERIA) {
+    const spreadMm = samples.length > 0 ? Math.max(...samples) - Math.min(...samples) : 0;
+    const mean = samples.length > 0 ? samples.reduce((sum, distance) => sum + distance, 0) / samples.length : 0;
+    const variance = samples.length > 0
+      ? samples.reduce((sum, distance) => sum + (distance - mean) ** 2, 0) / samples.length
+      : 0;
+    const cv = mean > 0 ? Math.round((Math.sqrt(variance) / mean) * 10000) / 10000 : 0;
+
+    let reason = null;
+    if (criteria.maxSpreadMm !== null && spreadMm > criteria.maxSpreadMm) {
+      reason = `极差 ${spreadMm}mm 超过 ${criteria.maxSpreadMm}mm`;
+    } else if (criteria.maxCv !== null && cv > criteria.maxCv) {
+      reason = `变异系数 ${(cv * 100).toFixed(1)}% 超过 ${(criteria.maxCv * 100).toFixed(1)}%`;
+    }
+    return { spreadMm, cv, stable: reason === null, reason };
+  }
+
+  /**
+   * 判断收集完成的样本窗口是否作为测距结果
+   * @param {number[]} samples 收集完成的样本
+   * @param {number} attempt 当前是第几个样本窗口（从1开始）
+   * @param {Object} [criteria] 质量检查参数
+   * @returns {{accept: boolean, reason: string|null, result: Object}} accept 为false时应丢弃样本重新采集；
+   *   result 为 {distance, samples, spreadMm, cv, quality: 'stable'|'unstable', attempts}
+   */
+  function resolveMeasurementWindow(samples, attempt, criteria = DEFAULT_QUALITY_CRITERIA) {
+    const { spreadMm, cv, stable, reason } = evaluateSampleQuality(samples, criteria);
+    return {
+      accept: stable || attempt >= criteria.maxAttempts,
+      reason,
+      result: {
+        distance: averageSamples(samples),
+        samples: [...samples],
+        spreadMm,
+        cv,
+        quality: stable ? 'stable' : 'unstable',
+        attempts: attempt
+      }
+    };
+  }
+
+  return {
+    DEFAULT_MAX_SAMPLES,
+    DEFAULT_QUALITY_CRITERIA,
+    isValidSample,
+    averageSamples,
+    addMeasurementSample,
+    validateQualityCriteria,
+    evaluateSampleQuality,
+    resolveMeasurementWindow
+  };
+});
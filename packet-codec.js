@@ -0,0 +1,274 @@
+/*
+ * SEBT 主机数据包编解码 (Packet Codec)
+ * 主机固件 sendBLEData 发送的二进制数据包的唯一解析实现
+ * Node（BLEManager、录制器、模拟器）通过 require 使用，驱动页面通过 <script src="/packet-codec.js"> 使用（全局 SEBTPacketCodec）
+ *
+ * v1 数据格式（小端序，23字节）:
+ * [时间戳(4字节)] [最小方向(1字节，255=无目标)] [最小距离(2字节)] [8方向距离(16字节)]
+ *
+ * v2 数据格式（小端序，27字节），首字节为布局版本，便于与 v1 区分:
+ * [版本(1字节，=2)] [序号(2字节，每包加1，65535后回到0)] [时间戳(4字节)] [最小方向(1字节)] [最小距离(2字节)]
+ * [8方向距离(16字节)] [传感器状态(1字节，第i位为1表示通道i故障：未初始化或读取超时)]
+ * 故障通道的距离与无目标相同（2000），只能通过传感器状态区分
+ *
+ * 固件布局变化时在 PACKET_LAYOUTS 中新增版本，布局可声明末尾校验字节（checksum: true）
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTPacketCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置（与固件一致） ---
+  const SENSOR_COUNT = 8;
+  const NO_DIRECTION_RAW = 255; // 固件无有效目标时的最短方向
+  const MAX_UINT16 = 0xFFFF;
+  const MAX_UINT32 = 0xFFFFFFFF;
+  const SENSOR_STATUS_MASK = 0xFF; // 传感器状态每通道1位
+
+  // 数据包布局（按版本），offsets 为各字段起始字节
+  const PACKET_LAYOUTS = {
+    1: {
+      version: 1,
+      size: 23,
+      checksum: false,
+      offsets: { timestamp: 0, minDirection: 4, minDistance: 5, distances: 7 }
+    },
+    2: {
+      version: 2,
+      size: 27,
+      checksum: false,
+      offsets: { version: 0, sequence: 1, timestamp: 3, minDirection: 7, minDistance: 8, distances: 10, sensorStatus: 26 }
+    }
+  };
+
+  const DEFAULT_PACKET_VERSION = 1; // 未指定版本时的编码布局；解码按长度和版本字节识别，不依赖此值
+  const LATEST_PACKET_VERSION = 2; // master-ble.ino PACKET_VERSION
+
+  /**
+   * 将各种二进制输入转换为 Uint8Array
+   * @param {Uint8Array|ArrayBuffer|DataView|string} input 二进制数据（Buffer 为 Uint8Array 子类）或 base64 字符串
+   * @returns {Uint8Array|null} 无法识别的输入返回null
+   */
+  function toBytes(input) {
+    if (input instanceof Uint8Array) {
+      return input;
+    }
+    if (input instanceof ArrayBuffer) {
+      return new Uint8Array(input);
+    }
+    if (ArrayBuffer.isView(input)) {
+      return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    }
+    if (typeof input === 'string') {
+      return fromBase64(input);
+    }
+    return null;
+  }
+
+  /**
+   * base64 → Uint8Array
+   * @param {string} text base64 字符串
+   * @returns {Uint8Array|null} 格式错误时返回null
+   */
+  function fromBase64(text) {
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text) || text.length % 4 !== 0) {
+      return null;
+    }
+    if (typeof Buffer !== 'undefined') {
+      return new Uint8Array(Buffer.from(text, 'base64'));
+    }
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Uint8Array → base64
+   * @param {Uint8Array} bytes 二进制数据
+   * @returns {string}
+   */
+  function toBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+    }
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * 8位累加校验（校验字节之前所有字节之和 mod 256）
+   * @param {Uint8Array} bytes 数据包
+   * @param {number} length 参与校验的字节数
+   * @returns {number}
+   */
+  function checksum8(bytes, length) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum = (sum + bytes[i]) & 0xFF;
+    }
+    return sum;
+  }
+
+  /**
+   * 根据长度识别数据包布局
+   * @param {number} size 数据包长度
+   * @returns {Object|null}
+   */
+  function detectLayout(size) {
+    return Object.values(PACKET_LAYOUTS).find(layout => layout.size === size) || null;
+  }
+
+  /**
+   * 传感器状态中标记为故障的通道
+   * @param {number|null|undefined} sensorStatus 传感器状态字节（v1 数据包没有）
+   * @returns {number[]|null} 故障通道（升序），没有传感器状态时为null（无法判断）
+   */
+  function getFaultedChannels(sensorStatus) {
+    if (!Number.isInteger(sensorStatus)) {
+      return null;
+    }
+    const channels = [];
+    for (let i = 0; i < SENSOR_COUNT; i++) {
+      if (sensorStatus & (1 << i)) {
+        channels.push(i);
+      }
+    }
+    return channels;
+  }
+
+  /**
+   * 解码主机数据包
+   * @param {Uint8Array|ArrayBuffer|DataView|string} input 二进制数据或 base64 字符串
+   * @param {Object} [options] 解码选项
+   * @param {number} [options.version] 指定布局版本（默认按长度识别）
+   * @returns {{ok: boolean, reason?: string, packet?: Object}}
+   *   packet: {version, timestamp, minDirection(-1=无目标), minDistance, distances}，v2 另有 sequence 和 sensorStatus
+   */
+  function decodeSensorPacket(input, options = {}) {
+    const bytes = toBytes(input);
+    if (!bytes) {
+      return { ok: false, reason: '无法识别的数据帧格式' };
+    }
+
+    let layout;
+    if (options.version !== undefined) {
+      layout = PACKET_LAYOUTS[options.version];
+      if (!layout) {
+        return { ok: false, reason: `不支持的数据包版本: ${options.version}` };
+      }
+      if (bytes.length !== layout.size) {
+        return { ok: false, reason: `数据包长度错误: ${bytes.length}字节（v${layout.version}应为${layout.size}字节）` };
+      }
+    } else {
+      layout = detectLayout(bytes.length);
+      if (!layout) {
+        return { ok: false, reason: `数据包长度错误: ${bytes.length}字节` };
+      }
+    }
+
+    if (layout.checksum) {
+      const expected = checksum8(bytes, layout.size - 1);
+      if (bytes[layout.size - 1] !== expected) {
+        return { ok: false, reason: `校验和错误: ${bytes[layout.size - 1]}（应为${expected}）` };
+      }
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const { offsets } = layout;
+    if (offsets.version !== undefined && bytes[offsets.version] !== layout.version) {
+      return { ok: false, reason: `数据包版本字节错误: ${bytes[offsets.version]}（应为${layout.version}）` };
+    }
+    const minDirectionRaw = view.getUint8(offsets.minDirection);
+    if (minDirectionRaw >= SENSOR_COUNT && minDirectionRaw !== NO_DIRECTION_RAW) {
+      return { ok: false, reason: `最小方向超出范围: ${minDirectionRaw}` };
+    }
+
+    const distances = [];
+    for (let i = 0; i < SENSOR_COUNT; i++) {
+      distances.push(view.getUint16(offsets.distances + i * 2, true));
+    }
+
+    const packet = {
+      version: layout.version,
+      timestamp: view.getUint32(offsets.timestamp, true),
+      minDirection: minDirectionRaw === NO_DIRECTION_RAW ? -1 : minDirectionRaw,
+      minDistance: view.getUint16(offsets.minDistance, true),
+      distances
+    };
+    if (offsets.sequence !== undefined) {
+      packet.sequence = view.getUint16(offsets.sequence, true);
+    }
+    if (offsets.sensorStatus !== undefined) {
+      packet.sensorStatus = view.getUint8(offsets.sensorStatus);
+    }
+    return { ok: true, packet };
+  }
+
+  /**
+   * 编码主机数据包（模拟器和测试使用，与固件 sendBLEData 字节一致）
+   * @param {Object} packet {timestamp, minDirection(-1=无目标), minDistance, distances[8]}，v2 另需 sequence，sensorStatus 默认0
+   * @param {Object} [options] 编码选项
+   * @param {number} [options.version] 布局版本，默认 DEFAULT_PACKET_VERSION
+   * @returns {Uint8Array}
+   */
+  function encodeSensorPacket(packet, options = {}) {
+    const layout = PACKET_LAYOUTS[options.version !== undefined ? options.version : DEFAULT_PACKET_VERSION];
+    if (!layout) {
+      throw new Error(`不支持的数据包版本: ${options.version}`);
+    }
+    if (!Array.isArray(packet.distances) || packet.distances.length !== SENSOR_COUNT) {
+      throw new Error('方向距离数量错误');
+    }
+
+    const clamp = (value, max) => Math.min(max, Math.max(0, Math.round(value)));
+    const bytes = new Uint8Array(layout.size);
+    const view = new DataView(bytes.buffer);
+    const { offsets } = layout;
+
+    if (offsets.version !== undefined) {
+      view.setUint8(offsets.version, layout.version);
+    }
+    if (offsets.sequence !== undefined) {
+      if (!Number.isInteger(packet.sequence)) {
+        throw new Error(`v${layout.version} 数据包需要序号`);
+      }
+      view.setUint16(offsets.sequence, packet.sequence & MAX_UINT16, true);
+    }
+    if (offsets.sensorStatus !== undefined) {
+      view.setUint8(offsets.sensorStatus, (packet.sensorStatus || 0) & SENSOR_STATUS_MASK);
+    }
+    view.setUint32(offsets.timestamp, clamp(packet.timestamp, MAX_UINT32), true);
+    view.setUint8(offsets.minDirection, packet.minDirection >= 0 ? packet.minDirection : NO_DIRECTION_RAW);
+    view.setUint16(offsets.minDistance, clamp(packet.minDistance, MAX_UINT16), true);
+    packet.distances.forEach((distance, i) => {
+      view.setUint16(offsets.distances + i * 2, clamp(distance, MAX_UINT16), true);
+    });
+
+    if (layout.checksum) {
+      bytes[layout.size - 1] = checksum8(bytes, layout.size - 1);
+    }
+    return bytes;
+  }
+
+  return {
+    SENSOR_COUNT,
+    PACKET_LAYOUTS,
+    DEFAULT_PACKET_VERSION,
+    LATEST_PACKET_VERSION,
+    toBytes,
+    toBase64,
+    checksum8,
+    getFaultedChannels,
+    decodeSensorPacket,
+    encodeSensorPacket
+  };
+});
@@ -0,0 +1,94 @@
+/*
+ * SEBT 数据包连续性检测 (Packet Continuity)
+ * 根据主机时间戳（固件 millis()）和接收间隔检测丢包、延迟、重复包和设备重启，BLEManager 和测试共用
+ * 渲染进程通过 <script> 加载后为全局 SEBTPacketContinuity（标记跨越中断的测距样本）
+ *
+ * 固件每 300ms 发送一次，与上一包比较:
+ *   duplicate 时间戳相同（重复包，应丢弃）
+ *   restart   时间戳变小（设备重启或 millis() 回绕，重新建立基准）
+ *   gap       时间戳间隔超过阈值（中间的数据包丢失）
+ *   loss      时间戳间隔未超过阈值，但序号不连续（少量丢包，只有 v2 数据包带序号）
+ *   late      时间戳连续但接收间隔超过阈值（数据包延迟到达）
+ * 带序号时 missedPackets 按序号精确计算，否则按时间戳间隔估算
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTPacketContinuity = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置（与固件一致） ---
+  const SEND_INTERVAL_MS = 300; // master-ble.ino BASE_SEND_INTERVAL
+  const GAP_THRESHOLD_MS = 1000; // 默认发送间隔下约3个发送周期视为中断（发送间隔调大时由调用方按间隔放大）
+  const SEQUENCE_MODULO = 0x10000; // v2 序号为16位
+
+  /**
+   * 检查主机数据包是否与上一包连续
+   * @param {{timestamp: number, receivedAt: number, sequence: number|null}|null} state 上一包的时间戳、接收时间和序号，首包为null
+   * @param {{timestamp: number, receivedAt: number, sequence?: number}} packet 本包的主机时间戳、接收时间（毫秒）和序号（v1 数据包没有）
+   * @param {Object} [options] 配置项
+   * @param {number} [options.intervalMs] 固件发送间隔
+   * @param {number} [options.gapThresholdMs] 中断阈值
+   * @returns {{state: Object, event: string, gapMs: number, missedPackets: number}}
+   *   event: first | ok | gap | loss | late | duplicate | restart；gapMs 为与上一包的间隔（重复包为0）
+   */
+  function checkPacketContinuity(state, packet, options = {}) {
+    const intervalMs = options.intervalMs || SEND_INTERVAL_MS;
+    const gapThresholdMs = options.gapThresholdMs || GAP_THRESHOLD_MS;
+    const next = { timestamp: packet.timestamp, receivedAt: packet.receivedAt, sequence: packet.sequence ?? null };
+
+    if (!state) {
+      return { state: next, event: 'first', gapMs: 0, missedPackets: 0 };
+    }
+
+    const deviceDelta = packet.timestamp - state.timestamp;
+    const arrivalDelta = Math.max(0, packet.receivedAt - state.receivedAt);
+
+    if (deviceDelta === 0) {
+      // 重复包不更新基准
+      return { state, event: 'duplicate', gapMs: 0, missedPackets: 0 };
+    }
+    if (deviceDelta < 0) {
+      return { state: next, event: 'restart', gapMs: arrivalDelta, missedPackets: 0 };
+    }
+    // 两包都带序号时按序号计算丢包（序号回绕按模计算）
+    const sequenced = state.sequence !== null && next.sequence !== null;
+    const sequenceMissed = sequenced
+      ? (next.sequence - state.sequence - 1 + SEQUENCE_MODULO) % SEQUENCE_MODULO
+      : 0;
+
+    if (deviceDelta > gapThresholdMs) {
+      return {
+        state: next,
+        event: 'gap',
+        gapMs: Math.max(deviceDelta, arrivalDelta),
+        missedPackets: sequenced ? sequenceMissed : Math.max(0, Math.round(deviceDelta / intervalMs) - 1)
+      };
+    }
+    if (arrivalDelta > gapThresholdMs) {
+      return { state: next, event: 'late', gapMs: arrivalDelta, missedPackets: sequenceMissed };
+    }
+    if (sequenceMissed > 0) {
+      return { state: next, event: 'loss', gapMs: deviceDelta, missedPackets: sequenceMissed };
+    }
+    return { state: next, event: 'ok', gapMs: deviceDelta, missedPackets: 0 };
+  }
+
+  /**
+   * 判断连续性事件是否表示数据中断（测距样本窗口跨越此事件时需要标记；少量丢包 loss 不算中断）
+   * @param {string} event checkPacketContinuity 返回的 event
+   * @returns {boolean}
+   */
+  function isDiscontinuity(event) {
+    return event === 'gap' || event === 'late' || event === 'restart';
+  }
+
+  return {
+    SEND_INTERVAL_MS,
+    GAP_THRESHOLD_MS,
+    checkPacketContinuity,
+    isDiscontinuity
+  };
+});
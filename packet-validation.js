@@ -0,0 +1,73 @@
+/*
+ * SEBT 数据包验证 (Packet Validation)
+ * 验证驱动页面发送的主机传感器数据和从机压力数据，BLEManager 和测试共用
+ */
+
+// --- 配置（与固件一致） ---
+const SENSOR_COUNT = 8; // 8方向TOF传感器
+const MAX_VALID_DISTANCE = 2000; // 最大有效距离（FILTER_MAX_MM）
+const MAX_TIMESTAMP = 0xFFFFFFFF; // 主机时间戳为4字节 millis()
+const MAX_SEQUENCE = 0xFFFF; // v2 数据包序号为2字节
+const MAX_SENSOR_STATUS = 0xFF; // v2 传感器状态每通道1位
+const PRESSURE_MAX_RAW = 4095; // 从机ADC为12位，压力读数范围 0-4095
+
+/**
+ * 验证主机传感器数据（v2 数据包另带 sequence 和 sensorStatus，v1 没有这两个字段）
+ * @param {Object} data sensor_data 消息
+ * @returns {{valid: boolean, reason: string|null}} 无效时 reason 为失败原因
+ */
+function validateSensorData(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, reason: '数据包不是对象' };
+  }
+  if (!(data.minDistance >= 0 && data.minDistance <= MAX_VALID_DISTANCE)) {
+    return { valid: false, reason: `最小距离超出范围: ${data.minDistance}` };
+  }
+  if (!(data.timestamp > 0 && data.timestamp < MAX_TIMESTAMP)) {
+    return { valid: false, reason: `时间戳无效: ${data.timestamp}` };
+  }
+  if (!(data.minDirection >= -1 && data.minDirection < SENSOR_COUNT)) {
+    return { valid: false, reason: `最小方向超出范围: ${data.minDirection}` };
+  }
+  if (!Array.isArray(data.distances) || data.distances.length !== SENSOR_COUNT) {
+    return { valid: false, reason: '方向距离数量错误' };
+  }
+  if (data.sequence !== undefined && !(Number.isInteger(data.sequence) && data.sequence >= 0 && data.sequence <= MAX_SEQUENCE)) {
+    return { valid: false, reason: `数据包序号无效: ${data.sequence}` };
+  }
+  if (data.sensorStatus !== undefined && !(Number.isInteger(data.sensorStatus) && data.sensorStatus >= 0 && data.sensorStatus <= MAX_SENSOR_STATUS)) {
+    return { valid: false, reason: `传感器状态无效: ${data.sensorStatus}` };
+  }
+  return { valid: true, reason: null };
+}
+
+/**
+ * 验证从机压力数据
+ * @param {Object} data slave_pressure_data 消息
+ * @returns {{valid: boolean, reason: string|null, pressure?: number, timestamp?: number}} 有效时返回数值化的压力和时间戳
+ */
+function validatePressureData(data) {
+  if (!data || typeof data !== 'object') {
+    return { valid: false, reason: '数据包不是对象' };
+  }
+
+  const pressure = Number(data.pressure);
+  const timestamp = Number(data.timestamp);
+
+  // 压力值必须为整数且在ADC范围内（与从机固件 analogRead 一致）
+  if (!Number.isInteger(pressure) || pressure < 0 || pressure > PRESSURE_MAX_RAW) {
+    return { valid: false, reason: `压力值超出范围: ${data.pressure}` };
+  }
+  if (!Number.isFinite(timestamp) || timestamp <= 0) {
+    return { valid: false, reason: `时间戳无效: ${data.timestamp}` };
+  }
+  return { valid: true, reason: null, pressure, timestamp };
+}
+
+module.exports = {
+  SENSOR_COUNT,
+  MAX_VALID_DISTANCE,
+  PRESSURE_MAX_RAW,
+  validateSensorData,
+  validatePressureData
+};
@@ -0,0 +1,41 @@
+/*
+ * SEBT 预加载脚本 (Preload)
+ * 渲染进程在 contextIsolation + sandbox 下运行，不能使用 require 和 Node API；
+ * 本脚本通过 contextBridge 暴露 window.sebt，只包含界面需要的设备事件、设置、测试记录、录制回放和文件导出接口
+ *
+ * 通道定义在 ipc-channels.js 中（沙箱内不能 require），启动时向主进程同步获取通道表，按其中的 api 路径生成接口，
+ * 渲染进程不能调用通道表以外的通道，也不能指定写入路径
+ * 所有 invoke 接口返回主进程的 {success, error, ...} 结果
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+// 与 ipc-channels.js 的 CONTRACT_CHANNEL 一致
+const { requests, events } = ipcRenderer.sendSync('ipc-contract-get');
+
+/**
+ * 订阅主进程事件（不向渲染进程暴露 IpcRendererEvent）
+ * @param {string} name 事件名（见 ipc-channels.js 中 event 类型通道的 event 字段）
+ * @param {Function} listener 回调，参数为事件数据
+ * @returns {Function} 取消订阅
+ */
+function on(name, listener) {
+  const channel = events[name];
+  if (!channel) {
+    throw new Error(`不支持的设备事件: ${name}`);
+  }
+  const handler = (_event, payload) => listener(payload);
+  ipcRenderer.on(channel, handler);
+  return () => ipcRenderer.removeListener(channel, handler);
+}
+
+const api = { devices: { on } };
+requests.forEach(({ channel, kind, api: apiPath }) => {
+  const [group, method] = apiPath.split('.');
+  api[group] = api[group] || {};
+  api[group][method] = kind === 'invoke'
+    ? (...args) => ipcRenderer.invoke(channel, ...args)
+    : (...args) => ipcRenderer.send(channel, ...args);
+});
+
+contextBridge.exposeInMainWorld('sebt', api);
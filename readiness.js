@@ -0,0 +1,201 @@
+/*
+ * SEBT 测试前自检 (Readiness)
+ * 开始测试前连续采集几秒8方向原始读数和从机压力数据，逐个通道判断传感器是否可用，不依赖DOM，渲染进程和测试共用
+ * 渲染进程中为全局 SEBTReadiness
+ *
+ * 通道检查（按顺序，命中第一条即停止）:
+ *   no_data   样本数不足（主机数据中断）                    → fail
+ *   fault     固件报告传感器故障（v2 数据包传感器状态）       → fail
+ *   zero      读数为0（传感器错误）                          → fail
+ *   no_target 一直是无目标读数（2000mm），量程内没有参照物   → warn
+ *   stuck     有效读数完全不变（真实 ToF 读数总有几毫米抖动） → fail
+ *   noise     有效读数标准差超过上限                         → warn
+ * 从机压力: 已连接但没有收到压力数据 → fail；未连接从机 → warn（不使用压力门控）
+ * 任一项 fail 时不能开始测试，只有 warn 时由操作员确认后开始
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTReadiness = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const READINESS_CHANNEL_COUNT = 8;
+  const MAX_VALID_DISTANCE = 2000; // 与固件 FILTER_MAX_MM 一致，读数达到该值表示无目标
+  const DEFAULT_READINESS_CRITERIA = {
+    durationMs: 3000, // 采集时长（默认发送间隔下约10个数据包）
+    minSamples: 5, // 每个通道至少需要的样本数
+    maxInvalidRatio: 0.2, // 故障/0读数占比上限
+    maxNoiseMm: 25, // 有效读数标准差上限（VL53L1X 短距模式下静止目标约 ±5mm）
+    minPressureSamples: 3 // 已连接从机时至少需要的压力数据数
+  };
+  const READINESS_STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+  const READINESS_REASONS = {
+    no_data: { status: 'fail', label: '数据不足' },
+    fault: { status: 'fail', label: '传感器故障' },
+    zero: { status: 'fail', label: '读数为0' },
+    no_target: { status: 'warn', label: '无目标' },
+    stuck: { status: 'fail', label: '读数不变' },
+    noise: { status: 'warn', label: '噪声过大' },
+    no_slave: { status: 'warn', label: '未连接从机' },
+    no_pressure: { status: 'fail', label: '从机无压力数据' }
+  };
+
+  /**
+   * 创建自检采集器
+   * @param {number} startedAt 开始时间（ms）
+   * @returns {{startedAt: number, channels: Array<number[]>, faults: number[], pressureSamples: number}}
+   */
+  function createReadinessCollector(startedAt) {
+    return {
+      startedAt,
+      channels: Array.from({ length: READINESS_CHANNEL_COUNT }, () => []),
+      faults: new Array(READINESS_CHANNEL_COUNT).fill(0),
+      pressureSamples: 0
+    };
+  }
+
+  /**
+   * 记录一个主机数据包的8方向原始读数
+   * @param {Object} collector 自检采集器
+   * @param {Array<*>} distances 8方向原始读数（非数字的读数忽略）
+   * @param {number[]} [faultedChannels] 本数据包中固件报告故障的通道
+   */
+  function addReadinessSample(collector, distances, faultedChannels = []) {
+    distances.slice(0, READINESS_CHANNEL_COUNT).forEach((distance, channel) => {
+      if (typeof distance === 'number' && isFinite(distance)) {
+        collector.channels[channel].push(distance);
+      }
+    });
+    faultedChannels.forEach((channel) => {
+      if (channel >= 0 && channel < READINESS_CHANNEL_COUNT) {
+        collector.faults[channel]++;
+      }
+    });
+  }
+
+  /**
+   * 记录一个从机压力数据
+   * @param {Object} collector 自检采集器
+   */
+  function addPressureSample(collector) {
+    collector.pressureSamples++;
+  }
+
+  /**
+   * 较严重的状态
+   * @param {string} a pass | warn | fail
+   * @param {string} b pass | warn | fail
+   * @returns {string}
+   */
+  function worseStatus(a, b) {
+    return READINESS_STATUS_ORDER.indexOf(a) >= READINESS_STATUS_ORDER.indexOf(b) ? a : b;
+  }
+
+  /**
+   * 检查单个通道的样本
+   * @param {number[]} samples 原始读数
+   * @param {number} faultCount 固件报告故障的次数
+   * @param {Object} [criteria] 自检参数
+   * @param {number} [maxDistance] 无目标读数
+   * @returns {{status: string, reason: string|null, detail: string|null, sampleCount: number, meanMm: number|null, noiseMm: number|null}}
+   *   reason 为 READINESS_REASONS 的键，detail 为具体说明；meanMm/noiseMm 只统计有效读数（0 < 读数 < maxDistance）
+   */
+  function evaluateChannel(samples, faultCount, criteria = DEFAULT_READINESS_CRITERIA, maxDistance = MAX_VALID_DISTANCE) {
+    const sampleCount = samples.length;
+    const valid = samples.filter(distance => distance > 0 && distance < maxDistance);
+    const meanMm = valid.length > 0 ? valid.reduce((sum, distance) => sum + distance, 0) / valid.length : null;
+    const noiseMm = valid.length > 0
+      ? Math.sqrt(valid.reduce((sum, distance) => sum + (distance - meanMm) ** 2, 0) / valid.length)
+      : null;
+    const zeroCount = samples.filter(distance => distance === 0).length;
+    const stats = {
+      sampleCount,
+      meanMm: meanMm === null ? null : Math.round(meanMm),
+      noiseMm: noiseMm === null ? null : Math.round(noiseMm * 10) / 10
+    };
+
+    const result = (reason, detail) => ({
+      status: reason ? READINESS_REASONS[reason].status : 'pass',
+      reason,
+      detail,
+      ...stats
+    });
+
+    if (sampleCount < criteria.minSamples) {
+      return result('no_data', `${criteria.durationMs / 1000}秒内只收到${sampleCount}个读数`);
+    }
+    if (faultCount / sampleCount > criteria.maxInvalidRatio) {
+      return result('fault', `固件报告故障 ${faultCount}/${sampleCount} 次`);
+    }
+    if (zeroCount / sampleCount > criteria.maxInvalidRatio) {
+      return result('zero', `读数为0 ${zeroCount}/${sampleCount} 次`);
+    }
+    if (valid.length < criteria.minSamples) {
+      return result('no_target', `${sampleCount - valid.length}/${sampleCount} 次为无目标读数（${maxDistance}mm），请在量程内放置参照物`);
+    }
+    if (valid.every(distance => distance === valid[0])) {
+      return result('stuck', `${valid.length}个读数都是 ${valid[0]}mm`);
+    }
+    if (stats.noiseMm > criteria.maxNoiseMm) {
+      return result('noise', `标准差 ${stats.noiseMm}mm 超过 ${criteria.maxNoiseMm}mm`);
+    }
+    return result(null, null);
+  }
+
+  /**
+   * 检查从机压力数据
+   * @param {number} pressureSamples 收到的压力数据数
+   * @param {boolean} slaveConnected 从机是否已连接
+   * @param {Object} [criteria] 自检参数
+   * @returns {{status: string, reason: string|null, detail: string|null, sampleCount: number}}
+   */
+  function evaluatePressure(pressureSamples, slaveConnected, criteria = DEFAULT_READINESS_CRITERIA) {
+    let reason = null;
+    let detail = null;
+    if (!slaveConnected) {
+      reason = 'no_slave';
+      detail = '未连接从机，测距不使用足底压力门控';
+    } else if (pressureSamples < criteria.minPressureSamples) {
+      reason = 'no_pressure';
+      detail = `从机已连接，但${criteria.durationMs / 1000}秒内只收到${pressureSamples}个压力数据`;
+    }
+    return { status: reason ? READINESS_REASONS[reason].status : 'pass', reason, detail, sampleCount: pressureSamples };
+  }
+
+  /**
+   * 生成自检报告
+   * @param {Object} collector 自检采集器
+   * @param {Object} options 配置项
+   * @param {number} options.checkedAt 结束时间（ms）
+   * @param {boolean} options.slaveConnected 从机是否已连接
+   * @param {Object} [options.criteria] 自检参数
+   * @param {number} [options.maxDistance] 无目标读数
+   * @returns {{status: string, checkedAt: number, durationMs: number, channels: Object[], pressure: Object}}
+   *   channels 按通道顺序排列，每项为 evaluateChannel 的结果加上 channel
+   */
+  function evaluateReadiness(collector, { checkedAt, slaveConnected, criteria = DEFAULT_READINESS_CRITERIA, maxDistance = MAX_VALID_DISTANCE }) {
+    const channels = collector.channels.map((samples, channel) => ({
+      channel,
+      ...evaluateChannel(samples, collector.faults[channel], criteria, maxDistance)
+    }));
+    const pressure = evaluatePressure(collector.pressureSamples, slaveConnected, criteria);
+    const status = channels.reduce((worst, { status: channelStatus }) => worseStatus(worst, channelStatus), pressure.status);
+    return { status, checkedAt, durationMs: checkedAt - collector.startedAt, channels, pressure };
+  }
+
+  return {
+    READINESS_CHANNEL_COUNT,
+    DEFAULT_READINESS_CRITERIA,
+    READINESS_REASONS,
+    createReadinessCollector,
+    addReadinessSample,
+    addPressureSample,
+    evaluateChannel,
+    evaluatePressure,
+    evaluateReadiness
+  };
+});
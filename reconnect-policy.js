@@ -0,0 +1,58 @@
+/*
+ * SEBT 重连策略 (Reconnect Policy)
+ * BLE 链路和 WebSocket Bridge 断开后的指数退避重连间隔
+ * Node（模拟器、应用）通过 require 使用，驱动页面通过 <script src="/reconnect-policy.js"> 使用（全局 SEBTReconnectPolicy）
+ *
+ * 第 n 次重连等待 baseMs × factor^(n-1)，不超过 maxMs，并加入 ±jitter 随机抖动，避免多个连接同时重试
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTReconnectPolicy = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const RECONNECT_DEFAULTS = {
+    baseMs: 1000,
+    maxMs: 30000,
+    factor: 2,
+    jitter: 0.2 // 随机抖动比例（0 表示固定间隔）
+  };
+
+  /**
+   * 计算第 attempt 次重连前的等待时间
+   * @param {number} attempt 重连次数（从1开始）
+   * @param {Object} [options] 覆盖 RECONNECT_DEFAULTS，random 为随机数函数（测试时可固定）
+   * @returns {number} 毫秒
+   */
+  function getReconnectDelay(attempt, options = {}) {
+    const { baseMs, maxMs, factor, jitter } = { ...RECONNECT_DEFAULTS, ...options };
+    const random = options.random || Math.random;
+    const exponent = Math.max(0, Math.floor(attempt) - 1);
+    const delay = Math.min(maxMs, baseMs * Math.pow(factor, exponent));
+    const spread = delay * jitter * (random() * 2 - 1);
+    return Math.round(Math.min(maxMs, Math.max(0, delay + spread)));
+  }
+
+  /**
+   * 格式化中断时长（日志显示）
+   * @param {number} ms 毫秒
+   * @returns {string} 例如 3.2s、2分05秒
+   */
+  function formatGapDuration(ms) {
+    const seconds = Math.max(0, ms) / 1000;
+    if (seconds < 60) {
+      return `${seconds.toFixed(1)}s`;
+    }
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}分${String(total % 60).padStart(2, '0')}秒`;
+  }
+
+  return {
+    RECONNECT_DEFAULTS,
+    getReconnectDelay,
+    formatGapDuration
+  };
+});
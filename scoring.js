@@ -0,0 +1,110 @@
+/*
+ * SEBT 评分模块 (Scoring)
+ * 根据各解剖学方向的伸展距离和腿长计算标准化伸展距离（%腿长）和综合分数
+ * 渲染进程通过 <script src="scoring.js"> 加载（全局 SEBTScoring，需先加载 trials.js），测试通过 require 使用
+ *
+ * 输入的方向代码与 app.js 中 anatomicalDirections 一致:
+ * ANT(前) AM(前内) MED(内) PM(后内) POST(后) PL(后外) LAT(外) AL(前外)
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./trials'));
+  } else {
+    root.SEBTScoring = factory(root.SEBTTrials);
+  }
+})(typeof self !== 'undefined' ? self : this, function (trials) {
+  const { aggregateTrialResults, toAnatomicalResults } = trials;
+
+  // --- 评分公式 ---
+  // 综合分数 = 参与方向距离总和 / (方向数 × 腿长) × 100
+  const SCORING_FORMULAS = {
+    'sebt-8': {
+      id: 'sebt-8',
+      name: 'SEBT 8方向综合分数',
+      directions: ['ANT', 'AM', 'MED', 'PM', 'POST', 'PL', 'LAT', 'AL']
+    },
+    'ybt-3': {
+      id: 'ybt-3',
+      name: 'Y-Balance 3方向综合分数',
+      directions: ['ANT', 'PM', 'PL']
+    }
+  };
+
+  const DEFAULT_SCORING_FORMULA = 'sebt-8';
+
+  /**
+   * 获取评分公式（未知ID时返回默认公式）
+   * @param {string} formulaId 公式ID
+   * @returns {{id: string, name: string, directions: string[]}}
+   */
+  function getScoringFormula(formulaId) {
+    return SCORING_FORMULAS[formulaId] || SCORING_FORMULAS[DEFAULT_SCORING_FORMULA];
+  }
+
+  /**
+   * 计算标准化伸展距离
+   * @param {number} distanceMm 伸展距离（mm）
+   * @param {number} legLengthCm 腿长（cm）
+   * @returns {number} 伸展距离占腿长的百分比，保留2位小数；参数无效时为0
+   */
+  function normalizeReach(distanceMm, legLengthCm) {
+    if (!legLengthCm || legLengthCm <= 0 || !distanceMm || distanceMm <= 0) {
+      return 0;
+    }
+    // 单位换算：腿长从cm转换为mm
+    return parseFloat((distanceMm / (legLengthCm * 10) * 100).toFixed(2));
+  }
+
+  /**
+   * 按评分公式计算各方向标准化伸展距离和综合分数
+   * @param {Object} anatomicalResults {解剖学方向code: distance(mm)}
+   * @param {number} legLengthCm 腿长（cm）
+   * @param {string} [formulaId] 公式ID，默认 sebt-8
+   * @returns {{formulaId: string, normalized: Object, composite: number}}
+   */
+  function calculateScores(anatomicalResults, legLengthCm, formulaId = DEFAULT_SCORING_FORMULA) {
+    const formula = getScoringFormula(formulaId);
+    const normalized = {};
+    Object.keys(anatomicalResults).forEach((code) => {
+      normalized[code] = normalizeReach(anatomicalResults[code], legLengthCm);
+    });
+
+    let composite = 0;
+    if (legLengthCm && legLengthCm > 0) {
+      const totalDistance = formula.directions.reduce((sum, code) => sum + (anatomicalResults[code] || 0), 0);
+      composite = parseFloat((totalDistance / (formula.directions.length * legLengthCm * 10) * 100).toFixed(2));
+    }
+
+    return { formulaId: formula.id, normalized, composite };
+  }
+
+  /**
+   * 计算一条站立腿的测试分数（综合分数）
+   * 每个方向的读数先按汇总方式（最佳值/平均值）汇总该站立腿的全部正式试验，再按评分公式计算
+   * @param {Object[]} trials 试验列表 {leg, practice, results: {设备方位code: distance}}
+   * @param {number} legLengthCm 腿长（cm）
+   * @param {Object} options 计算选项
+   * @param {string} options.stanceLeg 站立腿 left | right
+   * @param {string} [options.aggregation] 汇总方式 max | mean，默认 max
+   * @param {string} [options.formulaId] 公式ID，默认 sebt-8
+   * @returns {number} 测试分数，腿长无效时为0
+   */
+  function calculateLegScore(trials, legLengthCm, { stanceLeg, aggregation = 'max', formulaId = DEFAULT_SCORING_FORMULA }) {
+    if (!legLengthCm || legLengthCm <= 0) {
+      return 0;
+    }
+
+    const aggregated = aggregateTrialResults(trials, aggregation, [stanceLeg]);
+    return calculateScores(toAnatomicalResults(aggregated[stanceLeg], stanceLeg), legLengthCm, formulaId).composite;
+  }
+
+  return {
+    SCORING_FORMULAS,
+    DEFAULT_SCORING_FORMULA,
+    getScoringFormula,
+    normalizeReach,
+    calculateScores,
+    calculateLegScore
+  };
+});
@@ -0,0 +1,688 @@
+/**
+ * SEBT 硬件模拟器（无界面）
+ * 像 ble-driver.html 一样连接 Electron 的 WebSocket Bridge，
+ * 按脚本场景发送 sensor_data 和 slave_pressure_data，无需 ESP32 即可测试完整数据链路
+ * （main.js → BLEManager 验证 → IPC → app.js）
+ *
+ * 用法:
+ *   node scripts/hardware-simulator.js [场景] [选项]
+ *   npm run simulate -- reach-all --fast
+ *
+ * Bridge 需要会话令牌认证，开发时以相同的 SEBT_BRIDGE_TOKEN 启动应用和模拟器:
+ *   SEBT_BRIDGE_TOKEN=dev npm start
+ *   SEBT_BRIDGE_TOKEN=dev npm run simulate -- reach-all
+ *
+ * 选项:
+ *   --url <地址>       WebSocket 地址（默认 ws://127.0.0.1:<端口>/ws）
+ *   --port <端口>      Bridge 端口（默认读取环境变量 SEBT_BRIDGE_PORT，否则3000；
+ *                      首选端口被占用时应用会改用后续端口，以应用日志/状态栏显示的端口为准）
+ *   --token <令牌>     WebSocket Bridge 会话令牌（默认读取环境变量 SEBT_BRIDGE_TOKEN）
+ *   --interval <毫秒>  主机/从机发送间隔（默认300，与固件一致；应用连接后按设备参数通过 INT 命令修改）
+ *   --fast             以10倍速度运行场景（发送间隔和步骤时长同时缩短）
+ *   --loop             场景结束后重复运行
+ *   --no-slave         不模拟从机
+ *   --binary           主机数据以原始二进制数据帧发送（与固件字节一致，由主进程解码）
+ *   --packet-v1        模拟旧固件的 v1 数据包（不带序号和传感器状态，默认与当前固件一致为 v2）
+ *   --list             列出所有场景
+ */
+
+const WebSocket = require('ws');
+const { encodeSensorPacket, PACKET_LAYOUTS, DEFAULT_PACKET_VERSION, LATEST_PACKET_VERSION } = require('../packet-codec');
+const { BRIDGE_HOST, resolvePreferredPort } = require('../bridge-auth');
+const { createHello, CAPABILITIES, INCOMPATIBLE_CLOSE_CODE } = require('../bridge-protocol');
+const { getReconnectDelay } = require('../reconnect-policy');
+const {
+  DEVICE_COMMANDS,
+  DEFAULT_DEVICE_SETTINGS,
+  DEVICE_SETTING_COMMANDS,
+  DEVICE_CONFIG_FIELDS,
+  validateDeviceCommand
+} = require('../device-commands');
+
+// --- 配置（与固件一致） ---
+const DEFAULT_URL = `ws://${BRIDGE_HOST}:${resolvePreferredPort(process.env.SEBT_BRIDGE_PORT).port}/ws`;
+const SEND_INTERVAL_MS = 300; // master-ble.ino BASE_SEND_INTERVAL / slave-ble.ino SEND_INTERVAL
+const FILTER_MAX_MM = 2000; // 超过这个距离视为无效，固件以2000表示无目标
+const SENSOR_COUNT = 8;
+const FAST_FACTOR = 10;
+const REINIT_DELAY_MS = 1500; // 模拟固件重新初始化传感器的耗时
+const AUTH_FAILED_CLOSE_CODES = [4001, 4003]; // 与 bridge-auth.js CLOSE_CODES 一致
+
+const HOST_DEVICE = { name: 'SEBT-Host-SIM', address: 'simulator-host' };
+const SLAVE_DEVICE = { name: 'SEBT-Slave-SIM', address: 'simulator-slave' };
+
+// 方位映射（与 app.js directionMap 一致）
+const DIRECTION_CODES = ['L', 'BL', 'FL', 'F', 'B', 'BR', 'FR', 'R'];
+
+// 压力参考值（从机ADC 0-4095，默认阈值范围 500-3000）
+const PRESSURE_STABLE = 1500;
+const PRESSURE_UNLOADED = 200;
+
+// 测试前自检时各方向的参照物（墙面/挡板）距离（mm）
+const SELF_TEST_REFERENCES = [1200, 1500, 1400, 1000, 1600, 1500, 1400, 1200];
+
+/**
+ * 场景步骤字段:
+ *   label        步骤说明（输出到控制台）
+ *   durationMs   持续时间
+ *   reach        正在伸展的方向（通道0-7），该方向读数为 distance，其余方向无目标
+ *   distance     伸展方向的读数（mm）
+ *   references   8个方向静止参照物的距离（测试前自检使用），null 表示该方向无目标
+ *   stuckChannels 读数卡死的通道（一直返回参照物距离，没有抖动）
+ *   noisyChannels 噪声过大的通道（参照物距离 ±80mm）
+ *   pressure     从机压力值，null 表示从机不发送数据
+ *   deadChannels 故障传感器通道（固定返回 FILTER_MAX_MM，v2 数据包在传感器状态中标记）
+ *   dropPackets  主机数据包丢失（固件照常发送、序号照常递增，但应用收不到）
+ *   duplicate    主机每个数据包重复发送两次
+ *   restart      主机在步骤开始时重启（时间戳从头计时）
+ *   invalid      发送无法通过 BLEManager 验证的数据包
+ *   disconnect   断开 host | slave | both 的 WebSocket 连接，步骤结束后重连
+ *   linkLoss     host | slave | both 的 BLE 链路中断（发送 link_status，停止发送数据），步骤结束后恢复
+ */
+
+/**
+ * 受试者依次伸展8个方向（每个方向保持足够时间完成锁定和测距）
+ * @returns {Object[]} 场景步骤
+ */
+function buildReachAllSteps() {
+  const steps = [];
+  DIRECTION_CODES.forEach((code, channel) => {
+    steps.push({ label: `回到中心（准备 ${code}）`, durationMs: 1500, pressure: PRESSURE_STABLE });
+    steps.push({
+      label: `伸展方向 ${code}`,
+      durationMs: 6000,
+      reach: channel,
+      distance: 400 + channel * 50,
+      pressure: PRESSURE_STABLE
+    });
+  });
+  steps.push({ label: '结束，回到中心', durationMs: 1500, pressure: PRESSURE_STABLE });
+  return steps;
+}
+
+const SCENARIOS = {
+  'reach-all': {
+    description: '受试者依次伸展8个方向，压力稳定',
+    steps: buildReachAllSteps()
+  },
+  'idle': {
+    description: '受试者站在中心，无伸展，压力稳定',
+    steps: [{ label: '静止', durationMs: 10000, pressure: PRESSURE_STABLE }]
+  },
+  'pressure-unstable': {
+    description: '伸展过程中压力低于阈值（未站稳），随后恢复',
+    steps: [
+      { label: '伸展方向 F，未站稳', durationMs: 4000, reach: 3, distance: 600, pressure: PRESSURE_UNLOADED },
+      { label: '伸展方向 F，站稳', durationMs: 6000, reach: 3, distance: 600, pressure: PRESSURE_STABLE }
+    ]
+  },
+  'dropouts': {
+    description: '传感器故障、主机数据包丢失/重复和主机重启',
+    steps: [
+      { label: '伸展方向 L，通道 BL/FL 故障', durationMs: 5000, reach: 0, distance: 500, pressure: PRESSURE_STABLE, deadChannels: [1, 2] },
+      { label: '主机数据包丢失', durationMs: 2000, reach: 0, distance: 500, pressure: PRESSURE_STABLE, dropPackets: true },
+      { label: '伸展方向 L，数据恢复', durationMs: 5000, reach: 0, distance: 500, pressure: PRESSURE_STABLE },
+      { label: '主机重复发送数据包', durationMs: 2000, reach: 0, distance: 500, pressure: PRESSURE_STABLE, duplicate: true },
+      { label: '主机重启', durationMs: 2000, reach: 0, distance: 500, pressure: PRESSURE_STABLE, restart: true },
+      { label: '从机数据丢失', durationMs: 3000, reach: 7, distance: 700, pressure: null },
+      { label: '伸展方向 R，从机恢复', durationMs: 5000, reach: 7, distance: 700, pressure: PRESSURE_STABLE }
+    ]
+  },
+  'self-test': {
+    description: '测试前自检：8个方向有静止参照物，随后出现读数卡死、噪声过大和故障通道',
+    steps: [
+      { label: '参照物就位，全部正常', durationMs: 6000, references: SELF_TEST_REFERENCES, pressure: PRESSURE_STABLE },
+      {
+        label: '通道 FL 读数卡死、BR 噪声过大、R 故障',
+        durationMs: 6000,
+        references: SELF_TEST_REFERENCES,
+        stuckChannels: [2],
+        noisyChannels: [5],
+        deadChannels: [7],
+        pressure: PRESSURE_STABLE
+      }
+    ]
+  },
+  'out-of-range': {
+    description: '发送超出范围和格式错误的数据包，验证 BLEManager 拒绝无效数据',
+    steps: [
+      { label: '正常数据', durationMs: 2000, reach: 3, distance: 800, pressure: PRESSURE_STABLE },
+      { label: '无效数据包', durationMs: 3000, pressure: PRESSURE_STABLE, invalid: true },
+      { label: '正常数据', durationMs: 2000, reach: 3, distance: 800, pressure: PRESSURE_STABLE }
+    ]
+  },
+  'disconnects': {
+    description: '主机和从机先后断开并重连',
+    steps: [
+      { label: '正常数据', durationMs: 3000, reach: 4, distance: 900, pressure: PRESSURE_STABLE },
+      { label: '主机断开', durationMs: 3000, pressure: PRESSURE_STABLE, disconnect: 'host' },
+      { label: '主机重连', durationMs: 3000, reach: 4, distance: 900, pressure: PRESSURE_STABLE },
+      { label: '从机断开', durationMs: 3000, reach: 4, distance: 900, disconnect: 'slave' },
+      { label: '从机重连', durationMs: 3000, reach: 4, distance: 900, pressure: PRESSURE_STABLE },
+      { label: '全部断开', durationMs: 3000, disconnect: 'both' },
+      { label: '全部重连', durationMs: 3000, reach: 4, distance: 900, pressure: PRESSURE_STABLE }
+    ]
+  },
+  'link-loss': {
+    description: '伸展过程中主机/从机 BLE 链路中断后自动重连，验证测试暂停和恢复',
+    steps: [
+      { label: '伸展方向 FR', durationMs: 2000, reach: 6, distance: 650, pressure: PRESSURE_STABLE },
+      { label: '主机链路中断', durationMs: 3000, pressure: PRESSURE_STABLE, linkLoss: 'host' },
+      { label: '主机重连，继续伸展 FR', durationMs: 6000, reach: 6, distance: 650, pressure: PRESSURE_STABLE },
+      { label: '从机链路中断', durationMs: 3000, reach: 5, distance: 750, linkLoss: 'slave' },
+      { label: '从机重连，伸展 BR', durationMs: 6000, reach: 5, distance: 750, pressure: PRESSURE_STABLE }
+    ]
+  }
+};
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv 命令行参数
+ * @returns {Object} 选项
+ */
+function parseArgs(argv) {
+  const options = {
+    scenario: 'reach-all',
+    url: DEFAULT_URL,
+    token: process.env.SEBT_BRIDGE_TOKEN || '',
+    interval: SEND_INTERVAL_MS,
+    fast: false,
+    loop: false,
+    slave: true,
+    binary: false,
+    packetVersion: LATEST_PACKET_VERSION,
+    list: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--port') {
+      const { port, valid } = resolvePreferredPort(argv[++i]);
+      if (!valid) {
+        throw new Error('--port 需为 1024-65535 之间的整数');
+      }
+      options.url = `ws://${BRIDGE_HOST}:${port}/ws`;
+    } else if (arg === '--token') {
+      options.token = argv[++i];
+    } else if (arg === '--interval') {
+      options.interval = parseInt(argv[++i], 10);
+    } else if (arg === '--fast') {
+      options.fast = true;
+    } else if (arg === '--loop') {
+      options.loop = true;
+    } else if (arg === '--no-slave') {
+      options.slave = false;
+    } else if (arg === '--binary') {
+      options.binary = true;
+    } else if (arg === '--packet-v1') {
+      options.packetVersion = 1;
+    } else if (arg === '--list') {
+      options.list = true;
+    } else if (!arg.startsWith('--')) {
+      options.scenario = arg;
+    } else {
+      throw new Error(`未知选项: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(options.interval) || options.interval <= 0) {
+    throw new Error('--interval 需为正整数（毫秒）');
+  }
+
+  return options;
+}
+
+/**
+ * 添加随机噪声
+ * @param {number} value 原始值
+ * @param {number} amplitude 噪声幅度
+ * @returns {number}
+ */
+function jitter(value, amplitude) {
+  return Math.round(value + (Math.random() * 2 - 1) * amplitude);
+}
+
+/**
+ * 生成主机传感器数据包（与 ble-driver.html 解析数据包后发送的消息一致）
+ * @param {Object} step 当前场景步骤
+ * @param {number} timestamp 主机时间戳（模拟固件 millis()）
+ * @param {Object} [options] 固件状态
+ * @param {number} [options.maxDistanceMm] 最大有效距离（MAXD 命令设置），超过时按无目标发送
+ * @param {number|null} [options.sequence] v2 数据包序号，null 表示 v1 数据包（不带序号和传感器状态）
+ * @returns {Object}
+ */
+function buildSensorMessage(step, timestamp, { maxDistanceMm = FILTER_MAX_MM, sequence = null } = {}) {
+  const distances = new Array(SENSOR_COUNT).fill(FILTER_MAX_MM);
+  (step.references || []).forEach((reference, channel) => {
+    if (reference === null) return;
+    const amplitude = (step.noisyChannels || []).includes(channel) ? 80 : 5;
+    const distance = (step.stuckChannels || []).includes(channel) ? reference : jitter(reference, amplitude);
+    distances[channel] = distance <= maxDistanceMm ? distance : FILTER_MAX_MM;
+  });
+  if (Number.isInteger(step.reach)) {
+    const distance = Math.max(1, jitter(step.distance, 5));
+    distances[step.reach] = distance <= maxDistanceMm ? distance : FILTER_MAX_MM;
+  }
+  (step.deadChannels || []).forEach((channel) => {
+    distances[channel] = FILTER_MAX_MM;
+  });
+
+  // 与固件 readTOFSensors 一致：无有效目标时 minDir=-1、minDist=FILTER_MAX_MM
+  let minDirection = -1;
+  let minDistance = FILTER_MAX_MM;
+  distances.forEach((distance, channel) => {
+    if (distance > 0 && distance < FILTER_MAX_MM && distance < minDistance) {
+      minDirection = channel;
+      minDistance = distance;
+    }
+  });
+
+  const message = {
+    type: 'sensor_data',
+    timestamp,
+    minDirection,
+    minDistance,
+    distances,
+    source: 'host',
+    name: HOST_DEVICE.name,
+    address: HOST_DEVICE.address
+  };
+  if (sequence !== null) {
+    message.sequence = sequence;
+    message.sensorStatus = (step.deadChannels || []).reduce((status, channel) => status | (1 << channel), 0);
+  }
+  return message;
+}
+
+/**
+ * 生成无法通过验证的主机数据包（轮流使用不同的错误类型）
+ * @param {number} index 数据包序号
+ * @param {number} timestamp 主机时间戳
+ * @returns {Object}
+ */
+function buildInvalidMessage(index, timestamp) {
+  const valid = buildSensorMessage({ reach: 3, distance: 800 }, timestamp);
+  const variants = [
+    { ...valid, minDistance: 5000 }, // 超出最大有效距离
+    { ...valid, minDirection: 9 }, // 方向超出范围
+    { ...valid, distances: valid.distances.slice(0, 7) }, // 方向数量错误
+    { ...valid, timestamp: 0 } // 时间戳无效
+  ];
+  return variants[index % variants.length];
+}
+
+/**
+ * 生成无法通过验证的从机数据包（压力超出ADC范围）
+ * @returns {Object}
+ */
+function buildInvalidPressureMessage() {
+  return { type: 'slave_pressure_data', timestamp: Date.now(), pressure: 5000, source: 'slave', ...SLAVE_DEVICE };
+}
+
+/**
+ * 生成无法解码的二进制数据帧（轮流使用不同的错误类型）
+ * @param {number} index 数据帧序号
+ * @param {number} timestamp 主机时间戳
+ * @param {number} [version] 数据包格式版本（与 hello 中声明的一致，只让错误类型本身导致解码失败）
+ * @returns {Uint8Array}
+ */
+function buildInvalidFrame(index, timestamp, version = DEFAULT_PACKET_VERSION) {
+  const sequence = version >= 2 ? 0 : null;
+  const frame = encodeSensorPacket(buildSensorMessage({ reach: 3, distance: 800 }, timestamp, { sequence }), { version });
+  const { offsets } = PACKET_LAYOUTS[version];
+  const badDirection = frame.slice();
+  badDirection[offsets.minDirection] = 9;
+  const variants = [
+    frame.slice(0, frame.length - 1), // 数据帧被截断
+    badDirection, // 方向字节超出范围
+    new Uint8Array([...frame, 0]) // 多余字节
+  ];
+  return variants[index % variants.length];
+}
+
+/**
+ * 模拟的 WebSocket 客户端（对应一个驱动页面）
+ */
+class SimulatedDriver {
+  /**
+   * @param {Object} options 配置项
+   * @param {string} options.role host | slave
+   * @param {string} options.url WebSocket 地址
+   * @param {string} options.token 会话令牌
+   * @param {string[]} [options.capabilities] hello 中声明的能力
+   * @param {Object} [options.firmware] 模拟的主机固件状态 {设备参数..., packetVersion, sequence}，设备命令会修改它
+   */
+  constructor({ role, url, token, capabilities = [], firmware = null }) {
+    this.role = role;
+    this.url = url;
+    this.token = token;
+    this.capabilities = capabilities;
+    this.firmware = firmware;
+    this.ws = null;
+    this.sentCount = 0;
+  }
+
+  /**
+   * 是否已连接
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * 连接 WebSocket Bridge，完成令牌认证和 hello 协商
+   * @returns {Promise<void>}
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      let authenticated = false;
+      let rejectedReason = null;
+
+      ws.once('open', () => {
+        // 认证握手：第一条消息出示会话令牌，随后发送 hello 声明角色和能力
+        ws.send(JSON.stringify({ type: 'auth', token: this.token }));
+        ws.send(JSON.stringify(createHello({
+          roles: [this.role],
+          driver: 'hardware-simulator',
+          firmware: { [this.role]: this.role === 'host' ? HOST_DEVICE.name : SLAVE_DEVICE.name },
+          packetLayout: this.firmware ? this.firmware.packetVersion : DEFAULT_PACKET_VERSION,
+          capabilities: this.capabilities
+        })));
+      });
+
+      ws.on('error', (error) => {
+        if (!authenticated) {
+          reject(error);
+        } else {
+          console.error(`❌ [${this.role}] WebSocket错误: ${error.message}`);
+        }
+      });
+
+      ws.on('message', (message) => {
+        try {
+          const data = JSON.parse(message.toString());
+          if (data.type === 'welcome' && !authenticated) {
+            authenticated = true;
+            this.ws = ws;
+            console.log(`✅ [${this.role}] 已连接 ${this.url}（协议v${data.protocolVersion}${data.capabilities.length ? `，能力: ${data.capabilities.join(', ')}` : ''}）`);
+            if (this.role === 'slave') {
+              this.send({ type: 'slave_connected', ...SLAVE_DEVICE });
+            }
+            resolve();
+          } else if (data.type === 'hello_rejected') {
+            rejectedReason = data.reason;
+          } else if (data.type === 'device_command') {
+            this.handleDeviceCommand(data);
+          } else if (data.type === 'close_ble_driver') {
+            console.log(`ℹ️ [${this.role}] Electron 主窗口已关闭`);
+          }
+        } catch (error) {
+          // 忽略非JSON消息
+        }
+      });
+
+      ws.on('close', (code) => {
+        if (!authenticated) {
+          const authFailed = AUTH_FAILED_CLOSE_CODES.includes(code);
+          const incompatible = code === INCOMPATIBLE_CLOSE_CODE;
+          const error = new Error(authFailed
+            ? '认证失败，请检查 --token / SEBT_BRIDGE_TOKEN'
+            : incompatible ? `驱动不兼容: ${rejectedReason}` : `连接已关闭 (${code})`);
+          error.fatal = authFailed || incompatible;
+          reject(error);
+        } else if (this.ws === ws) {
+          this.ws = null;
+          console.log(`🔌 [${this.role}] 连接已关闭`);
+        }
+      });
+    });
+  }
+
+  /**
+   * 模拟固件执行设备命令并回复确认（与 master-ble.ino processCommand 一致）
+   * @param {Object} data device_command 消息 {id, command, value}
+   */
+  handleDeviceCommand({ id, command, value }) {
+    const reply = (ok, detail = null) => {
+      this.send({ type: 'command_ack', id, ok, result: ok ? detail : null, error: ok ? null : detail });
+      console.log(`📟 [${this.role}] ${command}${value === undefined ? '' : ` ${value}`} → ${ok ? 'OK' : 'ERR'}${detail === null ? '' : ` ${detail}`}`);
+    };
+    const firmware = this.firmware;
+    const definition = DEVICE_COMMANDS[command];
+    if (!firmware || !definition) {
+      reply(false, firmware ? 'UNKNOWN' : 'UNSUPPORTED');
+      return;
+    }
+    if (definition.min !== undefined && !validateDeviceCommand(command, value).valid) {
+      reply(false, 'RANGE');
+      return;
+    }
+
+    const settingKey = Object.keys(DEVICE_SETTING_COMMANDS).find(key => DEVICE_SETTING_COMMANDS[key] === command);
+    if (command === 'PING') {
+      reply(true);
+    } else if (command === 'GET_CONFIG') {
+      reply(true, DEVICE_CONFIG_FIELDS.map(field => (field === 'sensorCount' ? SENSOR_COUNT : firmware[field])).join(','));
+    } else if (settingKey) {
+      firmware[settingKey] = value;
+      reply(true, String(value));
+    } else if (command === 'REINIT_SENSORS') {
+      setTimeout(() => reply(true, String(SENSOR_COUNT)), REINIT_DELAY_MS);
+    }
+  }
+
+  /**
+   * 断开连接（从机与驱动页面一致，先发送 slave_disconnected）
+   */
+  disconnect() {
+    if (!this.isOpen()) {
+      return;
+    }
+    if (this.role === 'slave') {
+      this.send({ type: 'slave_disconnected', ...SLAVE_DEVICE });
+    }
+    const ws = this.ws;
+    this.ws = null;
+    ws.close();
+    console.log(`🔌 [${this.role}] 已断开`);
+  }
+
+  /**
+   * 发送消息（未连接时丢弃）
+   * @param {Object|Uint8Array} message JSON消息或二进制数据帧
+   */
+  send(message) {
+    if (this.isOpen()) {
+      // JSON 消息与驱动页面一样带 role 标记（主机和从机各用一个连接）和发送时间（诊断面板统计 Bridge 延迟）
+      this.ws.send(message instanceof Uint8Array ? message : JSON.stringify({ ...message, role: this.role, sentAt: Date.now() }));
+      this.sentCount++;
+    }
+  }
+}
+
+/**
+ * 等待指定时间
+ * @param {number} ms 毫秒
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 连接驱动，失败时按指数退避重试（与驱动页面一致，见 reconnect-policy.js）
+ * @param {SimulatedDriver} driver 模拟驱动
+ * @param {number} attempts 最大尝试次数
+ */
+async function connectWithRetry(driver, attempts = 5) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await driver.connect();
+      return;
+    } catch (error) {
+      console.warn(`⚠️ [${driver.role}] 连接失败 (${attempt}/${attempts}): ${error.message}`);
+      if (error.fatal) {
+        throw error;
+      }
+      if (attempt === attempts) {
+        throw new Error(`无法连接 ${driver.url}，请确认 SEBT 应用已启动`);
+      }
+      await sleep(getReconnectDelay(attempt));
+    }
+  }
+}
+
+/**
+ * 运行一个场景
+ * @param {Object} scenario 场景
+ * @param {Object} context 运行上下文 {host, slave, timeScale, startTime, binary}
+ */
+async function runScenario(scenario, context) {
+  const { host, slave, timeScale, binary } = context;
+  let { startTime } = context;
+  let invalidIndex = 0;
+
+  for (const step of scenario.steps) {
+    const durationMs = step.durationMs / timeScale;
+    console.log(`▶️ ${step.label}（${(durationMs / 1000).toFixed(1)}s）`);
+
+    const disconnectHost = step.disconnect === 'host' || step.disconnect === 'both';
+    const disconnectSlave = step.disconnect === 'slave' || step.disconnect === 'both';
+    if (disconnectHost) host.disconnect();
+    if (disconnectSlave) slave?.disconnect();
+
+    // BLE 链路中断：与驱动页面一致，先发送 link_status，中断期间不发送数据
+    const hostLinkLost = step.linkLoss === 'host' || step.linkLoss === 'both';
+    const slaveLinkLost = Boolean(slave) && (step.linkLoss === 'slave' || step.linkLoss === 'both');
+    if (hostLinkLost) host.send({ type: 'link_status', state: 'lost' });
+    if (slaveLinkLost) slave.send({ type: 'link_status', state: 'lost' });
+    if (step.restart) {
+      startTime = Date.now();
+      host.firmware.sequence = 0;
+    }
+
+    const stepEnd = Date.now() + durationMs;
+    while (Date.now() < stepEnd) {
+      // 主机时间戳模拟固件 millis()（从模拟器启动开始计时，BLEManager 要求大于0）
+      const timestamp = Math.max(1, Date.now() - startTime);
+
+      if (step.invalid) {
+        host.send(binary ? buildInvalidFrame(invalidIndex++, timestamp, host.firmware.packetVersion) : buildInvalidMessage(invalidIndex++, timestamp));
+      } else if (!hostLinkLost) {
+        const { firmware } = host;
+        const v2 = firmware.packetVersion >= 2;
+        const message = buildSensorMessage(step, timestamp, { maxDistanceMm: firmware.maxDistanceMm, sequence: v2 ? firmware.sequence : null });
+        firmware.sequence = (firmware.sequence + 1) & 0xFFFF;
+        if (!step.dropPackets) {
+          const packet = binary ? encodeSensorPacket(message, { version: firmware.packetVersion }) : message;
+          host.send(packet);
+          if (step.duplicate) host.send(packet);
+        }
+      }
+
+      if (slave && step.invalid) {
+        slave.send(buildInvalidPressureMessage());
+      } else if (slave && !slaveLinkLost && step.pressure !== null && step.pressure !== undefined) {
+        slave.send({
+          type: 'slave_pressure_data',
+          timestamp: Date.now(),
+          pressure: Math.min(4095, Math.max(1, jitter(step.pressure, 20))),
+          source: 'slave',
+          ...SLAVE_DEVICE
+        });
+      }
+
+      // 从机与主机共用发送循环，间隔随主机固件参数变化
+      await sleep(host.firmware.intervalMs / timeScale);
+    }
+
+    // 中断的链路和断开的连接在步骤结束后恢复
+    if (hostLinkLost) host.send({ type: 'link_status', state: 'restored', attempt: 1, gapMs: durationMs });
+    if (slaveLinkLost) slave.send({ type: 'link_status', state: 'restored', attempt: 1, gapMs: durationMs });
+    if (disconnectHost) await connectWithRetry(host);
+    if (disconnectSlave && slave) await connectWithRetry(slave);
+  }
+}
+
+/**
+ * 入口
+ */
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.list) {
+    console.log('可用场景:');
+    Object.entries(SCENARIOS).forEach(([id, scenario]) => {
+      console.log(`  ${id.padEnd(18)} ${scenario.description}`);
+    });
+    return;
+  }
+
+  const scenario = SCENARIOS[options.scenario];
+  if (!scenario) {
+    console.error(`❌ 未知场景: ${options.scenario}（使用 --list 查看所有场景）`);
+    process.exit(1);
+  }
+
+  const timeScale = options.fast ? FAST_FACTOR : 1;
+  const host = new SimulatedDriver({
+    role: 'host',
+    url: options.url,
+    token: options.token,
+    capabilities: options.binary ? [CAPABILITIES.BINARY_FRAMES, CAPABILITIES.DEVICE_COMMANDS] : [CAPABILITIES.DEVICE_COMMANDS],
+    firmware: {
+      ...DEFAULT_DEVICE_SETTINGS,
+      intervalMs: options.interval,
+      maxDistanceMm: FILTER_MAX_MM,
+      packetVersion: options.packetVersion,
+      sequence: 0
+    }
+  });
+  const slave = options.slave ? new SimulatedDriver({ role: 'slave', url: options.url, token: options.token }) : null;
+
+  // Ctrl+C 时与驱动页面一样发送断开消息后退出
+  process.on('SIGINT', () => {
+    console.log('\n⏹️ 模拟器已停止');
+    host.disconnect();
+    slave?.disconnect();
+    setTimeout(() => process.exit(0), 100);
+  });
+
+  try {
+    await connectWithRetry(host);
+    if (slave) await connectWithRetry(slave);
+
+    console.log(`🚀 开始场景 ${options.scenario}: ${scenario.description}${options.fast ? '（快速）' : ''}${options.binary ? '（二进制数据帧）' : ''}（数据包v${options.packetVersion}）`);
+    const context = {
+      host,
+      slave,
+      timeScale,
+      startTime: Date.now(),
+      binary: options.binary
+    };
+
+    do {
+      await runScenario(scenario, context);
+    } while (options.loop);
+
+    console.log(`✅ 场景完成: 主机发送 ${host.sentCount} 条，从机发送 ${slave ? slave.sentCount : 0} 条`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    host.disconnect();
+    slave?.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,127 @@
+/*
+ * SEBT 测试记录存储 (Session Store)
+ * 将每次测试的被测信息、参数、8方向读数和分数持久化到 Electron userData 目录
+ *
+ * 存储格式: JSON Lines（每行一条记录）
+ * 同一记录再次保存时追加新行，读取时以最后一行为准，避免重写整个文件导致数据丢失
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// --- 配置 ---
+const SESSION_FILE_NAME = 'sessions.jsonl';
+const DEFAULT_LIST_LIMIT = 200;
+
+/**
+ * 测试记录存储类
+ */
+class SessionStore {
+  /**
+   * @param {Object} options 配置项
+   * @param {string} options.directory 存储目录（通常为 app.getPath('userData')）
+   * @param {string} [options.fileName] 存储文件名
+   */
+  constructor({ directory, fileName = SESSION_FILE_NAME }) {
+    this.filePath = path.join(directory, fileName);
+    this.sessions = null; // 延迟加载的记录缓存 Map<id, session>
+  }
+
+  /**
+   * 从文件加载所有记录（仅首次调用时读取文件）
+   * @returns {Map<string, Object>} 记录集合
+   */
+  load() {
+    if (this.sessions) {
+      return this.sessions;
+    }
+
+    this.sessions = new Map();
+
+    if (!fs.existsSync(this.filePath)) {
+      return this.sessions;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        const session = JSON.parse(line);
+        if (session && session.id) {
+          this.sessions.set(session.id, session);
+        }
+      } catch (error) {
+        // 跳过损坏的行（例如写入过程中断电），不影响其他记录
+        console.warn(`[SessionStore] 跳过损坏的记录 (第${index + 1}行): ${error.message}`);
+      }
+    });
+
+    console.log(`[SessionStore] 已加载 ${this.sessions.size} 条测试记录: ${this.filePath}`);
+    return this.sessions;
+  }
+
+  /**
+   * 保存测试记录（新建或更新）
+   * @param {Object} session 测试记录，无 id 时自动生成
+   * @returns {Object} 保存后的记录
+   */
+  save(session) {
+    const sessions = this.load();
+    const now = new Date().toISOString();
+    const existing = session.id ? sessions.get(session.id) : null;
+
+    const saved = {
+      ...session,
+      id: session.id || crypto.randomUUID(),
+      createdAt: existing?.createdAt || session.createdAt || now,
+      updatedAt: now
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(saved) + '\n', 'utf8');
+    sessions.set(saved.id, saved);
+
+    return saved;
+  }
+
+  /**
+   * 获取单条测试记录
+   * @param {string} id 记录ID
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  /**
+   * 查询测试记录（按创建时间倒序）
+   * @param {Object} [options] 查询条件
+   * @param {string} [options.query] 关键字，匹配被测序号、性别或日期（YYYY-MM-DD）
+   * @param {number} [options.limit] 最大返回条数
+   * @returns {Object[]} 记录列表
+   */
+  list({ query = '', limit = DEFAULT_LIST_LIMIT } = {}) {
+    const keyword = String(query).trim().toLowerCase();
+
+    return Array.from(this.load().values())
+      .filter((session) => {
+        if (!keyword) {
+          return true;
+        }
+        const subject = session.subject || {};
+        const fields = [
+          subject.id,
+          subject.gender,
+          (session.createdAt || '').slice(0, 10)
+        ];
+        return fields.some(field => String(field || '').toLowerCase().includes(keyword));
+      })
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .slice(0, limit);
+  }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,192 @@
+/*
+ * SEBT 信号滤波 (Signal Filter)
+ * 主机8方向读数在 BLEManager 验证后、发送到渲染进程前逐通道滤波，不依赖Electron，主进程和测试共用
+ * 渲染进程只读取参数定义和阶段名称（全局 SEBTSignalFilter）
+ *
+ * 滤波阶段按 FILTER_STAGE_ORDER 依次执行，每个阶段可单独开关（参数见 DEFAULT_FILTER_CONFIG）:
+ *   spike   尖峰剔除：与上一输出相差超过 maxJumpMm（含突然变为无目标）时保持上一输出，连续 holdSamples 次后接受新值
+ *   median  中值滤波：最近 window 个读数的中值
+ *   ema     指数平滑：alpha × 本次 + (1 - alpha) × 上次，无目标时重新开始
+ * 无效读数（≤0）按无目标（MAX_VALID_DISTANCE）处理，滤波后按固件规则重新计算最短方向
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTSignalFilter = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // --- 配置 ---
+  const MAX_VALID_DISTANCE = 2000; // 与固件 FILTER_MAX_MM 一致，读数达到该值表示无目标
+  const CHANNEL_COUNT = 8;
+  const FILTER_STAGE_ORDER = ['spike', 'median', 'ema'];
+
+  const DEFAULT_FILTER_CONFIG = {
+    spike: { enabled: true, maxJumpMm: 300, holdSamples: 2 },
+    median: { enabled: true, window: 3 },
+    ema: { enabled: false, alpha: 0.5 }
+  };
+
+  /**
+   * 滤波阶段定义：显示名称、参数检查和单通道处理函数
+   * apply(value, state, options) 返回 {value, state}，state 为该通道上一次的阶段状态（首次为null）
+   */
+  const FILTER_STAGES = {
+    spike: {
+      label: '尖峰剔除',
+      validate: ({ maxJumpMm, holdSamples }) => {
+        if (!Number.isInteger(maxJumpMm) || maxJumpMm < 50 || maxJumpMm >= MAX_VALID_DISTANCE) {
+          return `尖峰剔除最大跳变需为50-${MAX_VALID_DISTANCE - 1}mm的整数: ${maxJumpMm}`;
+        }
+        if (!Number.isInteger(holdSamples) || holdSamples < 1 || holdSamples > 10) {
+          return `尖峰剔除保持次数需为1-10的整数: ${holdSamples}`;
+        }
+        return null;
+      },
+      apply: (value, state, { maxJumpMm, holdSamples }) => {
+        if (!state || Math.abs(value - state.value) <= maxJumpMm || state.held >= holdSamples) {
+          return { value, state: { value, held: 0 } };
+        }
+        return { value: state.value, state: { value: state.value, held: state.held + 1 }, rejected: true };
+      }
+    },
+    median: {
+      label: '中值滤波',
+      validate: ({ window }) => (
+        Number.isInteger(window) && window >= 3 && window <= 9 && window % 2 === 1
+          ? null
+          : `中值滤波窗口需为3-9的奇数: ${window}`
+      ),
+      apply: (value, state, { window }) => {
+        const values = [...(state || []), value].slice(-window);
+        const sorted = [...values].sort((a, b) => a - b);
+        // 窗口未满时取较小的中间值，避免目标读数与无目标读数取平均
+        return { value: sorted[Math.floor((sorted.length - 1) / 2)], state: values };
+      }
+    },
+    ema: {
+      label: '指数平滑',
+      validate: ({ alpha }) => (
+        typeof alpha === 'number' && alpha >= 0.1 && alpha <= 1
+          ? null
+          : `指数平滑系数需为0.1-1: ${alpha}`
+      ),
+      apply: (value, state, { alpha }) => {
+        if (value >= MAX_VALID_DISTANCE || state === null || state >= MAX_VALID_DISTANCE) {
+          return { value, state: value };
+        }
+        const smoothed = alpha * value + (1 - alpha) * state;
+        return { value: Math.round(smoothed), state: smoothed };
+      }
+    }
+  };
+
+  /**
+   * 检查滤波参数
+   * @param {Object} config 滤波参数 {spike, median, ema}
+   * @returns {{valid: boolean, reason: string|null}}
+   */
+  function validateFilterConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return { valid: false, reason: '滤波参数不是对象' };
+    }
+    for (const type of FILTER_STAGE_ORDER) {
+      const options = config[type];
+      if (!options || typeof options.enabled !== 'boolean') {
+        return { valid: false, reason: `缺少${FILTER_STAGES[type].label}参数` };
+      }
+      const reason = FILTER_STAGES[type].validate(options);
+      if (reason) {
+        return { valid: false, reason };
+      }
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * 8通道信号滤波器（每个通道独立保存各阶段状态）
+   */
+  class SignalFilter {
+    /**
+     * @param {Object} [config] 滤波参数，默认 DEFAULT_FILTER_CONFIG
+     */
+    constructor(config = DEFAULT_FILTER_CONFIG) {
+      this.setConfig(config);
+    }
+
+    /**
+     * 更新滤波参数（参数无效时抛出错误），并清空滤波状态
+     * @param {Object} config 滤波参数
+     */
+    setConfig(config) {
+      const { valid, reason } = validateFilterConfig(config);
+      if (!valid) {
+        throw new Error(reason);
+      }
+      this.config = JSON.parse(JSON.stringify(config));
+      this.reset();
+    }
+
+    /**
+     * 清空滤波状态（数据中断、设备重启、回放开始时调用，避免旧读数影响新数据）
+     */
+    reset() {
+      this.states = Array.from({ length: CHANNEL_COUNT }, () => ({}));
+      this.spikeCount = 0;
+    }
+
+    /**
+     * 是否启用了任一滤波阶段
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return FILTER_STAGE_ORDER.some(type => this.config[type].enabled);
+    }
+
+    /**
+     * 对一包8方向读数滤波
+     * @param {number[]} distances 8方向原始读数（mm）
+     * @returns {{distances: number[], minDirection: number, minDistance: number, spikes: number[]}}
+     *   无有效目标时 minDirection 为-1、minDistance 为 MAX_VALID_DISTANCE；spikes 为本包被剔除的通道
+     */
+    process(distances) {
+      const spikes = [];
+      const filtered = distances.map((distance, channel) => {
+        let value = distance > 0 && distance < MAX_VALID_DISTANCE ? distance : MAX_VALID_DISTANCE;
+        FILTER_STAGE_ORDER.forEach((type) => {
+          if (!this.config[type].enabled) {
+            return;
+          }
+          const result = FILTER_STAGES[type].apply(value, this.states[channel][type] ?? null, this.config[type]);
+          value = result.value;
+          this.states[channel][type] = result.state;
+          if (result.rejected) {
+            spikes.push(channel);
+          }
+        });
+        return value;
+      });
+      this.spikeCount += spikes.length;
+
+      let minDirection = -1;
+      let minDistance = MAX_VALID_DISTANCE;
+      filtered.forEach((distance, channel) => {
+        if (distance < minDistance) {
+          minDirection = channel;
+          minDistance = distance;
+        }
+      });
+      return { distances: filtered, minDirection, minDistance, spikes };
+    }
+  }
+
+  return {
+    MAX_VALID_DISTANCE,
+    FILTER_STAGE_ORDER,
+    FILTER_STAGES,
+    DEFAULT_FILTER_CONFIG,
+    validateFilterConfig,
+    SignalFilter
+  };
+});
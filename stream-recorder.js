@@ -0,0 +1,295 @@
+/*
+ * SEBT 原始数据流录制与回放 (Stream Recorder)
+ * 录制经过 BLEManager 验证的主机/从机数据包（含接收时间），用于复现锁定、测距等问题
+ *
+ * 录制文件格式: JSON Lines
+ * 第一行为文件头 {format, version, startedAt, packetLayout}，packetLayout 为开始录制时主机驱动协商的数据包布局（未连接时为null）
+ * 之后每行一个数据包 {receivedAt, packet}，packet 为 WebSocket 收到的原始消息
+ * （sensor_frame 保留原始数据帧和当时声明的 packetLayout，回放时按 packet-codec.js 重新解码；固件格式在录制中途变化时以数据帧为准）
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// --- 配置 ---
+const RECORDING_FORMAT = 'sebt-stream';
+const RECORDING_VERSION = 1;
+const RECORDING_EXTENSION = '.jsonl';
+const REPLAY_SPEEDS = {
+  realtime: 1, // 1× 原速
+  fast: 10 // 快速回放（保持包间隔比例，避免渲染进程丢帧）
+};
+
+/**
+ * 生成录制文件名 recording-YYYYMMDD-HHMMSS.jsonl
+ * @param {Date} date 录制开始时间
+ * @returns {string}
+ */
+function createRecordingFileName(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `recording-${day}-${time}${RECORDING_EXTENSION}`;
+}
+
+/**
+ * 数据流录制类
+ */
+class StreamRecorder {
+  /**
+   * @param {Object} options 配置项
+   * @param {string} options.directory 录制文件目录（通常为 userData/recordings）
+   */
+  constructor({ directory }) {
+    this.directory = directory;
+    this.filePath = null; // 当前录制文件，未录制时为null
+    this.packetCount = 0;
+  }
+
+  /**
+   * 是否正在录制
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.filePath !== null;
+  }
+
+  /**
+   * 开始录制（已在录制时返回当前录制信息）
+   * @param {Object} [options] 配置项
+   * @param {number|null} [options.packetLayout] 主机驱动在 hello 中协商的数据包布局版本，主机未连接时为null
+   * @returns {{filePath: string, packetCount: number}}
+   */
+  start({ packetLayout = null } = {}) {
+    if (this.isRecording()) {
+      return this.getStatus();
+    }
+
+    const startedAt = new Date();
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.filePath = path.join(this.directory, createRecordingFileName(startedAt));
+    this.packetCount = 0;
+
+    const header = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      startedAt: startedAt.toISOString(),
+      packetLayout
+    };
+    fs.writeFileSync(this.filePath, JSON.stringify(header) + '\n', 'utf8');
+
+    console.log(`[Recorder] 开始录制: ${this.filePath}`);
+    return this.getStatus();
+  }
+
+  /**
+   * 停止录制
+   * @returns {{filePath: string|null, packetCount: number}} 已完成的录制信息
+   */
+  stop() {
+    const { filePath, packetCount } = this.getStatus();
+    if (this.isRecording()) {
+      console.log(`[Recorder] 停止录制: ${filePath} (${packetCount} 个数据包)`);
+    }
+    this.filePath = null;
+    return { filePath, packetCount };
+  }
+
+  /**
+   * 追加一个数据包（未录制时忽略）
+   * @param {Object} packet WebSocket 原始消息
+   * @param {number} [receivedAt] 接收时间（毫秒时间戳）
+   */
+  record(packet, receivedAt = Date.now()) {
+    if (!this.isRecording()) {
+      return;
+    }
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify({ receivedAt, packet }) + '\n', 'utf8');
+      this.packetCount++;
+    } catch (error) {
+      // 写入失败时停止录制，避免每个数据包都重复报错
+      console.error(`[Recorder] 写入录制文件失败，已停止录制: ${error.message}`);
+      this.filePath = null;
+    }
+  }
+
+  /**
+   * 获取录制状态
+   * @returns {{recording: boolean, filePath: string|null, packetCount: number}}
+   */
+  getStatus() {
+    return {
+      recording: this.isRecording(),
+      filePath: this.filePath,
+      packetCount: this.packetCount
+    };
+  }
+
+  /**
+   * 列出录制文件（按修改时间倒序）
+   * @returns {Array<{fileName: string, filePath: string, size: number, modifiedAt: string}>}
+   */
+  list() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(fileName => fileName.endsWith(RECORDING_EXTENSION))
+      .map((fileName) => {
+        const filePath = path.join(this.directory, fileName);
+        const stat = fs.statSync(filePath);
+        return { fileName, filePath, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+      })
+      .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  /**
+   * 读取要回放的录制文件（只允许回放录制目录中的文件，录制中不能回放）
+   * @param {string} [filePath] 录制文件路径（渲染进程传入）
+   * @returns {{header: Object, entries: Array<{receivedAt: number, packet: Object}>}}
+   */
+  loadReplay(filePath) {
+    if (!this.list().some(recording => recording.filePath === filePath)) {
+      throw new Error('录制文件不存在');
+    }
+    if (this.isRecording()) {
+      throw new Error('请先停止录制再回放');
+    }
+    return StreamRecorder.load(filePath);
+  }
+
+  /**
+   * 读取录制文件
+   * @param {string} filePath 录制文件路径
+   * @returns {{header: Object, entries: Array<{receivedAt: number, packet: Object}>}}
+   */
+  static load(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+    if (lines.length === 0) {
+      throw new Error('录制文件为空');
+    }
+
+    const header = JSON.parse(lines[0]);
+    if (header.format !== RECORDING_FORMAT) {
+      throw new Error('不是有效的录制文件');
+    }
+    if (header.version > RECORDING_VERSION) {
+      throw new Error(`不支持的录制文件版本: ${header.version}`);
+    }
+
+    const entries = [];
+    lines.slice(1).forEach((line, index) => {
+      try {
+        const entry = JSON.parse(line);
+        if (entry && entry.packet && Number.isFinite(entry.receivedAt)) {
+          entries.push(entry);
+        }
+      } catch (error) {
+        // 跳过损坏的行（例如录制过程中断电）
+        console.warn(`[Recorder] 跳过损坏的数据包 (第${index + 2}行): ${error.message}`);
+      }
+    });
+
+    return { header, entries };
+  }
+}
+
+/**
+ * 数据流回放类
+ * 按录制时的接收间隔（除以回放速度）依次回调数据包
+ */
+class StreamReplay {
+  /**
+   * @param {Object} options 配置项
+   * @param {Array<{receivedAt: number, packet: Object}>} options.entries 录制的数据包
+   * @param {string} [options.speed] 回放速度 realtime | fast
+   * @param {Function} options.onPacket 数据包回调 (packet) => void
+   * @param {Function} [options.onEnd] 回放结束回调 ({completed: boolean, packetCount: number}) => void
+   */
+  constructor({ entries, speed = 'realtime', onPacket, onEnd }) {
+    this.entries = entries;
+    this.speed = REPLAY_SPEEDS[speed] ? speed : 'realtime';
+    this.onPacket = onPacket;
+    this.onEnd = onEnd;
+    this.index = 0;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * 开始回放
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.index = 0;
+    this.scheduleNext();
+  }
+
+  /**
+   * 停止回放
+   */
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.finish(false);
+  }
+
+  /**
+   * 调度下一个数据包
+   */
+  scheduleNext() {
+    if (this.index >= this.entries.length) {
+      this.finish(true);
+      return;
+    }
+
+    const previous = this.entries[this.index - 1];
+    const current = this.entries[this.index];
+    const interval = previous ? Math.max(0, current.receivedAt - previous.receivedAt) : 0;
+
+    this.timer = setTimeout(() => {
+      this.index++;
+      try {
+        this.onPacket(current.packet);
+      } catch (error) {
+        console.error(`[Replay] 处理数据包失败 #${this.index}: ${error.message}`);
+      }
+      if (this.running) {
+        this.scheduleNext();
+      }
+    }, interval / REPLAY_SPEEDS[this.speed]);
+  }
+
+  /**
+   * 结束回放并通知
+   * @param {boolean} completed 是否完整回放
+   */
+  finish(completed) {
+    this.running = false;
+    this.onEnd?.({ completed, packetCount: this.index });
+  }
+
+  /**
+   * 获取回放进度
+   * @returns {{running: boolean, speed: string, packetCount: number, totalPackets: number}}
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      speed: this.speed,
+      packetCount: this.index,
+      totalPackets: this.entries.length
+    };
+  }
+}
+
+module.exports = { StreamRecorder, StreamReplay, REPLAY_SPEEDS };
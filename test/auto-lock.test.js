@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findMinDirection,
+  resolveMinDirection,
+  isLockCandidate,
+  advanceLockCounter
+} = require('../auto-lock');
+
+const INVALID = 'invalid';
+
+/**
+ * 连续输入同一组方向，返回每帧的事件
+ */
+function runFrames(directions, options, initial = { direction: -1, count: 0 }) {
+  let state = initial;
+  return directions.map((direction) => {
+    const result = advanceLockCounter(state, direction, options);
+    state = result.state;
+    return result;
+  });
+}
+
+test('findMinDirection 返回最短有效方向', () => {
+  const distances = [800, INVALID, 450, 2000, 600, INVALID, 900, 700];
+  assert.deepEqual(findMinDirection(distances), { direction: 2, distance: 450 });
+});
+
+test('findMinDirection 排除已完成的方向', () => {
+  const distances = [800, INVALID, 450, 2000, 600, INVALID, 900, 700];
+  assert.deepEqual(findMinDirection(distances, new Set([2, 4])), { direction: 7, distance: 700 });
+});
+
+test('findMinDirection 无有效读数时返回 -1', () => {
+  assert.deepEqual(findMinDirection(new Array(8).fill(INVALID)), { direction: -1, distance: Infinity });
+});
+
+test('resolveMinDirection 优先使用主机计算的最短方向', () => {
+  const payload = { currentMinDirection: 5, currentMinDistance: 320 };
+  assert.deepEqual(resolveMinDirection(payload, [100, 200]), { direction: 5, distance: 320 });
+});
+
+test('resolveMinDirection 兼容 minDir 字段，无目标(255/-1)时从距离数组计算', () => {
+  const distances = [INVALID, 500, INVALID, 300, INVALID, INVALID, INVALID, INVALID];
+  assert.deepEqual(resolveMinDirection({ minDir: 1, minDist: 500 }, distances), { direction: 1, distance: 500 });
+  assert.deepEqual(resolveMinDirection({ minDir: 255, minDist: 2000 }, distances), { direction: 3, distance: 300 });
+  assert.deepEqual(resolveMinDirection({ minDir: -1 }, distances, new Set([3])), { direction: 1, distance: 500 });
+});
+
+test('isLockCandidate 拒绝无效方向、无效距离和已完成方向', () => {
+  assert.equal(isLockCandidate(3, 400), true);
+  assert.equal(isLockCandidate(-1, 400), false);
+  assert.equal(isLockCandidate(8, 400), false);
+  assert.equal(isLockCandidate(3, Infinity), false);
+  assert.equal(isLockCandidate(3, 400, new Set([3])), false);
+});
+
+test('同一方向连续达到 requiredCount 次后锁定', () => {
+  const events = runFrames([3, 3, 3, 3], { requiredCount: 4 }).map(result => result.event);
+  // 第一帧为方向改变（计数1），之后每帧+1，第4帧达到锁定次数
+  assert.deepEqual(events, ['changed', 'counting', 'counting', 'locked']);
+});
+
+test('锁定后计数归零并保留方向', () => {
+  const results = runFrames([6, 6, 6], { requiredCount: 3 });
+  assert.equal(results[2].event, 'locked');
+  assert.equal(results[2].lockedCount, 3);
+  assert.deepEqual(results[2].state, { direction: 6, count: 0 });
+});
+
+test('方向改变时重新计数', () => {
+  const results = runFrames([1, 1, 2, 2, 2], { requiredCount: 3 });
+  assert.deepEqual(results.map(result => result.event), ['changed', 'counting', 'changed', 'counting', 'locked']);
+  assert.deepEqual(results[2].state, { direction: 2, count: 1 });
+});
+
+test('抖动的方向不会锁定', () => {
+  const results = runFrames([0, 7, 0, 7, 0, 7], { requiredCount: 2 });
+  assert.ok(results.every(result => result.event === 'changed'));
+});
+
+test('已完成的方向不参与计数', () => {
+  const options = { requiredCount: 2, completedChannels: new Set([4]) };
+  const results = runFrames([4, 4, 4], options);
+  assert.deepEqual(results.map(result => result.event), ['changed', 'ignored', 'ignored']);
+  assert.deepEqual(results[2].state, { direction: 4, count: 1 });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_BRIDGE_PORT,
+  createSessionToken,
+  resolvePreferredPort,
+  isTokenValid,
+  isAllowedOrigin,
+  parseRequestUrl,
+  buildDriverUrl
+} = require('../bridge-auth');
+
+test('每次生成不同的会话令牌', () => {
+  const token = createSessionToken();
+  assert.match(token, /^[0-9a-f]{48}$/);
+  assert.notEqual(token, createSessionToken());
+});
+
+test('令牌必须完全一致', () => {
+  const token = createSessionToken();
+  assert.equal(isTokenValid(token, token), true);
+  assert.equal(isTokenValid(token.slice(1), token), false);
+  assert.equal(isTokenValid(token.toUpperCase(), token), false);
+  assert.equal(isTokenValid(undefined, token), false);
+  assert.equal(isTokenValid(null, token), false);
+  assert.equal(isTokenValid('', ''), false);
+});
+
+test('只允许本服务器页面的 Origin，非浏览器客户端无 Origin', () => {
+  assert.equal(isAllowedOrigin('http://127.0.0.1:3000', 3000), true);
+  assert.equal(isAllowedOrigin('http://localhost:3000', 3000), true);
+  assert.equal(isAllowedOrigin(undefined, 3000), true);
+  assert.equal(isAllowedOrigin('http://localhost:3001', 3000), false);
+  assert.equal(isAllowedOrigin('https://example.com', 3000), false);
+  assert.equal(isAllowedOrigin('null', 3000), false);
+});
+
+test('驱动页面地址带令牌，可从请求路径读回', () => {
+  const url = buildDriverUrl(3000, '/ble-driver.html', 'a+b');
+  assert.equal(url, 'http://127.0.0.1:3000/ble-driver.html?token=a%2Bb');
+  assert.deepEqual(parseRequestUrl('/ble-driver.html?token=a%2Bb'), { pathname: '/ble-driver.html', token: 'a+b' });
+  assert.deepEqual(parseRequestUrl('/packet-codec.js'), { pathname: '/packet-codec.js', token: null });
+});
+
+test('首选端口：未配置或无效时使用默认端口', () => {
+  assert.deepEqual(resolvePreferredPort(undefined), { port: DEFAULT_BRIDGE_PORT, valid: true });
+  assert.deepEqual(resolvePreferredPort(''), { port: DEFAULT_BRIDGE_PORT, valid: true });
+  assert.deepEqual(resolvePreferredPort('3100'), { port: 3100, valid: true });
+  assert.deepEqual(resolvePreferredPort('abc'), { port: DEFAULT_BRIDGE_PORT, valid: false });
+  assert.deepEqual(resolvePreferredPort('80'), { port: DEFAULT_BRIDGE_PORT, valid: false });
+  assert.deepEqual(resolvePreferredPort('70000'), { port: DEFAULT_BRIDGE_PORT, valid: false });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BRIDGE_PROTOCOL_VERSION,
+  CAPABILITIES,
+  createHello,
+  negotiateHello,
+  validateDriverMessage
+} = require('../bridge-protocol');
+
+const options = { packetLayouts: [1] };
+
+test('统一驱动页面 hello 同时声明主机和从机', () => {
+  const hello = createHello({
+    roles: ['host', 'slave'],
+    driver: 'ble-driver.html',
+    firmware: { host: 'SEBT-Host-001', slave: null },
+    packetLayout: 1,
+    capabilities: [CAPABILITIES.BINARY_FRAMES, 'unknown_feature']
+  });
+  const { ok, session } = negotiateHello(hello, options);
+  assert.equal(ok, true);
+  assert.deepEqual(session, {
+    roles: ['host', 'slave'],
+    protocolVersion: BRIDGE_PROTOCOL_VERSION,
+    driver: 'ble-driver.html',
+    firmware: { host: 'SEBT-Host-001', slave: null },
+    packetLayout: 1,
+    capabilities: [CAPABILITIES.BINARY_FRAMES]
+  });
+});
+
+test('从机 hello 不需要数据包布局', () => {
+  const { ok, session } = negotiateHello(createHello({ roles: ['slave'] }), options);
+  assert.equal(ok, true);
+  assert.equal(session.packetLayout, null);
+  assert.deepEqual(session.firmware, { slave: null });
+});
+
+test('兼容 v1 单角色 hello', () => {
+  const hello = { type: 'hello', protocolVersion: 1, role: 'host', firmware: 'SEBT-Host-001', packetLayout: 1 };
+  const { ok, session } = negotiateHello(hello, options);
+  assert.equal(ok, true);
+  assert.deepEqual(session.roles, ['host']);
+  assert.deepEqual(session.firmware, { host: 'SEBT-Host-001' });
+});
+
+test('缺少 hello、版本不兼容、未知角色或布局时拒绝', () => {
+  assert.match(negotiateHello({ type: 'sensor_data' }, options).reason, /缺少 hello/);
+  const hello = createHello({ roles: ['host'], packetLayout: 1 });
+  assert.match(negotiateHello({ ...hello, protocolVersion: 0 }, options).reason, /过旧/);
+  assert.match(negotiateHello({ ...hello, protocolVersion: BRIDGE_PROTOCOL_VERSION + 1 }, options).reason, /过新/);
+  assert.match(negotiateHello({ ...hello, protocolVersion: '1' }, options).reason, /协议版本无效/);
+  assert.match(negotiateHello({ ...hello, roles: ['host', 'viewer'] }, options).reason, /未知的驱动角色: viewer/);
+  assert.match(negotiateHello({ ...hello, roles: [] }, options).reason, /驱动角色无效/);
+  assert.match(negotiateHello({ ...hello, roles: ['host', 'host'] }, options).reason, /驱动角色无效/);
+  assert.match(negotiateHello({ ...hello, packetLayout: 2 }, options).reason, /不支持的数据包布局: v2/);
+});
+
+test('数据消息按角色、能力和字段类型检查', () => {
+  const host = negotiateHello(createHello({ roles: ['host'], packetLayout: 1 }), options).session;
+  const slave = negotiateHello(createHello({ roles: ['slave'] }), options).session;
+  const sensorData = { type: 'sensor_data', timestamp: 1, minDirection: 0, minDistance: 500, distances: [] };
+
+  assert.deepEqual(validateDriverMessage(sensorData, host), { valid: true, reason: null, role: 'host' });
+  assert.match(validateDriverMessage(sensorData, slave).reason, /不能发送 sensor_data/);
+  assert.match(validateDriverMessage({ ...sensorData, role: 'host' }, slave).reason, /未声明角色 host/);
+  assert.match(validateDriverMessage({ type: 'sensor_frame', data: 'AA==' }, host).reason, /未协商能力/);
+  assert.match(validateDriverMessage({ ...sensorData, distances: '1,2' }, host).reason, /distances/);
+  assert.match(validateDriverMessage({ type: 'slave_pressure_data', pressure: '100', timestamp: 1 }, slave).reason, /pressure/);
+  assert.match(validateDriverMessage({ type: 'host_sensor_data' }, host).reason, /未知的消息类型/);
+  assert.equal(validateDriverMessage({ type: 'slave_connected' }, slave).valid, true);
+});
+
+test('多角色连接的数据消息必须带 role 标记', () => {
+  const session = negotiateHello(createHello({ roles: ['host', 'slave'], packetLayout: 1 }), options).session;
+  const pressure = { type: 'slave_pressure_data', pressure: 100, timestamp: 1 };
+
+  assert.match(validateDriverMessage(pressure, session).reason, /缺少 role/);
+  assert.equal(validateDriverMessage({ ...pressure, role: 'slave' }, session).role, 'slave');
+  assert.match(validateDriverMessage({ ...pressure, role: 'host' }, session).reason, /host不能发送/);
+});
+
+test('多角色连接的二进制数据帧按主机数据处理', () => {
+  const session = negotiateHello(
+    createHello({ roles: ['host', 'slave'], packetLayout: 1, capabilities: [CAPABILITIES.BINARY_FRAMES] }),
+    options
+  ).session;
+  const frame = { type: 'sensor_frame', encoding: 'base64', data: 'AQIDBA==' };
+
+  assert.deepEqual(validateDriverMessage(frame, session), { valid: true, reason: null, role: 'host' });
+  assert.match(validateDriverMessage({ ...frame, role: 'slave' }, session).reason, /slave不能发送 sensor_frame/);
+  const slaveOnly = negotiateHello(createHello({ roles: ['slave'], capabilities: [CAPABILITIES.BINARY_FRAMES] }), options).session;
+  assert.match(validateDriverMessage(frame, slaveOnly).reason, /slave不能发送 sensor_frame/);
+});
+
+test('主机和从机都可以发送链路状态', () => {
+  const session = negotiateHello(createHello({ roles: ['host', 'slave'], packetLayout: 1 }), options).session;
+
+  assert.equal(validateDriverMessage({ type: 'link_status', role: 'host', state: 'lost' }, session).valid, true);
+  assert.equal(validateDriverMessage({ type: 'link_status', role: 'slave', state: 'restored' }, session).role, 'slave');
+  assert.match(validateDriverMessage({ type: 'link_status', role: 'host' }, session).reason, /state/);
+  assert.match(validateDriverMessage({ type: 'link_status', role: 'host', state: 'paused' }, session).reason, /未知的链路状态: paused/);
+});
+
+test('命令确认需要协商设备命令能力', () => {
+  const legacy = negotiateHello(createHello({ roles: ['host'], packetLayout: 1 }), options).session;
+  const session = negotiateHello(createHello({ roles: ['host'], packetLayout: 1, capabilities: [CAPABILITIES.DEVICE_COMMANDS] }), options).session;
+  const ack = { type: 'command_ack', id: 3, ok: true, result: '300' };
+
+  assert.equal(validateDriverMessage(ack, session).valid, true);
+  assert.match(validateDriverMessage(ack, legacy).reason, /未协商能力 device_commands/);
+  assert.match(validateDriverMessage({ ...ack, ok: 'OK' }, session).reason, /字段 ok/);
+});
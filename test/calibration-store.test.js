@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirectory } = require('./helpers/temp-directory');
+const { CalibrationStore } = require('../calibration-store');
+const { createIdentityCalibration } = require('../calibration');
+
+/**
+ * 创建使用临时目录的校准存储
+ * @param {Object} t 测试上下文
+ * @returns {{directory: string, createStore: Function}}
+ */
+function useTempStore(t) {
+  const directory = useTempDirectory(t, 'calibrations');
+  return { directory, createStore: () => new CalibrationStore({ directory }) };
+}
+
+/**
+ * 生成有效的校准参数（通道0带偏移）
+ * @param {number} offset 通道0偏移
+ * @returns {Object}
+ */
+function buildCalibration(offset) {
+  const { channels } = createIdentityCalibration();
+  channels[0] = { offset, gain: 1.02 };
+  return { channels, points: [{ channel: 0, referenceMm: 500, measuredMm: 500 - offset }] };
+}
+
+test('按保存时间生成校准ID，同一秒内保存时加序号', (t) => {
+  const { createStore } = useTempStore(t);
+  t.mock.timers.enable({ apis: ['Date'], now: new Date(2026, 9, 19, 9, 5, 7) });
+  const store = createStore();
+
+  const first = store.save(buildCalibration(10));
+  const second = store.save(buildCalibration(20));
+  const third = store.save(buildCalibration(30));
+  assert.equal(first.id, 'CAL-20261019-090507');
+  assert.equal(second.id, 'CAL-20261019-090507-2');
+  assert.equal(third.id, 'CAL-20261019-090507-3');
+  assert.deepEqual(first.channels[0], { offset: 10, gain: 1.02 });
+
+  // 重新加载后已有的ID同样参与去重
+  t.mock.timers.setTime(new Date(2026, 9, 19, 9, 5, 7).getTime());
+  assert.equal(createStore().save(buildCalibration(40)).id, 'CAL-20261019-090507-4');
+});
+
+test('拒绝无效的校准参数', (t) => {
+  const { createStore } = useTempStore(t);
+  const store = createStore();
+  const calibration = buildCalibration(10);
+  calibration.channels[1] = { offset: 0, gain: 5 };
+  assert.throws(() => store.save(calibration));
+  assert.deepEqual(store.list(), []);
+  assert.equal(store.getActive(), null);
+});
+
+test('保存后自动启用，可切换或停用，重新加载后仍能取得当前校准', (t) => {
+  const { directory, createStore } = useTempStore(t);
+  const store = createStore();
+  const first = store.save(buildCalibration(10));
+  assert.equal(store.getActive().id, first.id);
+
+  const second = store.save(buildCalibration(20));
+  assert.equal(createStore().getActive().id, second.id);
+
+  assert.equal(store.setActive(first.id).id, first.id);
+  assert.deepEqual(createStore().getActive(), first);
+
+  assert.equal(store.setActive(null), null);
+  assert.equal(createStore().getActive(), null);
+  assert.throws(() => store.setActive('CAL-missing'), /校准参数不存在: CAL-missing/);
+
+  // 启用记录损坏时按未校准处理
+  const warn = t.mock.method(console, 'warn', () => {});
+  fs.writeFileSync(path.join(directory, 'calibration-active.json'), '{');
+  assert.equal(createStore().getActive(), null);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createIdentityCalibration,
+  applyChannelCalibration,
+  calibrateReadings,
+  fitChannelCalibration,
+  validateCalibration
+} = require('../calibration');
+
+/**
+ * 创建只校准部分通道的校准参数
+ * @param {Object} overrides {通道: {offset, gain}}
+ * @returns {Object}
+ */
+function calibrationWith(overrides) {
+  const calibration = createIdentityCalibration();
+  Object.entries(overrides).forEach(([channel, values]) => {
+    calibration.channels[channel] = values;
+  });
+  return calibration;
+}
+
+test('按偏移和增益校准读数，无目标和无效读数保持原值', () => {
+  const channel = { offset: 35, gain: 1.02 };
+  assert.equal(applyChannelCalibration(500, channel), 545);
+  assert.equal(applyChannelCalibration(2000, channel), 2000);
+  assert.equal(applyChannelCalibration(0, channel), 0);
+  assert.equal(applyChannelCalibration('invalid', channel), 'invalid');
+  assert.equal(applyChannelCalibration(1990, channel), 2000);
+  assert.equal(applyChannelCalibration(20, { offset: -50, gain: 1 }), 0);
+  assert.equal(applyChannelCalibration(500, createIdentityCalibration().channels[0]), 500);
+});
+
+test('校准后重新计算最短方向', () => {
+  const raw = [600, 2000, 2000, 580, 2000, 2000, 2000, 2000];
+  const calibration = calibrationWith({ 0: { offset: -40, gain: 1 }, 3: { offset: 30, gain: 1 } });
+
+  assert.deepEqual(calibrateReadings(raw, calibration), {
+    distances: [560, 2000, 2000, 610, 2000, 2000, 2000, 2000],
+    minDirection: 0,
+    minDistance: 560
+  });
+  assert.deepEqual(calibrateReadings(new Array(8).fill(2000), calibration).minDirection, -1);
+});
+
+test('多个已知距离拟合偏移和增益', () => {
+  // 读数 = (实际距离 - 40) / 1.05
+  const points = [200, 500, 1000].map(referenceMm => ({ referenceMm, measuredMm: (referenceMm - 40) / 1.05 }));
+  assert.deepEqual(fitChannelCalibration(points), { offset: 40, gain: 1.05, residualMm: 0, pointCount: 3 });
+});
+
+test('单个距离只拟合偏移', () => {
+  assert.deepEqual(fitChannelCalibration([{ referenceMm: 500, measuredMm: 462 }]), { offset: 38, gain: 1, residualMm: 0, pointCount: 1 });
+  assert.equal(fitChannelCalibration([]), null);
+});
+
+test('检查校准参数范围', () => {
+  assert.equal(validateCalibration(createIdentityCalibration()).valid, true);
+  assert.match(validateCalibration({ channels: [] }).reason, /8个通道/);
+  assert.match(validateCalibration(calibrationWith({ 2: { offset: 0, gain: 3 } })).reason, /通道2增益超出范围: 3/);
+  assert.match(validateCalibration(calibrationWith({ 5: { offset: 800, gain: 1 } })).reason, /通道5偏移超出范围: 800/);
+  assert.match(validateCalibration(calibrationWith({ 7: { offset: NaN, gain: 1 } })).reason, /通道7偏移/);
+});
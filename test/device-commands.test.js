@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_DEVICE_SETTINGS,
+  validateDeviceCommand,
+  validateDeviceSettings,
+  filterConfigToDeviceSettings,
+  getUnsyncedDeviceSettings,
+  encodeDeviceCommand,
+  parseCommandAck,
+  parseDeviceConfig,
+  DeviceCommandChannel
+} = require('../device-commands');
+
+/**
+ * 记录发送内容的命令通道
+ * @param {boolean} [connected] transmit 的返回值
+ * @returns {{channel: DeviceCommandChannel, sent: Object[]}}
+ */
+function createChannel(connected = true) {
+  const sent = [];
+  const channel = new DeviceCommandChannel({
+    transmit: (message) => {
+      sent.push(message);
+      return connected;
+    }
+  });
+  return { channel, sent };
+}
+
+test('检查命令和设备参数', () => {
+  assert.equal(validateDeviceCommand('PING').valid, true);
+  assert.equal(validateDeviceCommand('SET_INTERVAL', 300).valid, true);
+  assert.match(validateDeviceCommand('PING', 1).reason, /不需要参数/);
+  assert.match(validateDeviceCommand('SET_INTERVAL', 50).reason, /100-1000ms/);
+  assert.match(validateDeviceCommand('SET_MAX_DISTANCE', 1500.5).reason, /整数/);
+  assert.match(validateDeviceCommand('RESET').reason, /未知的设备命令: RESET/);
+
+  assert.equal(validateDeviceSettings({ ...DEFAULT_DEVICE_SETTINGS, intervalMs: 200, maxDistanceMm: 1500 }).valid, true);
+  assert.match(validateDeviceSettings({ intervalMs: 200 }).reason, /最大有效距离/);
+  assert.match(validateDeviceSettings({ ...DEFAULT_DEVICE_SETTINGS, lockCount: 40 }).reason, /锁定次数需为5-30次的整数/);
+  assert.match(validateDeviceSettings(null).reason, /不是对象/);
+});
+
+test('锁定和滤波参数命令: 0表示停用，中值窗口只能为奇数', () => {
+  assert.equal(validateDeviceCommand('SET_LOCK_COUNT', 12).valid, true);
+  assert.match(validateDeviceCommand('SET_LOCK_COUNT', 0).reason, /锁定次数需为5-30次的整数: 0/);
+  assert.equal(validateDeviceCommand('SET_SPIKE_JUMP', 0).valid, true);
+  assert.match(validateDeviceCommand('SET_SPIKE_JUMP', 20).reason, /50-1999mm的整数（0表示停用）/);
+  assert.equal(validateDeviceCommand('SET_MEDIAN_WINDOW', 5).valid, true);
+  assert.match(validateDeviceCommand('SET_MEDIAN_WINDOW', 4).reason, /3-9次的奇数/);
+  assert.match(validateDeviceCommand('SET_EMA_ALPHA', 0.5).reason, /10-100%/);
+  assert.equal(encodeDeviceCommand(255, 'SET_SPIKE_JUMP', 1999), '255 SPK 1999');
+
+  const settings = filterConfigToDeviceSettings({
+    spike: { enabled: false, maxJumpMm: 400, holdSamples: 3 },
+    median: { enabled: true, window: 5 },
+    ema: { enabled: true, alpha: 0.35 }
+  });
+  assert.deepEqual(settings, { spikeMaxJumpMm: 0, spikeHoldSamples: 3, medianWindow: 5, emaAlphaPercent: 35 });
+  assert.equal(validateDeviceSettings({ ...DEFAULT_DEVICE_SETTINGS, ...settings }).valid, true);
+});
+
+test('按设备返回的参数找出需要下发的项', () => {
+  const device = parseDeviceConfig('300,2000,8,10,300,2,3,0');
+  assert.deepEqual(device, {
+    intervalMs: 300,
+    maxDistanceMm: 2000,
+    sensorCount: 8,
+    lockCount: 10,
+    spikeMaxJumpMm: 300,
+    spikeHoldSamples: 2,
+    medianWindow: 3,
+    emaAlphaPercent: 0
+  });
+  assert.deepEqual(getUnsyncedDeviceSettings(DEFAULT_DEVICE_SETTINGS, device), []);
+  assert.deepEqual(
+    getUnsyncedDeviceSettings({ ...DEFAULT_DEVICE_SETTINGS, intervalMs: 500, lockCount: 15, medianWindow: 0 }, device),
+    ['intervalMs', 'lockCount', 'medianWindow']
+  );
+
+  // 旧固件只返回发送间隔、最大有效距离和传感器数量，不比较锁定和滤波参数
+  const legacy = parseDeviceConfig('300,2000,8');
+  assert.equal(legacy.lockCount, undefined);
+  assert.deepEqual(getUnsyncedDeviceSettings({ ...DEFAULT_DEVICE_SETTINGS, lockCount: 15 }, legacy), []);
+  assert.deepEqual(getUnsyncedDeviceSettings(DEFAULT_DEVICE_SETTINGS, null), []);
+  assert.equal(parseDeviceConfig('300,2000,8,10'), null);
+});
+
+test('命令文本编码和确认解析', () => {
+  assert.equal(encodeDeviceCommand(12, 'SET_INTERVAL', 300), '12 INT 300');
+  assert.equal(encodeDeviceCommand(255, 'REINIT_SENSORS'), '255 REINIT');
+  assert.ok(encodeDeviceCommand(255, 'SET_MAX_DISTANCE', 2000).length <= 20);
+
+  assert.deepEqual(parseCommandAck('12 OK 300'), { id: 12, ok: true, result: '300', error: null });
+  assert.deepEqual(parseCommandAck('3 OK\n'), { id: 3, ok: true, result: null, error: null });
+  assert.deepEqual(parseCommandAck('7 ERR RANGE'), { id: 7, ok: false, result: null, error: 'RANGE' });
+  assert.equal(parseCommandAck('OK 300'), null);
+  assert.equal(parseCommandAck('1 DONE'), null);
+
+  assert.deepEqual(parseDeviceConfig('300,2000,8'), { intervalMs: 300, maxDistanceMm: 2000, sensorCount: 8 });
+  assert.equal(parseDeviceConfig('300,2000'), null);
+  assert.equal(parseDeviceConfig(null), null);
+});
+
+test('命令逐条发送，按序号匹配确认', async () => {
+  const { channel, sent } = createChannel();
+  const first = channel.send('GET_CONFIG');
+  const second = channel.send('SET_INTERVAL', 200);
+  await Promise.resolve();
+  assert.deepEqual(sent, [{ id: 1, command: 'GET_CONFIG', value: undefined }]);
+
+  assert.equal(channel.handleAck({ id: 9, ok: true }), false);
+  assert.equal(channel.handleAck({ id: 1, ok: true, result: '300,2000,8' }), true);
+  assert.deepEqual(await first, { command: 'GET_CONFIG', result: '300,2000,8' });
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(sent[1], { id: 2, command: 'SET_INTERVAL', value: 200 });
+  channel.handleAck({ id: 2, ok: false, error: 'RANGE' });
+  await assert.rejects(second, /设置发送间隔失败: 参数超出固件允许范围/);
+});
+
+test('无法发送、超时和取消时命令失败', async (t) => {
+  const offline = createChannel(false).channel;
+  await assert.rejects(offline.send('PING'), /驱动页面未连接或不支持设备命令/);
+  await assert.rejects(offline.send('SET_INTERVAL', 5), /100-1000ms/);
+
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { channel } = createChannel();
+  const ping = channel.send('PING');
+  await Promise.resolve();
+  t.mock.timers.tick(3000);
+  await assert.rejects(ping, /连接测试超时（3000ms 内未收到设备确认）/);
+  assert.equal(channel.handleAck({ id: 1, ok: true }), false);
+
+  const reinit = channel.send('REINIT_SENSORS');
+  await Promise.resolve();
+  t.mock.timers.tick(3000);
+  channel.cancelAll('主机已断开');
+  await assert.rejects(reinit, /重新初始化传感器失败: 主机已断开/);
+  assert.equal(channel.pending.size, 0);
+});
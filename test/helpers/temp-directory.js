@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 创建测试用临时目录，测试结束后删除；同时屏蔽存储模块的 console.log 输出
+ * @param {Object} t 测试上下文
+ * @param {string} prefix 目录名前缀
+ * @returns {string} 临时目录路径
+ */
+function useTempDirectory(t, prefix) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), `sebt-${prefix}-`));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+  return directory;
+}
+
+module.exports = { useTempDirectory };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  IPC_CHANNELS,
+  validateIpcRequest,
+  validateIpcEvent,
+  describeIpcContract,
+  IpcRegistry
+} = require('../ipc-channels');
+
+/**
+ * 读取仓库根目录下的源文件
+ * @param {string} fileName 文件名
+ * @returns {string}
+ */
+function readSource(fileName) {
+  return fs.readFileSync(path.join(__dirname, '..', fileName), 'utf8');
+}
+
+/**
+ * 只记录注册调用的 ipcMain
+ * @returns {{handlers: Map<string, Function>, handle: Function, on: Function}}
+ */
+function createFakeIpcMain() {
+  const handlers = new Map();
+  return {
+    handlers,
+    handle: (channel, handler) => handlers.set(channel, handler),
+    on: (channel, listener) => handlers.set(channel, listener)
+  };
+}
+
+test('检查请求参数', () => {
+  assert.equal(validateIpcRequest('export-csv', [{ fileName: 'a.csv', content: '' }]).valid, true);
+  assert.equal(validateIpcRequest('session-list', []).valid, true);
+  assert.equal(validateIpcRequest('calibration-activate', [null]).valid, true);
+  assert.match(validateIpcRequest('export-csv', [{ fileName: 'a.csv' }]).reason, /export-csv 参数1\.content 应为 string，实际为 undefined/);
+  assert.match(validateIpcRequest('session-get', [1]).reason, /应为 string，实际为 number/);
+  assert.match(validateIpcRequest('recording-stop', [true]).reason, /最多 0 个参数/);
+  assert.match(validateIpcRequest('bluetooth-start-scan', []).reason, /未注册的请求通道/);
+  assert.match(validateIpcRequest('bridge-status', []).reason, /未注册的请求通道/);
+});
+
+test('检查事件数据', () => {
+  assert.equal(validateIpcEvent('bluetooth-disconnected').valid, true);
+  assert.match(validateIpcEvent('bluetooth-disconnected', {}).reason, /不带数据/);
+  assert.equal(validateIpcEvent('bluetooth-status', { connected: false, device: null }).valid, true);
+  assert.match(validateIpcEvent('bluetooth-connected', { device: { id: 'a', name: 'SEBT-Host-001' } }).reason, /device\.address/);
+  assert.match(validateIpcEvent('bt-diagnosis-result', {}).reason, /未注册的事件通道/);
+  assert.equal(validateIpcEvent('replay-status', 'invalid', { checkPayload: false }).valid, true);
+});
+
+test('注册表只允许通道表中的请求通道', () => {
+  const ipc = new IpcRegistry({ ipcMain: createFakeIpcMain() });
+  assert.throws(() => ipc.on('bt-start-scan', () => {}), /未在 ipc-channels\.js 中定义: bt-start-scan/);
+  assert.throws(() => ipc.on('export-csv', () => {}), /定义为 invoke/);
+  ipc.handle('export-csv', () => {});
+  assert.throws(() => ipc.handle('export-csv', () => {}), /重复注册/);
+  assert.equal(ipc.getUnhandledChannels().includes('export-csv'), false);
+  assert.equal(ipc.getUnhandledChannels().includes('session-save'), true);
+});
+
+test('开发模式下参数不符时不调用处理函数', async () => {
+  const ipcMain = createFakeIpcMain();
+  const ipc = new IpcRegistry({ ipcMain, validate: true });
+  const calls = [];
+  ipc.handle('session-get', (_event, id) => ({ success: true, id }));
+  ipc.on('bt-disconnect', (_event, ...args) => calls.push(args));
+
+  assert.deepEqual(await ipcMain.handlers.get('session-get')({}, 'S-1'), { success: true, id: 'S-1' });
+  assert.match((await ipcMain.handlers.get('session-get')({}, 42)).error, /应为 string/);
+  ipcMain.handlers.get('bt-disconnect')({}, 'host');
+  ipcMain.handlers.get('bt-disconnect')({});
+  assert.deepEqual(calls, [[]]);
+});
+
+test('预加载通道表的接口名和事件名不重复', () => {
+  const { requests, events } = describeIpcContract();
+  const apis = requests.map(({ api }) => api);
+  assert.equal(new Set(apis).size, apis.length);
+  apis.forEach(api => assert.match(api, /^[a-z]+\.[a-zA-Z]+$/));
+  assert.equal(Object.keys(events).length, Object.values(IPC_CHANNELS).filter(({ kind }) => kind === 'event').length);
+  assert.equal(events.hostData, 'bluetooth-data-received');
+});
+
+test('main.js 处理了所有请求通道，源码中的事件和接口调用都已注册', () => {
+  const main = readSource('main.js');
+  const handled = [...main.matchAll(/ipc\.(?:handle|on)\('([^']+)'/g)].map(match => match[1]);
+  const requestChannels = Object.keys(IPC_CHANNELS).filter(channel => IPC_CHANNELS[channel].kind !== 'event');
+  assert.deepEqual([...handled].sort(), [...requestChannels].sort());
+
+  const sent = [
+    ...readSource('ble-manager.js').matchAll(/sendToRenderer\('([^']+)'/g),
+    ...main.matchAll(/sendIpcEvent\([^,]+, '([^']+)'/g)
+  ].map(match => match[1]);
+  sent.forEach(channel => assert.equal(validateIpcEvent(channel, undefined, { checkPayload: false }).valid, true, channel));
+
+  const { requests, events } = describeIpcContract();
+  const apis = new Set(requests.map(({ api }) => api).concat('devices.on'));
+  const app = readSource('app.js');
+  [...app.matchAll(/window\.sebt\.([a-z]+\.[a-zA-Z]+)/g)].forEach(([, api]) => assert.equal(apis.has(api), true, api));
+  [...app.matchAll(/devices\.on\('([^']+)'/g)].forEach(([, name]) => assert.ok(events[name], name));
+});
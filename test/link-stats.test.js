@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LinkStats } = require('../link-stats');
+
+test('统计窗口内的包率和估算丢包率', () => {
+  const stats = new LinkStats({ windowMs: 3000, intervalMs: 300 });
+  for (let i = 0; i < 10; i++) {
+    stats.recordPacket({ receivedAt: 10000 + i * 300 });
+  }
+  stats.recordPacket({ receivedAt: 13000, missedPackets: 5 });
+
+  const snapshot = stats.getSnapshot(13000);
+  assert.equal(snapshot.packetCount, 11);
+  assert.equal(snapshot.packetRate, 3.3);
+  assert.equal(snapshot.expectedRate, 3.3);
+  assert.equal(snapshot.lossRate, 0.333);
+  assert.equal(snapshot.missedPackets, 5);
+  assert.equal(snapshot.lastPacketAgeMs, 0);
+});
+
+test('窗口外的数据包不计入包率，累计数量保留', () => {
+  const stats = new LinkStats({ windowMs: 1000 });
+  stats.recordPacket({ receivedAt: 1000, missedPackets: 2 });
+  stats.recordPacket({ receivedAt: 1300 });
+
+  const snapshot = stats.getSnapshot(5000);
+  assert.equal(snapshot.packetRate, 0);
+  assert.equal(snapshot.lossRate, 0);
+  assert.equal(snapshot.packetCount, 2);
+  assert.equal(snapshot.missedPackets, 2);
+  assert.equal(snapshot.lastPacketAgeMs, 3700);
+  assert.equal(snapshot.latency, null);
+});
+
+test('Bridge 延迟只统计提供了发送时间的数据包', () => {
+  const stats = new LinkStats();
+  stats.recordPacket({ receivedAt: 1000, latencyMs: 4 });
+  stats.recordPacket({ receivedAt: 1300, latencyMs: 12 });
+  stats.recordPacket({ receivedAt: 1600 });
+  stats.recordPacket({ receivedAt: 1900, latencyMs: -3 });
+
+  assert.deepEqual(stats.getSnapshot(2000).latency, { avgMs: 5, maxMs: 12 });
+});
+
+test('被拒绝的数据包按原因类别计数', () => {
+  const stats = new LinkStats();
+  stats.recordRejection('最小距离超出范围: 9000');
+  stats.recordRejection('最小距离超出范围: -1');
+  stats.recordRejection('校验和错误: 3（应为7）');
+  stats.recordRejection('方向距离数量错误');
+
+  const snapshot = stats.getSnapshot();
+  assert.deepEqual(snapshot.rejections, { '最小距离超出范围': 2, '校验和错误': 1, '方向距离数量错误': 1 });
+  assert.equal(snapshot.rejectedCount, 4);
+
+  stats.reset();
+  assert.deepEqual(stats.getSnapshot().rejections, {});
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_MAX_SAMPLES,
+  DEFAULT_QUALITY_CRITERIA,
+  isValidSample,
+  averageSamples,
+  addMeasurementSample,
+  validateQualityCriteria,
+  evaluateSampleQuality,
+  resolveMeasurementWindow
+} = require('../measurement');
+
+test('isValidSample 只接受正的有限数字', () => {
+  assert.equal(isValidSample(450), true);
+  assert.equal(isValidSample(0), false);
+  assert.equal(isValidSample(-5), false);
+  assert.equal(isValidSample(Infinity), false);
+  assert.equal(isValidSample('invalid'), false);
+  assert.equal(isValidSample(undefined), false);
+});
+
+test('averageSamples 四舍五入到mm，无样本时为0', () => {
+  assert.equal(averageSamples([500, 501, 501]), 501);
+  assert.equal(averageSamples([400, 405]), 403);
+  assert.equal(averageSamples([]), 0);
+});
+
+test('收集默认样本数后返回平均值', () => {
+  const samples = [];
+  assert.deepEqual(addMeasurementSample(samples, 600), { accepted: true, complete: false, average: null });
+  assert.deepEqual(addMeasurementSample(samples, 610), { accepted: true, complete: false, average: null });
+  assert.deepEqual(addMeasurementSample(samples, 620), { accepted: true, complete: true, average: 610 });
+  assert.equal(samples.length, DEFAULT_MAX_SAMPLES);
+});
+
+test('无效读数不计入样本', () => {
+  const samples = [];
+  assert.equal(addMeasurementSample(samples, 'invalid', 2).accepted, false);
+  assert.equal(addMeasurementSample(samples, 0, 2).accepted, false);
+  addMeasurementSample(samples, 700, 2);
+  const result = addMeasurementSample(samples, 705, 2);
+  assert.deepEqual(samples, [700, 705]);
+  assert.equal(result.average, 703);
+});
+
+test('收集完成后不再接受样本', () => {
+  const samples = [300];
+  const result = addMeasurementSample(samples, 900, 1);
+  assert.deepEqual(result, { accepted: false, complete: true, average: null });
+  assert.deepEqual(samples, [300]);
+});
+
+test('按极差和变异系数判断样本窗口是否稳定', () => {
+  assert.deepEqual(evaluateSampleQuality([600, 610, 620]), { spreadMm: 20, cv: 0.0134, stable: true, reason: null });
+  assert.deepEqual(evaluateSampleQuality([300, 600, 900]), {
+    spreadMm: 600, cv: 0.4082, stable: false, reason: '极差 600mm 超过 50mm'
+  });
+  const cvOnly = { maxSpreadMm: null, maxCv: 0.01, maxAttempts: 3 };
+  assert.equal(evaluateSampleQuality([600, 610, 620], cvOnly).reason, '变异系数 1.3% 超过 1.0%');
+  assert.equal(evaluateSampleQuality([300, 600, 900], { ...cvOnly, maxCv: null }).stable, true);
+});
+
+test('不稳定的样本窗口重新采集，达到最多次数后接受并标记', () => {
+  const unstable = [400, 520, 610];
+  assert.equal(resolveMeasurementWindow(unstable, 1).accept, false);
+  assert.equal(resolveMeasurementWindow(unstable, 2).accept, false);
+  assert.deepEqual(resolveMeasurementWindow(unstable, 3), {
+    accept: true,
+    reason: '极差 210mm 超过 50mm',
+    result: { distance: 510, samples: unstable, spreadMm: 210, cv: 0.1687, quality: 'unstable', attempts: 3 }
+  });
+  assert.deepEqual(resolveMeasurementWindow([700, 705, 702], 1).result.quality, 'stable');
+});
+
+test('检查质量检查参数', () => {
+  assert.equal(validateQualityCriteria(DEFAULT_QUALITY_CRITERIA).valid, true);
+  assert.equal(validateQualityCriteria({ maxSpreadMm: null, maxCv: 0.05, maxAttempts: 1 }).valid, true);
+  assert.match(validateQualityCriteria({ ...DEFAULT_QUALITY_CRITERIA, maxSpreadMm: 0 }).reason, /极差上限/);
+  assert.match(validateQualityCriteria({ ...DEFAULT_QUALITY_CRITERIA, maxCv: 2 }).reason, /变异系数上限/);
+  assert.match(validateQualityCriteria({ ...DEFAULT_QUALITY_CRITERIA, maxAttempts: 0 }).reason, /最多采集次数/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PACKET_LAYOUTS,
+  toBase64,
+  checksum8,
+  getFaultedChannels,
+  decodeSensorPacket,
+  encodeSensorPacket
+} = require('../packet-codec');
+
+const PACKET = {
+  timestamp: 123456,
+  minDirection: 3,
+  minDistance: 450,
+  distances: [2000, 2000, 1200, 450, 2000, 2000, 980, 2000]
+};
+
+/**
+ * 按固件 sendBLEData 的字节顺序手工构造 v1 数据包
+ */
+function buildFirmwareBytes({ timestamp, minDirection, minDistance, distances }) {
+  const bytes = [timestamp & 0xFF, (timestamp >> 8) & 0xFF, (timestamp >> 16) & 0xFF, (timestamp >> 24) & 0xFF];
+  bytes.push(minDirection, minDistance & 0xFF, minDistance >> 8);
+  distances.forEach((distance) => bytes.push(distance & 0xFF, distance >> 8));
+  return new Uint8Array(bytes);
+}
+
+test('解码固件 v1 数据包（23字节，小端序）', () => {
+  const result = decodeSensorPacket(buildFirmwareBytes(PACKET));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.packet, { version: 1, ...PACKET });
+});
+
+test('解码固件 v2 数据包（27字节，带版本、序号和传感器状态）', () => {
+  const v1 = [...buildFirmwareBytes(PACKET)];
+  const bytes = new Uint8Array([2, 0x34, 0x12, ...v1, 0b10000010]);
+  const result = decodeSensorPacket(bytes);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.packet, { version: 2, ...PACKET, sequence: 0x1234, sensorStatus: 0b10000010 });
+
+  const encoded = encodeSensorPacket({ ...PACKET, sequence: 0x1234, sensorStatus: 0b10000010 }, { version: 2 });
+  assert.deepEqual([...encoded], [...bytes]);
+  assert.equal(encodeSensorPacket({ ...PACKET, sequence: 65536 }, { version: 2 })[PACKET_LAYOUTS[2].offsets.sequence], 0);
+  assert.throws(() => encodeSensorPacket(PACKET, { version: 2 }), /需要序号/);
+
+  const badVersion = bytes.slice();
+  badVersion[0] = 3;
+  assert.match(decodeSensorPacket(badVersion).reason, /版本字节错误: 3/);
+  assert.match(decodeSensorPacket(bytes, { version: 1 }).reason, /v1应为23字节/);
+});
+
+test('传感器状态中的故障通道', () => {
+  assert.deepEqual(getFaultedChannels(0b10000010), [1, 7]);
+  assert.deepEqual(getFaultedChannels(0), []);
+  assert.equal(getFaultedChannels(undefined), null);
+});
+
+test('最短方向255表示无目标，解码为-1', () => {
+  const bytes = buildFirmwareBytes({ ...PACKET, minDirection: 255, minDistance: 2000 });
+  assert.equal(decodeSensorPacket(bytes).packet.minDirection, -1);
+});
+
+test('编码结果与固件字节一致，可往返解码', () => {
+  const encoded = encodeSensorPacket(PACKET);
+  assert.deepEqual([...encoded], [...buildFirmwareBytes(PACKET)]);
+  assert.deepEqual(decodeSensorPacket(encoded).packet, { version: 1, ...PACKET });
+  assert.equal(encodeSensorPacket({ ...PACKET, minDirection: -1 })[PACKET_LAYOUTS[1].offsets.minDirection], 255);
+});
+
+test('支持 ArrayBuffer、DataView、Buffer 和 base64 输入', () => {
+  const encoded = encodeSensorPacket(PACKET);
+  const inputs = [encoded.buffer, new DataView(encoded.buffer), Buffer.from(encoded), toBase64(encoded)];
+  inputs.forEach((input) => {
+    assert.deepEqual(decodeSensorPacket(input).packet, { version: 1, ...PACKET });
+  });
+});
+
+test('格式错误的数据帧返回具体原因', () => {
+  const encoded = encodeSensorPacket(PACKET);
+  const badDirection = encoded.slice();
+  badDirection[4] = 9;
+
+  const cases = [
+    [encoded.slice(0, 22), /长度错误/],
+    [new Uint8Array([...encoded, 0]), /长度错误/],
+    [badDirection, /最小方向超出范围/],
+    ['不是base64!', /无法识别/],
+    [{ length: 23 }, /无法识别/]
+  ];
+  cases.forEach(([input, reason]) => {
+    const result = decodeSensorPacket(input);
+    assert.equal(result.ok, false);
+    assert.match(result.reason, reason);
+  });
+  assert.match(decodeSensorPacket(encoded, { version: 99 }).reason, /不支持的数据包版本/);
+});
+
+test('checksum8 为字节累加和 mod 256', () => {
+  assert.equal(checksum8(new Uint8Array([0xFF, 0x02, 0x10]), 3), 0x11);
+  assert.equal(checksum8(new Uint8Array([0xFF, 0x02, 0x10]), 2), 0x01);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPacketContinuity, isDiscontinuity } = require('../packet-continuity');
+
+/**
+ * 依次检查一组数据包，返回各包的事件
+ * @param {Array<[number, number]>} packets [主机时间戳, 接收时间]
+ * @returns {Object[]}
+ */
+function run(packets) {
+  let state = null;
+  return packets.map(([timestamp, receivedAt]) => {
+    const result = checkPacketContinuity(state, { timestamp, receivedAt });
+    state = result.state;
+    return result;
+  });
+}
+
+test('按固件间隔连续到达的数据包', () => {
+  const results = run([[1000, 50000], [1300, 50300], [1600, 50610]]);
+  assert.deepEqual(results.map(result => result.event), ['first', 'ok', 'ok']);
+  assert.equal(results[1].gapMs, 300);
+});
+
+test('时间戳跳跃视为丢包并估算丢失数量', () => {
+  const [, result] = run([[1000, 50000], [2500, 51500]]);
+  assert.equal(result.event, 'gap');
+  assert.equal(result.gapMs, 1500);
+  assert.equal(result.missedPackets, 4);
+});
+
+test('时间戳连续但接收间隔过长视为延迟', () => {
+  const [, result] = run([[1000, 50000], [1300, 51800]]);
+  assert.equal(result.event, 'late');
+  assert.equal(result.gapMs, 1800);
+});
+
+test('重复包不更新基准', () => {
+  const results = run([[1000, 50000], [1000, 50010], [1300, 50300]]);
+  assert.deepEqual(results.map(result => result.event), ['first', 'duplicate', 'ok']);
+  assert.equal(results[2].gapMs, 300);
+});
+
+test('时间戳回退视为设备重启并重新建立基准', () => {
+  const results = run([[900000, 50000], [120, 52000], [420, 52300]]);
+  assert.deepEqual(results.map(result => result.event), ['first', 'restart', 'ok']);
+  assert.equal(results[1].gapMs, 2000);
+});
+
+test('带序号的数据包按序号精确计算丢包', () => {
+  let state = null;
+  const results = [[1000, 50000, 65534], [1300, 50300, 65535], [1900, 50900, 1], [3400, 52400, 7]].map(([timestamp, receivedAt, sequence]) => {
+    const result = checkPacketContinuity(state, { timestamp, receivedAt, sequence });
+    state = result.state;
+    return result;
+  });
+  assert.deepEqual(results.map(result => result.event), ['first', 'ok', 'loss', 'gap']);
+  assert.equal(results[2].missedPackets, 1);
+  assert.equal(results[3].missedPackets, 5);
+  assert.equal(isDiscontinuity('loss'), false);
+});
+
+test('发送间隔为1000ms时按放大后的阈值判断，时间戳抖动不算中断', () => {
+  const options = { intervalMs: 1000, gapThresholdMs: 3000 };
+  let state = null;
+  const results = [[1000, 50000], [2025, 51030], [3048, 52040], [4071, 53080], [5094, 54100], [8200, 57200]].map(([timestamp, receivedAt]) => {
+    const result = checkPacketContinuity(state, { timestamp, receivedAt }, options);
+    state = result.state;
+    return result;
+  });
+  assert.deepEqual(results.map(result => result.event), ['first', 'ok', 'ok', 'ok', 'ok', 'gap']);
+  assert.equal(results[5].missedPackets, 2);
+});
+
+test('中断事件', () => {
+  assert.equal(isDiscontinuity('gap'), true);
+  assert.equal(isDiscontinuity('late'), true);
+  assert.equal(isDiscontinuity('restart'), true);
+  assert.equal(isDiscontinuity('ok'), false);
+  assert.equal(isDiscontinuity('first'), false);
+  assert.equal(isDiscontinuity('duplicate'), false);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSensorData, validatePressureData } = require('../packet-validation');
+
+const SENSOR_PACKET = {
+  type: 'sensor_data',
+  timestamp: 12345,
+  minDirection: 3,
+  minDistance: 450,
+  distances: [2000, 2000, 2000, 450, 2000, 2000, 2000, 2000]
+};
+
+test('有效的主机数据包通过验证', () => {
+  assert.deepEqual(validateSensorData(SENSOR_PACKET), { valid: true, reason: null });
+  // 无目标：minDirection=-1，minDistance=2000
+  assert.equal(validateSensorData({ ...SENSOR_PACKET, minDirection: -1, minDistance: 2000 }).valid, true);
+  // v2：序号和传感器状态
+  assert.equal(validateSensorData({ ...SENSOR_PACKET, sequence: 65535, sensorStatus: 0x81 }).valid, true);
+});
+
+test('无效的主机数据包返回失败原因', () => {
+  const cases = [
+    { ...SENSOR_PACKET, minDistance: 2001 },
+    { ...SENSOR_PACKET, minDistance: -1 },
+    { ...SENSOR_PACKET, timestamp: 0 },
+    { ...SENSOR_PACKET, timestamp: 0xFFFFFFFF },
+    { ...SENSOR_PACKET, minDirection: 8 },
+    { ...SENSOR_PACKET, minDirection: -2 },
+    { ...SENSOR_PACKET, distances: SENSOR_PACKET.distances.slice(0, 7) },
+    { ...SENSOR_PACKET, distances: undefined },
+    { ...SENSOR_PACKET, sequence: 65536 },
+    { ...SENSOR_PACKET, sensorStatus: 256 },
+    { ...SENSOR_PACKET, sensorStatus: '1' },
+    null
+  ];
+  cases.forEach((packet) => {
+    const result = validateSensorData(packet);
+    assert.equal(result.valid, false);
+    assert.equal(typeof result.reason, 'string');
+  });
+});
+
+test('压力数据包验证并数值化', () => {
+  const result = validatePressureData({ timestamp: '1700000000000', pressure: '1500' });
+  assert.deepEqual(result, { valid: true, reason: null, pressure: 1500, timestamp: 1700000000000 });
+});
+
+test('压力超出ADC范围或时间戳无效时拒绝', () => {
+  assert.equal(validatePressureData({ timestamp: 1, pressure: 4096 }).valid, false);
+  assert.equal(validatePressureData({ timestamp: 1, pressure: -1 }).valid, false);
+  assert.equal(validatePressureData({ timestamp: 1, pressure: 12.5 }).valid, false);
+  assert.equal(validatePressureData({ timestamp: 0, pressure: 100 }).valid, false);
+  assert.equal(validatePressureData(undefined).valid, false);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_READINESS_CRITERIA,
+  createReadinessCollector,
+  addReadinessSample,
+  addPressureSample,
+  evaluateChannel,
+  evaluatePressure,
+  evaluateReadiness
+} = require('../readiness');
+
+const criteria = DEFAULT_READINESS_CRITERIA;
+
+test('带正常抖动的读数通过，并统计均值和标准差', () => {
+  const result = evaluateChannel([500, 504, 498, 502, 496, 500], 0);
+  assert.equal(result.status, 'pass');
+  assert.equal(result.reason, null);
+  assert.equal(result.sampleCount, 6);
+  assert.equal(result.meanMm, 500);
+  assert.equal(result.noiseMm, 2.6);
+});
+
+test('按顺序检查数据不足、故障、0读数、无目标、读数不变和噪声', () => {
+  assert.equal(evaluateChannel([500, 501], 0).reason, 'no_data');
+  assert.equal(evaluateChannel([2000, 2000, 2000, 2000, 2000], 5).reason, 'fault');
+  assert.equal(evaluateChannel([0, 0, 500, 501, 502], 0).reason, 'zero');
+  assert.equal(evaluateChannel([0, 500, 501, 502, 503, 504], 0).status, 'pass');
+  assert.deepEqual(
+    [evaluateChannel(new Array(10).fill(2000), 0).reason, evaluateChannel(new Array(10).fill(2000), 0).status],
+    ['no_target', 'warn']
+  );
+  assert.deepEqual(
+    [evaluateChannel(new Array(10).fill(812), 0).reason, evaluateChannel(new Array(10).fill(812), 0).status],
+    ['stuck', 'fail']
+  );
+  const noisy = evaluateChannel([400, 500, 600, 450, 550], 0);
+  assert.equal(noisy.reason, 'noise');
+  assert.equal(noisy.status, 'warn');
+  assert.match(noisy.detail, /超过 25mm/);
+});
+
+test('无目标读数不计入噪声，只要有效读数足够即可通过', () => {
+  const result = evaluateChannel([700, 2000, 702, 701, 699, 700, 2000], 0);
+  assert.equal(result.status, 'pass');
+  assert.equal(result.meanMm, 700);
+});
+
+test('压力数据: 未连接从机警告，已连接但没有数据失败', () => {
+  assert.equal(evaluatePressure(0, false).status, 'warn');
+  assert.equal(evaluatePressure(0, false).reason, 'no_slave');
+  assert.equal(evaluatePressure(1, true).reason, 'no_pressure');
+  assert.equal(evaluatePressure(1, true).status, 'fail');
+  assert.equal(evaluatePressure(criteria.minPressureSamples, true).status, 'pass');
+});
+
+test('自检报告取最严重的状态', () => {
+  const collector = createReadinessCollector(1000);
+  for (let index = 0; index < 6; index++) {
+    const distances = [500 + index, 600 - index, 700 + index, 800, 900 + index, 1000 - index, 1100 + index, 2000];
+    addReadinessSample(collector, distances, index < 3 ? [3] : []);
+    addPressureSample(collector);
+  }
+  addReadinessSample(collector, ['invalid', 598]);
+
+  const report = evaluateReadiness(collector, { checkedAt: 4000, slaveConnected: true });
+  assert.equal(report.durationMs, 3000);
+  assert.equal(report.channels[0].sampleCount, 6);
+  assert.equal(report.channels[1].sampleCount, 7);
+  assert.deepEqual(report.channels.map(({ status }) => status), ['pass', 'pass', 'pass', 'fail', 'pass', 'pass', 'pass', 'warn']);
+  assert.equal(report.channels[3].reason, 'fault');
+  assert.equal(report.pressure.status, 'pass');
+  assert.equal(report.status, 'fail');
+
+  const noSlave = evaluateReadiness(createReadinessCollector(0), { checkedAt: 3000, slaveConnected: false });
+  assert.equal(noSlave.status, 'fail');
+  assert.equal(noSlave.pressure.status, 'warn');
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RECONNECT_DEFAULTS, getReconnectDelay, formatGapDuration } = require('../reconnect-policy');
+
+const noJitter = { jitter: 0 };
+
+test('重连间隔按指数增长并封顶', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => getReconnectDelay(attempt, noJitter)), [1000, 2000, 4000, 8000, 16000]);
+  assert.equal(getReconnectDelay(6, noJitter), RECONNECT_DEFAULTS.maxMs);
+  assert.equal(getReconnectDelay(50, noJitter), RECONNECT_DEFAULTS.maxMs);
+  assert.equal(getReconnectDelay(0, noJitter), 1000);
+  assert.equal(getReconnectDelay(3, { baseMs: 500, maxMs: 1500, jitter: 0 }), 1500);
+});
+
+test('随机抖动不超过设定比例和上限', () => {
+  assert.equal(getReconnectDelay(2, { random: () => 0 }), 1600);
+  assert.equal(getReconnectDelay(2, { random: () => 1 }), 2400);
+  assert.equal(getReconnectDelay(10, { random: () => 1 }), RECONNECT_DEFAULTS.maxMs);
+});
+
+test('中断时长格式化', () => {
+  assert.equal(formatGapDuration(3240), '3.2s');
+  assert.equal(formatGapDuration(-5), '0.0s');
+  assert.equal(formatGapDuration(125000), '2分05秒');
+  assert.equal(formatGapDuration(119600), '2分00秒');
+});
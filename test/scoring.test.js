@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getScoringFormula,
+  normalizeReach,
+  calculateScores,
+  calculateLegScore
+} = require('../scoring');
+const {
+  buildTrialSequence,
+  aggregateTrialResults,
+  toAnatomicalResults,
+  calculateSymmetryIndex
+} = require('../trials');
+
+// 8方向读数（设备方位）
+const RESULTS = { L: 500, BL: 600, FL: 700, F: 800, B: 900, BR: 650, FR: 750, R: 550 };
+
+test('normalizeReach 按腿长换算百分比', () => {
+  assert.equal(normalizeReach(800, 80), 100);
+  assert.equal(normalizeReach(600, 90), 66.67);
+  assert.equal(normalizeReach(600, 0), 0);
+  assert.equal(normalizeReach(0, 90), 0);
+});
+
+test('未知评分公式使用默认公式', () => {
+  assert.equal(getScoringFormula('unknown').id, 'sebt-8');
+});
+
+test('sebt-8 综合分数为8方向平均距离占腿长的百分比', () => {
+  const anatomical = toAnatomicalResults(RESULTS, 'left');
+  const { composite, normalized } = calculateScores(anatomical, 80, 'sebt-8');
+  // (500+600+700+800+900+650+750+550) / (8 × 800) × 100
+  assert.equal(composite, 85.16);
+  assert.equal(normalized.ANT, 100);
+});
+
+test('ybt-3 只计算前、后内、后外方向', () => {
+  const anatomical = toAnatomicalResults(RESULTS, 'left');
+  // 左腿站立: ANT=F(800) PM=BR(650) PL=BL(600)
+  assert.equal(calculateScores(anatomical, 80, 'ybt-3').composite, 85.42);
+});
+
+test('站立腿方向映射：左腿内侧为R，右腿内侧为L', () => {
+  assert.equal(toAnatomicalResults(RESULTS, 'left').MED, 550);
+  assert.equal(toAnatomicalResults(RESULTS, 'right').MED, 500);
+  assert.equal(toAnatomicalResults({}, 'left').ANT, 0);
+});
+
+test('试验顺序为每条腿先练习后正式', () => {
+  const sequence = buildTrialSequence({ practiceTrials: 1, recordedTrials: 2, stanceLeg: 'both' });
+  assert.deepEqual(sequence.map(trial => `${trial.leg}-${trial.practice ? 'P' : 'R'}${trial.number}`), [
+    'left-P1', 'left-R1', 'left-R2', 'right-P1', 'right-R1', 'right-R2'
+  ]);
+});
+
+test('汇总正式试验的最佳值和平均值，练习试验和无效读数不参与', () => {
+  const trials = [
+    { leg: 'left', practice: true, number: 1, results: { F: 990 } },
+    { leg: 'left', practice: false, number: 1, results: { F: 800, L: 0 } },
+    { leg: 'left', practice: false, number: 2, results: { F: 805 } }
+  ];
+  assert.equal(aggregateTrialResults(trials, 'max', ['left']).left.F, 805);
+  assert.equal(aggregateTrialResults(trials, 'mean', ['left']).left.F, 802.5);
+  assert.equal(aggregateTrialResults(trials, 'mean', ['left']).left.L, 0);
+});
+
+test('calculateLegScore 汇总后按公式计算，腿长无效时为0', () => {
+  const trials = [
+    { leg: 'left', practice: false, number: 1, results: RESULTS },
+    { leg: 'left', practice: false, number: 2, results: { ...RESULTS, F: 400 } },
+    { leg: 'right', practice: false, number: 1, results: { F: 1000 } }
+  ];
+  assert.equal(calculateLegScore(trials, 80, { stanceLeg: 'left', aggregation: 'max' }), 85.16);
+  // 平均值: F = (800 + 400) / 2 = 600
+  assert.equal(calculateLegScore(trials, 80, { stanceLeg: 'left', aggregation: 'mean' }), 82.03);
+  assert.equal(calculateLegScore(trials, 80, { stanceLeg: 'right', formulaId: 'ybt-3' }), 41.67);
+  assert.equal(calculateLegScore(trials, 0, { stanceLeg: 'left' }), 0);
+});
+
+test('对称指数为左腿/右腿，缺少任一腿读数时为null', () => {
+  const aggregated = {
+    left: { F: 800, R: 600 },
+    right: { F: 1000, L: 0 }
+  };
+  const symmetry = calculateSymmetryIndex(aggregated);
+  assert.deepEqual(symmetry.ANT, { lsi: 80, differenceMm: -200 });
+  assert.deepEqual(symmetry.MED, { lsi: null, differenceMm: null });
+  assert.equal(calculateSymmetryIndex({ left: RESULTS }), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirectory } = require('./helpers/temp-directory');
+const { SessionStore } = require('../session-store');
+
+/**
+ * 创建使用临时目录的测试记录存储
+ * @param {Object} t 测试上下文
+ * @returns {{directory: string, filePath: string, createStore: Function}}
+ */
+function useTempStore(t) {
+  const directory = useTempDirectory(t, 'sessions');
+  return {
+    directory,
+    filePath: path.join(directory, 'sessions.jsonl'),
+    createStore: () => new SessionStore({ directory })
+  };
+}
+
+test('保存时生成ID，更新时保留创建时间，重新加载后以最后一行为准', (t) => {
+  const { filePath, createStore } = useTempStore(t);
+  const store = createStore();
+
+  const created = store.save({ subject: { id: 'S-01' }, score: 80 });
+  assert.match(created.id, /^[0-9a-f-]{36}$/);
+  assert.equal(created.createdAt, created.updatedAt);
+
+  const updated = store.save({ ...created, score: 85 });
+  assert.equal(updated.createdAt, created.createdAt);
+  assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+
+  const reloaded = createStore();
+  assert.equal(reloaded.get(created.id).score, 85);
+  assert.equal(reloaded.list().length, 1);
+  assert.equal(reloaded.get('missing'), null);
+});
+
+test('跳过损坏的行和没有ID的记录', (t) => {
+  const { filePath, createStore } = useTempStore(t);
+  const warn = t.mock.method(console, 'warn', () => {});
+  fs.writeFileSync(filePath, [
+    JSON.stringify({ id: 'a', createdAt: '2026-01-02T08:00:00.000Z' }),
+    '{"id": "b", "createdAt": ',
+    JSON.stringify({ createdAt: '2026-01-03T08:00:00.000Z' }),
+    '',
+    JSON.stringify({ id: 'c', createdAt: '2026-01-04T08:00:00.000Z' })
+  ].join('\n') + '\n');
+
+  const store = createStore();
+  assert.deepEqual(store.list().map(session => session.id), ['c', 'a']);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /第2行/);
+});
+
+test('按被测序号、性别或日期筛选，按创建时间倒序并限制条数', (t) => {
+  const { createStore } = useTempStore(t);
+  const store = createStore();
+  store.save({ id: 'a', createdAt: '2026-03-01T08:00:00.000Z', subject: { id: 'P-001', gender: '男' } });
+  store.save({ id: 'b', createdAt: '2026-03-02T08:00:00.000Z', subject: { id: 'p-002', gender: '女' } });
+  store.save({ id: 'c', createdAt: '2026-03-03T08:00:00.000Z' });
+
+  assert.deepEqual(store.list().map(session => session.id), ['c', 'b', 'a']);
+  assert.deepEqual(store.list({ query: ' P-00 ' }).map(session => session.id), ['b', 'a']);
+  assert.deepEqual(store.list({ query: '女' }).map(session => session.id), ['b']);
+  assert.deepEqual(store.list({ query: '2026-03-01' }).map(session => session.id), ['a']);
+  assert.deepEqual(store.list({ limit: 1 }).map(session => session.id), ['c']);
+  assert.deepEqual(store.list({ query: 'none' }), []);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_FILTER_CONFIG, validateFilterConfig, SignalFilter } = require('../signal-filter');
+
+const off = {
+  spike: { ...DEFAULT_FILTER_CONFIG.spike, enabled: false },
+  median: { ...DEFAULT_FILTER_CONFIG.median, enabled: false },
+  ema: { ...DEFAULT_FILTER_CONFIG.ema, enabled: false }
+};
+
+/**
+ * 只有通道0有读数的数据包序列，返回通道0的滤波结果
+ * @param {SignalFilter} filter 滤波器
+ * @param {number[]} values 通道0的读数
+ * @returns {number[]}
+ */
+function runChannel(filter, values) {
+  return values.map(value => filter.process([value, 2000, 2000, 2000, 2000, 2000, 2000, 2000]).distances[0]);
+}
+
+test('尖峰剔除保持上一读数，连续超过保持次数后接受新值', () => {
+  const filter = new SignalFilter({ ...off, spike: { enabled: true, maxJumpMm: 300, holdSamples: 2 } });
+  assert.deepEqual(runChannel(filter, [800, 810, 2000, 805, 1500, 1500, 1500]), [800, 810, 810, 805, 805, 805, 1500]);
+  assert.equal(filter.spikeCount, 3);
+});
+
+test('中值滤波去除单个异常读数', () => {
+  const filter = new SignalFilter({ ...off, median: { enabled: true, window: 3 } });
+  assert.deepEqual(runChannel(filter, [800, 2000, 820, 400, 830]), [800, 800, 820, 820, 820]);
+});
+
+test('指数平滑在无目标时重新开始', () => {
+  const filter = new SignalFilter({ ...off, ema: { enabled: true, alpha: 0.5 } });
+  assert.deepEqual(runChannel(filter, [800, 900, 1000, 2000, 600]), [800, 850, 925, 2000, 600]);
+});
+
+test('滤波后按固件规则重新计算最短方向，无效读数按无目标处理', () => {
+  const filter = new SignalFilter(off);
+  assert.deepEqual(filter.process([900, 0, 2000, 700, 2000, 2000, 2000, 2000]), {
+    distances: [900, 2000, 2000, 700, 2000, 2000, 2000, 2000],
+    minDirection: 3,
+    minDistance: 700,
+    spikes: []
+  });
+  assert.equal(filter.process(new Array(8).fill(2000)).minDirection, -1);
+  assert.equal(filter.isEnabled(), false);
+});
+
+test('重置后不再受旧读数影响', () => {
+  const filter = new SignalFilter();
+  runChannel(filter, [800, 800, 800]);
+  filter.reset();
+  assert.deepEqual(runChannel(filter, [1200]), [1200]);
+});
+
+test('检查滤波参数', () => {
+  assert.equal(validateFilterConfig(DEFAULT_FILTER_CONFIG).valid, true);
+  assert.match(validateFilterConfig({ ...DEFAULT_FILTER_CONFIG, median: { enabled: true, window: 4 } }).reason, /奇数: 4/);
+  assert.match(validateFilterConfig({ ...DEFAULT_FILTER_CONFIG, ema: { enabled: true, alpha: 0 } }).reason, /指数平滑系数/);
+  assert.match(validateFilterConfig({ ...DEFAULT_FILTER_CONFIG, spike: { enabled: true, maxJumpMm: 20, holdSamples: 2 } }).reason, /最大跳变/);
+  assert.match(validateFilterConfig({ median: DEFAULT_FILTER_CONFIG.median }).reason, /缺少尖峰剔除参数/);
+  assert.throws(() => new SignalFilter({ ...DEFAULT_FILTER_CONFIG, ema: null }), /缺少指数平滑参数/);
+});
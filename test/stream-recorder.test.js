@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirectory } = require('./helpers/temp-directory');
+const { StreamRecorder } = require('../stream-recorder');
+
+test('录制文件头记录数据包布局，回放时读取录制的数据包', (t) => {
+  const recorder = new StreamRecorder({ directory: useTempDirectory(t, 'recordings') });
+  const { filePath } = recorder.start({ packetLayout: 2 });
+  recorder.record({ type: 'sensor_frame', frame: 'AQI=' }, 1000);
+  recorder.record({ type: 'pressure_data', pressure: 12 }, 1300);
+  assert.deepEqual(recorder.stop(), { filePath, packetCount: 2 });
+
+  const { header, entries } = recorder.loadReplay(filePath);
+  assert.equal(header.packetLayout, 2);
+  assert.deepEqual(entries.map(({ receivedAt }) => receivedAt), [1000, 1300]);
+  assert.equal(entries[1].packet.pressure, 12);
+});
+
+test('回放请求缺少文件路径或不在录制目录中时报错', (t) => {
+  const directory = useTempDirectory(t, 'recordings');
+  const recorder = new StreamRecorder({ directory });
+  assert.throws(() => recorder.loadReplay(), /录制文件不存在/);
+
+  const outside = path.join(directory, '..', path.basename(directory) + '.jsonl');
+  t.after(() => fs.rmSync(outside, { force: true }));
+  fs.writeFileSync(outside, JSON.stringify({ format: 'sebt-stream', version: 1 }) + '\n');
+  assert.throws(() => recorder.loadReplay(outside), /录制文件不存在/);
+});
+
+test('录制中不能回放', (t) => {
+  const recorder = new StreamRecorder({ directory: useTempDirectory(t, 'recordings') });
+  const { filePath } = recorder.start();
+  assert.throws(() => recorder.loadReplay(filePath), /请先停止录制再回放/);
+  recorder.stop();
+  assert.equal(recorder.loadReplay(filePath).header.packetLayout, null);
+});
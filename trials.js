@@ -0,0 +1,133 @@
+/*
+ * SEBT 试验汇总 (Trials)
+ * 试验顺序、正式试验汇总、站立腿方向映射和肢体对称指数，不依赖DOM，渲染进程和测试共用
+ * 渲染进程中为全局 SEBTTrials（index.html 通过 <script> 加载）
+ *
+ * 设备方位代码（按I2C通道顺序）: L BL FL F B BR FR R
+ * 解剖学方向代码: ANT AM MED PM POST PL LAT AL
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SEBTTrials = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 设备方位代码（与 app.js directionMap 通道顺序一致）
+  const DEVICE_DIRECTION_CODES = ['L', 'BL', 'FL', 'F', 'B', 'BR', 'FR', 'R'];
+
+  // 站立腿 → 解剖学方向对应的设备方位（directionMap中的code）
+  // 左腿站立时内侧朝右（R），右腿站立时内侧朝左（L），前后方向不变
+  const stanceLegDirectionMap = {
+    'left': { ANT: 'F', AM: 'FR', MED: 'R', PM: 'BR', POST: 'B', PL: 'BL', LAT: 'L', AL: 'FL' },
+    'right': { ANT: 'F', AM: 'FL', MED: 'L', PM: 'BL', POST: 'B', PL: 'BR', LAT: 'R', AL: 'FR' }
+  };
+
+  const ANATOMICAL_DIRECTION_CODES = Object.keys(stanceLegDirectionMap.left);
+
+  /**
+   * 获取试验方案包含的站立腿
+   * @param {Object} plan 试验方案
+   * @returns {string[]} ['left'] | ['right'] | ['left', 'right']
+   */
+  function getTrialLegs(plan) {
+    return plan.stanceLeg === 'both' ? ['left', 'right'] : [plan.stanceLeg];
+  }
+
+  /**
+   * 根据试验方案生成试验顺序（每条腿：练习试验 → 正式试验）
+   * @param {Object} plan 试验方案 {practiceTrials, recordedTrials, stanceLeg}
+   * @returns {Array<{leg: string, practice: boolean, number: number}>}
+   */
+  function buildTrialSequence(plan) {
+    const sequence = [];
+    getTrialLegs(plan).forEach((leg) => {
+      for (let number = 1; number <= plan.practiceTrials; number++) {
+        sequence.push({ leg, practice: true, number });
+      }
+      for (let number = 1; number <= plan.recordedTrials; number++) {
+        sequence.push({ leg, practice: false, number });
+      }
+    });
+    return sequence;
+  }
+
+  /**
+   * 按站立腿汇总正式试验结果（练习试验不参与汇总）
+   * @param {Object[]} trials 试验列表 {leg, practice, results: {设备方位code: distance}}
+   * @param {string} aggregation 汇总方式 max | mean
+   * @param {string[]} legs 需要汇总的站立腿
+   * @returns {Object} {leg: {code: distance}}，无有效读数的方向为0
+   */
+  function aggregateTrialResults(trials, aggregation, legs) {
+    const aggregated = {};
+    legs.forEach((leg) => {
+      const recordedTrials = trials.filter(trial => trial.leg === leg && !trial.practice);
+      aggregated[leg] = {};
+      DEVICE_DIRECTION_CODES.forEach((code) => {
+        const values = recordedTrials
+          .map(trial => trial.results[code])
+          .filter(distance => typeof distance === 'number' && distance > 0);
+        if (values.length === 0) {
+          aggregated[leg][code] = 0;
+        } else if (aggregation === 'mean') {
+          const mean = values.reduce((sum, distance) => sum + distance, 0) / values.length;
+          aggregated[leg][code] = parseFloat(mean.toFixed(1));
+        } else {
+          aggregated[leg][code] = Math.max(...values);
+        }
+      });
+    });
+    return aggregated;
+  }
+
+  /**
+   * 将设备方位读数转换为相对站立腿的解剖学方向读数
+   * @param {Object} results {设备方位code: distance}
+   * @param {string} leg 站立腿 left | right
+   * @returns {Object} {解剖学方向code: distance}
+   */
+  function toAnatomicalResults(results, leg) {
+    const anatomicalResults = {};
+    ANATOMICAL_DIRECTION_CODES.forEach((code) => {
+      anatomicalResults[code] = results[stanceLegDirectionMap[leg][code]] || 0;
+    });
+    return anatomicalResults;
+  }
+
+  /**
+   * 计算各解剖学方向的左右肢体对称指数
+   * LSI = 左腿 / 右腿 × 100（%），差值 = 左腿 - 右腿（mm）
+   * @param {Object} aggregatedResults {leg: {设备方位code: distance}}
+   * @returns {Object|null} {解剖学方向code: {lsi, differenceMm}}，不含双腿数据时为null
+   */
+  function calculateSymmetryIndex(aggregatedResults) {
+    if (!aggregatedResults.left || !aggregatedResults.right) {
+      return null;
+    }
+
+    const left = toAnatomicalResults(aggregatedResults.left, 'left');
+    const right = toAnatomicalResults(aggregatedResults.right, 'right');
+    const symmetry = {};
+    ANATOMICAL_DIRECTION_CODES.forEach((code) => {
+      const hasBoth = left[code] > 0 && right[code] > 0;
+      symmetry[code] = {
+        lsi: hasBoth ? parseFloat((left[code] / right[code] * 100).toFixed(1)) : null,
+        differenceMm: hasBoth ? parseFloat((left[code] - right[code]).toFixed(1)) : null
+      };
+    });
+    return symmetry;
+  }
+
+  return {
+    DEVICE_DIRECTION_CODES,
+    ANATOMICAL_DIRECTION_CODES,
+    stanceLegDirectionMap,
+    getTrialLegs,
+    buildTrialSequence,
+    aggregateTrialResults,
+    toAnatomicalResults,
+    calculateSymmetryIndex
+  };
+});